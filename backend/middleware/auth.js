@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/token');
+
+/**
+ * Authentication middleware
+ * Verifies the Bearer token and attaches the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ message: 'Server error while authenticating', error: error.message });
+  }
+};
+
+module.exports = {
+  authenticate
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { RULE_TRIGGERS, ACTION_TYPES, CONDITION_OPERATORS, PRIORITIES } = require('../utils/rules');
+
+// Rules per user
+const MAX_RULES = 50;
+
+/**
+ * "if" part of a rule: all conditions must match the task
+ */
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: Object.keys(CONDITION_OPERATORS),
+    required: true
+  },
+  operator: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * "then" part of a rule; which fields are used depends on the type (see utils/rules.js)
+ */
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACTION_TYPES,
+    required: true
+  },
+
+  // Priority, tag name or project ID
+  value: String,
+
+  // send_email
+  to: String,
+  message: String,
+
+  // create_task
+  title: String,
+  dueInDays: Number,
+  priority: {
+    type: String,
+    enum: [...PRIORITIES, null],
+    default: undefined
+  }
+}, { _id: false });
+
+/**
+ * Automation Rule Schema Definition
+ * A user-defined "when <trigger> if <conditions> then <actions>" rule, run by
+ * services/automationRules.js on task events and scheduler ticks
+ */
+const automationRuleSchema = new mongoose.Schema({
+  // User who owns the rule
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Disabled rules are kept but never run
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  trigger: {
+    type: String,
+    enum: {
+      values: RULE_TRIGGERS,
+      message: 'Trigger must be one of: ' + RULE_TRIGGERS.join(', ')
+    },
+    required: [true, 'Trigger is required']
+  },
+
+  conditions: [conditionSchema],
+  actions: [actionSchema],
+
+  // When the rule last ran its actions, and how often it has
+  lastFiredAt: {
+    type: Date,
+    default: null
+  },
+  fireCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// Enabled rules for a trigger, per user and across users for the scheduler
+automationRuleSchema.index({ owner: 1, enabled: 1, trigger: 1 });
+automationRuleSchema.index({ enabled: 1, trigger: 1 });
+
+// Create and export the AutomationRule model
+const AutomationRule = mongoose.model('AutomationRule', automationRuleSchema);
+
+module.exports = AutomationRule;
+module.exports.MAX_RULES = MAX_RULES;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// How long run records are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.AUTOMATION_RUN_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Automation Run Schema Definition
+ * Record of one task mail automation run for a user
+ * The emails it sent are stored as Notification documents referencing the run
+ */
+const automationRunSchema = new mongoose.Schema({
+  // User whose tasks were checked
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+
+  // Project the run was limited to (manual runs only); null checks every active project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+
+  // Summary counts
+  totalTasks: { type: Number, default: 0 },
+  overdueTasks: { type: Number, default: 0 },
+  dueSoonTasks: { type: Number, default: 0 },
+  highPriorityTasks: { type: Number, default: 0 },
+  notificationsSent: { type: Number, default: 0 },
+  notificationsFailed: { type: Number, default: 0 },
+  notificationsSuppressed: { type: Number, default: 0 },
+
+  // Notifications held for a digest or quiet hours, and digest emails sent
+  notificationsQueued: { type: Number, default: 0 },
+  digestsSent: { type: Number, default: 0 },
+
+  // Notifications held back by the preferences, the throttle rules or the per-run limit, grouped by reason
+  suppressed: [{
+    _id: false,
+    type: { type: String },
+    reason: String,
+    count: Number
+  }],
+
+  // Error message of a failed run
+  error: String
+});
+
+// Recent runs per user, newest first
+automationRunSchema.index({ owner: 1, startedAt: -1 });
+
+// Expire old runs
+automationRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the AutomationRun model
+const AutomationRun = mongoose.model('AutomationRun', automationRunSchema);
+
+module.exports = AutomationRun;
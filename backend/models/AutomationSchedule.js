@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Interval used for users who have not picked one
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.AUTOMATION_INTERVAL_MINUTES, 10) || 20;
+
+/**
+ * Automation Schedule Schema Definition
+ * One per user - when the backend scheduler should next run their task mail checks
+ */
+const automationScheduleSchema = new mongoose.Schema({
+  // User whose tasks are checked
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    unique: true
+  },
+
+  // Paused schedules are skipped by the scheduler; manual runs still work
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Minutes between scheduled runs
+  intervalMinutes: {
+    type: Number,
+    default: DEFAULT_INTERVAL_MINUTES,
+    min: [5, 'Interval must be at least 5 minutes'],
+    max: [1440, 'Interval cannot exceed 1440 minutes (one day)']
+  },
+
+  // When the scheduler should run next
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // When the last run (scheduled or manual) started
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+/**
+ * Get a user's schedule, creating it with the defaults on first use
+ * @param {ObjectId} ownerId - User ID
+ * @returns {Promise<Object>} - Schedule document
+ */
+automationScheduleSchema.statics.forUser = function(ownerId) {
+  return this.findOneAndUpdate(
+    { owner: ownerId },
+    { $setOnInsert: { owner: ownerId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Create and export the AutomationSchedule model
+const AutomationSchedule = mongoose.model('AutomationSchedule', automationScheduleSchema);
+
+module.exports = AutomationSchedule;
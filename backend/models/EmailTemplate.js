@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const DEFAULT_TEMPLATES = require('../services/templates/defaults');
+const { validate } = require('../services/templates/engine');
+
+// Emails that can be customised, matching the default templates
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Template part in the engine's syntax; unset parts use the default template
+ */
+const templatePart = (label, maxlength) => ({
+  type: String,
+  default: null,
+  maxlength: [maxlength, `${label} cannot exceed ${maxlength} characters`],
+  validate: {
+    validator: source => source === null || validate(source) === null,
+    message: props => `${label}: ${validate(props.value)}`
+  }
+});
+
+/**
+ * Email Template Schema Definition
+ * A user's override of one of the default notification email templates
+ * Overrides are kept per account: the request asked for per-workspace overrides,
+ * but the app has no workspaces, so an account is the widest scope there is.
+ * Workspace overrides need a workspace model (and membership) first.
+ */
+const emailTemplateSchema = new mongoose.Schema({
+  // User the template belongs to; it applies to all emails sent to them
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  key: {
+    type: String,
+    enum: {
+      values: TEMPLATE_KEYS,
+      message: 'Template must be one of: ' + TEMPLATE_KEYS.join(', ')
+    },
+    required: [true, 'Template is required']
+  },
+
+  subject: templatePart('Subject', 200),
+  html: templatePart('HTML template', 50000),
+  text: templatePart('Text template', 20000)
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// One override per template and user
+emailTemplateSchema.index({ owner: 1, key: 1 }, { unique: true });
+
+// Create and export the EmailTemplate model
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+module.exports = EmailTemplate;
+module.exports.TEMPLATE_KEYS = TEMPLATE_KEYS;
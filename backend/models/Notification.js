@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Notification types, each with an email template (see services/templates)
+const NOTIFICATION_TYPES = ['overdue', 'due_soon', 'high_priority', 'reminder'];
+
+// Scheduled summary emails, each with an email template
+const DIGEST_TYPES = ['morning_digest', 'weekly_summary'];
+const TYPES = [...NOTIFICATION_TYPES, ...DIGEST_TYPES];
+
+// How a notification reaches the user: on its own, or bundled into an hourly or daily digest
+const DELIVERY_MODES = ['instant', 'hourly', 'daily'];
+
+// How long notifications are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+
+/**
+ * Notification Schema Definition
+ * One email sent (or attempted) to a user about one of their tasks,
+ * or one of their scheduled digests
+ */
+const notificationSchema = new mongoose.Schema({
+  // User the notification belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: TYPES,
+      message: 'Type must be one of: ' + TYPES.join(', ')
+    },
+    required: [true, 'Type is required']
+  },
+
+  // Task the email is about (null for digests); the title is copied so history survives deletion
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  taskTitle: String,
+
+  // Automation run that produced the notification
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRun',
+    default: null
+  },
+
+  // Email content; body is the HTML part, text the plain-text alternative
+  to: {
+    type: String,
+    required: [true, 'Recipient is required']
+  },
+  subject: String,
+  body: String,
+  text: String,
+  priority: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+
+  // Delivery mode chosen in the user's preferences
+  delivery: {
+    type: String,
+    enum: DELIVERY_MODES,
+    default: 'instant'
+  },
+
+  // Delivery result; queued notifications wait for a digest or the end of quiet hours
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    required: true
+  },
+  sentAt: Date,
+  deliveryTime: String,
+
+  // Queued notifications are claimed until this time by the process sending them,
+  // so overlapping flushes never send one twice
+  claimedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Message-ID assigned by the transport, or the delivery error
+  messageId: String,
+  error: String,
+
+  // When the user read it in the app; null while unread
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// History per user, newest first, optionally narrowed by type
+notificationSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ owner: 1, type: 1, createdAt: -1 });
+
+// Unread notifications per user for the notification bell
+notificationSchema.index({ owner: 1, readAt: 1 });
+
+// Queued notifications per user, oldest first
+notificationSchema.index({ owner: 1, status: 1, createdAt: 1 });
+
+// Expire old notifications
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the Notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.DIGEST_TYPES = DIGEST_TYPES;
+module.exports.DELIVERY_MODES = DELIVERY_MODES;
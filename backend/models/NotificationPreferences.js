@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, DELIVERY_MODES } = require('./Notification');
+const { TIME_OF_DAY, isValidTimeZone, isWithinDailyRange, nextTimeOfDay } = require('../utils/timezone');
+
+// Preference field of each scheduled digest type
+const DIGEST_FIELDS = {
+  morning_digest: 'morningDigest',
+  weekly_summary: 'weeklySummary'
+};
+
+/**
+ * Whether and how the user receives one notification type
+ */
+const typePreferenceSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  delivery: {
+    type: String,
+    enum: {
+      values: DELIVERY_MODES,
+      message: 'Delivery must be one of: ' + DELIVERY_MODES.join(', ')
+    },
+    default: 'instant'
+  }
+}, { _id: false });
+
+/**
+ * Notification Preferences Schema Definition
+ * One per user - which notification emails they receive, how, and when not to send them,
+ * plus the scheduled morning digest and weekly summary
+ */
+const notificationPreferencesSchema = new mongoose.Schema({
+  // User the preferences belong to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    unique: true
+  },
+
+  // IANA timezone used for quiet hours and digest times
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+
+  // One entry per notification type
+  types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    { type: typePreferenceSchema, default: () => ({}) }
+  ])),
+
+  // No emails are sent between start and end (local time); they are queued until quiet hours end
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      match: [TIME_OF_DAY, 'Quiet hours start must be a time in HH:MM format']
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: [TIME_OF_DAY, 'Quiet hours end must be a time in HH:MM format']
+    }
+  },
+
+  // Local time the daily digest goes out
+  dailyDigestTime: {
+    type: String,
+    default: '08:00',
+    match: [TIME_OF_DAY, 'Daily digest time must be a time in HH:MM format']
+  },
+
+  // Overdue, due today, due this week and recently completed tasks in one email every morning
+  morningDigest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    time: {
+      type: String,
+      default: '07:30',
+      match: [TIME_OF_DAY, 'Morning digest time must be a time in HH:MM format']
+    },
+    // Maintained by the model; the scheduler sends the digest once this has passed
+    nextSendAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Completion statistics for the past week
+  weeklySummary: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Day of the week, 0 (Sunday) - 6 (Saturday)
+    day: {
+      type: Number,
+      default: 1,
+      min: [0, 'Weekly summary day must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Weekly summary day must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    time: {
+      type: String,
+      default: '08:00',
+      match: [TIME_OF_DAY, 'Weekly summary time must be a time in HH:MM format']
+    },
+    nextSendAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+/**
+ * Whether an instant falls inside the user's quiet hours
+ * @param {Date} date - Instant to check
+ * @returns {boolean}
+ */
+notificationPreferencesSchema.methods.isQuietAt = function(date) {
+  const { enabled, start, end } = this.quietHours;
+  return enabled && isWithinDailyRange(date, start, end, this.timezone);
+};
+
+/**
+ * When a scheduled digest should next go out
+ * @param {string} type - 'morning_digest' | 'weekly_summary'
+ * @param {Date} after - Instant the next send must follow
+ * @returns {Date|null} - Next send time, or null when the digest is turned off
+ */
+notificationPreferencesSchema.methods.nextDigestAt = function(type, after = new Date()) {
+  const { enabled, time, day } = this[DIGEST_FIELDS[type]];
+  if (!enabled) return null;
+
+  return type === 'weekly_summary'
+    ? nextTimeOfDay(after, time, this.timezone, day)
+    : nextTimeOfDay(after, time, this.timezone);
+};
+
+// Reschedule the digests whenever their settings or the timezone change
+notificationPreferencesSchema.pre('save', function(next) {
+  for (const [type, field] of Object.entries(DIGEST_FIELDS)) {
+    if (this.isModified(field) || this.isModified('timezone')) {
+      this[field].nextSendAt = this.nextDigestAt(type);
+    }
+  }
+  next();
+});
+
+/**
+ * Get a user's preferences, creating them with the defaults on first use
+ * @param {ObjectId} ownerId - User ID
+ * @returns {Promise<Object>} - Preferences document
+ */
+notificationPreferencesSchema.statics.forUser = function(ownerId) {
+  return this.findOneAndUpdate(
+    { owner: ownerId },
+    { $setOnInsert: { owner: ownerId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Due digests, looked up by the scheduler
+notificationPreferencesSchema.index({ 'morningDigest.nextSendAt': 1 });
+notificationPreferencesSchema.index({ 'weeklySummary.nextSendAt': 1 });
+
+// Create and export the NotificationPreferences model
+const NotificationPreferences = mongoose.model('NotificationPreferences', notificationPreferencesSchema);
+
+module.exports = NotificationPreferences;
+module.exports.DIGEST_FIELDS = DIGEST_FIELDS;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification State Schema Definition
+ * What the automation has already sent for one task and notification type,
+ * used to throttle repeated emails (see services/notificationThrottle.js)
+ */
+const notificationStateSchema = new mongoose.Schema({
+  // User who owns the task
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+
+  // overdue | due_soon | high_priority | reminder
+  type: {
+    type: String,
+    required: [true, 'Type is required']
+  },
+
+  // Task due date the counts below refer to; a different due date starts over
+  dueDate: Date,
+
+  // Emails sent for this due date and when the last one went out
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// One state per task and type
+notificationStateSchema.index({ task: 1, type: 1 }, { unique: true });
+notificationStateSchema.index({ owner: 1, task: 1 });
+
+// Create and export the NotificationState model
+const NotificationState = mongoose.model('NotificationState', notificationStateSchema);
+
+module.exports = NotificationState;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project Schema Definition
+ * Groups a user's tasks; archiving a project hides its tasks without deleting them
+ */
+const projectSchema = new mongoose.Schema({
+  // User who owns the project
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Project name - required field
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [50, 'Project name cannot exceed 50 characters']
+  },
+
+  // Project description - optional
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Project description cannot exceed 300 characters']
+  },
+
+  // Display colour as a hex string
+  color: {
+    type: String,
+    default: '#3b82f6',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6']
+  },
+
+  // Archived projects and their tasks are hidden from the default task list
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// Create and export the Project model
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// How long the execution log is kept before MongoDB expires it
+const RETENTION_DAYS = parseInt(process.env.RULE_EXECUTION_RETENTION_DAYS, 10) || 90;
+
+/**
+ * Outcome of one action
+ */
+const resultSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+
+  // What the action did, e.g. "Priority Medium → High"
+  detail: String,
+
+  // skipped: nothing to do, e.g. the tag was already there
+  status: {
+    type: String,
+    enum: ['done', 'skipped', 'failed'],
+    required: true
+  },
+  error: String
+}, { _id: false });
+
+/**
+ * Rule Execution Schema Definition
+ * One time an automation rule matched a task and ran its actions
+ */
+const ruleExecutionSchema = new mongoose.Schema({
+  // User who owns the rule
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: [true, 'Rule is required']
+  },
+  ruleName: String,
+  trigger: String,
+
+  // Task the rule ran on; the title is copied so the log survives deletion
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  taskTitle: String,
+
+  // "<rule>:<task>:<due date>" for scheduled triggers, so each fires once per due date
+  onceKey: {
+    type: String,
+    default: undefined
+  },
+
+  results: [resultSchema],
+
+  // Set when the rule could not run at all
+  error: String
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// Execution log per rule, newest first
+ruleExecutionSchema.index({ rule: 1, createdAt: -1 });
+
+// Rule emails each user sent recently (see services/automationRules.js)
+ruleExecutionSchema.index({ owner: 1, createdAt: -1 });
+
+// One scheduled execution per rule, task and due date, across server instances
+ruleExecutionSchema.index({ onceKey: 1 }, { unique: true, sparse: true });
+
+// Expire old executions
+ruleExecutionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the RuleExecution model
+const RuleExecution = mongoose.model('RuleExecution', ruleExecutionSchema);
+
+module.exports = RuleExecution;
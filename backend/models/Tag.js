@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Colours assigned to tags created without one
+const DEFAULT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+
+/**
+ * Normalize a tag name so "Frontend " and "frontend" are the same tag
+ * @param {string} name - Raw tag name
+ * @returns {string} - Normalized name
+ */
+const normalizeTagName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Pick a stable default colour for a tag name
+ * @param {string} name - Normalized tag name
+ * @returns {string} - Hex colour
+ */
+const defaultColorFor = (name) => {
+  const hash = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return DEFAULT_COLORS[hash % DEFAULT_COLORS.length];
+};
+
+/**
+ * Tag Schema Definition
+ * Names and colours for the labels users attach to tasks
+ * Tasks store tag names; this collection holds the colour and powers autocomplete
+ */
+const tagSchema = new mongoose.Schema({
+  // User who owns the tag
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Tag name - unique per user, stored lowercase
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag name cannot exceed 30 characters'],
+    match: [/^[^,\s][^,]*$/, 'Tag name cannot contain commas']
+  },
+
+  // Display colour as a hex string
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6']
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// One tag per name per user
+tagSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+/**
+ * Give new tags a default colour
+ */
+tagSchema.pre('validate', function (next) {
+  if (!this.color && this.name) {
+    this.color = defaultColorFor(normalizeTagName(this.name));
+  }
+  next();
+});
+
+/**
+ * Create any tags in the list that the user does not have yet
+ * @param {ObjectId} ownerId - User ID
+ * @param {Array<string>} names - Normalized tag names
+ * @returns {Promise}
+ */
+tagSchema.statics.ensureExist = function (ownerId, names) {
+  if (!names || names.length === 0) return Promise.resolve();
+
+  return this.bulkWrite(names.map(name => ({
+    updateOne: {
+      filter: { owner: ownerId, name },
+      update: { $setOnInsert: { owner: ownerId, name, color: defaultColorFor(name) } },
+      upsert: true
+    }
+  })));
+};
+
+// Create and export the Tag model
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
+module.exports.normalizeTagName = normalizeTagName;
@@ -1,10 +1,183 @@
 const mongoose = require('mongoose');
+const { normalizeTagName } = require('./Tag');
+const { nextOccurrence } = require('../utils/recurrence');
+const {
+  REMINDER_KINDS,
+  REMINDER_UNITS,
+  MAX_REMINDERS,
+  MAX_AMOUNT,
+  scheduleReminders
+} = require('../utils/reminders');
+
+// Maximum number of checklist items on a single task
+const MAX_SUBTASKS = 50;
+
+// Maximum number of tags on a single task
+const MAX_TAGS = 20;
+
+/**
+ * Subtask Schema Definition
+ * A checklist item embedded in a task; array order is the display order
+ */
+const subtaskSchema = new mongoose.Schema({
+  // Checklist item title - required field
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    maxlength: [100, 'Subtask title cannot exceed 100 characters']
+  },
+
+  // Checklist item completion status
+  completed: {
+    type: Boolean,
+    default: false
+  },
+
+  // Optional due date for the checklist item
+  dueDate: {
+    type: Date
+  }
+});
+
+/**
+ * Day of the month a monthly rule repeats on: its own, or the due date's
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} dueDate - Due date of the task the rule belongs to
+ * @returns {number|undefined} - Undefined for rules that are not monthly
+ */
+const monthDayFor = (rule, dueDate) => {
+  if (rule.frequency !== 'monthly') return rule.monthDay;
+  return rule.monthDay || (dueDate ? dueDate.getUTCDate() : undefined);
+};
+
+/**
+ * Recurrence Schema Definition
+ * RRULE-style repeat rule; see utils/recurrence.js for how dates are computed
+ */
+const recurrenceSchema = new mongoose.Schema({
+  // How often the task repeats
+  frequency: {
+    type: String,
+    enum: {
+      values: ['daily', 'weekly', 'monthly'],
+      message: 'Recurrence frequency must be daily, weekly, or monthly'
+    },
+    required: [true, 'Recurrence frequency is required']
+  },
+
+  // Repeat every N days, weeks or months
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [365, 'Recurrence interval cannot exceed 365']
+  },
+
+  // Weekly: days of the week, 0 (Sunday) - 6 (Saturday)
+  weekdays: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Recurrence weekdays must be between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+
+  // Monthly: day of the month (clamped to shorter months); taken from the due
+  // date when the rule is set without one, so a series started on the 31st
+  // keeps coming back to the 31st after a shorter month
+  monthDay: {
+    type: Number,
+    min: [1, 'Recurrence day of month must be between 1 and 31'],
+    max: [31, 'Recurrence day of month must be between 1 and 31']
+  },
+
+  // Stop after this due date (inclusive)
+  endDate: {
+    type: Date
+  },
+
+  // Stop after this many occurrences in total
+  count: {
+    type: Number,
+    min: [1, 'Recurrence count must be at least 1']
+  },
+
+  // 1-based position of this task in its series
+  occurrence: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
+/**
+ * Reminder Schema Definition
+ * A custom reminder, relative to the due date or at a fixed time; see utils/reminders.js
+ */
+const reminderSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: {
+      values: REMINDER_KINDS,
+      message: 'Reminder kind must be relative or absolute'
+    },
+    required: [true, 'Reminder kind is required']
+  },
+
+  // Relative: fire this long before the due date
+  amount: {
+    type: Number,
+    min: [1, 'Reminder amount must be at least 1'],
+    max: [MAX_AMOUNT, `Reminder amount cannot exceed ${MAX_AMOUNT}`]
+  },
+  unit: {
+    type: String,
+    enum: {
+      values: REMINDER_UNITS,
+      message: 'Reminder unit must be one of: ' + REMINDER_UNITS.join(', ')
+    }
+  },
+
+  // Absolute: fire at this time
+  at: {
+    type: Date
+  },
+
+  // When the reminder fires, kept up to date with the due date
+  remindAt: {
+    type: Date
+  },
+
+  // When the reminder was sent; null while it is pending
+  sentAt: {
+    type: Date,
+    default: null
+  }
+});
 
 /**
  * Task Schema Definition
  * Defines the structure of a task document in MongoDB
  */
 const taskSchema = new mongoose.Schema({
+  // User who owns the task - only the owner can read or change it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  // Project the task belongs to - null for tasks outside any project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
+
   // Task title - required field
   title: {
     type: String,
@@ -41,6 +214,100 @@ const taskSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // When the task was last marked complete; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Checklist items
+  subtasks: {
+    type: [subtaskSchema],
+    default: [],
+    validate: {
+      validator: (subtasks) => subtasks.length <= MAX_SUBTASKS,
+      message: `A task cannot have more than ${MAX_SUBTASKS} subtasks`
+    }
+  },
+
+  // Tag names (see the Tag model for colours); normalized and de-duplicated
+  tags: {
+    type: [String],
+    default: [],
+    set: (tags) => [...new Set((tags || []).map(normalizeTagName).filter(Boolean))],
+    validate: [
+      {
+        validator: (tags) => tags.length <= MAX_TAGS,
+        message: `A task cannot have more than ${MAX_TAGS} tags`
+      },
+      {
+        validator: (tags) => tags.every(tag => tag.length <= 30 && !tag.includes(',')),
+        message: 'Tag names cannot exceed 30 characters or contain commas'
+      }
+    ]
+  },
+
+  // Custom reminders, sent as 'reminder' notifications
+  reminders: {
+    type: [reminderSchema],
+    default: [],
+    validate: [
+      {
+        validator: (reminders) => reminders.length <= MAX_REMINDERS,
+        message: `A task cannot have more than ${MAX_REMINDERS} reminders`
+      },
+      {
+        validator: (reminders) => reminders.every(reminder => (
+          reminder.kind === 'absolute' ? !!reminder.at : !!(reminder.amount && reminder.unit)
+        )),
+        message: 'Relative reminders need an amount and unit, absolute reminders a time'
+      }
+    ]
+  },
+
+  // Repeat rule - null for one-off tasks
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+    validate: {
+      validator: (rule) => !rule || !(rule.endDate && rule.count),
+      message: 'A recurrence can end on a date or after a count, not both'
+    }
+  },
+
+  // Occurrence generated when this recurring task was completed
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // Complete the task automatically once every subtask is done
+  autoCompleteOnSubtasks: {
+    type: Boolean,
+    default: false
+  },
+
+  // Refuse to complete the task while subtasks are still open
+  requireSubtasksComplete: {
+    type: Boolean,
+    default: false
+  },
+
+  // Due date the task.overdue webhook event was sent for (see services/webhooks.js)
+  overdueEventFor: {
+    type: Date,
+    default: null
+  },
+
+  // When the task was moved to the trash; null for live tasks.
+  // Trashed tasks are left out everywhere but the trash routes and are
+  // purged after TRASH_RETENTION_DAYS (see services/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   
   // Timestamp for when task was created
   createdAt: {
@@ -49,9 +316,118 @@ const taskSchema = new mongoose.Schema({
   }
 }, {
   // Enable automatic timestamps
-  timestamps: true
+  timestamps: true,
+
+  // Edit counter, sent to clients and checked against If-Match on writes
+  // (see utils/taskDocument.js); every save increments it and fails with a
+  // VersionError if the task changed since it was loaded
+  versionKey: 'version',
+  optimisticConcurrency: true
+});
+
+/**
+ * Whether the task has checklist items that are not done yet
+ * @returns {boolean}
+ */
+taskSchema.methods.hasOpenSubtasks = function () {
+  return this.subtasks.some(subtask => !subtask.completed);
+};
+
+/**
+ * Whether the task may be marked complete given its checklist settings
+ * @returns {boolean}
+ */
+taskSchema.methods.canComplete = function () {
+  return !this.requireSubtasksComplete || !this.hasOpenSubtasks();
+};
+
+/**
+ * Keep the task's completion in step with its checklist
+ * when autoCompleteOnSubtasks is enabled: done when every item is done,
+ * reopened when an item is reopened or added
+ */
+taskSchema.methods.syncCompletionWithSubtasks = function () {
+  if (!this.autoCompleteOnSubtasks || this.subtasks.length === 0) return;
+  this.completed = !this.hasOpenSubtasks();
+};
+
+/**
+ * Build the next occurrence of a recurring task
+ * The copy starts open, with the checklist reset and the next due date
+ * @returns {Object|null} - Unsaved Task document, or null if the task does not
+ *   recur, the series has ended, or the next occurrence already exists
+ */
+taskSchema.methods.buildNextOccurrence = function () {
+  if (!this.recurrence || this.nextOccurrence) return null;
+
+  const occurrence = this.recurrence.occurrence || 1;
+  const rule = { ...this.recurrence.toObject(), monthDay: monthDayFor(this.recurrence, this.dueDate) };
+  const dueDate = nextOccurrence(rule, this.dueDate, occurrence);
+  if (!dueDate) return null;
+
+  return new this.constructor({
+    owner: this.owner,
+    project: this.project,
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    dueDate,
+    tags: this.tags,
+    // Reminders at a fixed time belong to this occurrence only
+    reminders: this.reminders
+      .filter(reminder => reminder.kind === 'relative')
+      .map(({ kind, amount, unit }) => ({ kind, amount, unit })),
+    subtasks: this.subtasks.map(({ title }) => ({ title })),
+    autoCompleteOnSubtasks: this.autoCompleteOnSubtasks,
+    requireSubtasksComplete: this.requireSubtasksComplete,
+    recurrence: { ...rule, occurrence: occurrence + 1 }
+  });
+};
+
+// Record when the task is completed or reopened
+taskSchema.pre('save', function (next) {
+  if (this.isModified('completed')) {
+    this.completedAt = this.completed ? new Date() : null;
+  }
+  next();
 });
 
+// Pin a monthly rule to the due date's day of the month
+taskSchema.pre('save', function (next) {
+  if (this.recurrence && this.recurrence.frequency === 'monthly' && !this.recurrence.monthDay) {
+    this.recurrence.monthDay = monthDayFor(this.recurrence, this.dueDate);
+  }
+  next();
+});
+
+// Keep reminder times in step with the due date
+taskSchema.pre('save', function (next) {
+  if (this.isModified('reminders') || this.isModified('dueDate')) {
+    const reminders = this.reminders.map(reminder => reminder.toObject());
+    this.reminders = scheduleReminders(reminders, this.dueDate, reminders);
+  }
+  next();
+});
+
+// Trash list and retention purge
+taskSchema.index({ owner: 1, deletedAt: -1 });
+taskSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Tag filters on the task list
+taskSchema.index({ owner: 1, tags: 1 });
+
+// Pending reminders for the scheduler
+taskSchema.index({ completed: 1, 'reminders.remindAt': 1 });
+
+// Recently completed tasks for digests and summaries
+taskSchema.index({ owner: 1, completedAt: -1 });
+
+// Full-text index used by GET /api/tasks/search (title matches weigh more)
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 2, description: 1 } }
+);
+
 // Create and export the Task model
 const Task = mongoose.model('Task', taskSchema);
 
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// How long the activity log is kept before MongoDB expires it
+const RETENTION_DAYS = parseInt(process.env.TASK_HISTORY_RETENTION_DAYS, 10) || 365;
+
+// deleted moves the task to the trash, recovered takes it back out
+const ACTIVITY_ACTIONS = ['created', 'updated', 'toggled', 'deleted', 'recovered', 'restored'];
+
+/**
+ * One changed field
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+
+  // Values as stored in versions (see utils/taskHistory.js)
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Task Activity Schema Definition
+ * One entry in a task's history: who did what, which fields changed, and the
+ * version of the task afterwards, which can be restored
+ */
+const taskActivitySchema = new mongoose.Schema({
+  // User who owns the task
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  // Task the entry is about; the title is copied so the log survives deletion
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  taskTitle: String,
+
+  action: {
+    type: String,
+    enum: {
+      values: ACTIVITY_ACTIONS,
+      message: 'Action must be one of: ' + ACTIVITY_ACTIONS.join(', ')
+    },
+    required: [true, 'Action is required']
+  },
+
+  // Who made the change: the user, or one of their automation rules
+  actor: {
+    kind: {
+      type: String,
+      enum: ['user', 'rule'],
+      default: 'user'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutomationRule',
+      default: null
+    },
+    name: String
+  },
+
+  // Fields changed by updates, toggles and restores
+  changes: [changeSchema],
+
+  // Task after the change
+  version: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Entry whose version a restore went back to
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskActivity',
+    default: null
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// History of a task, newest first
+taskActivitySchema.index({ task: 1, createdAt: -1, _id: -1 });
+
+// Expire old entries
+taskActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the TaskActivity model
+const TaskActivity = mongoose.model('TaskActivity', taskActivitySchema);
+
+module.exports = TaskActivity;
+module.exports.ACTIVITY_ACTIONS = ACTIVITY_ACTIONS;
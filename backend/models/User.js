@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Cost factor for bcrypt password hashing
+const SALT_ROUNDS = 10;
+
+/**
+ * User Schema Definition
+ * Defines the structure of a user account in MongoDB
+ */
+const userSchema = new mongoose.Schema({
+  // Display name - required field
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+
+  // Login email - unique per account
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+  },
+
+  // Hashed password - never returned by queries unless explicitly selected
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+/**
+ * Hash the password before saving whenever it has been set or changed
+ */
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare a plain-text candidate against the stored password hash
+ * @param {string} candidatePassword - Password supplied at login
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+userSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Strip sensitive fields when a user is serialised to JSON
+ */
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the User model
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
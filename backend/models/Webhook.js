@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { publicUrlError } = require('../utils/network');
+
+// Task lifecycle events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted', 'task.overdue'];
+
+// Webhooks per user
+const MAX_WEBHOOKS = 20;
+
+/**
+ * New signing secret for a webhook
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Whether a string is an absolute http(s) URL
+ */
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Reject URLs on the server's own network (checked again before every delivery)
+ */
+const isPublicUrl = async (value) => {
+  if (!isHttpUrl(value)) return true; // Reported by isHttpUrl
+
+  const reason = await publicUrlError(value);
+  if (reason) throw new Error(reason);
+  return true;
+};
+
+/**
+ * Webhook Schema Definition
+ * A URL that receives signed POST requests for the owner's task events
+ * (see services/webhooks.js)
+ */
+const webhookSchema = new mongoose.Schema({
+  // User who owns the webhook
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters'],
+    validate: [
+      {
+        validator: isHttpUrl,
+        message: 'URL must be an http or https URL'
+      },
+      {
+        validator: isPublicUrl
+      }
+    ]
+  },
+
+  // Events delivered to the URL
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: 'Event must be one of: ' + WEBHOOK_EVENTS.join(', ')
+      }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Choose at least one event'
+    }
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Key for the signature header; only returned when the webhook is created or the secret is rotated
+  secret: {
+    type: String,
+    default: generateSecret,
+    select: false
+  },
+
+  // Paused webhooks receive nothing; pending retries fail
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// Subscribed webhooks per user and event
+webhookSchema.index({ owner: 1, active: 1, events: 1 });
+
+// Create and export the Webhook model
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.MAX_WEBHOOKS = MAX_WEBHOOKS;
+module.exports.generateSecret = generateSecret;
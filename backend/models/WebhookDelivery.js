@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// How long the delivery log is kept before MongoDB expires it
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+/**
+ * One request made for a delivery
+ */
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+
+  // HTTP status of the response, null when no response arrived
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  // Network error, or why the request was not made
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+/**
+ * Webhook Delivery Schema Definition
+ * One event sent (or being retried) to one webhook; replays are new deliveries
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  // User who owns the webhook
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+
+  // URL at the time of the first attempt
+  url: {
+    type: String,
+    required: true
+  },
+
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+
+  // Event ID, shared by every webhook receiving the event and by replays
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  // Task the event is about; the title is copied so the log survives deletion
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  taskTitle: String,
+
+  // Exact JSON request body, so replays and signatures use the same bytes
+  payload: {
+    type: String,
+    required: true
+  },
+
+  // pending until a 2xx response (succeeded) or the last retry (failed)
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  // When the next attempt is due while pending
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  attempts: [attemptSchema],
+  deliveredAt: Date,
+
+  // Delivery this one replays
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  // Enable automatic timestamps
+  timestamps: true
+});
+
+// Delivery log per user and per webhook, newest first
+webhookDeliverySchema.index({ owner: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+
+// Pending deliveries due for another attempt
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Expire old deliveries
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the WebhookDelivery model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
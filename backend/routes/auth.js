@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { signToken } = require('../utils/token');
+const { authenticate } = require('../middleware/auth');
+
+// Duplicate key error from MongoDB's unique index
+const DUPLICATE_KEY_ERROR = 11000;
+
+const DUPLICATE_EMAIL_MESSAGE = 'An account with this email already exists';
+
+/**
+ * Check that the credentials in a request body are strings
+ * @param {Object} body - Express req.body
+ * @returns {boolean}
+ */
+const hasStringCredentials = ({ email, password }) => typeof email === 'string' && typeof password === 'string';
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create a new user account
+ * @access  Public
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !password) {
+      return res.status(400).json({ message: 'Name, email and password are required' });
+    }
+    if (!hasStringCredentials(req.body)) {
+      return res.status(400).json({ message: 'Email and password must be strings' });
+    }
+
+    // Reject duplicate accounts
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(409).json({ message: DUPLICATE_EMAIL_MESSAGE });
+    }
+
+    // Create user (password is hashed in the pre-save hook)
+    const user = await new User({ name, email, password }).save();
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    // Another registration with the same email got in first
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(409).json({ message: DUPLICATE_EMAIL_MESSAGE });
+    }
+
+    console.error('Error registering user:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({ message: 'Server error while registering', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Authenticate a user and return a signed token
+ * @access  Public
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate required fields
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    if (!hasStringCredentials(req.body)) {
+      return res.status(400).json({ message: 'Email and password must be strings' });
+    }
+
+    // Password is excluded by default, so select it explicitly
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Server error while logging in', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the currently authenticated user
+ * @access  Private
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AutomationSchedule = require('../models/AutomationSchedule');
+const AutomationRun = require('../models/AutomationRun');
+const Project = require('../models/Project');
+const { runAutomationForUser } = require('../services/taskAutomation');
+
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 50;
+
+/**
+ * Describe a user's schedule together with their latest run
+ * @param {Object} schedule - AutomationSchedule document
+ * @returns {Promise<Object>} - { enabled, intervalMinutes, nextRunAt, lastRunAt, lastRun }
+ */
+const buildStatus = async (schedule) => {
+  const lastRun = await AutomationRun.findOne({ owner: schedule.owner }).sort({ startedAt: -1 });
+
+  return {
+    enabled: schedule.enabled,
+    intervalMinutes: schedule.intervalMinutes,
+    nextRunAt: schedule.enabled ? schedule.nextRunAt : null,
+    lastRunAt: schedule.lastRunAt,
+    lastRun
+  };
+};
+
+/**
+ * @route   GET /api/automation
+ * @desc    Get the task mail automation schedule (enabled, interval, next run) and the latest run
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedule = await AutomationSchedule.forUser(req.user._id);
+    res.json(await buildStatus(schedule));
+  } catch (error) {
+    console.error('Error fetching automation status:', error);
+    res.status(500).json({ message: 'Server error while fetching automation status', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/automation
+ * @desc    Pause/resume the automation or change its interval
+ *          Body: { enabled, intervalMinutes }
+ *          Resuming or changing the interval schedules the next run one interval from now
+ * @access  Private
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { enabled, intervalMinutes } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'Validation error', errors: ['enabled must be true or false'] });
+    }
+
+    const schedule = await AutomationSchedule.forUser(req.user._id);
+    const resumed = enabled === true && !schedule.enabled;
+
+    if (enabled !== undefined) schedule.enabled = enabled;
+    if (intervalMinutes !== undefined) schedule.intervalMinutes = intervalMinutes;
+
+    if (resumed || schedule.isModified('intervalMinutes')) {
+      schedule.nextRunAt = new Date(Date.now() + schedule.intervalMinutes * 60 * 1000);
+    }
+
+    await schedule.save();
+    console.log(`🔧 Automation ${schedule.enabled ? 'enabled' : 'paused'} for ${req.user.email}`);
+
+    res.json(await buildStatus(schedule));
+  } catch (error) {
+    console.error('Error updating automation:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+
+    res.status(500).json({ message: 'Server error while updating automation', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/automation/run
+ * @desc    Run the automation now, whether or not the schedule is paused
+ *          Body: { project } - optional project ID, or "none", to limit the run
+ *          Does not move the next scheduled run
+ * @access  Private
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const { project } = req.body;
+
+    if (project && project !== 'none') {
+      const owned = mongoose.Types.ObjectId.isValid(project)
+        && await Project.exists({ _id: project, owner: req.user._id });
+
+      if (!owned) {
+        return res.status(400).json({ message: 'Project not found' });
+      }
+    }
+
+    await AutomationSchedule.forUser(req.user._id);
+    const run = await runAutomationForUser(req.user, { trigger: 'manual', project: project || undefined });
+
+    res.status(201).json(run);
+  } catch (error) {
+    console.error('Error running automation:', error);
+    res.status(500).json({ message: 'Server error while running automation', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/automation/runs
+ * @desc    Get recent automation runs, newest first, with their counts
+ *          The emails a run sent are listed by GET /api/notifications?run=<id>
+ *          Query: limit - number of runs (1-50, default 20)
+ * @access  Private
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    let limit = DEFAULT_RUN_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_RUN_LIMIT) {
+        return res.status(400).json({
+          message: 'Invalid query parameters',
+          errors: [`limit must be between 1 and ${MAX_RUN_LIMIT}`]
+        });
+      }
+    }
+
+    const runs = await AutomationRun.find({ owner: req.user._id })
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Error fetching automation runs:', error);
+    res.status(500).json({ message: 'Server error while fetching automation runs', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/automation/runs
+ * @desc    Clear the current user's automation run history (notifications are kept)
+ * @access  Private
+ */
+router.delete('/runs', async (req, res) => {
+  try {
+    const { deletedCount } = await AutomationRun.deleteMany({ owner: req.user._id });
+    res.json({ message: 'Automation history cleared', deletedCount });
+  } catch (error) {
+    console.error('Error clearing automation runs:', error);
+    res.status(500).json({ message: 'Server error while clearing automation runs', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { NOTIFICATION_TYPES, DIGEST_TYPES } = require('../models/Notification');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { encodeCursor, decodeCursor } = require('../utils/taskQuery');
+const { renderDigest } = require('../services/digests');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STATUSES = ['queued', 'sent', 'failed'];
+const TYPES = [...NOTIFICATION_TYPES, ...DIGEST_TYPES];
+
+/**
+ * Load a notification by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Notification document or null
+ */
+const findOwnedNotification = async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404).json({ message: 'Notification not found' });
+    return null;
+  }
+
+  if (!notification.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this notification' });
+    return null;
+  }
+
+  return notification;
+};
+
+/**
+ * Build the MongoDB filter for the notification list
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { filter, errors }
+ */
+const buildNotificationFilter = (ownerId, query) => {
+  const filter = { owner: ownerId };
+  const errors = [];
+
+  // Type filter
+  if (query.type) {
+    const types = String(query.type).split(',').map(t => t.trim());
+    const invalid = types.filter(t => !TYPES.includes(t));
+
+    if (invalid.length > 0) {
+      errors.push(`Invalid type: ${invalid.join(', ')}`);
+    } else {
+      filter.type = { $in: types };
+    }
+  }
+
+  // Delivery status filter
+  if (query.status) {
+    if (STATUSES.includes(query.status)) {
+      filter.status = query.status;
+    } else {
+      errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+  }
+
+  // Read state filter
+  if (query.unread !== undefined) {
+    if (query.unread === 'true') {
+      filter.readAt = null;
+    } else if (query.unread === 'false') {
+      filter.readAt = { $ne: null };
+    } else {
+      errors.push('unread must be true or false');
+    }
+  }
+
+  // Task and run filters
+  for (const field of ['task', 'run']) {
+    if (query[field]) {
+      if (mongoose.Types.ObjectId.isValid(query[field])) {
+        filter[field] = query[field];
+      } else {
+        errors.push(`${field} must be a valid ID`);
+      }
+    }
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get one page of the current user's notifications, newest first
+ *          Query: type (comma-separated, including morning_digest and weekly_summary), status, unread (true | false),
+ *                 task, run, limit (1-100, default 20), cursor
+ *          Email bodies are left out of the list; fetch a single notification to read it
+ *          Response: { notifications, nextCursor } - nextCursor is null on the last page
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filter, errors } = buildNotificationFilter(req.user._id, req.query);
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+      }
+    }
+
+    // Continue after the last notification of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'createdAt');
+      if (cursor) {
+        filter.$or = [
+          { createdAt: { $lt: cursor.value } },
+          { createdAt: cursor.value, _id: { $lt: cursor.id } }
+        ];
+      } else {
+        errors.push('Invalid cursor');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    // One extra to detect whether another page exists
+    const results = await Notification.find(filter)
+      .select('-body -text')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = results.length > limit;
+    const notifications = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(notifications[notifications.length - 1], 'createdAt') : null;
+
+    res.json({ notifications, nextCursor });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error while fetching notifications', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/stats
+ * @desc    Count the current user's notifications by type and delivery status
+ *          Response: { total, unread, queued, sent, failed, byType: { overdue, due_soon, high_priority, reminder, morning_digest, weekly_summary } }
+ * @access  Private
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const [counts, unread] = await Promise.all([
+      Notification.aggregate([
+        { $match: { owner: req.user._id } },
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      Notification.countDocuments({ owner: req.user._id, readAt: null })
+    ]);
+
+    const stats = {
+      total: 0,
+      unread,
+      queued: 0,
+      sent: 0,
+      failed: 0,
+      byType: Object.fromEntries(TYPES.map(type => [type, 0]))
+    };
+
+    for (const { _id, count } of counts) {
+      stats.total += count;
+      stats[_id.status] += count;
+      stats.byType[_id.type] += count;
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching notification stats:', error);
+    res.status(500).json({ message: 'Server error while fetching notification stats', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Count the current user's unread notifications, for the notification bell
+ *          Response: { unread }
+ * @access  Private
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unread = await Notification.countDocuments({ owner: req.user._id, readAt: null });
+    res.json({ unread });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ message: 'Server error while counting unread notifications', error: error.message });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ *          Response: { message, readAt, modifiedCount }
+ * @access  Private
+ */
+router.patch('/read-all', async (req, res) => {
+  try {
+    const readAt = new Date();
+    const { modifiedCount } = await Notification.updateMany({ owner: req.user._id, readAt: null }, { readAt });
+
+    res.json({ message: 'All notifications marked as read', readAt, modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Server error while marking notifications as read', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/digests/:type/preview
+ * @desc    Render the current user's morning digest or weekly summary as it would be sent now, without sending it
+ *          type: morning_digest | weekly_summary
+ *          Response: { type, subject, body, text, priority, empty } - empty morning digests are not sent
+ * @access  Private
+ */
+router.get('/digests/:type/preview', async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!DIGEST_TYPES.includes(type)) {
+      return res.status(404).json({ message: 'Digest not found' });
+    }
+
+    const preferences = await NotificationPreferences.forUser(req.user._id);
+    const digest = await renderDigest(type, req.user._id, preferences.timezone);
+
+    res.json({ type, ...digest });
+  } catch (error) {
+    console.error('Error previewing digest:', error);
+    res.status(500).json({ message: 'Server error while previewing digest', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/:id
+ * @desc    Get a single notification, including the email body
+ * @access  Private (owner only)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await findOwnedNotification(req, res);
+    if (!notification) return;
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error fetching notification:', error);
+    res.status(500).json({ message: 'Server error while fetching notification', error: error.message });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read, or unread again
+ *          Body: { read } - defaults to true
+ *          Response: the notification without its email body
+ * @access  Private (owner only)
+ */
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const { read = true } = req.body;
+
+    if (typeof read !== 'boolean') {
+      return res.status(400).json({ message: 'Validation error', errors: ['read must be true or false'] });
+    }
+
+    const notification = await findOwnedNotification(req, res);
+    if (!notification) return;
+
+    // Keep the time it was first read
+    if (!read) {
+      notification.readAt = null;
+    } else if (!notification.readAt) {
+      notification.readAt = new Date();
+    }
+    await notification.save();
+
+    const { body, text, ...summary } = notification.toObject();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ message: 'Server error while updating notification', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/notifications
+ * @desc    Clear the current user's notification history
+ * @access  Private
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const { deletedCount } = await Notification.deleteMany({ owner: req.user._id });
+    res.json({ message: 'Notification history cleared', deletedCount });
+  } catch (error) {
+    console.error('Error clearing notifications:', error);
+    res.status(500).json({ message: 'Server error while clearing notifications', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { NOTIFICATION_TYPES } = require('../models/Notification');
+
+/**
+ * Collect the preference paths to update from a PUT body
+ * Only the fields present in the body are returned, so updates are partial
+ * @param {Object} body - Express req.body
+ * @returns {Object} - { changes: { path: value }, errors }
+ */
+const collectChanges = (body) => {
+  const changes = {};
+  const errors = [];
+
+  const checkBoolean = (path, value) => {
+    if (value === undefined) return;
+    if (typeof value === 'boolean') {
+      changes[path] = value;
+    } else {
+      errors.push(`${path} must be true or false`);
+    }
+  };
+
+  if (body.timezone !== undefined) changes.timezone = body.timezone;
+  if (body.dailyDigestTime !== undefined) changes.dailyDigestTime = body.dailyDigestTime;
+
+  // Per-type settings
+  if (body.types !== undefined) {
+    if (!body.types || typeof body.types !== 'object') {
+      errors.push('types must be an object');
+    } else {
+      for (const [type, value] of Object.entries(body.types)) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          errors.push(`Unknown notification type: ${type}`);
+          continue;
+        }
+        checkBoolean(`types.${type}.enabled`, value?.enabled);
+        if (value?.delivery !== undefined) changes[`types.${type}.delivery`] = value.delivery;
+      }
+    }
+  }
+
+  // Quiet hours and scheduled digests; nextSendAt is maintained by the model
+  const sections = {
+    quietHours: ['start', 'end'],
+    morningDigest: ['time'],
+    weeklySummary: ['day', 'time']
+  };
+
+  for (const [section, fields] of Object.entries(sections)) {
+    const value = body[section];
+    if (value === undefined) continue;
+
+    if (!value || typeof value !== 'object') {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+
+    checkBoolean(`${section}.enabled`, value.enabled);
+    for (const field of fields) {
+      if (value[field] !== undefined) changes[`${section}.${field}`] = value[field];
+    }
+  }
+
+  return { changes, errors };
+};
+
+/**
+ * @route   GET /api/preferences
+ * @desc    Get the current user's notification preferences
+ *          Response: { timezone, types: { <type>: { enabled, delivery } }, quietHours: { enabled, start, end }, dailyDigestTime,
+ *                      morningDigest: { enabled, time, nextSendAt }, weeklySummary: { enabled, day, time, nextSendAt } }
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const preferences = await NotificationPreferences.forUser(req.user._id);
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ message: 'Server error while fetching preferences', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/preferences
+ * @desc    Update the current user's notification preferences
+ *          Body: any of { timezone, types: { <type>: { enabled, delivery } }, quietHours: { enabled, start, end }, dailyDigestTime,
+ *                         morningDigest: { enabled, time }, weeklySummary: { enabled, day, time } }
+ *          Fields left out keep their current value
+ *          delivery is instant, hourly or daily; times are HH:MM in the user's timezone; day is 0 (Sunday) - 6
+ * @access  Private
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { changes, errors } = collectChanges(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const preferences = await NotificationPreferences.forUser(req.user._id);
+    for (const [path, value] of Object.entries(changes)) {
+      preferences.set(path, value);
+    }
+
+    await preferences.save();
+    console.log(`🔧 Notification preferences updated for ${req.user.email}`);
+
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+
+    res.status(500).json({ message: 'Server error while updating preferences', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { updateTasksWithHistory, userActor } = require('../services/taskHistory');
+
+/**
+ * Load a project by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Project document or null
+ */
+const findOwnedProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+
+  if (!project.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this project' });
+    return null;
+  }
+
+  return project;
+};
+
+/**
+ * Send the response for a failed project save
+ */
+const handleSaveError = (error, res, action) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ message: `Server error while ${action} project`, error: error.message });
+};
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get the current user's projects, active ones first, then by name
+ *          Query: archived - true or false to return only archived or active projects
+ *          Each project carries taskCount and openCount
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+    if (req.query.archived !== undefined) {
+      if (req.query.archived !== 'true' && req.query.archived !== 'false') {
+        return res.status(400).json({ message: 'Invalid query parameters', errors: ['archived must be true or false'] });
+      }
+      filter.archived = req.query.archived === 'true';
+    }
+
+    const [projects, counts] = await Promise.all([
+      Project.find(filter).sort({ archived: 1, name: 1 }).lean(),
+      Task.aggregate([
+        { $match: { owner: req.user._id, project: { $ne: null }, deletedAt: null } },
+        {
+          $group: {
+            _id: '$project',
+            taskCount: { $sum: 1 },
+            openCount: { $sum: { $cond: ['$completed', 0, 1] } }
+          }
+        }
+      ])
+    ]);
+
+    const countsById = new Map(counts.map(count => [count._id.toString(), count]));
+    res.json(projects.map(project => {
+      const { taskCount = 0, openCount = 0 } = countsById.get(project._id.toString()) || {};
+      return { ...project, taskCount, openCount };
+    }));
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ message: 'Server error while fetching projects', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id
+ * @desc    Get a single project
+ * @access  Private (owner only)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    res.json(project);
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ message: 'Server error while fetching project', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project
+ *          Body: { name, description, color }
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    // Validate required fields
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Project name is required' });
+    }
+
+    const project = await new Project({ owner: req.user._id, name, description, color }).save();
+    res.status(201).json(project);
+  } catch (error) {
+    console.error('Error creating project:', error);
+    handleSaveError(error, res, 'creating');
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id
+ * @desc    Update a project; set archived to hide or show its tasks
+ * @access  Private (owner only)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, color, archived } = req.body;
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    if (name !== undefined) project.name = name;
+    if (description !== undefined) project.description = description;
+    if (color !== undefined) project.color = color;
+    if (archived !== undefined) project.archived = archived;
+
+    const updatedProject = await project.save();
+    res.json(updatedProject);
+  } catch (error) {
+    console.error('Error updating project:', error);
+    handleSaveError(error, res, 'updating');
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project; its tasks are kept and moved out of the project
+ * @access  Private (owner only)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    await Project.deleteOne({ _id: project._id });
+    const modifiedCount = await updateTasksWithHistory(
+      { owner: req.user._id, project: project._id },
+      { $set: { project: null } },
+      userActor(req.user)
+    );
+
+    res.json({ message: 'Project deleted successfully', project, tasksUpdated: modifiedCount });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ message: 'Server error while deleting project', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AutomationRule = require('../models/AutomationRule');
+const { MAX_RULES } = require('../models/AutomationRule');
+const RuleExecution = require('../models/RuleExecution');
+const Project = require('../models/Project');
+const { parseRule, referencedProjects, emailRecipients, RULE_TRIGGERS, CONDITION_OPERATORS, ACTION_TYPES } = require('../utils/rules');
+const { dryRunRule } = require('../services/automationRules');
+
+// Executions returned per rule
+const EXECUTION_LIMIT = 20;
+
+/**
+ * Load a rule by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - AutomationRule document or null
+ */
+const findOwnedRule = async (req, res) => {
+  const rule = await AutomationRule.findById(req.params.id);
+
+  if (!rule) {
+    res.status(404).json({ message: 'Rule not found' });
+    return null;
+  }
+
+  if (!rule.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this rule' });
+    return null;
+  }
+
+  return rule;
+};
+
+/**
+ * Check a rule from a request body, including that its projects belong to the user
+ * and that its emails go to the user's own address
+ * @param {Object} input - Rule fields
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} - { rule, errors } as from parseRule
+ */
+const validateRule = async (input, user) => {
+  const { rule, errors } = parseRule(input);
+  if (errors.length > 0) return { rule, errors };
+
+  for (const projectId of referencedProjects(rule)) {
+    const owned = mongoose.Types.ObjectId.isValid(projectId) &&
+      await Project.exists({ _id: projectId, owner: user._id });
+    if (!owned) errors.push(`Project ${projectId} not found`);
+  }
+
+  // Rules must not be a way to mail other people
+  for (const to of emailRecipients(rule)) {
+    if (to !== user.email) errors.push(`Rule emails can only be sent to your own address (${user.email}), not ${to}`);
+  }
+
+  return { rule, errors };
+};
+
+/**
+ * Current fields of a saved rule, as parseRule takes them
+ */
+const ruleFields = (rule) => {
+  const { name, trigger, enabled, conditions, actions } = rule.toObject();
+  return { name, trigger, enabled, conditions, actions };
+};
+
+/**
+ * @route   GET /api/rules
+ * @desc    Get the current user's automation rules, oldest first
+ *          Response: { rules, triggers, operators, actions } - the last three list what rules can use
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await AutomationRule.find({ owner: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      rules,
+      triggers: RULE_TRIGGERS,
+      operators: CONDITION_OPERATORS,
+      actions: ACTION_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ message: 'Server error while fetching rules', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/rules
+ * @desc    Create an automation rule
+ *          Body: { name, trigger, enabled, conditions: [{ field, operator, value }], actions: [{ type, ... }] }
+ *          See utils/rules.js for the triggers, conditions and actions
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const count = await AutomationRule.countDocuments({ owner: req.user._id });
+    if (count >= MAX_RULES) {
+      return res.status(400).json({ message: `You can have at most ${MAX_RULES} rules` });
+    }
+
+    const { rule, errors } = await validateRule(req.body, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const savedRule = await AutomationRule.create({ ...rule, owner: req.user._id });
+    console.log(`🧩 Automation rule created: ${savedRule.name}`);
+    res.status(201).json(savedRule);
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ message: 'Server error while creating rule', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/rules/dry-run
+ * @desc    Show which tasks a rule would affect right now and what it would do, without changing anything
+ *          Body: a rule as for POST (name optional), plus id of the saved rule being edited,
+ *          so tasks it already fired on are left out
+ *          Response: { tasks: [{ task, results: [{ type, status, detail, error }] }], total, truncated }
+ *          - only the first 50 matches are listed; truncated means not every task was checked
+ * @access  Private
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const { id, ...input } = req.body || {};
+    const { rule, errors } = await validateRule({ ...input, name: input.name || 'Dry run' }, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    if (id !== undefined && id !== null) {
+      const owned = mongoose.Types.ObjectId.isValid(id) &&
+        await AutomationRule.exists({ _id: id, owner: req.user._id });
+      if (!owned) {
+        return res.status(404).json({ message: 'Rule not found' });
+      }
+      rule._id = id;
+    }
+
+    const result = await dryRunRule(rule, req.user._id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error running rule dry run:', error);
+    res.status(500).json({ message: 'Server error while running rule dry run', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/rules/:id/executions
+ * @desc    Get the latest times a rule ran, newest first (at most 20)
+ *          Response: { executions }
+ * @access  Private (owner only)
+ */
+router.get('/:id/executions', async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    const executions = await RuleExecution.find({ rule: rule._id })
+      .sort({ createdAt: -1 })
+      .limit(EXECUTION_LIMIT);
+
+    res.json({ executions });
+  } catch (error) {
+    console.error('Error fetching rule executions:', error);
+    res.status(500).json({ message: 'Server error while fetching rule executions', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/rules/:id
+ * @desc    Update a rule; fields left out keep their value, conditions and actions
+ *          are replaced as a whole
+ * @access  Private (owner only)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    const { rule: changes, errors } = await validateRule({ ...ruleFields(rule), ...req.body }, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    rule.set(changes);
+    const updatedRule = await rule.save();
+    res.json(updatedRule);
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ message: 'Server error while updating rule', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/rules/:id
+ * @desc    Delete a rule and its execution log
+ * @access  Private (owner only)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    await AutomationRule.deleteOne({ _id: rule._id });
+    const { deletedCount } = await RuleExecution.deleteMany({ rule: rule._id });
+
+    res.json({ message: 'Rule deleted successfully', rule, executionsDeleted: deletedCount });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ message: 'Server error while deleting rule', error: error.message });
+  }
+});
+
+module.exports = router;
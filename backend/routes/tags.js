@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const { normalizeTagName } = require('../models/Tag');
+const { escapeRegex } = require('../utils/search');
+const { updateTasksWithHistory, userActor } = require('../services/taskHistory');
+
+/**
+ * Load a tag by ID and make sure it belongs to the authenticated user
+ * Sends a 404 response and resolves to null when it is missing or not owned
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Tag document or null
+ */
+const findOwnedTag = async (req, res) => {
+  const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id });
+
+  if (!tag) {
+    res.status(404).json({ message: 'Tag not found' });
+    return null;
+  }
+
+  return tag;
+};
+
+/**
+ * Send the response for a failed tag save
+ */
+const handleSaveError = (error, res, action) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  // Unique index on owner + name
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A tag with this name already exists' });
+  }
+
+  res.status(500).json({ message: `Server error while ${action} tag`, error: error.message });
+};
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get the current user's tags, sorted by name
+ *          Query: q - only tags whose name contains this text (for autocomplete)
+ *          Each tag carries taskCount, the number of tasks using it
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+    const search = normalizeTagName(req.query.q);
+    if (search) {
+      filter.name = { $regex: escapeRegex(search) };
+    }
+
+    const [tags, counts] = await Promise.all([
+      Tag.find(filter).sort({ name: 1 }).lean(),
+      Task.aggregate([
+        { $match: { owner: req.user._id, deletedAt: null } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+    res.json(tags.map(tag => ({ ...tag, taskCount: countByName.get(tag.name) || 0 })));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Server error while fetching tags', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/tags
+ * @desc    Create a tag
+ *          Body: { name, color } - color is optional (#rrggbb)
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    // Validate required fields
+    if (!normalizeTagName(name)) {
+      return res.status(400).json({ message: 'Tag name is required' });
+    }
+
+    const tag = await new Tag({ owner: req.user._id, name, color }).save();
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    handleSaveError(error, res, 'creating');
+  }
+});
+
+/**
+ * @route   PUT /api/tags/:id
+ * @desc    Rename a tag or change its colour
+ *          Renaming updates every task that uses the tag
+ * @access  Private (owner only)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const tag = await findOwnedTag(req, res);
+    if (!tag) return;
+
+    const previousName = tag.name;
+    if (name !== undefined) tag.name = name;
+    if (color !== undefined) tag.color = color;
+
+    const updatedTag = await tag.save();
+
+    if (updatedTag.name !== previousName) {
+      await updateTasksWithHistory(
+        { owner: req.user._id, tags: previousName },
+        { $set: { 'tags.$': updatedTag.name } },
+        userActor(req.user)
+      );
+    }
+
+    res.json(updatedTag);
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    handleSaveError(error, res, 'updating');
+  }
+});
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Delete a tag and remove it from every task
+ * @access  Private (owner only)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const tag = await findOwnedTag(req, res);
+    if (!tag) return;
+
+    await Tag.deleteOne({ _id: tag._id });
+    const modifiedCount = await updateTasksWithHistory(
+      { owner: req.user._id, tags: tag.name },
+      { $pull: { tags: tag.name } },
+      userActor(req.user)
+    );
+
+    res.json({ message: 'Tag deleted successfully', tag, tasksUpdated: modifiedCount });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ message: 'Server error while deleting tag', error: error.message });
+  }
+});
+
+module.exports = router;
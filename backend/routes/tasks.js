@@ -1,17 +1,398 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const TaskActivity = require('../models/TaskActivity');
+const { buildTaskFilter, buildTaskListQuery, encodeCursor, decodeCursor } = require('../utils/taskQuery');
+const { scoreTask, parseWeights, tokenize, escapeRegex, DEFAULT_MAX_DISTANCE } = require('../utils/search');
+const { parseReminders } = require('../utils/reminders');
+const { versionOf } = require('../utils/taskHistory');
+const { parseBulkRequest } = require('../utils/bulk');
+const { replacementDocument, patchedDocument, etagFor, requestedVersion } = require('../utils/taskDocument');
+const { emitTaskEvent } = require('../services/webhooks');
+const { runRulesForEvent } = require('../services/automationRules');
+const { recordActivity, userActor, applyVersion } = require('../services/taskHistory');
+const { purgeTasks, purgeDateFor, RETENTION_DAYS: TRASH_RETENTION_DAYS } = require('../services/trash');
+
+// Maximum candidates fetched per search strategy
+const SEARCH_CANDIDATE_LIMIT = 500;
+
+// Maximum tasks scanned for fuzzy (typo-tolerant) matches
+const FUZZY_SCAN_LIMIT = 2000;
+
+// History entries per page
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Trashed tasks per page
+const DEFAULT_TRASH_LIMIT = 20;
+const MAX_TRASH_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a task by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @param {Object} options - { inTrash } - load a task from the trash instead of a live one
+ * @returns {Promise<Object|null>} - Task document or null
+ */
+const findOwnedTask = async (req, res, { inTrash = false } = {}) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task || Boolean(task.deletedAt) !== inTrash) {
+    res.status(404).json({ message: 'Task not found' });
+    return null;
+  }
+
+  if (!task.owner || !task.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this task' });
+    return null;
+  }
+
+  return task;
+};
+
+/**
+ * Make sure a write is based on the task's current version
+ * Required for writes that send the client's copy of the task or act on what the
+ * client saw: PUT, PATCH, toggle, DELETE and history restore. Bulk operations and
+ * checklist item writes are exempt: they make one relative change (add a tag,
+ * tick an item) to the copy loaded in the request, and the save itself still
+ * fails with a VersionError if another write lands in between.
+ * The version comes from an If-Match header or a version field in the body
+ * (see utils/taskDocument.js). Sends 428 when it is missing, 400 when it is
+ * invalid, 412 for a weak ETag (If-Match needs a strong match) and 409 with
+ * the current task when it is stale.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} task - Task as loaded for this request
+ * @returns {boolean} - Whether the write may go ahead
+ */
+const checkTaskVersion = (req, res, task) => {
+  const expected = requestedVersion(req);
+  
+  if (expected === null) {
+    res.status(428).json({ message: 'Send the task version in an If-Match header or a version field' });
+    return false;
+  }
+  
+  if (expected === 'weak') {
+    res.status(412).json({ message: 'If-Match needs the strong task ETag (e.g. "3"), not a weak one' });
+    return false;
+  }
+  
+  if (Number.isNaN(expected)) {
+    res.status(400).json({ message: 'If-Match must be the task ETag (e.g. "3") and version a whole number' });
+    return false;
+  }
+  
+  if (expected !== '*' && expected !== (task.version || 0)) {
+    sendVersionConflict(res, task);
+    return false;
+  }
+  
+  return true;
+};
+
+/**
+ * Respond 409 with the current server copy of a task changed by someone else
+ * @param {Object} res - Express response
+ * @param {Object} task - Current task
+ */
+const sendVersionConflict = (res, task) => {
+  res.status(409)
+    .set('ETag', etagFor(task))
+    .json({ message: 'This task was changed since you loaded it', code: 'version_conflict', current: task });
+};
+
+/**
+ * Respond to a save that lost a race with another write (Mongoose VersionError)
+ * Sends 409 with the task as it is now, or 404 if it is gone
+ * @param {Object} req - Express request (expects req.params.id)
+ * @param {Object} res - Express response
+ */
+const sendSaveConflict = async (req, res) => {
+  const current = await Task.findOne({ _id: req.params.id, deletedAt: null });
+  if (!current) {
+    return res.status(404).json({ message: 'Task not found' });
+  }
+  sendVersionConflict(res, current);
+};
+
+/**
+ * IDs of the user's archived projects, whose tasks the list routes hide by default
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const getArchivedProjectIds = (ownerId) => {
+  return Project.find({ owner: ownerId, archived: true }).distinct('_id');
+};
+
+/**
+ * Check that a project assignment from a request body is allowed
+ * Empty values clear the assignment; anything else must be one of the user's projects
+ * @param {*} projectId - project value from req.body
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @returns {Promise<boolean>}
+ */
+const isAssignableProject = async (projectId, ownerId) => {
+  if (projectId === undefined || projectId === null || projectId === '') return true;
+  if (!mongoose.Types.ObjectId.isValid(projectId)) return false;
+
+  return Boolean(await Project.exists({ _id: projectId, owner: ownerId }));
+};
+
+/**
+ * Publish a task event to the user's webhooks and automation rules
+ * Both run in the background and never fail the request
+ * @param {string} event - task.created, task.updated, task.completed or task.deleted
+ * @param {Object} task - Task the event is about
+ */
+const publishTaskEvent = (event, task) => {
+  emitTaskEvent(event, task);
+  runRulesForEvent(event, task);
+};
+
+/**
+ * Add a change made by the authenticated user to the task's history
+ * @param {Object} req - Express request
+ * @param {string} action - One of ACTIVITY_ACTIONS (see models/TaskActivity.js)
+ * @param {Object} task - Task after the change
+ * @param {Object} before - Version of the task before the change (see utils/taskHistory.js)
+ * @returns {Promise<Object|null>} - Saved entry, or null when nothing changed
+ */
+const recordChange = (req, action, task, before = null) => {
+  return recordActivity(action, task, { actor: userActor(req.user), before });
+};
+
+/**
+ * Publish the event for a saved change: task.completed when the change
+ * completed the task, task.updated otherwise
+ * @param {Object} task - Task after the change
+ * @param {boolean} wasCompleted - Whether the task was complete before the change
+ */
+const publishTaskChange = (task, wasCompleted) => {
+  publishTaskEvent(task.completed && !wasCompleted ? 'task.completed' : 'task.updated', task);
+};
+
+/**
+ * Save a changed task, generating its next occurrence if the change completed it
+ * Only the first completion of a recurring task's occurrence generates the next one.
+ * @param {Object} task - Task document with the change applied
+ * @param {boolean} wasCompleted - Whether the task was complete before the change
+ * @returns {Promise<Object>} - { task, next } - next is the generated occurrence or null
+ */
+const saveWithNextOccurrence = async (task, wasCompleted) => {
+  // The task claims its next occurrence before the occurrence is saved, so a
+  // save that fails on a stale version cannot leave a duplicate behind
+  const next = task.completed && !wasCompleted ? task.buildNextOccurrence() : null;
+  if (next) task.nextOccurrence = next._id;
+  
+  const updatedTask = await task.save();
+  if (next) {
+    try {
+      await next.save();
+    } catch (error) {
+      await Task.updateOne({ _id: task._id, nextOccurrence: next._id }, { $set: { nextOccurrence: null } });
+      throw error;
+    }
+  }
+  
+  return { task: updatedTask, next };
+};
+
+/**
+ * Record and publish the creation of a generated occurrence
+ * @param {Object} req - Express request
+ * @param {Object|null} next - Generated occurrence, if any
+ */
+const announceNextOccurrence = async (req, next) => {
+  if (!next) return;
+  await recordChange(req, 'created', next);
+  publishTaskEvent('task.created', next);
+};
+
+/**
+ * Complete or reopen a task, then record and publish the change
+ * Callers check canComplete() first.
+ * @param {Object} req - Express request
+ * @param {Object} task - Task document
+ * @param {boolean} completed - New completion status
+ * @returns {Promise<Object>} - { task, next } - next is the generated occurrence or null
+ */
+const setTaskCompleted = async (req, task, completed) => {
+  const before = versionOf(task);
+  const wasCompleted = task.completed;
+  task.completed = completed;
+  
+  const { task: updatedTask, next } = await saveWithNextOccurrence(task, wasCompleted);
+  await recordChange(req, 'toggled', updatedTask, before);
+  publishTaskChange(updatedTask, wasCompleted);
+  await announceNextOccurrence(req, next);
+  
+  return { task: updatedTask, next };
+};
+
+/**
+ * Move a task to the trash, then record and publish the deletion
+ * Only the version that was loaded is moved, so a change made in between is never trashed unseen.
+ * @param {Object} req - Express request
+ * @param {Object} task - Task document
+ * @returns {Promise<Object|null>} - Trashed task, or null if it was already gone or has changed
+ */
+const moveToTrash = async (req, task) => {
+  const deletedTask = await Task.findOneAndUpdate(
+    // Tasks saved before versions were introduced have none
+    { _id: task._id, deletedAt: null, version: task.version ?? null },
+    { deletedAt: new Date(), $inc: { version: 1 } },
+    { new: true }
+  );
+  
+  if (deletedTask) {
+    await recordChange(req, 'deleted', deletedTask);
+    publishTaskEvent('task.deleted', deletedTask);
+  }
+  
+  return deletedTask;
+};
+
+/**
+ * Validate a complete task document and save it over the task (PUT and PATCH)
+ * Completing a recurring task this way generates its next occurrence, like a
+ * toggle; it is returned as generatedOccurrence alongside the task.
+ * Sends the response; validation errors from saving are left to the caller
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} task - Task document
+ * @param {Object} document - Every editable field (see utils/taskDocument.js)
+ */
+const saveTaskDocument = async (req, res, task, document) => {
+  if (!document.title || !document.dueDate) {
+    return res.status(400).json({ message: 'Title and due date are required' });
+  }
+  
+  const parsedReminders = parseReminders(document.reminders);
+  if (parsedReminders.errors.length > 0) {
+    return res.status(400).json({ message: 'Validation error', errors: parsedReminders.errors });
+  }
+  
+  if (!(await isAssignableProject(document.project, req.user._id))) {
+    return res.status(400).json({ message: 'Project not found' });
+  }
+  
+  // Respect the checklist setting that is in effect after this update
+  const openSubtasks = Array.isArray(document.subtasks)
+    ? document.subtasks.filter(subtask => !(subtask && subtask.completed)).length
+    : 0;
+  if (document.completed && !task.completed && document.requireSubtasksComplete && openSubtasks > 0) {
+    return res.status(422).json({
+      message: 'Complete all checklist items before completing this task',
+      openSubtasks
+    });
+  }
+  
+  const before = versionOf(task);
+  const wasCompleted = task.completed;
+  applyVersion(task, {
+    ...document,
+    project: document.project || null,
+    reminders: parsedReminders.reminders
+  });
+  
+  const { task: updatedTask, next } = await saveWithNextOccurrence(task, wasCompleted);
+  await Tag.ensureExist(req.user._id, updatedTask.tags);
+  await recordChange(req, 'updated', updatedTask, before);
+  publishTaskChange(updatedTask, wasCompleted);
+  await announceNextOccurrence(req, next);
+  
+  res.set('ETag', etagFor(updatedTask));
+  res.json(next ? { ...updatedTask.toJSON(), generatedOccurrence: next } : updatedTask);
+};
+
+/**
+ * Apply one bulk operation to one task (see utils/bulk.js)
+ * @param {Object} req - Express request
+ * @param {Object} task - Task document owned by the user
+ * @param {string} operation - Bulk operation
+ * @param {*} value - Normalized value for the operation
+ * @returns {Promise<Object>} - { status: 'ok', task, generatedOccurrence }, { status: 'skipped', reason }
+ *   when there is nothing to change, or { status: 'failed', error }
+ */
+const applyBulkOperation = async (req, task, operation, value) => {
+  switch (operation) {
+    case 'complete':
+    case 'reopen': {
+      const completed = operation === 'complete';
+      if (task.completed === completed) {
+        return { status: 'skipped', reason: completed ? 'Already completed' : 'Already pending' };
+      }
+      if (completed && !task.canComplete()) {
+        return { status: 'failed', error: 'Complete all checklist items before completing this task' };
+      }
+      
+      const { task: updatedTask, next } = await setTaskCompleted(req, task, completed);
+      return { status: 'ok', task: updatedTask, generatedOccurrence: next };
+    }
+    
+    case 'delete': {
+      const deletedTask = await moveToTrash(req, task);
+      if (deletedTask) return { status: 'ok', task: deletedTask };
+      
+      return await Task.exists({ _id: task._id, deletedAt: null })
+        ? { status: 'failed', error: 'Changed by someone else at the same time' }
+        : { status: 'skipped', reason: 'Already deleted' };
+    }
+    
+    default: {
+      const before = versionOf(task);
+      
+      if (operation === 'priority') {
+        if (task.priority === value) return { status: 'skipped', reason: `Already ${value} priority` };
+        task.priority = value;
+      } else if (operation === 'shift_due') {
+        task.dueDate = new Date(task.dueDate.getTime() + value * DAY_MS);
+      } else if (operation === 'add_tag') {
+        if (task.tags.includes(value)) return { status: 'skipped', reason: 'Already tagged' };
+        task.tags = [...task.tags, value];
+      }
+      
+      const updatedTask = await task.save();
+      await recordChange(req, 'updated', updatedTask, before);
+      publishTaskChange(updatedTask, updatedTask.completed);
+      return { status: 'ok', task: updatedTask };
+    }
+  }
+};
 
 /**
  * @route   GET /api/tasks
- * @desc    Get all tasks
- * @access  Public
+ * @desc    Get one page of the current user's tasks
+ *          Query: priority, completed, dueFrom, dueTo, tags, tagMode, project, sort, limit, cursor
+ *          Tasks in archived projects are left out unless project names them
+ *          Response: { tasks, nextCursor } - nextCursor is null on the last page
+ * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
-    // Fetch all tasks, sorted by creation date (newest first)
-    const tasks = await Task.find().sort({ createdAt: -1 });
-    res.json(tasks);
+    const archivedProjectIds = await getArchivedProjectIds(req.user._id);
+    const { pipeline, limit, sortField, errors } = buildTaskListQuery(req.user._id, req.query, { archivedProjectIds });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+    
+    const results = await Task.aggregate(pipeline);
+    
+    // The pipeline fetches one extra task to tell whether another page exists
+    const hasMore = results.length > limit;
+    const tasks = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(tasks[tasks.length - 1], sortField) : null;
+    
+    res.json({ tasks, nextCursor });
   } catch (error) {
     console.error('Error fetching tasks:', error);
     res.status(500).json({ message: 'Server error while fetching tasks', error: error.message });
@@ -19,19 +400,310 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * @route   GET /api/tasks/:id
- * @desc    Get a single task by ID
- * @access  Public
+ * @route   GET /api/tasks/stats
+ * @desc    Get task counts for the current user
+ *          Accepts the same filters as GET /api/tasks
+ * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const archivedProjectIds = await getArchivedProjectIds(req.user._id);
+    const { filter, errors } = buildTaskFilter(req.user._id, req.query, { archivedProjectIds });
     
-    if (!task) {
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+    
+    // Tasks due before today that are still open count as overdue
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    
+    const [total, completed, overdue] = await Promise.all([
+      Task.countDocuments(filter),
+      Task.countDocuments({ $and: [filter, { completed: true }] }),
+      Task.countDocuments({ $and: [filter, { completed: false, dueDate: { $lt: startOfToday } }] })
+    ]);
+    
+    res.json({ total, completed, pending: total - completed, overdue });
+  } catch (error) {
+    console.error('Error fetching task stats:', error);
+    res.status(500).json({ message: 'Server error while fetching task stats', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/search
+ * @desc    Full-text search over the current user's tasks
+ *          Query: q (required), fuzzy (default true), maxDistance, weights
+ *          ("title:2,description:1"), limit, plus the GET /api/tasks filters
+ *          Response: { tasks, total } - tasks carry _score and _highlights
+ * @access  Private
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    const errors = [];
+    
+    if (!query) {
+      errors.push('q is required');
+    } else if (query.length > 200) {
+      errors.push('q cannot exceed 200 characters');
+    }
+    
+    const archivedProjectIds = await getArchivedProjectIds(req.user._id);
+    const { filter, errors: filterErrors } = buildTaskFilter(req.user._id, req.query, { archivedProjectIds });
+    const { weights, errors: weightErrors } = parseWeights(req.query.weights);
+    errors.push(...filterErrors, ...weightErrors);
+    
+    const fuzzy = req.query.fuzzy !== 'false';
+    const maxDistance = req.query.maxDistance !== undefined
+      ? parseInt(req.query.maxDistance, 10)
+      : DEFAULT_MAX_DISTANCE;
+    if (isNaN(maxDistance) || maxDistance < 0 || maxDistance > 3) {
+      errors.push('maxDistance must be between 0 and 3');
+    }
+    
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      errors.push('limit must be between 1 and 100');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+    
+    // Candidates from the text index (stemmed words) and substring matching
+    const termPattern = new RegExp(tokenize(query).map(escapeRegex).join('|'), 'i');
+    const searchFields = Object.keys(weights).filter(field => weights[field] > 0);
+    
+    const [textMatches, substringMatches, fuzzyPool] = await Promise.all([
+      Task.find({ ...filter, $text: { $search: query } }, { textScore: { $meta: 'textScore' } })
+        .sort({ textScore: { $meta: 'textScore' } })
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .lean(),
+      Task.find({ ...filter, $or: searchFields.map(field => ({ [field]: termPattern })) })
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .lean(),
+      // Typos cannot be matched by an index, so scan a bounded set of tasks
+      fuzzy
+        ? Task.find(filter).sort({ updatedAt: -1 }).limit(FUZZY_SCAN_LIMIT).lean()
+        : Promise.resolve([])
+    ]);
+    
+    const candidates = new Map();
+    [...textMatches, ...substringMatches, ...fuzzyPool].forEach(task => {
+      const id = task._id.toString();
+      if (!candidates.has(id)) candidates.set(id, task);
+    });
+    
+    const results = [...candidates.values()]
+      .map(task => {
+        const { textScore = 0, ...rest } = task;
+        const scored = scoreTask(rest, query, { weights, fuzzy, maxDistance });
+        // Mongo's text score only breaks ties between similar matches
+        if (scored) scored._score += textScore;
+        return scored;
+      })
+      .filter(task => task !== null)
+      .sort((a, b) => b._score - a._score);
+    
+    res.json({ tasks: results.slice(0, limit), total: results.length });
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    res.status(500).json({ message: 'Server error while searching tasks', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/trash
+ * @desc    Get one page of the current user's trash, most recently deleted first
+ *          Query: limit (1-100, default 20), cursor
+ *          Response: { tasks, nextCursor, retentionDays } - each task has purgeAt,
+ *          when it will be deleted for good
+ * @access  Private
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const filter = { owner: req.user._id, deletedAt: { $ne: null } };
+    const errors = [];
+    
+    let limit = DEFAULT_TRASH_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_TRASH_LIMIT) {
+        errors.push(`limit must be between 1 and ${MAX_TRASH_LIMIT}`);
+      }
+    }
+    
+    // Continue after the last task of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'deletedAt');
+      if (cursor) {
+        filter.$or = [
+          { deletedAt: { $lt: cursor.value } },
+          { deletedAt: cursor.value, _id: { $lt: cursor.id } }
+        ];
+      } else {
+        errors.push('Invalid cursor');
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+    
+    // One extra to detect whether another page exists
+    const results = await Task.find(filter)
+      .sort({ deletedAt: -1, _id: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = results.length > limit;
+    const tasks = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(tasks[tasks.length - 1], 'deletedAt') : null;
+    
+    res.json({
+      tasks: tasks.map(task => ({ ...task.toJSON(), purgeAt: purgeDateFor(task) })),
+      nextCursor,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ message: 'Server error while fetching trash', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/trash/:id/restore
+ * @desc    Take a task back out of the trash
+ *          Sends the task.created webhook event; automation rules do not run
+ * @access  Private (owner only)
+ */
+router.post('/trash/:id/restore', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res, { inTrash: true });
+    if (!task) return;
+    
+    const restoredTask = await Task.findOneAndUpdate(
+      { _id: task._id, deletedAt: { $ne: null } },
+      { deletedAt: null, $inc: { version: 1 } },
+      { new: true }
+    );
+    
+    if (!restoredTask) {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    res.json(task);
+    await Tag.ensureExist(req.user._id, restoredTask.tags);
+    await recordChange(req, 'recovered', restoredTask);
+    emitTaskEvent('task.created', restoredTask);
+    
+    res.json(restoredTask);
+  } catch (error) {
+    console.error('Error restoring task from trash:', error);
+    res.status(500).json({ message: 'Server error while restoring task', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/trash/:id
+ * @desc    Delete a task in the trash for good, with its history
+ * @access  Private (owner only)
+ */
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res, { inTrash: true });
+    if (!task) return;
+    
+    await purgeTasks({ _id: task._id });
+    
+    res.json({ message: 'Task deleted permanently', task });
+  } catch (error) {
+    console.error('Error purging task:', error);
+    res.status(500).json({ message: 'Server error while deleting task', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/trash
+ * @desc    Empty the current user's trash
+ * @access  Private
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const purged = await purgeTasks({ owner: req.user._id });
+    
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ message: 'Server error while emptying trash', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one operation to several tasks
+ *          Body: { ids, operation, value } - see utils/bulk.js for operations and values
+ *          Every task is changed, recorded and published as if edited on its own;
+ *          a task that cannot be changed does not stop the others.
+ *          Response: { operation, results, summary } - results has one
+ *          { id, status: 'ok' | 'skipped' | 'failed', task, generatedOccurrence, reason, error }
+ *          per ID in request order; summary counts each status
+ * @access  Private
+ */
+router.post('/bulk', async (req, res) => {
+  try {
+    const { ids, operation, value, errors } = parseBulkRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    
+    const tasks = await Task.find({ _id: { $in: ids }, owner: req.user._id, deletedAt: null });
+    const tasksById = new Map(tasks.map(task => [String(task._id), task]));
+    
+    const results = [];
+    for (const id of ids) {
+      const task = tasksById.get(id);
+      if (!task) {
+        results.push({ id, status: 'failed', error: 'Task not found' });
+        continue;
+      }
+      
+      try {
+        results.push({ id, ...(await applyBulkOperation(req, task, operation, value)) });
+      } catch (error) {
+        const message = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : error.name === 'VersionError' ? 'Changed by someone else at the same time' : error.message;
+        results.push({ id, status: 'failed', error: message });
+      }
+    }
+    
+    if (operation === 'add_tag' && results.some(result => result.status === 'ok')) {
+      await Tag.ensureExist(req.user._id, [value]);
+    }
+    
+    const summary = { ok: 0, skipped: 0, failed: 0 };
+    results.forEach(result => { summary[result.status]++; });
+    
+    console.log(`📦 Bulk ${operation}: ${summary.ok} changed, ${summary.skipped} skipped, ${summary.failed} failed`);
+    res.json({ operation, results, summary });
+  } catch (error) {
+    console.error('Error running bulk operation:', error);
+    res.status(500).json({ message: 'Server error while updating tasks', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id
+ * @desc    Get a single task by ID
+ * @access  Private (owner only)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    res.set('ETag', etagFor(task)).json(task);
   } catch (error) {
     console.error('Error fetching task:', error);
     res.status(500).json({ message: 'Server error while fetching task', error: error.message });
@@ -40,30 +712,66 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   POST /api/tasks
- * @desc    Create a new task
- * @access  Public
+ * @desc    Create a new task for the current user
+ *          reminders: [{ kind: 'relative', amount, unit } | { kind: 'absolute', at }]
+ *          unit is minutes, hours, days or weeks before the due date
+ * @access  Private
  */
 router.post('/', async (req, res) => {
   try {
-    const { title, description, priority, dueDate } = req.body;
+    const {
+      title,
+      description,
+      priority,
+      dueDate,
+      tags,
+      project,
+      recurrence,
+      reminders,
+      subtasks,
+      autoCompleteOnSubtasks,
+      requireSubtasksComplete
+    } = req.body;
     
     // Validate required fields
     if (!title || !dueDate) {
       return res.status(400).json({ message: 'Title and due date are required' });
     }
     
+    const parsedReminders = parseReminders(reminders === undefined ? [] : reminders);
+    if (parsedReminders.errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors: parsedReminders.errors });
+    }
+    
+    if (!(await isAssignableProject(project, req.user._id))) {
+      return res.status(400).json({ message: 'Project not found' });
+    }
+    
     // Create new task
     const newTask = new Task({
+      owner: req.user._id,
       title,
       description,
       priority: priority || 'Medium',
       dueDate,
-      completed: false
+      completed: false,
+      tags,
+      project: project || null,
+      recurrence: recurrence ? { ...recurrence, occurrence: 1 } : null,
+      reminders: parsedReminders.reminders,
+      subtasks: Array.isArray(subtasks)
+        ? subtasks.map(({ title, dueDate }) => ({ title, dueDate }))
+        : [],
+      autoCompleteOnSubtasks,
+      requireSubtasksComplete
     });
     
     // Save to database
     const savedTask = await newTask.save();
-    res.status(201).json(savedTask);
+    await Tag.ensureExist(req.user._id, savedTask.tags);
+    await recordChange(req, 'created', savedTask);
+    publishTaskEvent('task.created', savedTask);
+    res.status(201).set('ETag', etagFor(savedTask)).json(savedTask);
   } catch (error) {
     console.error('Error creating task:', error);
     
@@ -81,35 +789,32 @@ router.post('/', async (req, res) => {
 
 /**
  * @route   PUT /api/tasks/:id
- * @desc    Update an existing task
- * @access  Public
+ * @desc    Replace a task's editable fields with the document in the body
+ *          Fields left out are reset to their defaults (see utils/taskDocument.js);
+ *          title and dueDate are required. Server-set fields such as _id and
+ *          createdAt are ignored, so a fetched task can be sent back as it is.
+ *          subtasks items keep their identity when they carry their _id
+ *          reminders replaces the task's reminders (see POST); reminders that already
+ *          fired stay sent unless their time changes
+ *          Requires the version it is based on (If-Match or version, see checkTaskVersion)
+ * @access  Private (owner only)
  */
 router.put('/:id', async (req, res) => {
   try {
-    const { title, description, priority, dueDate, completed } = req.body;
-    
-    // Find task and update
-    const updatedTask = await Task.findByIdAndUpdate(
-      req.params.id,
-      {
-        title,
-        description,
-        priority,
-        dueDate,
-        completed
-      },
-      { 
-        new: true, // Return the updated document
-        runValidators: true // Run schema validators
-      }
-    );
+    const task = await findOwnedTask(req, res);
+    if (!task || !checkTaskVersion(req, res, task)) return;
     
-    if (!updatedTask) {
-      return res.status(404).json({ message: 'Task not found' });
+    const { document, errors } = replacementDocument(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
     }
     
-    res.json(updatedTask);
+    await saveTaskDocument(req, res, task, document);
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
     console.error('Error updating task:', error);
     
     // Handle validation errors
@@ -124,44 +829,379 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   PATCH /api/tasks/:id
+ * @desc    Change some of a task's fields with a JSON Merge Patch (RFC 7396)
+ *          Fields left out are kept; null removes a field (resets it to its default);
+ *          recurrence is merged field by field; arrays (tags, reminders, subtasks)
+ *          are replaced as a whole. The patched task is validated like a PUT.
+ *          Content-Type: application/merge-patch+json or application/json
+ *          Requires the version it is based on (If-Match or version, see checkTaskVersion)
+ * @access  Private (owner only)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task || !checkTaskVersion(req, res, task)) return;
+    
+    const { document, errors } = patchedDocument(task, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    
+    await saveTaskDocument(req, res, task, document);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error patching task:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: Object.values(error.errors).map(err => err.message) 
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error while updating task', error: error.message });
+  }
+});
+
 /**
  * @route   PATCH /api/tasks/:id/toggle
  * @desc    Toggle task completion status
- * @access  Public
+ *          Completing a recurring task creates its next occurrence, returned
+ *          as generatedOccurrence alongside the toggled task
+ *          Requires the version it is based on (If-Match or version, see checkTaskVersion)
+ * @access  Private (owner only)
  */
 router.patch('/:id/toggle', async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await findOwnedTask(req, res);
+    if (!task || !checkTaskVersion(req, res, task)) return;
     
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    // Block completion while checklist items are open, if the task asks for it
+    if (!task.completed && !task.canComplete()) {
+      return res.status(422).json({
+        message: 'Complete all checklist items before completing this task',
+        openSubtasks: task.subtasks.filter(subtask => !subtask.completed).length
+      });
     }
     
     // Toggle the completed status
-    task.completed = !task.completed;
-    const updatedTask = await task.save();
+    const { task: updatedTask, next } = await setTaskCompleted(req, task, !task.completed);
     
-    res.json(updatedTask);
+    res.set('ETag', etagFor(updatedTask));
+    res.json(next ? { ...updatedTask.toJSON(), generatedOccurrence: next } : updatedTask);
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
     console.error('Error toggling task:', error);
     res.status(500).json({ message: 'Server error while toggling task', error: error.message });
   }
 });
 
+/**
+ * @route   POST /api/tasks/:id/subtasks
+ * @desc    Add a checklist item to the end of a task's checklist
+ * @access  Private (owner only)
+ */
+router.post('/:id/subtasks', async (req, res) => {
+  try {
+    const { title, dueDate } = req.body;
+    
+    // Validate required fields
+    if (!title) {
+      return res.status(400).json({ message: 'Subtask title is required' });
+    }
+    
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    const before = versionOf(task);
+    const wasCompleted = task.completed;
+    task.subtasks.push({ title, dueDate });
+    task.syncCompletionWithSubtasks();
+    const { task: updatedTask, next } = await saveWithNextOccurrence(task, wasCompleted);
+    await recordChange(req, 'updated', updatedTask, before);
+    publishTaskChange(updatedTask, wasCompleted);
+    await announceNextOccurrence(req, next);
+    
+    res.status(201).json(next ? { ...updatedTask.toJSON(), generatedOccurrence: next } : updatedTask);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error adding subtask:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: Object.values(error.errors).map(err => err.message) 
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error while adding subtask', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/tasks/:id/subtasks/order
+ * @desc    Reorder a task's checklist
+ *          Body: { order: [subtaskId, ...] } - must list every subtask exactly once
+ * @access  Private (owner only)
+ */
+router.put('/:id/subtasks/order', async (req, res) => {
+  try {
+    const { order } = req.body;
+    
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ message: 'order must be an array of subtask IDs' });
+    }
+    
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(String(id)));
+    
+    if (!isPermutation) {
+      return res.status(400).json({ message: 'order must list every subtask of the task exactly once' });
+    }
+    
+    const before = versionOf(task);
+    task.subtasks = order.map(id => task.subtasks.id(id));
+    const updatedTask = await task.save();
+    await recordChange(req, 'updated', updatedTask, before);
+    publishTaskChange(updatedTask, task.completed);
+    
+    res.json(updatedTask);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error reordering subtasks:', error);
+    res.status(500).json({ message: 'Server error while reordering subtasks', error: error.message });
+  }
+});
+
+/**
+ * @route   PATCH /api/tasks/:id/subtasks/:subtaskId/toggle
+ * @desc    Toggle a checklist item's completion status
+ * @access  Private (owner only)
+ */
+router.patch('/:id/subtasks/:subtaskId/toggle', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+    
+    const before = versionOf(task);
+    const wasCompleted = task.completed;
+    subtask.completed = !subtask.completed;
+    task.syncCompletionWithSubtasks();
+    const { task: updatedTask, next } = await saveWithNextOccurrence(task, wasCompleted);
+    await recordChange(req, 'updated', updatedTask, before);
+    publishTaskChange(updatedTask, wasCompleted);
+    await announceNextOccurrence(req, next);
+    
+    res.json(next ? { ...updatedTask.toJSON(), generatedOccurrence: next } : updatedTask);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error toggling subtask:', error);
+    res.status(500).json({ message: 'Server error while toggling subtask', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+ * @desc    Remove a checklist item
+ * @access  Private (owner only)
+ */
+router.delete('/:id/subtasks/:subtaskId', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+    
+    const before = versionOf(task);
+    const wasCompleted = task.completed;
+    subtask.deleteOne();
+    task.syncCompletionWithSubtasks();
+    const { task: updatedTask, next } = await saveWithNextOccurrence(task, wasCompleted);
+    await recordChange(req, 'updated', updatedTask, before);
+    publishTaskChange(updatedTask, wasCompleted);
+    await announceNextOccurrence(req, next);
+    
+    res.json(next ? { ...updatedTask.toJSON(), generatedOccurrence: next } : updatedTask);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error removing subtask:', error);
+    res.status(500).json({ message: 'Server error while removing subtask', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id/history
+ * @desc    Get one page of a task's history, newest first
+ *          Every create, update (including checklist changes), toggle, delete and restore,
+ *          with the actor, the changed fields ({ field, from, to }) and the version afterwards
+ *          Query: limit (1-100, default 20), cursor
+ *          Response: { history, nextCursor } - nextCursor is null on the last page
+ * @access  Private (owner only)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task) return;
+    
+    const filter = { task: task._id };
+    const errors = [];
+    
+    let limit = DEFAULT_HISTORY_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        errors.push(`limit must be between 1 and ${MAX_HISTORY_LIMIT}`);
+      }
+    }
+    
+    // Continue after the last entry of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'createdAt');
+      if (cursor) {
+        filter.$or = [
+          { createdAt: { $lt: cursor.value } },
+          { createdAt: cursor.value, _id: { $lt: cursor.id } }
+        ];
+      } else {
+        errors.push('Invalid cursor');
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+    
+    // One extra to detect whether another page exists
+    const results = await TaskActivity.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = results.length > limit;
+    const history = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(history[history.length - 1], 'createdAt') : null;
+    
+    res.json({ history, nextCursor });
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ message: 'Server error while fetching task history', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/:id/history/:activityId/restore
+ * @desc    Put the task back to the version recorded in a history entry
+ *          The restore is itself recorded, so it can be undone the same way.
+ *          A project deleted since then is left off.
+ *          Requires the version it is based on (If-Match or version, see checkTaskVersion)
+ * @access  Private (owner only)
+ */
+router.post('/:id/history/:activityId/restore', async (req, res) => {
+  try {
+    const task = await findOwnedTask(req, res);
+    if (!task || !checkTaskVersion(req, res, task)) return;
+    
+    const activity = mongoose.Types.ObjectId.isValid(req.params.activityId)
+      ? await TaskActivity.findOne({ _id: req.params.activityId, task: task._id })
+      : null;
+    if (!activity) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+    
+    const { version } = activity;
+    const projectExists = !version.project ||
+      Boolean(await Project.exists({ _id: version.project, owner: req.user._id }));
+    
+    const before = versionOf(task);
+    const wasCompleted = task.completed;
+    applyVersion(task, version, { projectExists });
+    
+    const updatedTask = await task.save();
+    await Tag.ensureExist(req.user._id, updatedTask.tags);
+    await recordActivity('restored', updatedTask, {
+      actor: userActor(req.user),
+      before,
+      restoredFrom: activity._id
+    });
+    publishTaskChange(updatedTask, wasCompleted);
+    
+    res.json(updatedTask);
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendSaveConflict(req, res);
+    }
+    
+    console.error('Error restoring task version:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: Object.values(error.errors).map(err => err.message) 
+      });
+    }
+    
+    res.status(500).json({ message: 'Server error while restoring task version', error: error.message });
+  }
+});
+
 /**
  * @route   DELETE /api/tasks/:id
- * @desc    Delete a task
- * @access  Public
+ * @desc    Move a task to the trash
+ *          It can be restored from /api/tasks/trash until it is purged
+ *          (see services/trash.js)
+ *          Requires the version it is based on (If-Match or version, see checkTaskVersion)
+ * @access  Private (owner only)
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const deletedTask = await Task.findByIdAndDelete(req.params.id);
+    const task = await findOwnedTask(req, res);
+    if (!task || !checkTaskVersion(req, res, task)) return;
     
+    const deletedTask = await moveToTrash(req, task);
     if (!deletedTask) {
-      return res.status(404).json({ message: 'Task not found' });
+      // Changed or deleted since it was loaded
+      const current = await Task.findOne({ _id: task._id, deletedAt: null });
+      return current
+        ? sendVersionConflict(res, current)
+        : res.status(404).json({ message: 'Task not found' });
     }
     
-    res.json({ message: 'Task deleted successfully', task: deletedTask });
+    res.json({ message: 'Task moved to the trash', task: deletedTask });
   } catch (error) {
     console.error('Error deleting task:', error);
     res.status(500).json({ message: 'Server error while deleting task', error: error.message });
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const EmailTemplate = require('../models/EmailTemplate');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const {
+  TEMPLATE_KEYS,
+  TEMPLATE_PARTS,
+  TEMPLATE_DEFINITIONS,
+  DEFAULT_TEMPLATES,
+  sampleData,
+  renderTemplate,
+  resolveTemplate
+} = require('../services/templates');
+const { validate } = require('../services/templates/engine');
+
+/**
+ * Collect the template parts to change from a PUT or preview body
+ * A string replaces the part, null resets it to the default; missing parts are left alone
+ * @param {Object} body - Express req.body
+ * @returns {Object} - { changes: { part: source|null }, errors }
+ */
+const collectParts = (body = {}) => {
+  const changes = {};
+  const errors = [];
+
+  for (const part of TEMPLATE_PARTS) {
+    const value = body[part];
+    if (value === undefined) continue;
+
+    if (value === null || value === '') {
+      changes[part] = null;
+    } else if (typeof value !== 'string') {
+      errors.push(`${part} must be a string or null`);
+    } else {
+      const error = validate(value);
+      if (error) {
+        errors.push(`${part}: ${error}`);
+      } else {
+        changes[part] = value;
+      }
+    }
+  }
+
+  return { changes, errors };
+};
+
+/**
+ * A template key with its default and the user's override
+ */
+const describeTemplate = (key, override) => ({
+  key,
+  description: TEMPLATE_DEFINITIONS[key].description,
+  default: DEFAULT_TEMPLATES[key],
+  override: override
+    ? { ...Object.fromEntries(TEMPLATE_PARTS.map(part => [part, override[part]])), updatedAt: override.updatedAt }
+    : null
+});
+
+/**
+ * Make sure req.params.key names a template
+ * Sends a 404 response and returns false when it does not
+ */
+const checkKey = (req, res) => {
+  if (!TEMPLATE_KEYS.includes(req.params.key)) {
+    res.status(404).json({ message: 'Template not found' });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @route   GET /api/templates
+ * @desc    List the email templates with their defaults and the current user's overrides
+ *          Response: { templates: [{ key, description, default: { subject, html, text }, override: { subject, html, text, updatedAt } | null }] }
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const overrides = await EmailTemplate.find({ owner: req.user._id });
+    const byKey = new Map(overrides.map(override => [override.key, override]));
+
+    res.json({ templates: TEMPLATE_KEYS.map(key => describeTemplate(key, byKey.get(key))) });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ message: 'Server error while fetching templates', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/templates/:key
+ * @desc    Get one email template with its default and the current user's override
+ * @access  Private
+ */
+router.get('/:key', async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+
+    const override = await EmailTemplate.findOne({ owner: req.user._id, key: req.params.key });
+    res.json(describeTemplate(req.params.key, override));
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ message: 'Server error while fetching template', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/templates/:key
+ * @desc    Override parts of an email template for the current user
+ *          Body: any of { subject, html, text } - a template string, or null to go back to the default
+ *          Values are always escaped; {{{ }}} is rejected
+ * @access  Private
+ */
+router.put('/:key', async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+
+    const { changes, errors } = collectParts(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const { key } = req.params;
+    const template = await EmailTemplate.findOne({ owner: req.user._id, key })
+      || new EmailTemplate({ owner: req.user._id, key });
+    template.set(changes);
+
+    // An override without any part is the default template
+    if (TEMPLATE_PARTS.every(part => !template[part])) {
+      if (!template.isNew) await template.deleteOne();
+      return res.json(describeTemplate(key, null));
+    }
+
+    await template.save();
+    console.log(`✉️  Email template ${key} updated for ${req.user.email}`);
+
+    res.json(describeTemplate(key, template));
+  } catch (error) {
+    console.error('Error updating template:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+
+    res.status(500).json({ message: 'Server error while updating template', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/templates/:key
+ * @desc    Reset an email template to the default
+ * @access  Private
+ */
+router.delete('/:key', async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+
+    await EmailTemplate.deleteOne({ owner: req.user._id, key: req.params.key });
+    res.json(describeTemplate(req.params.key, null));
+  } catch (error) {
+    console.error('Error resetting template:', error);
+    res.status(500).json({ message: 'Server error while resetting template', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/templates/:key/preview
+ * @desc    Render an email template against a sample task (or sample digest) in the user's timezone
+ *          Body: optional draft { subject, html, text }; parts left out use the saved override or the default
+ *          Response: { key, subject, body, text, priority } - body is the HTML part
+ * @access  Private
+ */
+router.post('/:key/preview', async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+
+    const { changes, errors } = collectParts(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const { key } = req.params;
+    const [override, preferences] = await Promise.all([
+      EmailTemplate.findOne({ owner: req.user._id, key }),
+      NotificationPreferences.forUser(req.user._id)
+    ]);
+
+    const saved = resolveTemplate(key, override);
+    const template = Object.fromEntries(TEMPLATE_PARTS.map(part => [
+      part,
+      part in changes ? changes[part] || DEFAULT_TEMPLATES[key][part] : saved[part]
+    ]));
+
+    res.json({ key, ...renderTemplate(key, template, sampleData(key), preferences.timezone) });
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    res.status(500).json({ message: 'Server error while previewing template', error: error.message });
+  }
+});
+
+module.exports = router;
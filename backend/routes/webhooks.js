@@ -0,0 +1,364 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const { WEBHOOK_EVENTS, MAX_WEBHOOKS, generateSecret } = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { encodeCursor, decodeCursor } = require('../utils/taskQuery');
+const { replayDelivery } = require('../services/webhooks');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Load a webhook by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.id and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Webhook document or null
+ */
+const findOwnedWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+    return null;
+  }
+
+  if (!webhook.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this webhook' });
+    return null;
+  }
+
+  return webhook;
+};
+
+/**
+ * Load a delivery by ID and make sure it belongs to the authenticated user
+ * Sends a 404 or 403 response and resolves to null when access is denied
+ * @param {Object} req - Express request (expects req.params.deliveryId and req.user)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Delivery document or null
+ */
+const findOwnedDelivery = async (req, res) => {
+  // Response bodies stored by earlier versions are never returned
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId).select('-attempts.response');
+
+  if (!delivery) {
+    res.status(404).json({ message: 'Delivery not found' });
+    return null;
+  }
+
+  if (!delivery.owner.equals(req.user._id)) {
+    res.status(403).json({ message: 'You do not have permission to access this delivery' });
+    return null;
+  }
+
+  return delivery;
+};
+
+/**
+ * Apply url, events, description and active from a request body; missing fields are left alone
+ * @param {Object} webhook - Webhook document
+ * @param {Object} body - Express req.body
+ * @returns {Array<string>} - Errors for values of the wrong type (the schema checks the rest)
+ */
+const applyChanges = (webhook, body = {}) => {
+  const { url, events, description, active } = body;
+  const errors = [];
+
+  if (url !== undefined) webhook.url = url;
+  if (description !== undefined) webhook.description = description;
+
+  if (events !== undefined) {
+    if (Array.isArray(events)) {
+      webhook.events = [...new Set(events)];
+    } else {
+      errors.push(`events must be an array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  if (active !== undefined) {
+    if (typeof active === 'boolean') {
+      webhook.active = active;
+    } else {
+      errors.push('active must be true or false');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Send the response for a failed webhook save
+ */
+const handleSaveError = (error, res, action) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({ message: `Server error while ${action} webhook`, error: error.message });
+};
+
+/**
+ * Build the MongoDB filter for the delivery log
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { filter, errors }
+ */
+const buildDeliveryFilter = (ownerId, query) => {
+  const filter = { owner: ownerId };
+  const errors = [];
+
+  if (query.webhook) {
+    if (mongoose.Types.ObjectId.isValid(query.webhook)) {
+      filter.webhook = query.webhook;
+    } else {
+      errors.push('webhook must be a valid ID');
+    }
+  }
+
+  if (query.event) {
+    if (WEBHOOK_EVENTS.includes(query.event)) {
+      filter.event = query.event;
+    } else {
+      errors.push(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  if (query.status) {
+    if (STATUSES.includes(query.status)) {
+      filter.status = query.status;
+    } else {
+      errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the current user's webhooks, oldest first, each with its latest delivery
+ *          Secrets are not included
+ *          Response: { webhooks: [{ ..., lastDelivery: { status, event, createdAt } | null }], events }
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: 1 });
+
+    const lastDeliveries = await Promise.all(webhooks.map(webhook => (
+      WebhookDelivery.findOne({ webhook: webhook._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .select('status event createdAt')
+    )));
+
+    res.json({
+      webhooks: webhooks.map((webhook, i) => ({ ...webhook.toJSON(), lastDelivery: lastDeliveries[i] })),
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ message: 'Server error while fetching webhooks', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook
+ *          Body: { url, events: ['task.created', ...], description, active }
+ *          Response: the webhook including its secret, which is not shown again
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const count = await Webhook.countDocuments({ owner: req.user._id });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({ message: `You can register at most ${MAX_WEBHOOKS} webhooks` });
+    }
+
+    const webhook = new Webhook({ owner: req.user._id });
+    const errors = applyChanges(webhook, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const savedWebhook = await webhook.save();
+    res.status(201).json(savedWebhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    handleSaveError(error, res, 'creating');
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Get one page of the current user's webhook deliveries, newest first
+ *          Query: webhook, event, status (pending | succeeded | failed), limit (1-100, default 20), cursor
+ *          Request bodies are left out; fetch a single delivery to see them
+ *          Response: { deliveries, nextCursor } - nextCursor is null on the last page
+ * @access  Private
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { filter, errors } = buildDeliveryFilter(req.user._id, req.query);
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+      }
+    }
+
+    // Continue after the last delivery of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'createdAt');
+      if (cursor) {
+        filter.$or = [
+          { createdAt: { $lt: cursor.value } },
+          { createdAt: cursor.value, _id: { $lt: cursor.id } }
+        ];
+      } else {
+        errors.push('Invalid cursor');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    // One extra to detect whether another page exists
+    const results = await WebhookDelivery.find(filter)
+      .select('-payload -attempts.response')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = results.length > limit;
+    const deliveries = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore ? encodeCursor(deliveries[deliveries.length - 1], 'createdAt') : null;
+
+    res.json({ deliveries, nextCursor });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Server error while fetching webhook deliveries', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a single delivery with its request body and every attempt
+ * @access  Private (owner only)
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await findOwnedDelivery(req, res);
+    if (!delivery) return;
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ message: 'Server error while fetching webhook delivery', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's request body again, as a new delivery with its own retries
+ *          Goes to the webhook's current URL, signed with its current secret
+ *          Response: the new delivery after its first attempt (replayOf points at the original)
+ * @access  Private (owner only)
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await findOwnedDelivery(req, res);
+    if (!delivery) return;
+
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ message: 'Resume the webhook before replaying its deliveries' });
+    }
+
+    const replay = await replayDelivery(delivery);
+    res.status(201).json(replay);
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ message: 'Server error while replaying webhook delivery', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook's url, events, description or active flag
+ *          Pausing a webhook fails its pending retries
+ * @access  Private (owner only)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    const errors = applyChanges(webhook, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const updatedWebhook = await webhook.save();
+    res.json(updatedWebhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    handleSaveError(error, res, 'updating');
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/secret
+ * @desc    Replace a webhook's signing secret; requests are signed with the new one right away
+ *          Response: { secret }
+ * @access  Private (owner only)
+ */
+router.post('/:id/secret', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+
+    res.json({ secret: webhook.secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Server error while rotating webhook secret', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private (owner only)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    const { deletedCount } = await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully', webhook, deliveriesDeleted: deletedCount });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ message: 'Server error while deleting webhook', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const net = require('net');
+const path = require('path');
+const { writeMaildirMessage } = require('../services/transports/file');
+
+/**
+ * Local SMTP Capture Server
+ * Stand-in SMTP server for development and tests: accepts every message and
+ * stores it in a maildir instead of delivering it
+ *
+ * Usage: npm run mail:capture, then start the backend with
+ *   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=2525
+ *
+ * Environment:
+ * - SMTP_CAPTURE_PORT: port to listen on (default 2525)
+ * - SMTP_CAPTURE_DIR: maildir for captured messages (default backend/mail/captured)
+ * - SMTP_CAPTURE_REJECT: regular expression; matching recipients are refused,
+ *   which is handy for exercising delivery failures
+ *
+ * Supports plain SMTP only (no STARTTLS or AUTH), so leave SMTP_USER unset.
+ */
+
+const DEFAULT_PORT = 2525;
+const DEFAULT_DIR = path.join(__dirname, '..', 'mail', 'captured');
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Extract the address from "MAIL FROM:<a@b>" / "RCPT TO:<a@b>" arguments
+ */
+const parseAddress = (argument) => {
+  const match = /<([^>]*)>/.exec(argument);
+  return (match ? match[1] : argument.split(':').slice(1).join(':')).trim();
+};
+
+/**
+ * Handle one SMTP session
+ * @param {net.Socket} socket - Client connection
+ * @param {Object} options - { dir, rejectPattern, onMessage }
+ */
+const handleConnection = (socket, { dir, rejectPattern, onMessage }) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let dataLines = null; // Lines of the message while in the DATA phase
+  let dataBytes = 0;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  const resetEnvelope = () => { envelope = { from: null, to: [] }; };
+
+  /**
+   * Store a finished message and acknowledge it
+   */
+  const finishMessage = async (lines) => {
+    const raw = [`Return-Path: <${envelope.from}>`, ...lines].join('\r\n') + '\r\n';
+
+    try {
+      const file = await writeMaildirMessage(dir, raw);
+      console.log(`📥 Captured email for ${envelope.to.join(', ')} -> ${file}`);
+      if (onMessage) onMessage({ from: envelope.from, to: envelope.to, raw, file });
+      reply('250 OK message captured');
+    } catch (error) {
+      console.error('❌ Failed to store captured email:', error);
+      reply('451 Could not store message');
+    }
+
+    resetEnvelope();
+  };
+
+  /**
+   * Handle one command line outside the DATA phase
+   */
+  const handleCommand = (line) => {
+    const [verb, ...rest] = line.split(' ');
+    const argument = rest.join(' ');
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-smtp-capture');
+        reply(`250-SIZE ${MAX_MESSAGE_BYTES}`);
+        reply('250 8BITMIME');
+        break;
+      case 'HELO':
+        reply('250 smtp-capture');
+        break;
+      case 'MAIL':
+        resetEnvelope();
+        envelope.from = parseAddress(argument);
+        reply('250 OK');
+        break;
+      case 'RCPT': {
+        if (envelope.from === null) {
+          reply('503 Send MAIL FROM first');
+          break;
+        }
+        const address = parseAddress(argument);
+        if (rejectPattern && rejectPattern.test(address)) {
+          reply(`550 Mailbox unavailable: ${address}`);
+          break;
+        }
+        envelope.to.push(address);
+        reply('250 OK');
+        break;
+      }
+      case 'DATA':
+        if (envelope.to.length === 0) {
+          reply('503 Send RCPT TO first');
+          break;
+        }
+        dataLines = [];
+        dataBytes = 0;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        resetEnvelope();
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'VRFY':
+        reply('252 Cannot verify user');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  /**
+   * Handle one line of input
+   */
+  const handleLine = (line) => {
+    if (dataLines === null) {
+      handleCommand(line);
+      return;
+    }
+
+    if (line === '.') {
+      const lines = dataLines;
+      dataLines = null;
+
+      if (dataBytes > MAX_MESSAGE_BYTES) {
+        reply('552 Message too large');
+        resetEnvelope();
+      } else {
+        finishMessage(lines);
+      }
+      return;
+    }
+
+    dataBytes += line.length + 2;
+    if (dataBytes <= MAX_MESSAGE_BYTES) {
+      // Undo dot-stuffing (RFC 5321 section 4.5.2)
+      dataLines.push(line.startsWith('.') ? line.slice(1) : line);
+    }
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+  socket.on('error', (error) => console.error('SMTP capture connection error:', error.message));
+
+  reply('220 smtp-capture ESMTP ready');
+};
+
+/**
+ * Start the capture server
+ * @param {Object} options - { port, host, dir, rejectPattern, onMessage }
+ * @returns {Promise<net.Server>} - Listening server (port 0 picks a free port)
+ */
+const startCaptureServer = (options = {}) => {
+  const {
+    port = DEFAULT_PORT,
+    host = '127.0.0.1',
+    dir = DEFAULT_DIR,
+    rejectPattern = null,
+    onMessage = null
+  } = options;
+
+  const server = net.createServer(socket => handleConnection(socket, { dir, rejectPattern, onMessage }));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`📬 SMTP capture server listening on ${host}:${server.address().port}`);
+      console.log(`📂 Captured emails are stored in ${dir}`);
+      resolve(server);
+    });
+  });
+};
+
+// Run directly: node scripts/smtpCapture.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  startCaptureServer({
+    port: parseInt(process.env.SMTP_CAPTURE_PORT, 10) || DEFAULT_PORT,
+    dir: process.env.SMTP_CAPTURE_DIR || DEFAULT_DIR,
+    rejectPattern: process.env.SMTP_CAPTURE_REJECT ? new RegExp(process.env.SMTP_CAPTURE_REJECT) : null
+  }).catch((error) => {
+    console.error('❌ Could not start SMTP capture server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startCaptureServer
+};
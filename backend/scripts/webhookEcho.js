@@ -0,0 +1,143 @@
+const http = require('http');
+const { verifySignature } = require('../services/webhooks');
+
+/**
+ * Local Webhook Echo Receiver
+ * Stand-in webhook endpoint for development and tests: logs every delivery,
+ * checks its signature and answers with what it received
+ *
+ * Usage: npm run webhook:echo, then start the backend with WEBHOOK_ALLOW_PRIVATE_URLS=true
+ * (webhooks cannot reach local addresses otherwise) and register http://localhost:4000/ as a webhook
+ * and paste its secret into WEBHOOK_ECHO_SECRET to have signatures checked
+ *
+ * Environment:
+ * - WEBHOOK_ECHO_PORT: port to listen on (default 4000)
+ * - WEBHOOK_ECHO_SECRET: webhook secret; requests with a bad signature get 401
+ * - WEBHOOK_ECHO_STATUS: status code to answer with (default 200), e.g. 500
+ *   to exercise retries
+ * - WEBHOOK_ECHO_FAIL_RATE: share of requests (0-1) answered with 503 at random
+ */
+
+const DEFAULT_PORT = 4000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read a request body as a string
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+/**
+ * Handle one webhook request
+ * @param {Object} options - { secret, status, failRate, onDelivery }
+ */
+const handleRequest = async (req, res, { secret, status, failRate, onDelivery }) => {
+  const reply = (code, body) => {
+    res.writeHead(code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method !== 'POST') {
+    reply(405, { message: 'Send webhook deliveries as POST requests' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await readBody(req);
+  } catch (error) {
+    reply(413, { message: error.message });
+    return;
+  }
+
+  const event = req.headers['x-webhook-event'];
+  const deliveryId = req.headers['x-webhook-delivery'];
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const signature = req.headers['x-webhook-signature'];
+
+  const verified = secret ? verifySignature(secret, { payload, timestamp, signature }) : null;
+
+  let body;
+  try {
+    body = JSON.parse(payload);
+  } catch (error) {
+    body = payload;
+  }
+
+  const label = verified === null ? 'unchecked' : (verified ? 'valid' : 'INVALID');
+  console.log(`📥 ${event} delivery ${deliveryId} (signature ${label}): ${body.data?.task?.title ?? ''}`);
+
+  if (onDelivery) onDelivery({ event, deliveryId, timestamp, signature, verified, payload, body });
+
+  if (verified === false) {
+    reply(401, { message: 'Invalid signature' });
+  } else if (failRate > 0 && Math.random() < failRate) {
+    console.log('💥 Failing this delivery on purpose (WEBHOOK_ECHO_FAIL_RATE)');
+    reply(503, { message: 'Simulated failure' });
+  } else {
+    reply(status, { received: true, event, deliveryId, verified, body });
+  }
+};
+
+/**
+ * Start the echo receiver
+ * @param {Object} options - { port, host, secret, status, failRate, onDelivery }
+ * @returns {Promise<http.Server>} - Listening server (port 0 picks a free port)
+ */
+const startEchoServer = (options = {}) => {
+  const {
+    port = DEFAULT_PORT,
+    host = '127.0.0.1',
+    secret = null,
+    status = 200,
+    failRate = 0,
+    onDelivery = null
+  } = options;
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, { secret, status, failRate, onDelivery }).catch((error) => {
+      console.error('Webhook echo error:', error);
+      res.writeHead(500);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`🔗 Webhook echo receiver listening on http://${host}:${server.address().port}/`);
+      console.log(secret ? '🔑 Checking signatures with WEBHOOK_ECHO_SECRET' : '🔓 Signatures are not checked (set WEBHOOK_ECHO_SECRET)');
+      resolve(server);
+    });
+  });
+};
+
+// Run directly: node scripts/webhookEcho.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  startEchoServer({
+    port: parseInt(process.env.WEBHOOK_ECHO_PORT, 10) || DEFAULT_PORT,
+    secret: process.env.WEBHOOK_ECHO_SECRET || null,
+    status: parseInt(process.env.WEBHOOK_ECHO_STATUS, 10) || 200,
+    failRate: parseFloat(process.env.WEBHOOK_ECHO_FAIL_RATE) || 0
+  }).catch((error) => {
+    console.error('❌ Could not start webhook echo receiver:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startEchoServer
+};
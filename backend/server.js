@@ -5,13 +5,24 @@ require('dotenv').config();
 
 // Import routes
 const taskRoutes = require('./routes/tasks');
+const authRoutes = require('./routes/auth');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
+const automationRoutes = require('./routes/automation');
+const notificationRoutes = require('./routes/notifications');
+const preferenceRoutes = require('./routes/preferences');
+const templateRoutes = require('./routes/templates');
+const webhookRoutes = require('./routes/webhooks');
+const ruleRoutes = require('./routes/rules');
+const { authenticate } = require('./middleware/auth');
+const { startScheduler } = require('./services/scheduler');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
-app.use(cors()); // Enable CORS for frontend communication
-app.use(express.json()); // Parse JSON request bodies
+app.use(cors({ exposedHeaders: ['ETag'] })); // Enable CORS for frontend communication
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] })); // Parse JSON and JSON Merge Patch request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // MongoDB Connection
@@ -21,6 +32,11 @@ mongoose.connect(MONGODB_URI)
 .then(() => {
   console.log('✅ Successfully connected to MongoDB');
   console.log(`📦 Database: ${mongoose.connection.name}`);
+
+  // Task mail automation runs on the server; set AUTOMATION_SCHEDULER=off to disable it on this instance
+  if (process.env.AUTOMATION_SCHEDULER !== 'off') {
+    startScheduler();
+  }
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -37,7 +53,16 @@ mongoose.connection.on('error', (error) => {
 });
 
 // Routes
-app.use('/api/tasks', taskRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/tasks', authenticate, taskRoutes); // Tasks require a logged-in user
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+app.use('/api/automation', authenticate, automationRoutes);
+app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/preferences', authenticate, preferenceRoutes);
+app.use('/api/templates', authenticate, templateRoutes);
+app.use('/api/webhooks', authenticate, webhookRoutes);
+app.use('/api/rules', authenticate, ruleRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -45,7 +70,16 @@ app.get('/', (req, res) => {
     message: 'Task Manager API',
     version: '1.0.0',
     endpoints: {
-      tasks: '/api/tasks'
+      auth: '/api/auth',
+      tasks: '/api/tasks',
+      tags: '/api/tags',
+      projects: '/api/projects',
+      automation: '/api/automation',
+      notifications: '/api/notifications',
+      preferences: '/api/preferences',
+      templates: '/api/templates',
+      webhooks: '/api/webhooks',
+      rules: '/api/rules'
     }
   });
 });
@@ -0,0 +1,474 @@
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const AutomationRule = require('../models/AutomationRule');
+const RuleExecution = require('../models/RuleExecution');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { templatesFor } = require('./templates');
+const { render } = require('./templates/engine');
+const { sendMail } = require('./mailer');
+const { emitTaskEvent } = require('./webhooks');
+const { recordActivity, ruleActor } = require('./taskHistory');
+const { EVENT_TRIGGERS, SCHEDULED_TRIGGERS, PRIORITIES, matchesConditions } = require('../utils/rules');
+const { versionOf } = require('../utils/taskHistory');
+
+/**
+ * Automation Rules Service
+ * Runs the users' "when ... if ... then ..." rules (see utils/rules.js)
+ *
+ * - task.created, task.updated and task.completed rules run when the task routes
+ *   publish the event, after the response is sent
+ * - task.overdue and task.due_soon rules are checked on every scheduler tick and
+ *   fire once per task and due date; a RuleExecution with a unique onceKey claims
+ *   each one, so several server instances never run it twice
+ *
+ * Field actions (priority, tags, project) are saved together, then emails are sent
+ * and follow-up tasks created. Emails only go to the rule owner's own address, and
+ * at most RULE_EMAILS_PER_HOUR per rule and USER_RULE_EMAILS_PER_HOUR per user. Changes made by rules are recorded in the task's
+ * history and send webhook events, but never trigger other rules. Every run is
+ * logged as a RuleExecution.
+ * Tasks in archived projects are left out of scheduled triggers and dry runs;
+ * tasks in the trash are left out of every trigger.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same window as the due soon emails (see taskAutomation.js)
+const DUE_SOON_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Rule emails sent in the last hour before further ones fail, per rule and per user
+const RULE_EMAILS_PER_HOUR = 10;
+const USER_RULE_EMAILS_PER_HOUR = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scheduled executions per tick; the rest wait for the next tick
+const MAX_EXECUTIONS_PER_TICK = 100;
+
+// Tasks a dry run looks at, and matches it returns with their planned actions
+const DRY_RUN_SCAN_LIMIT = 500;
+const DRY_RUN_RESULT_LIMIT = 50;
+
+const FIELD_ACTIONS = ['set_priority', 'raise_priority', 'add_tag', 'remove_tag', 'move_to_project'];
+
+/**
+ * Task filter for a trigger: the tasks it can fire on at the given time
+ * Event triggers fire on whatever task the event is about; for dry runs they
+ * look at open tasks (completed ones for task.completed)
+ */
+const candidateFilter = (trigger, now) => {
+  switch (trigger) {
+    case 'task.overdue':
+      return { completed: false, dueDate: { $lt: now } };
+    case 'task.due_soon':
+      return { completed: false, dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_WINDOW_MS) } };
+    case 'task.completed':
+      return { completed: true };
+    default:
+      return { completed: false };
+  }
+};
+
+/**
+ * Key that lets a scheduled rule fire once per task and due date
+ */
+const onceKeyFor = (rule, task) => `${rule._id}:${task._id}:${new Date(task.dueDate).toISOString()}`;
+
+/**
+ * Lazily load what rule emails need for one user
+ * @param {ObjectId} ownerId - User ID
+ * @returns {Function} - Resolves to { user, renderEmail }, loaded on the first call
+ */
+const mailContext = (ownerId) => {
+  let loading = null;
+
+  return () => {
+    if (!loading) {
+      loading = (async () => {
+        const [user, preferences] = await Promise.all([
+          User.findById(ownerId),
+          NotificationPreferences.forUser(ownerId)
+        ]);
+        const renderEmail = await templatesFor(ownerId, { timezone: preferences.timezone });
+        return { user, renderEmail };
+      })();
+    }
+    return loading;
+  };
+};
+
+/**
+ * Apply a priority, tag or project action to a task in memory
+ * @param {Object} action - Rule action
+ * @param {Object} task - Task document, changed in place
+ * @param {Array<string>} addedTags - Collects tags added, to create them once saved
+ * @returns {Promise<Object>} - { status, detail, error }
+ */
+const applyFieldAction = async (action, task, addedTags) => {
+  const { type, value } = action;
+
+  switch (type) {
+    case 'set_priority':
+    case 'raise_priority': {
+      const next = type === 'set_priority'
+        ? value
+        : PRIORITIES[Math.min(PRIORITIES.indexOf(task.priority) + 1, PRIORITIES.length - 1)];
+      if (task.priority === next) return { status: 'skipped', detail: `Priority is already ${next}` };
+
+      const detail = `Priority ${task.priority} → ${next}`;
+      task.priority = next;
+      return { status: 'done', detail };
+    }
+
+    case 'add_tag':
+      if (task.tags.includes(value)) return { status: 'skipped', detail: `Already tagged "${value}"` };
+      task.tags = [...task.tags, value];
+      addedTags.push(value);
+      return { status: 'done', detail: `Added tag "${value}"` };
+
+    case 'remove_tag':
+      if (!task.tags.includes(value)) return { status: 'skipped', detail: `Not tagged "${value}"` };
+      task.tags = task.tags.filter(tag => tag !== value);
+      return { status: 'done', detail: `Removed tag "${value}"` };
+
+    case 'move_to_project': {
+      if (value === 'none') {
+        if (!task.project) return { status: 'skipped', detail: 'Not in a project' };
+        task.project = null;
+        return { status: 'done', detail: 'Removed from its project' };
+      }
+
+      if (task.project && String(task.project) === value) {
+        return { status: 'skipped', detail: 'Already in that project' };
+      }
+
+      const project = await Project.findOne({ _id: value, owner: task.owner });
+      if (!project) return { status: 'failed', detail: 'Move to project', error: 'Project not found' };
+
+      task.project = project._id;
+      return { status: 'done', detail: `Moved to project "${project.name}"` };
+    }
+
+    default:
+      return { status: 'failed', error: `Unknown action ${type}` };
+  }
+};
+
+/**
+ * Why a rule may not send another email right now
+ * Counts the executions that sent one in the last hour (a rule sends at most one
+ * email per execution); executions are run one at a time, so the count is current.
+ * @param {Object} rule - Rule being run
+ * @param {Date} now - Current time
+ * @returns {Promise<string|null>} - Reason, or null when the email may be sent
+ */
+const emailLimitError = async (rule, now) => {
+  const sent = {
+    createdAt: { $gte: new Date(now.getTime() - HOUR_MS) },
+    results: { $elemMatch: { type: 'send_email', status: 'done' } }
+  };
+
+  if (await RuleExecution.countDocuments({ rule: rule._id, ...sent }) >= RULE_EMAILS_PER_HOUR) {
+    return `This rule already sent ${RULE_EMAILS_PER_HOUR} emails in the last hour`;
+  }
+  if (await RuleExecution.countDocuments({ owner: rule.owner, ...sent }) >= USER_RULE_EMAILS_PER_HOUR) {
+    return `Your rules already sent ${USER_RULE_EMAILS_PER_HOUR} emails in the last hour`;
+  }
+  return null;
+};
+
+/**
+ * Send a rule email or create a follow-up task
+ * @param {Object} action - Rule action
+ * @param {Object} rule - Rule being run
+ * @param {Object} task - Task after the field actions
+ * @param {Object} options - { now, dryRun, loadMail }
+ * @returns {Promise<Object>} - { status, detail, error }
+ */
+const applySideEffect = async (action, rule, task, { now, dryRun, loadMail }) => {
+  switch (action.type) {
+    case 'send_email': {
+      if (dryRun) return { status: 'done', detail: 'Email to you' };
+
+      const { user, renderEmail } = await loadMail();
+      if (!user) return { status: 'failed', detail: 'Email', error: 'Rule owner not found' };
+
+      const detail = `Email to ${user.email}`;
+      // Rules saved before emails were limited to the owner may name someone else
+      if (action.to && action.to.toLowerCase() !== user.email) {
+        return { status: 'failed', detail, error: `Rule emails can only be sent to your own address, not ${action.to}` };
+      }
+
+      const limitError = await emailLimitError(rule, now);
+      if (limitError) return { status: 'failed', detail, error: limitError };
+
+      const template = renderEmail('rule_email', {
+        task,
+        rule,
+        message: action.message,
+        sender: user.name
+      });
+      const result = await sendMail({ to: user.email, ...template });
+
+      return result.status === 'sent'
+        ? { status: 'done', detail }
+        : { status: 'failed', detail, error: result.error };
+    }
+
+    case 'create_task': {
+      const title = render(action.title, { task: { title: task.title, priority: task.priority } }, { html: false })
+        .trim()
+        .slice(0, 100) || task.title;
+      const dueDate = new Date(now.getTime() + action.dueInDays * DAY_MS);
+      const detail = `Follow-up "${title}" due ${dueDate.toISOString().slice(0, 10)}`;
+      if (dryRun) return { status: 'done', detail };
+
+      const followUp = await Task.create({
+        owner: task.owner,
+        title,
+        priority: action.priority || task.priority,
+        dueDate,
+        completed: false,
+        tags: task.tags,
+        project: task.project || null
+      });
+      await recordActivity('created', followUp, { actor: ruleActor(rule) });
+      emitTaskEvent('task.created', followUp);
+
+      return { status: 'done', detail };
+    }
+
+    default:
+      return { status: 'failed', error: `Unknown action ${action.type}` };
+  }
+};
+
+/**
+ * Run a rule's actions on a task
+ * Field actions are applied first and saved together; emails and follow-up tasks
+ * come after, so they see the updated task. A failed action does not stop the rest.
+ * @param {Object} rule - Rule (document or parsed draft)
+ * @param {Object} task - Task document
+ * @param {Object} options - { now, dryRun, loadMail }
+ *   - dryRun: work out what would happen without saving or sending anything
+ *   - loadMail: from mailContext, needed unless dryRun
+ * @returns {Promise<Array<Object>>} - One { type, status, detail, error } per action
+ */
+const executeActions = async (rule, task, { now = new Date(), dryRun = false, loadMail = null } = {}) => {
+  const results = new Array(rule.actions.length);
+  const addedTags = [];
+  const changed = [];
+  const before = dryRun ? null : versionOf(task);
+
+  for (const [index, action] of rule.actions.entries()) {
+    if (!FIELD_ACTIONS.includes(action.type)) continue;
+
+    try {
+      results[index] = { type: action.type, ...(await applyFieldAction(action, task, addedTags)) };
+    } catch (error) {
+      results[index] = { type: action.type, status: 'failed', error: error.message };
+    }
+    if (results[index].status === 'done') changed.push(index);
+  }
+
+  if (!dryRun && changed.length > 0) {
+    try {
+      await task.save();
+      await Tag.ensureExist(task.owner, addedTags);
+      await recordActivity('updated', task, { actor: ruleActor(rule), before });
+      emitTaskEvent('task.updated', task);
+    } catch (error) {
+      changed.forEach(index => {
+        results[index] = { ...results[index], status: 'failed', error: error.message };
+      });
+    }
+  }
+
+  for (const [index, action] of rule.actions.entries()) {
+    if (FIELD_ACTIONS.includes(action.type)) continue;
+
+    try {
+      results[index] = { type: action.type, ...(await applySideEffect(action, rule, task, { now, dryRun, loadMail })) };
+    } catch (error) {
+      results[index] = { type: action.type, status: 'failed', error: error.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Run a rule on a task and complete its execution log entry
+ * @param {Object} rule - AutomationRule document
+ * @param {Object} task - Task document that matched
+ * @param {Object} execution - RuleExecution created for this run
+ * @param {Object} options - { now, loadMail }
+ * @returns {Promise<Object>} - Saved RuleExecution
+ */
+const runRule = async (rule, task, execution, { now, loadMail }) => {
+  try {
+    execution.results = await executeActions(rule, task, { now, loadMail });
+  } catch (error) {
+    execution.error = error.message;
+    console.error(`❌ Automation rule "${rule.name}" failed:`, error);
+  }
+
+  await AutomationRule.updateOne({ _id: rule._id }, { $inc: { fireCount: 1 }, $set: { lastFiredAt: now } });
+  console.log(`🧩 Rule "${rule.name}" ran on "${task.title}"`);
+
+  return execution.save();
+};
+
+/**
+ * Build the execution log entry for a rule and task
+ */
+const newExecution = (rule, task, onceKey) => new RuleExecution({
+  owner: rule.owner,
+  rule: rule._id,
+  ruleName: rule.name,
+  trigger: rule.trigger,
+  task: task._id,
+  taskTitle: task.title,
+  onceKey
+});
+
+/**
+ * Run the owner's enabled rules for a task event
+ * Never throws, so a rule problem cannot fail the request that caused the event
+ * @param {string} trigger - task.created, task.updated or task.completed
+ * @param {Object} task - Task the event is about
+ * @returns {Promise<Array<Object>>} - RuleExecutions for the rules that matched
+ */
+const runRulesForEvent = async (trigger, task) => {
+  try {
+    if (!EVENT_TRIGGERS.includes(trigger)) return [];
+
+    const rules = await AutomationRule.find({ owner: task.owner, enabled: true, trigger }).sort({ createdAt: 1 });
+    if (rules.length === 0) return [];
+
+    const loadMail = mailContext(task.owner);
+    const executions = [];
+
+    for (const rule of rules) {
+      // Reload so each rule sees the changes made by the ones before it
+      const current = await Task.findOne({ _id: task._id, deletedAt: null });
+      if (!current || !matchesConditions(rule.conditions, current)) continue;
+
+      executions.push(await runRule(rule, current, newExecution(rule, current), { now: new Date(), loadMail }));
+    }
+
+    return executions;
+  } catch (error) {
+    console.error(`❌ Could not run ${trigger} automation rules:`, error);
+    return [];
+  }
+};
+
+/**
+ * Fire the task.overdue and task.due_soon rules that are due, once per task and due date
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Rule executions
+ */
+const runScheduledRules = async (now = new Date()) => {
+  const rules = await AutomationRule.find({ enabled: true, trigger: { $in: SCHEDULED_TRIGGERS } })
+    .sort({ owner: 1, createdAt: 1 });
+
+  const rulesByOwner = new Map();
+  for (const rule of rules) {
+    const key = String(rule.owner);
+    rulesByOwner.set(key, [...(rulesByOwner.get(key) || []), rule]);
+  }
+
+  let executed = 0;
+
+  for (const ownerRules of rulesByOwner.values()) {
+    const ownerId = ownerRules[0].owner;
+    const archivedProjectIds = await Project.find({ owner: ownerId, archived: true }).distinct('_id');
+    const loadMail = mailContext(ownerId);
+
+    for (const rule of ownerRules) {
+      const tasks = await Task.find({
+        owner: ownerId,
+        project: { $nin: archivedProjectIds },
+        deletedAt: null,
+        ...candidateFilter(rule.trigger, now)
+      }).sort({ dueDate: 1 });
+
+      const matching = tasks.filter(task => matchesConditions(rule.conditions, task));
+      if (matching.length === 0) continue;
+
+      const fired = new Set(await RuleExecution.distinct('onceKey', {
+        onceKey: { $in: matching.map(task => onceKeyFor(rule, task)) }
+      }));
+
+      for (const task of matching) {
+        if (executed >= MAX_EXECUTIONS_PER_TICK) return executed;
+
+        const onceKey = onceKeyFor(rule, task);
+        if (fired.has(onceKey)) continue;
+
+        // Claim the execution so another instance does not run it too
+        const execution = newExecution(rule, task, onceKey);
+        try {
+          await execution.save();
+        } catch (error) {
+          if (error.code === 11000) continue;
+          throw error;
+        }
+
+        await runRule(rule, task, execution, { now, loadMail });
+        executed++;
+      }
+    }
+  }
+
+  return executed;
+};
+
+/**
+ * Work out which of the owner's tasks a rule would affect right now, without changing anything
+ * Scheduled triggers look at tasks the next tick would fire on (a saved rule skips
+ * tasks it already fired on); event triggers at the tasks that match the conditions now
+ * @param {Object} rule - Parsed rule, with _id when it is saved
+ * @param {ObjectId} ownerId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { tasks: [{ task, results }], total, truncated }
+ */
+const dryRunRule = async (rule, ownerId, now = new Date()) => {
+  const archivedProjectIds = await Project.find({ owner: ownerId, archived: true }).distinct('_id');
+  const candidates = await Task.find({
+    owner: ownerId,
+    project: { $nin: archivedProjectIds },
+    deletedAt: null,
+    ...candidateFilter(rule.trigger, now)
+  }).sort({ dueDate: 1 }).limit(DRY_RUN_SCAN_LIMIT);
+
+  let matching = candidates.filter(task => matchesConditions(rule.conditions, task));
+
+  if (rule._id && SCHEDULED_TRIGGERS.includes(rule.trigger) && matching.length > 0) {
+    const fired = new Set(await RuleExecution.distinct('onceKey', {
+      onceKey: { $in: matching.map(task => onceKeyFor(rule, task)) }
+    }));
+    matching = matching.filter(task => !fired.has(onceKeyFor(rule, task)));
+  }
+
+  const tasks = [];
+  for (const task of matching.slice(0, DRY_RUN_RESULT_LIMIT)) {
+    const before = task.toJSON();
+    const results = await executeActions(rule, task, { now, dryRun: true });
+    tasks.push({ task: before, results });
+  }
+
+  return {
+    tasks,
+    total: matching.length,
+    truncated: candidates.length === DRY_RUN_SCAN_LIMIT
+  };
+};
+
+module.exports = {
+  runRulesForEvent,
+  runScheduledRules,
+  dryRunRule,
+  executeActions
+};
@@ -0,0 +1,206 @@
+/**
+ * Digest Service
+ * Builds and sends the scheduled summary emails
+ *
+ * - Morning digest: overdue tasks, tasks due today, tasks due in the rest of
+ *   the week and tasks completed in the last 24 hours
+ * - Weekly summary: completion statistics for the past seven days
+ *
+ * Each user picks the local time (and, for the summary, the weekday) in their
+ * NotificationPreferences, which keep nextSendAt up to date. The scheduler
+ * calls sendDueDigests every tick. Tasks in archived projects are left out.
+ */
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { DIGEST_TYPES } = require('../models/Notification');
+const { DIGEST_FIELDS } = require('../models/NotificationPreferences');
+const { buildTaskFilter } = require('../utils/taskQuery');
+const { startOfLocalDay, DAY_MS } = require('../utils/timezone');
+const { templatesFor } = require('./templates');
+const { sendMail } = require('./mailer');
+
+// Completed tasks listed in the weekly summary
+const SUMMARY_TASK_LIMIT = 10;
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+/**
+ * Filters for the user's tasks outside archived projects
+ * @returns {Promise<Object>} - { all, pending, completed }
+ */
+const buildFilters = async (ownerId) => {
+  const archivedProjectIds = await Project.find({ owner: ownerId, archived: true }).distinct('_id');
+
+  return {
+    all: buildTaskFilter(ownerId, {}, { archivedProjectIds }).filter,
+    pending: buildTaskFilter(ownerId, { completed: 'false' }, { archivedProjectIds }).filter,
+    completed: buildTaskFilter(ownerId, { completed: 'true' }, { archivedProjectIds }).filter
+  };
+};
+
+/**
+ * Gather the tasks for a morning digest
+ * @param {ObjectId} ownerId - User ID
+ * @param {string} timezone - User's timezone; "today" and "this week" are local days
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { timezone, generatedAt, overdue, dueToday, dueThisWeek, recentlyCompleted, empty }
+ */
+const collectMorningDigest = async (ownerId, timezone, now) => {
+  const filters = await buildFilters(ownerId);
+  const tomorrow = startOfLocalDay(now, timezone, 1);
+  const weekEnd = startOfLocalDay(now, timezone, 7);
+
+  const [pending, recentlyCompleted] = await Promise.all([
+    Task.find({ $and: [filters.pending, { dueDate: { $lt: weekEnd } }] }).sort({ dueDate: 1 }),
+    Task.find({ $and: [filters.completed, { completedAt: { $gte: new Date(now.getTime() - DAY_MS) } }] })
+      .sort({ completedAt: -1 })
+  ]);
+
+  const digest = {
+    timezone,
+    generatedAt: now,
+    overdue: pending.filter(task => task.dueDate < now),
+    dueToday: pending.filter(task => task.dueDate >= now && task.dueDate < tomorrow),
+    dueThisWeek: pending.filter(task => task.dueDate >= tomorrow),
+    recentlyCompleted
+  };
+
+  digest.empty = pending.length === 0 && recentlyCompleted.length === 0;
+  return digest;
+};
+
+/**
+ * Gather the statistics for a weekly summary of the seven local days before now
+ * @param {ObjectId} ownerId - User ID
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Counts, completion rate (% of tasks due in the period that are done) and completed tasks
+ */
+const collectWeeklySummary = async (ownerId, timezone, now) => {
+  const filters = await buildFilters(ownerId);
+  const from = startOfLocalDay(now, timezone, -7);
+  const nextWeek = new Date(now.getTime() + 7 * DAY_MS);
+
+  const [completedTasks, created, pending, overdue, dueNextWeek, dueInPeriod, doneInPeriod] = await Promise.all([
+    Task.find({ $and: [filters.completed, { completedAt: { $gte: from, $lte: now } }] }).sort({ completedAt: -1 }),
+    Task.countDocuments({ $and: [filters.all, { createdAt: { $gte: from, $lte: now } }] }),
+    Task.countDocuments(filters.pending),
+    Task.countDocuments({ $and: [filters.pending, { dueDate: { $lt: now } }] }),
+    Task.countDocuments({ $and: [filters.pending, { dueDate: { $gte: now, $lt: nextWeek } }] }),
+    Task.countDocuments({ $and: [filters.all, { dueDate: { $gte: from, $lte: now } }] }),
+    Task.countDocuments({ $and: [filters.completed, { dueDate: { $gte: from, $lte: now } }] })
+  ]);
+
+  const byPriority = Object.fromEntries(PRIORITIES.map(priority => [
+    priority,
+    completedTasks.filter(task => task.priority === priority).length
+  ]));
+
+  return {
+    timezone,
+    from,
+    to: now,
+    completed: completedTasks.length,
+    completedOnTime: completedTasks.filter(task => task.completedAt <= task.dueDate).length,
+    created,
+    pending,
+    overdue,
+    dueNextWeek,
+    completionRate: dueInPeriod > 0 ? Math.round((doneInPeriod / dueInPeriod) * 100) : null,
+    byPriority,
+    completedTasks: completedTasks.slice(0, SUMMARY_TASK_LIMIT),
+    empty: false
+  };
+};
+
+const collectors = {
+  morning_digest: collectMorningDigest,
+  weekly_summary: collectWeeklySummary
+};
+
+/**
+ * Render a digest for a user without sending it
+ * @param {string} type - 'morning_digest' | 'weekly_summary'
+ * @param {ObjectId} ownerId - User ID
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { subject, body, text, priority, empty }
+ */
+const renderDigest = async (type, ownerId, timezone, now = new Date()) => {
+  const [data, renderEmail] = await Promise.all([
+    collectors[type](ownerId, timezone, now),
+    templatesFor(ownerId, { timezone })
+  ]);
+  return { ...renderEmail(type, data), empty: data.empty };
+};
+
+/**
+ * Send a digest to a user and store it in the notification log
+ * A morning digest with nothing to report is skipped
+ * @param {string} type - 'morning_digest' | 'weekly_summary'
+ * @param {Object} user - User document; the email goes to user.email
+ * @param {Object} preferences - User's NotificationPreferences
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Saved Notification document, or null when skipped
+ */
+const sendDigest = async (type, user, preferences, now = new Date()) => {
+  const { empty, ...template } = await renderDigest(type, user._id, preferences.timezone, now);
+
+  if (empty) {
+    console.log(`📭 ${type} skipped for ${user.email} - nothing to report`);
+    return null;
+  }
+
+  const result = await sendMail({ to: user.email, ...template });
+  console.log(`📬 ${type} ${result.status} for ${user.email}`);
+
+  return Notification.create({ owner: user._id, type, to: user.email, ...template, ...result });
+};
+
+/**
+ * Send every digest whose nextSendAt has passed
+ * Each one is claimed by moving nextSendAt to the following occurrence in the
+ * same conditional update, so several server instances never send it twice.
+ * A digest missed while the server was down goes out once when it is back.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of digests processed
+ */
+const sendDueDigests = async (now = new Date()) => {
+  let processed = 0;
+
+  for (const type of DIGEST_TYPES) {
+    const field = DIGEST_FIELDS[type];
+    const due = await NotificationPreferences.find({ [`${field}.nextSendAt`]: { $lte: now } });
+
+    for (const preferences of due) {
+      const claimed = await NotificationPreferences.updateOne(
+        { _id: preferences._id, [`${field}.nextSendAt`]: preferences[field].nextSendAt },
+        { [`${field}.nextSendAt`]: preferences.nextDigestAt(type, now) }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const user = await User.findById(preferences.owner);
+
+      // Drop preferences left behind by deleted accounts
+      if (!user) {
+        await preferences.deleteOne();
+        continue;
+      }
+
+      await sendDigest(type, user, preferences, now);
+      processed++;
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  renderDigest,
+  sendDigest,
+  sendDueDigests
+};
@@ -0,0 +1,66 @@
+const { createTransport } = require('./transports');
+
+/**
+ * Mailer Service
+ * Delivers automation emails through the configured transport (see ./transports)
+ * Delivery errors are returned as a 'failed' result instead of being thrown
+ */
+
+// Sender address for every email
+const MAIL_FROM = process.env.MAIL_FROM || 'Task Manager <no-reply@taskmanager.local>';
+
+// Template priorities mapped to the X-Priority levels understood by mail clients
+const PRIORITY_HEADERS = { high: 'high', medium: 'normal', low: 'low' };
+
+let transport = null;
+
+/**
+ * Get the transport, creating it from the environment on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    console.log(`📮 Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. to point tests at a capture server
+ * @param {Object|null} nextTransport - Transport from createTransport, or null to re-read the environment
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Send an email as HTML with a plain-text alternative
+ * @param {Object} message - { to, subject, body (HTML), text, priority }
+ * @returns {Promise<Object>} - { status: 'sent' | 'failed', sentAt, deliveryTime, messageId, error }
+ */
+const sendMail = async ({ to, subject, body, text, priority }) => {
+  const startedAt = Date.now();
+  const result = () => ({ sentAt: new Date(), deliveryTime: `${Date.now() - startedAt}ms` });
+
+  try {
+    const { messageId } = await getTransport().send({
+      from: MAIL_FROM,
+      to,
+      subject,
+      html: body,
+      text: text || undefined,
+      priority: PRIORITY_HEADERS[priority] || 'normal'
+    });
+
+    return { status: 'sent', messageId, ...result() };
+  } catch (error) {
+    console.error(`❌ Email to ${to} failed:`, error.message);
+    return { status: 'failed', error: error.message, ...result() };
+  }
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,122 @@
+/**
+ * Notification Throttle
+ * Decides whether the automation may email a user about a task again
+ *
+ * Rules per notification type:
+ * - once: at most one email per task (and due date)
+ * - <n>m, <n>h, <n>d: at most one email per task every n minutes/hours/days
+ * - always: no limit
+ *
+ * Defaults can be overridden with NOTIFICATION_RULES, e.g. "overdue=12h,due_soon=once".
+ * Changing a task's due date starts its counts over.
+ *
+ * Custom reminders are not throttled: each one is sent once (see Task reminders).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const UNIT_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS };
+const UNIT_NAMES = { m: 'minute', h: 'hour', d: 'day' };
+
+const DEFAULT_RULES = {
+  overdue: '1d',
+  due_soon: 'once',
+  high_priority: '1d'
+};
+
+/**
+ * Turn a rule string into { maxPerTask, minIntervalMs, label }
+ * @param {string} value - once | always | <n>m | <n>h | <n>d
+ * @returns {Object|null} - Parsed rule, or null if the value is invalid
+ */
+const parseRule = (value) => {
+  const rule = String(value).trim().toLowerCase();
+
+  if (rule === 'once') return { maxPerTask: 1, minIntervalMs: 0, label: 'once per task' };
+  if (rule === 'always') return { maxPerTask: 0, minIntervalMs: 0, label: 'no limit' };
+
+  const match = /^(\d+)([mhd])$/.exec(rule);
+  if (!match || Number(match[1]) === 0) return null;
+
+  const amount = Number(match[1]);
+  const unit = UNIT_NAMES[match[2]];
+  return {
+    maxPerTask: 0,
+    minIntervalMs: amount * UNIT_MS[match[2]],
+    label: amount === 1 ? `at most once per ${unit}` : `at most once every ${amount} ${unit}s`
+  };
+};
+
+/**
+ * Read the rules from DEFAULT_RULES and NOTIFICATION_RULES
+ * Invalid entries are reported and ignored
+ * @param {string} override - "type=rule,type=rule" (defaults to NOTIFICATION_RULES)
+ * @returns {Object} - Parsed rule per notification type
+ */
+const loadRules = (override = process.env.NOTIFICATION_RULES || '') => {
+  const values = { ...DEFAULT_RULES };
+
+  for (const entry of override.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [type, value] = entry.split('=').map(part => part.trim());
+
+    if (!DEFAULT_RULES[type] || !parseRule(value)) {
+      console.warn(`⚠️  Ignoring invalid NOTIFICATION_RULES entry "${entry}"`);
+      continue;
+    }
+    values[type] = value;
+  }
+
+  return Object.fromEntries(Object.entries(values).map(([type, value]) => [type, parseRule(value)]));
+};
+
+const rules = loadRules();
+
+/**
+ * Whether a state still refers to the task's current due date
+ */
+const isCurrent = (state, task) => {
+  return !!state && !!state.dueDate && state.dueDate.getTime() === new Date(task.dueDate).getTime();
+};
+
+/**
+ * Why a notification must not be sent, if it must not
+ * @param {string} type - Notification type
+ * @param {Object} task - Task document
+ * @param {Object|undefined} state - NotificationState for the task and type
+ * @param {Date} now - Current time
+ * @returns {string|null} - Reason for suppressing it, or null to send
+ */
+const suppressionReason = (type, task, state, now = new Date()) => {
+  const rule = rules[type];
+  if (!rule || !isCurrent(state, task)) return null;
+
+  if (rule.maxPerTask && state.sentCount >= rule.maxPerTask) {
+    return `already sent (${rule.label})`;
+  }
+
+  if (rule.minIntervalMs && state.lastSentAt && now - state.lastSentAt < rule.minIntervalMs) {
+    return `sent recently (${rule.label})`;
+  }
+
+  return null;
+};
+
+/**
+ * Values to store after a notification was sent
+ * @param {Object} task - Task document
+ * @param {Object|undefined} state - Previous NotificationState
+ * @param {Date} now - Send time
+ * @returns {Object} - { dueDate, sentCount, lastSentAt }
+ */
+const nextState = (task, state, now = new Date()) => ({
+  dueDate: task.dueDate,
+  sentCount: isCurrent(state, task) ? state.sentCount + 1 : 1,
+  lastSentAt: now
+});
+
+module.exports = {
+  DEFAULT_RULES,
+  parseRule,
+  loadRules,
+  suppressionReason,
+  nextState
+};
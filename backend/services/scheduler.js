@@ -0,0 +1,133 @@
+/**
+ * Automation Scheduler
+ * Runs each user's task mail automation when their AutomationSchedule is due
+ *
+ * Every tick claims due schedules one at a time by moving nextRunAt forward in
+ * the same atomic update, so several server instances never run a user twice.
+ * Schedules are created the first time a user loads their automation status.
+ *
+ * Each tick also sends the task reminders and the queued digest and quiet-hours
+ * notifications of every user, paused schedules included (see taskAutomation.js), the
+ * morning digests and weekly summaries (see digests.js) that are due, sends
+ * task.overdue webhook events and retries failed webhook deliveries (see webhooks.js),
+ * fires the overdue and due soon automation rules (see automationRules.js), and
+ * purges tasks that have been in the trash too long (see trash.js).
+ */
+
+const AutomationSchedule = require('../models/AutomationSchedule');
+const User = require('../models/User');
+const { runAutomationForUser, sendDueReminders, sendQueuedNotifications } = require('./taskAutomation');
+const { sendDueDigests } = require('./digests');
+const { emitOverdueEvents, sendDueWebhookDeliveries } = require('./webhooks');
+const { runScheduledRules } = require('./automationRules');
+const { purgeExpiredTrash } = require('./trash');
+
+// Seconds between checks for due schedules
+const TICK_SECONDS = parseInt(process.env.AUTOMATION_TICK_SECONDS, 10) || 60;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Claim the next due schedule and move its nextRunAt one interval ahead
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Claimed schedule or null when none is due
+ */
+const claimDueSchedule = (now) => {
+  return AutomationSchedule.findOneAndUpdate(
+    { enabled: true, nextRunAt: { $lte: now } },
+    [{ $set: { nextRunAt: { $add: [now, { $multiply: ['$intervalMinutes', 60 * 1000] }] } } }],
+    { new: true, sort: { nextRunAt: 1 } }
+  );
+};
+
+/**
+ * Run every schedule that is due
+ * A failing run is logged and the other users' runs go ahead; its schedule
+ * was already moved forward, so it is tried again at the next interval.
+ * @returns {Promise<number>} - Number of runs started
+ */
+const runDueSchedules = async () => {
+  let runs = 0;
+  let schedule;
+
+  while ((schedule = await claimDueSchedule(new Date()))) {
+    try {
+      const user = await User.findById(schedule.owner);
+
+      // Drop schedules left behind by deleted accounts
+      if (!user) {
+        await schedule.deleteOne();
+        continue;
+      }
+
+      await runAutomationForUser(user, { trigger: 'schedule' });
+      runs++;
+    } catch (error) {
+      console.error(`❌ Scheduled automation for user ${schedule.owner} failed:`, error);
+    }
+  }
+
+  return runs;
+};
+
+// Work done on every tick, in order
+const TICK_STEPS = [
+  ['automation schedules', runDueSchedules],
+  ['reminders', sendDueReminders],
+  ['queued notifications', sendQueuedNotifications],
+  ['digests', sendDueDigests],
+  ['overdue webhook events', emitOverdueEvents],
+  ['scheduled rules', runScheduledRules],
+  ['webhook retries', sendDueWebhookDeliveries],
+  ['trash purge', purgeExpiredTrash]
+];
+
+/**
+ * One scheduler tick; skipped while the previous tick is still running
+ * Each step runs even if an earlier one fails, so one fault cannot hold up the rest.
+ */
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const [name, step] of TICK_STEPS) {
+      try {
+        await step();
+      } catch (error) {
+        console.error(`❌ Automation scheduler error (${name}):`, error);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start checking for due schedules
+ */
+const startScheduler = () => {
+  if (timer) return;
+
+  console.log(`🔧 Task mail automation scheduler started (checks every ${TICK_SECONDS}s)`);
+  timer = setInterval(tick, TICK_SECONDS * 1000);
+  tick();
+};
+
+/**
+ * Stop checking for due schedules
+ */
+const stopScheduler = () => {
+  if (!timer) return;
+
+  console.log('🛑 Stopping task mail automation scheduler...');
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runDueSchedules
+};
@@ -0,0 +1,453 @@
+/**
+ * Task Mail Automation Service
+ * Checks a user's pending tasks and emails them about the ones that need attention
+ *
+ * Checks:
+ * - Overdue tasks
+ * - Tasks due soon (within 24 hours)
+ * - High priority tasks that are neither overdue nor due soon (at most 3 per run)
+ *
+ * Every run is recorded as an AutomationRun and every email as a Notification.
+ * Repeat emails about the same task are held back by the throttle rules
+ * (see notificationThrottle.js) and counted in the run's suppressed summary.
+ * Tasks in archived projects are skipped unless the run is limited to that project.
+ *
+ * The user's NotificationPreferences decide which types are sent and how:
+ * - Turned off types are suppressed
+ * - Hourly and daily types are queued and sent as one digest email per period
+ * - During quiet hours everything is queued; instant notifications go out once they end
+ *
+ * Custom task reminders are sent by sendDueReminders on every scheduler tick,
+ * independently of the user's automation schedule, as 'reminder' notifications.
+ * The same preferences apply. Queued notifications are sent by
+ * sendQueuedNotifications on every tick too, so digests and notifications held
+ * by quiet hours go out even while a user's automation schedule is paused.
+ */
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const AutomationRun = require('../models/AutomationRun');
+const AutomationSchedule = require('../models/AutomationSchedule');
+const Notification = require('../models/Notification');
+const NotificationState = require('../models/NotificationState');
+const NotificationPreferences = require('../models/NotificationPreferences');
+const { buildTaskFilter } = require('../utils/taskQuery');
+const { templatesFor } = require('./templates');
+const { sendMail } = require('./mailer');
+const { suppressionReason, nextState } = require('./notificationThrottle');
+const { startOfLocalHour, lastTimeOfDay } = require('../utils/timezone');
+
+/**
+ * Email notification types
+ */
+const NotificationType = {
+  OVERDUE: 'overdue',
+  DUE_SOON: 'due_soon',
+  HIGH_PRIORITY: 'high_priority',
+  REMINDER: 'reminder'
+};
+
+const DUE_SOON_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Maximum high priority reminders per run, to avoid spam
+const HIGH_PRIORITY_LIMIT = 3;
+
+// How long a flush holds the queued notifications it is sending
+const QUEUE_CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Check for overdue tasks
+ */
+const checkOverdueTasks = (tasks, now) => {
+  return tasks.filter(task => task.dueDate < now);
+};
+
+/**
+ * Check for tasks due soon (within 24 hours)
+ */
+const checkDueSoonTasks = (tasks, now) => {
+  const windowEnd = new Date(now.getTime() + DUE_SOON_WINDOW_MS);
+  return tasks.filter(task => task.dueDate > now && task.dueDate <= windowEnd);
+};
+
+/**
+ * Check for high priority pending tasks
+ */
+const checkHighPriorityTasks = (tasks) => {
+  return tasks.filter(task => task.priority === 'High');
+};
+
+/**
+ * Render the email for a task notification
+ * @param {string} type - NotificationType value
+ * @param {Object} task - Task document
+ * @param {Object} context - { user, run, renderEmail, reminder }
+ *   - user: recipient (owner of the task)
+ *   - run: AutomationRun the email belongs to (null for reminders)
+ *   - renderEmail: the user's renderer from templatesFor
+ *   - reminder: the task reminder that fired, for REMINDER notifications
+ * @returns {Object} - Notification fields (owner, run, type, task, to, subject, body, text, priority)
+ */
+const buildNotification = (type, task, { user, run, renderEmail, reminder }) => {
+  const template = renderEmail(type, { task, reminder });
+
+  return {
+    owner: user._id,
+    run: run ? run._id : null,
+    type,
+    task: task._id,
+    taskTitle: task.title,
+    to: user.email,
+    subject: template.subject,
+    body: template.body,
+    text: template.text,
+    priority: template.priority
+  };
+};
+
+/**
+ * Email a task notification and store it in the notification log
+ * @param {string} type - NotificationType value
+ * @param {Object} task - Task document
+ * @param {Object} context - See buildNotification
+ * @returns {Promise<Object>} - Saved Notification document
+ */
+const notify = async (type, task, context) => {
+  const notification = buildNotification(type, task, context);
+  const result = await sendMail(notification);
+
+  return Notification.create({ ...notification, ...result });
+};
+
+/**
+ * Store a task notification to be sent later, in a digest or after quiet hours
+ * @param {string} delivery - 'instant' | 'hourly' | 'daily'
+ * @returns {Promise<Object>} - Saved Notification document with status 'queued'
+ */
+const enqueue = (type, task, context, delivery) => {
+  return Notification.create({ ...buildNotification(type, task, context), delivery, status: 'queued' });
+};
+
+/**
+ * Send the user's queued notifications that are due
+ * Each one is claimed before it is sent, like reminders and webhook deliveries,
+ * so the scheduler and a manual run flushing together never send it twice.
+ * - instant (held by quiet hours): each on its own
+ * - hourly: queued before the current local hour, as one digest
+ * - daily: queued before the last daily digest time, as one digest
+ * Call only outside quiet hours.
+ * @param {Object} user - User document
+ * @param {Object} preferences - NotificationPreferences document
+ * @param {Date} now - Current time
+ * @param {Function} renderEmail - The user's renderer from templatesFor
+ * @returns {Promise<Object>} - { sent, failed, digests }
+ */
+const flushQueue = async (user, preferences, now, renderEmail) => {
+  const { timezone, dailyDigestTime } = preferences;
+  const cutoffs = {
+    instant: now,
+    hourly: startOfLocalHour(now, timezone),
+    daily: lastTimeOfDay(now, dailyDigestTime, timezone)
+  };
+
+  const unclaimed = { status: 'queued', $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }] };
+  const queued = await Notification.find({ owner: user._id, ...unclaimed }).sort({ createdAt: 1 });
+
+  // Claim each due notification first, so a flush running at the same time skips it
+  const due = [];
+  for (const notification of queued.filter(n => n.createdAt < cutoffs[n.delivery])) {
+    const claimed = await Notification.findOneAndUpdate(
+      { _id: notification._id, ...unclaimed },
+      { $set: { claimedUntil: new Date(now.getTime() + QUEUE_CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (claimed) due.push(claimed);
+  }
+  const summary = { sent: 0, failed: 0, digests: 0 };
+
+  const count = (result, amount) => {
+    if (result.status === 'sent') {
+      summary.sent += amount;
+    } else {
+      summary.failed += amount;
+    }
+  };
+
+  // Held back by quiet hours
+  for (const notification of due.filter(n => n.delivery === 'instant')) {
+    const result = await sendMail(notification);
+    notification.set(result);
+    await notification.save();
+    count(result, 1);
+  }
+
+  // Digests; a failed digest is not retried, like any failed email
+  for (const period of ['hourly', 'daily']) {
+    const batch = due.filter(n => n.delivery === period);
+    if (batch.length === 0) continue;
+
+    const result = await sendMail({ to: user.email, ...renderEmail('notification_digest', { notifications: batch, period }) });
+    await Notification.updateMany({ _id: { $in: batch.map(n => n._id) } }, result);
+    count(result, batch.length);
+    if (result.status === 'sent') summary.digests++;
+  }
+
+  return summary;
+};
+
+/**
+ * Run the task mail checks for one user and record the run
+ * @param {Object} user - User document; emails go to user.email
+ * @param {Object} options - { trigger: 'schedule' | 'manual', project: project ID or 'none' to limit the run }
+ * @returns {Promise<Object>} - Finished AutomationRun document
+ */
+const runAutomationForUser = async (user, options = {}) => {
+  const { trigger = 'manual', project } = options;
+
+  const run = new AutomationRun({
+    owner: user._id,
+    trigger,
+    project: project && project !== 'none' ? project : null
+  });
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🤖 TASK MAIL AUTOMATION TRIGGERED');
+  console.log('👤 User:', user.email, `(${trigger})`);
+  console.log('⏰ Time:', run.startedAt.toLocaleString());
+
+  try {
+    const archivedProjectIds = await Project.find({ owner: user._id, archived: true }).distinct('_id');
+    const { filter, errors } = buildTaskFilter(user._id, { completed: 'false', project }, { archivedProjectIds });
+
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const tasks = await Task.find(filter).sort({ dueDate: 1 });
+    const preferences = await NotificationPreferences.forUser(user._id);
+    const now = new Date();
+    const quiet = preferences.isQuietAt(now);
+    const renderEmail = await templatesFor(user._id, { timezone: preferences.timezone });
+    console.log('📊 Total Tasks:', tasks.length);
+
+    const overdueTasks = checkOverdueTasks(tasks, now);
+    const dueSoonTasks = checkDueSoonTasks(tasks, now);
+    const highPriorityTasks = checkHighPriorityTasks(tasks)
+      .filter(task => !overdueTasks.includes(task) && !dueSoonTasks.includes(task));
+
+    console.log(`⚠️  Overdue Tasks: ${overdueTasks.length}`);
+    console.log(`⏰ Tasks Due Soon (24h): ${dueSoonTasks.length}`);
+    console.log(`🔴 High Priority Tasks: ${highPriorityTasks.length}`);
+
+    // What was already sent for these tasks, keyed by "taskId:type"
+    const states = await NotificationState.find({ owner: user._id, task: { $in: tasks.map(task => task._id) } });
+    const stateByKey = new Map(states.map(state => [`${state.task}:${state.type}`, state]));
+
+    // Suppressed notifications counted by "type|reason"
+    const suppressed = new Map();
+    const suppress = (type, reason) => {
+      const key = `${type}|${reason}`;
+      suppressed.set(key, { type, reason, count: (suppressed.get(key)?.count || 0) + 1 });
+    };
+
+    /**
+     * Drop the tasks the preferences or throttle rules hold back for a notification type
+     */
+    const allowed = (type, batch) => batch.filter(task => {
+      if (!preferences.types[type].enabled) {
+        suppress(type, 'turned off in preferences');
+        return false;
+      }
+
+      const reason = suppressionReason(type, task, stateByKey.get(`${task._id}:${type}`), now);
+      if (reason) suppress(type, reason);
+      return !reason;
+    });
+
+    const highPriorityAllowed = allowed(NotificationType.HIGH_PRIORITY, highPriorityTasks);
+    highPriorityAllowed.slice(HIGH_PRIORITY_LIMIT).forEach(() => {
+      suppress(NotificationType.HIGH_PRIORITY, `run limit (${HIGH_PRIORITY_LIMIT} per run)`);
+    });
+
+    const batches = [
+      [NotificationType.OVERDUE, allowed(NotificationType.OVERDUE, overdueTasks)],
+      [NotificationType.DUE_SOON, allowed(NotificationType.DUE_SOON, dueSoonTasks)],
+      [NotificationType.HIGH_PRIORITY, highPriorityAllowed.slice(0, HIGH_PRIORITY_LIMIT)]
+    ];
+
+    if (quiet) {
+      console.log('🌙 Quiet hours - notifications are queued');
+    }
+
+    const notifications = [];
+    for (const [type, batch] of batches) {
+      const { delivery } = preferences.types[type];
+
+      for (const task of batch) {
+        const notification = delivery === 'instant' && !quiet
+          ? await notify(type, task, { user, run, renderEmail })
+          : await enqueue(type, task, { user, run, renderEmail }, delivery);
+        notifications.push(notification);
+
+        // Failed deliveries are retried on the next run; queued ones count as sent
+        if (notification.status !== 'failed') {
+          await NotificationState.updateOne(
+            { task: task._id, type },
+            { owner: user._id, ...nextState(task, stateByKey.get(`${task._id}:${type}`), now) },
+            { upsert: true }
+          );
+        }
+      }
+    }
+
+    run.totalTasks = tasks.length;
+    run.overdueTasks = overdueTasks.length;
+    run.dueSoonTasks = dueSoonTasks.length;
+    run.highPriorityTasks = highPriorityTasks.length;
+    run.notificationsQueued = notifications.filter(n => n.status === 'queued').length;
+    run.notificationsSent = notifications.filter(n => n.status === 'sent').length;
+    run.notificationsFailed = notifications.filter(n => n.status === 'failed').length;
+
+    // Deliver queued notifications that are due, from this run or earlier ones
+    if (!quiet) {
+      const flushed = await flushQueue(user, preferences, now, renderEmail);
+      run.notificationsSent += flushed.sent;
+      run.notificationsFailed += flushed.failed;
+      run.digestsSent = flushed.digests;
+    }
+
+    run.suppressed = [...suppressed.values()];
+    run.notificationsSuppressed = run.suppressed.reduce((sum, entry) => sum + entry.count, 0);
+    run.status = 'success';
+
+    console.log(`📧 Total Notifications Sent: ${run.notificationsSent}`);
+    if (run.notificationsQueued > 0) {
+      console.log(`📥 Queued: ${run.notificationsQueued}`);
+    }
+    if (run.digestsSent > 0) {
+      console.log(`📬 Digests Sent: ${run.digestsSent}`);
+    }
+    if (run.notificationsFailed > 0) {
+      console.log(`❌ Failed Deliveries: ${run.notificationsFailed}`);
+    }
+    for (const { type, reason, count } of run.suppressed) {
+      console.log(`🔕 Suppressed ${type}: ${count} - ${reason}`);
+    }
+    console.log('✅ AUTOMATION COMPLETE');
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    console.error('❌ Error in task automation:', error);
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  run.finishedAt = new Date();
+  await run.save();
+  await AutomationSchedule.updateOne({ owner: user._id }, { lastRunAt: run.startedAt });
+
+  return run;
+};
+
+/**
+ * Send every task reminder whose time has come
+ * Each reminder is claimed by setting its sentAt in a conditional update, so
+ * several server instances never send it twice. Reminders on completed tasks
+ * do not fire; ones on tasks in archived projects, or turned off in the
+ * preferences, are marked sent without an email.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent or queued
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    completed: false,
+    deletedAt: null,
+    reminders: { $elemMatch: { sentAt: null, remindAt: { $lte: now } } }
+  }).sort({ owner: 1, dueDate: 1 });
+
+  const tasksByOwner = new Map();
+  for (const task of tasks) {
+    const key = String(task.owner);
+    tasksByOwner.set(key, [...(tasksByOwner.get(key) || []), task]);
+  }
+
+  let processed = 0;
+
+  for (const ownerTasks of tasksByOwner.values()) {
+    const ownerId = ownerTasks[0].owner;
+    const user = await User.findById(ownerId);
+    if (!user) continue;
+
+    const [preferences, archivedProjectIds] = await Promise.all([
+      NotificationPreferences.forUser(ownerId),
+      Project.find({ owner: ownerId, archived: true }).distinct('_id')
+    ]);
+    const renderEmail = await templatesFor(ownerId, { timezone: preferences.timezone });
+    const { enabled, delivery } = preferences.types[NotificationType.REMINDER];
+    const quiet = preferences.isQuietAt(now);
+
+    for (const task of ownerTasks) {
+      const archived = archivedProjectIds.some(id => task.project && id.equals(task.project));
+      const due = task.reminders.filter(reminder => !reminder.sentAt && reminder.remindAt <= now);
+
+      for (const reminder of due) {
+        const claimed = await Task.updateOne(
+          { _id: task._id, reminders: { $elemMatch: { _id: reminder._id, sentAt: null } } },
+          { $set: { 'reminders.$.sentAt': now } }
+        );
+        if (claimed.modifiedCount === 0 || archived || !enabled) continue;
+
+        const context = { user, run: null, renderEmail, reminder };
+        const notification = delivery === 'instant' && !quiet
+          ? await notify(NotificationType.REMINDER, task, context)
+          : await enqueue(NotificationType.REMINDER, task, context, delivery);
+
+        console.log(`🔔 Reminder for "${task.title}" ${notification.status} (${user.email})`);
+        processed++;
+      }
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Send the queued notifications that are due, for every user outside quiet hours
+ * Runs on every scheduler tick, whether or not the user's automation schedule is enabled
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of notifications sent
+ */
+const sendQueuedNotifications = async (now = new Date()) => {
+  const ownerIds = await Notification.distinct('owner', { status: 'queued' });
+  let sent = 0;
+
+  for (const ownerId of ownerIds) {
+    // One user's broken template or preferences must not hold up everyone else's queue
+    try {
+      const user = await User.findById(ownerId);
+      if (!user) continue;
+
+      const preferences = await NotificationPreferences.forUser(ownerId);
+      if (preferences.isQuietAt(now)) continue;
+
+      const renderEmail = await templatesFor(ownerId, { timezone: preferences.timezone });
+      const flushed = await flushQueue(user, preferences, now, renderEmail);
+      if (flushed.sent + flushed.failed === 0) continue;
+
+      console.log(`📬 Queued notifications for ${user.email}: ${flushed.sent} sent, ${flushed.failed} failed, ${flushed.digests} digests`);
+      sent += flushed.sent;
+    } catch (error) {
+      console.error(`❌ Could not send queued notifications for user ${ownerId}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  NotificationType,
+  runAutomationForUser,
+  sendDueReminders,
+  sendQueuedNotifications
+};
@@ -0,0 +1,121 @@
+const Task = require('../models/Task');
+const TaskActivity = require('../models/TaskActivity');
+const { versionOf, diffVersions } = require('../utils/taskHistory');
+const { scheduleReminders } = require('../utils/reminders');
+
+/**
+ * Task History Service
+ * Records who changed a task and how, and puts earlier versions back
+ *
+ * The task routes record creates, updates (including checklist changes), toggles,
+ * moves to and from the trash, and restores; automation rules record the changes and follow-up
+ * tasks they make; renaming or deleting a tag or project records the change on each of its
+ * tasks (updateTasksWithHistory). Updates that change nothing are not recorded.
+ */
+
+/**
+ * Actor for changes made by a user
+ * @param {Object} user - User document (req.user)
+ */
+const userActor = (user) => ({ kind: 'user', user: user._id, name: user.name });
+
+/**
+ * Actor for changes made by an automation rule
+ * @param {Object} rule - AutomationRule document
+ */
+const ruleActor = (rule) => ({ kind: 'rule', user: null, rule: rule._id, name: rule.name });
+
+/**
+ * Add an entry to a task's history
+ * Never throws, so a logging problem cannot fail the change itself
+ * @param {string} action - One of ACTIVITY_ACTIONS (see models/TaskActivity.js)
+ * @param {Object} task - Task after the change
+ * @param {Object} options - { actor, before, restoredFrom }
+ *   - before: version from versionOf taken before the change, to record what changed
+ *   - restoredFrom: entry a restore went back to
+ * @returns {Promise<Object|null>} - Saved TaskActivity, or null when nothing changed
+ */
+const recordActivity = async (action, task, { actor, before = null, restoredFrom = null } = {}) => {
+  try {
+    const version = versionOf(task);
+    const changes = before ? diffVersions(before, version) : [];
+    if (before && changes.length === 0) return null;
+
+    return await TaskActivity.create({
+      owner: task.owner,
+      task: task._id,
+      taskTitle: task.title,
+      action,
+      actor,
+      changes,
+      version,
+      restoredFrom
+    });
+  } catch (error) {
+    console.error(`❌ Could not record task ${action} in its history:`, error);
+    return null;
+  }
+};
+
+/**
+ * Update every matching task at once and record the change in each task's history
+ * Used for changes that reach many tasks, such as renaming a tag; bumps each task's version.
+ * @param {Object} filter - Task filter; kept on the update so positional operators work
+ * @param {Object} update - MongoDB update
+ * @param {Object} actor - From userActor or ruleActor
+ * @returns {Promise<number>} - Number of tasks changed
+ */
+const updateTasksWithHistory = async (filter, update, actor) => {
+  const before = await Task.find(filter);
+  if (before.length === 0) return 0;
+
+  const ids = before.map(task => task._id);
+  const { modifiedCount } = await Task.updateMany(
+    { ...filter, _id: { $in: ids } },
+    { ...update, $inc: { version: 1 } }
+  );
+
+  const after = await Task.find({ _id: { $in: ids } });
+  const beforeById = new Map(before.map(task => [task._id.toString(), versionOf(task)]));
+  await Promise.all(after.map(task => (
+    recordActivity('updated', task, { actor, before: beforeById.get(task._id.toString()) })
+  )));
+
+  return modifiedCount;
+};
+
+/**
+ * Put a recorded version's fields back on a task
+ * Also writes PUT and PATCH documents, which have the same shape (see utils/taskDocument.js).
+ * Reminders that already fired stay sent unless their time changes.
+ * @param {Object} task - Task document, changed in place (not saved)
+ * @param {Object} version - Version from a TaskActivity, or a task document
+ * @param {Object} options - { projectExists: false to leave the task without a project }
+ * @returns {Object} - The task
+ */
+const applyVersion = (task, version, { projectExists = true } = {}) => {
+  task.title = version.title;
+  task.description = version.description;
+  task.priority = version.priority;
+  task.dueDate = version.dueDate;
+  task.completed = version.completed;
+  task.tags = version.tags;
+  task.project = projectExists ? version.project : null;
+  task.recurrence = version.recurrence
+    ? { ...version.recurrence, occurrence: task.recurrence ? task.recurrence.occurrence : 1 }
+    : null;
+  task.reminders = scheduleReminders(version.reminders, version.dueDate, task.reminders);
+  task.subtasks = version.subtasks;
+  task.autoCompleteOnSubtasks = version.autoCompleteOnSubtasks;
+  task.requireSubtasksComplete = version.requireSubtasksComplete;
+
+  return task;
+};
+
+module.exports = {
+  userActor,
+  ruleActor,
+  recordActivity,
+  updateTasksWithHistory,
+  applyVersion
+};
@@ -0,0 +1,277 @@
+/**
+ * Default Email Templates
+ * Built-in subject, HTML and plain-text template of every email, in the
+ * syntax of ./engine.js. Users can override any part (see models/EmailTemplate.js);
+ * the values each template can use are listed in ./index.js.
+ */
+
+// Shared description line of the task templates
+const DESCRIPTION = '{{#task.description}}{{task.description}}{{/task.description}}{{^task.description}}No description provided{{/task.description}}';
+
+/**
+ * Task notification in the common layout
+ * @param {Object} theme - { icon, heading, color, background, titleColor, textColor, footer, details }
+ */
+const taskHtml = ({ icon, heading, color, background, titleColor, textColor, footer, details }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${color}; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">${icon} ${heading}</h2>
+        </div>
+        <div style="background: ${background}; padding: 20px; border-left: 4px solid ${color};">
+          <h3 style="color: ${titleColor}; margin-top: 0;">{{task.title}}</h3>
+          <p style="color: ${textColor};">${DESCRIPTION}</p>
+          <div style="margin-top: 15px;">${details}
+          </div>
+        </div>
+        <div style="background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px;">
+          <p style="color: #6b7280; margin: 0;">${footer}</p>
+        </div>
+      </div>
+    `;
+
+const detail = (label, value) => `
+            <p style="margin: 5px 0;"><strong>${label}:</strong> ${value}</p>`;
+
+const taskText = (heading, lines, footer) => `${heading}
+
+{{task.title}}
+${DESCRIPTION}
+
+${lines.join('\n')}
+
+${footer}
+`;
+
+const DEFAULT_TEMPLATES = {
+  overdue: {
+    subject: '⚠️ OVERDUE: {{task.title}}',
+    html: taskHtml({
+      icon: '⚠️',
+      heading: 'Task Overdue',
+      color: '#dc2626',
+      background: '#fee2e2',
+      titleColor: '#991b1b',
+      textColor: '#7f1d1d',
+      footer: 'Please complete this task as soon as possible.',
+      details: [
+        detail('Priority', '<span style="color: {{task.priorityColor}}">{{task.priority}}</span>'),
+        detail('Due Date', '{{task.dueDate}}'),
+        detail('Overdue By', '{{task.overdueBy}}')
+      ].join('')
+    }),
+    text: taskText('⚠️ Task Overdue', [
+      'Priority: {{task.priority}}',
+      'Due Date: {{task.dueDate}}',
+      'Overdue By: {{task.overdueBy}}'
+    ], 'Please complete this task as soon as possible.')
+  },
+
+  due_soon: {
+    subject: '⏰ Due Soon: {{task.title}}',
+    html: taskHtml({
+      icon: '⏰',
+      heading: 'Task Due Soon',
+      color: '#f59e0b',
+      background: '#fef3c7',
+      titleColor: '#92400e',
+      textColor: '#78350f',
+      footer: 'This task is due within the next 24 hours.',
+      details: [
+        detail('Priority', '<span style="color: {{task.priorityColor}}">{{task.priority}}</span>'),
+        detail('Due Date', '{{task.dueDate}}'),
+        detail('Time Remaining', '{{task.timeRemaining}}')
+      ].join('')
+    }),
+    text: taskText('⏰ Task Due Soon', [
+      'Priority: {{task.priority}}',
+      'Due Date: {{task.dueDate}}',
+      'Time Remaining: {{task.timeRemaining}}'
+    ], 'This task is due within the next 24 hours.')
+  },
+
+  high_priority: {
+    subject: '🔴 High Priority Task: {{task.title}}',
+    html: taskHtml({
+      icon: '🔴',
+      heading: 'High Priority Task',
+      color: '#dc2626',
+      background: '#fef2f2',
+      titleColor: '#991b1b',
+      textColor: '#7f1d1d',
+      footer: 'This is a high priority task that requires your attention.',
+      details: [
+        detail('Priority', '<span style="color: #dc2626">High</span>'),
+        detail('Due Date', '{{task.dueDate}}'),
+        detail('Status', 'Pending')
+      ].join('')
+    }),
+    text: taskText('🔴 High Priority Task', [
+      'Priority: High',
+      'Due Date: {{task.dueDate}}',
+      'Status: Pending'
+    ], 'This is a high priority task that requires your attention.')
+  },
+
+  reminder: {
+    subject: '📋 Task Reminder: {{task.title}}',
+    html: taskHtml({
+      icon: '📋',
+      heading: 'Task Reminder',
+      color: '#3b82f6',
+      background: '#dbeafe',
+      titleColor: '#1e40af',
+      textColor: '#1e3a8a',
+      footer: 'Reminder: Don\'t forget to complete this task.',
+      details: [
+        detail('Priority', '{{task.priority}}'),
+        detail('Due Date', '{{task.dueDate}}'),
+        '{{#reminder}}' + detail('Reminder', '{{reminder.label}}') + '{{/reminder}}',
+        detail('Status', 'Pending')
+      ].join('')
+    }),
+    text: taskText('📋 Task Reminder', [
+      'Priority: {{task.priority}}',
+      'Due Date: {{task.dueDate}}',
+      '{{#reminder}}Reminder: {{reminder.label}}\n{{/reminder}}Status: Pending'
+    ], 'Reminder: Don\'t forget to complete this task.')
+  },
+
+  rule_email: {
+    subject: '🧩 {{rule.name}}: {{task.title}}',
+    html: taskHtml({
+      icon: '🧩',
+      heading: '{{rule.name}}',
+      color: '#7c3aed',
+      background: '#ede9fe',
+      titleColor: '#5b21b6',
+      textColor: '#4c1d95',
+      footer: 'Sent by an automation rule of {{sender}}.',
+      details: [
+        '{{#message}}' + detail('Message', '{{message}}') + '{{/message}}',
+        detail('Priority', '<span style="color: {{task.priorityColor}}">{{task.priority}}</span>'),
+        detail('Due Date', '{{task.dueDate}}'),
+        detail('Status', '{{task.status}}')
+      ].join('')
+    }),
+    text: taskText('🧩 {{rule.name}}', [
+      '{{#message}}Message: {{message}}\n{{/message}}Priority: {{task.priority}}',
+      'Due Date: {{task.dueDate}}',
+      'Status: {{task.status}}'
+    ], 'Sent by an automation rule of {{sender}}.')
+  },
+
+  notification_digest: {
+    subject: '📬 {{title}}: {{countLabel}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #4f46e5; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">📬 Your {{title}}</h2>
+        </div>
+        <div style="background: #eef2ff; padding: 20px; border-left: 4px solid #4f46e5;">
+          <p style="color: #312e81; margin-top: 0;">{{countLabel}} collected since your last digest:</p>
+          <table style="width: 100%; border-collapse: collapse; background: white;">{{#items}}
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: {{color}}; white-space: nowrap;">{{label}}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">{{taskTitle}}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #6b7280; white-space: nowrap;">{{createdAt}}</td>
+            </tr>{{/items}}
+          </table>
+        </div>
+        <div style="background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px;">
+          <p style="color: #6b7280; margin: 0;">Change how often you get these emails in your notification settings.</p>
+        </div>
+      </div>
+    `,
+    text: `📬 Your {{title}}
+
+{{countLabel}} collected since your last digest:
+{{#items}}
+- {{label}}: {{taskTitle}} ({{createdAt}}){{/items}}
+
+Change how often you get these emails in your notification settings.
+`
+  },
+
+  morning_digest: {
+    subject: '🌅 Your day: {{overdueCount}} overdue, {{dueTodayCount}} due today',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #f97316; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">🌅 Good Morning</h2>
+          <p style="margin: 5px 0 0;">{{date}}</p>
+        </div>
+        <div style="background: #fff7ed; padding: 20px;">
+          <p style="color: #7c2d12; margin-top: 0;">{{openLabel}} this week.</p>{{#sections}}
+          <div style="padding: 16px 20px; border-left: 4px solid {{color}}; background: white; margin-bottom: 12px;">
+            <h3 style="color: {{color}}; margin: 0 0 10px;">{{title}} ({{count}})</h3>
+            <ul style="margin: 0; padding-left: 20px;">{{#tasks}}
+              <li style="margin: 0 0 8px;"><strong>{{title}}</strong><span style="color: #6b7280;"> - {{detail}}</span></li>{{/tasks}}
+            </ul>
+          </div>{{/sections}}
+        </div>
+        <div style="background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px;">
+          <p style="color: #6b7280; margin: 0;">Change the time of this digest in your notification settings.</p>
+        </div>
+      </div>
+    `,
+    text: `🌅 Good Morning - {{date}}
+
+{{openLabel}} this week.
+{{#sections}}
+{{title}} ({{count}})
+{{#tasks}}- {{title}} - {{detail}}
+{{/tasks}}{{/sections}}
+Change the time of this digest in your notification settings.
+`
+  },
+
+  weekly_summary: {
+    subject: '📊 Weekly summary: {{completedLabel}} completed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #7c3aed; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">📊 Your Week in Tasks</h2>
+          <p style="margin: 5px 0 0;">{{period}}</p>
+        </div>
+        <div style="background: #f5f3ff; padding: 20px;">
+          <table style="width: 100%; border-collapse: separate; border-spacing: 8px;">{{#statRows}}
+            <tr>{{#.}}
+              <td style="padding: 12px; text-align: center; background: white;">
+                <div style="font-size: 24px; font-weight: bold; color: {{color}};">{{value}}</div>
+                <div style="font-size: 12px; color: #6b7280;">{{label}}</div>
+              </td>{{/.}}
+            </tr>{{/statRows}}
+          </table>
+          <p style="color: #4c1d95;">
+            <strong>Completed by priority:</strong>
+            🔴 High {{byPriority.High}} • 🟡 Medium {{byPriority.Medium}} • 🔵 Low {{byPriority.Low}}
+          </p>
+          <p style="color: #4c1d95;"><strong>Due in the next 7 days:</strong> {{dueNextWeek}}</p>{{#hasCompletedTasks}}
+          <div style="padding: 16px 20px; border-left: 4px solid #16a34a; background: white;">
+            <h3 style="color: #16a34a; margin: 0 0 10px;">✅ Completed This Week ({{completed}})</h3>
+            <ul style="margin: 0; padding-left: 20px;">{{#completedTasks}}
+              <li style="margin: 0 0 8px;"><strong>{{title}}</strong><span style="color: #6b7280;"> - {{detail}}</span></li>{{/completedTasks}}
+            </ul>
+          </div>{{/hasCompletedTasks}}
+        </div>
+        <div style="background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px;">
+          <p style="color: #6b7280; margin: 0;">Change the day and time of this summary in your notification settings.</p>
+        </div>
+      </div>
+    `,
+    text: `📊 Your Week in Tasks ({{period}})
+
+{{#statRows}}{{#.}}{{label}}: {{value}}
+{{/.}}{{/statRows}}
+Completed by priority: High {{byPriority.High}}, Medium {{byPriority.Medium}}, Low {{byPriority.Low}}
+Due in the next 7 days: {{dueNextWeek}}
+{{#hasCompletedTasks}}
+Completed this week:
+{{#completedTasks}}- {{title}} - {{detail}}
+{{/completedTasks}}{{/hasCompletedTasks}}
+Change the day and time of this summary in your notification settings.
+`
+  }
+};
+
+module.exports = DEFAULT_TEMPLATES;
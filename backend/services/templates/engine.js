@@ -0,0 +1,169 @@
+/**
+ * Template Engine
+ * Minimal Mustache-style templates for notification emails
+ *
+ * Syntax:
+ * - {{name}} / {{task.title}} - value, HTML-escaped when rendering HTML
+ * - {{#name}}...{{/name}}     - repeat for each item of a list, or render once if the value is truthy
+ * - {{^name}}...{{/name}}     - render if the value is falsy or an empty list
+ * - {{.}}                     - the current list item
+ *
+ * There is deliberately no unescaped output: values always come from user
+ * data (task titles, descriptions), so they can never inject markup.
+ */
+
+const TAG = /{{\s*([#^/]?)\s*([\w.]+|\.)\s*}}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Error in a template's syntax
+ */
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Escape a value for HTML text and attribute values
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Make sure a piece of literal text contains no stray or malformed tags
+ */
+const checkText = (text) => {
+  if (text.includes('{{') || text.includes('}}')) {
+    const snippet = text.slice(Math.max(text.indexOf('{{'), 0)).split('}}')[0].slice(0, 30);
+    throw new TemplateError(`Unrecognised tag near "${snippet}"`);
+  }
+};
+
+/**
+ * Parse a template into a tree of text, value and section nodes
+ * @param {string} source - Template source
+ * @returns {Array} - Nodes
+ * @throws {TemplateError} - On malformed tags or unbalanced sections
+ */
+const parse = (source) => {
+  if (source.includes('{{{')) {
+    throw new TemplateError('Unescaped output ({{{ }}}) is not supported');
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+
+    const text = source.slice(last, match.index);
+    checkText(text);
+    if (text) current.children.push({ type: 'text', text });
+    last = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new TemplateError(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', name });
+    }
+  }
+
+  const rest = source.slice(last);
+  checkText(rest);
+  if (rest) stack[stack.length - 1].children.push({ type: 'text', text: rest });
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Section {{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  return root.children;
+};
+
+/**
+ * Look a name up in the context stack, innermost first
+ */
+const lookup = (stack, name) => {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [first, ...path] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === 'object' && first in scope) {
+      return path.reduce((value, key) => (value == null ? undefined : value[key]), scope[first]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, stack, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.text;
+
+  const value = lookup(stack, node.name);
+
+  if (node.type === 'value') {
+    return value == null ? '' : escape(value);
+  }
+
+  if (node.inverted) {
+    return isEmpty(value) ? renderNodes(node.children, stack, escape) : '';
+  }
+  if (isEmpty(value)) return '';
+
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => renderNodes(node.children, [...stack, item], escape)).join('');
+}).join('');
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} view - Values available to the template
+ * @param {Object} options - { html: true to escape values for HTML (default), false for plain text }
+ * @returns {string}
+ * @throws {TemplateError} - If the template is malformed
+ */
+const render = (source, view, { html = true } = {}) => {
+  return renderNodes(parse(source), [view], html ? escapeHtml : String);
+};
+
+/**
+ * Check a template's syntax
+ * @param {string} source - Template source
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+const validate = (source) => {
+  try {
+    parse(source);
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateError) return error.message;
+    throw error;
+  }
+};
+
+module.exports = {
+  TemplateError,
+  escapeHtml,
+  render,
+  validate
+};
@@ -0,0 +1,341 @@
+/**
+ * Email Template Service
+ * Renders every email the automation sends from a subject, HTML and
+ * plain-text template (see ./defaults.js and ./engine.js)
+ *
+ * Each template key turns its data into a view of plain values first, so
+ * templates only ever see formatted, escaped-on-output strings.
+ * A user's overrides (models/EmailTemplate.js) replace the default part by part.
+ *
+ * Keys and their data:
+ * - overdue, due_soon, high_priority: { task }
+ * - reminder: { task, reminder } - the task reminder that fired
+ * - rule_email: { task, rule, message, sender } - sent by an automation rule (see services/automationRules.js)
+ * - notification_digest: { notifications, period: 'hourly' | 'daily' }
+ * - morning_digest: see services/digests.js collectMorningDigest
+ * - weekly_summary: see services/digests.js collectWeeklySummary
+ */
+
+const EmailTemplate = require('../../models/EmailTemplate');
+const DEFAULT_TEMPLATES = require('./defaults');
+const { render } = require('./engine');
+const { describeReminder } = require('../../utils/reminders');
+
+const TEMPLATE_PARTS = ['subject', 'html', 'text'];
+
+// Label and colour of each notification type in digest emails
+const TYPE_LABELS = {
+  overdue: { label: '⚠️ Overdue', color: '#dc2626' },
+  due_soon: { label: '⏰ Due Soon', color: '#f59e0b' },
+  high_priority: { label: '🔴 High Priority', color: '#dc2626' },
+  reminder: { label: '📋 Reminder', color: '#3b82f6' }
+};
+
+const PRIORITY_ORDER = ['low', 'medium', 'high'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+/**
+ * Calculate overdue duration in human-readable format
+ */
+const getOverdueDuration = (dueDate, now = new Date()) => {
+  const diffMs = now - new Date(dueDate);
+  const days = Math.floor(diffMs / DAY_MS);
+  const hours = Math.floor((diffMs % DAY_MS) / HOUR_MS);
+
+  return days > 0 ? `${plural(days, 'day')}, ${plural(hours, 'hour')}` : plural(hours, 'hour');
+};
+
+/**
+ * Calculate time remaining in human-readable format
+ */
+const getTimeRemaining = (dueDate, now = new Date()) => {
+  const diffMs = new Date(dueDate) - now;
+  const hours = Math.floor(diffMs / HOUR_MS);
+  const minutes = Math.floor((diffMs % HOUR_MS) / (60 * 1000));
+
+  return hours > 0 ? `${plural(hours, 'hour')}, ${plural(minutes, 'minute')}` : plural(minutes, 'minute');
+};
+
+/**
+ * Format a date in the recipient's timezone (the server's when unknown)
+ */
+const formatDate = (date, timezone, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+  return new Date(date).toLocaleString('en-US', { timeZone: timezone, ...options });
+};
+
+/**
+ * Plain values of a task for the task templates
+ */
+const taskView = (task, timezone) => ({
+  title: task.title,
+  description: task.description || '',
+  priority: task.priority,
+  priorityColor: task.priority === 'High' ? '#dc2626' : '#f59e0b',
+  dueDate: formatDate(task.dueDate, timezone),
+  overdueBy: getOverdueDuration(task.dueDate),
+  timeRemaining: getTimeRemaining(task.dueDate)
+});
+
+const taskTemplate = (priority) => ({
+  view: ({ task }, timezone) => ({ task: taskView(task, timezone) }),
+  priority: () => priority
+});
+
+/**
+ * How each template key builds its view and email priority
+ */
+const TEMPLATE_DEFINITIONS = {
+  overdue: {
+    description: 'A task is past its due date',
+    ...taskTemplate('high')
+  },
+
+  due_soon: {
+    description: 'A task is due within 24 hours',
+    ...taskTemplate('medium')
+  },
+
+  high_priority: {
+    description: 'A pending high priority task',
+    ...taskTemplate('high')
+  },
+
+  reminder: {
+    description: 'A reminder set on a task',
+    view: ({ task, reminder }, timezone) => ({
+      task: taskView(task, timezone),
+      reminder: reminder ? { label: describeReminder(reminder, timezone) } : null
+    }),
+    priority: () => 'low'
+  },
+
+  rule_email: {
+    description: 'Email sent by an automation rule',
+    view: ({ task, rule, message, sender }, timezone) => ({
+      task: {
+        ...taskView(task, timezone),
+        status: task.completed ? 'Completed' : (new Date(task.dueDate) < new Date() ? 'Overdue' : 'Pending')
+      },
+      rule: { name: rule.name },
+      message: message || '',
+      sender
+    }),
+    priority: ({ task }) => (task.priority === 'High' ? 'high' : 'medium')
+  },
+
+  notification_digest: {
+    description: 'Hourly or daily digest of queued notifications',
+    view: ({ notifications, period }, timezone) => ({
+      title: period === 'hourly' ? 'Hourly Digest' : 'Daily Digest',
+      countLabel: plural(notifications.length, 'notification'),
+      items: notifications.map(notification => ({
+        ...TYPE_LABELS[notification.type],
+        taskTitle: notification.taskTitle,
+        createdAt: formatDate(notification.createdAt, timezone)
+      }))
+    }),
+    priority: ({ notifications }) => notifications.reduce((highest, notification) => (
+      PRIORITY_ORDER.indexOf(notification.priority) > PRIORITY_ORDER.indexOf(highest) ? notification.priority : highest
+    ), 'low')
+  },
+
+  morning_digest: {
+    description: 'Morning digest of overdue, due today, due this week and recently completed tasks',
+    view: (digest, timezone) => {
+      const due = task => `due ${formatDate(task.dueDate, timezone)} • ${task.priority}`;
+      const section = (title, color, tasks, detail) => ({
+        title,
+        color,
+        count: tasks.length,
+        tasks: tasks.map(task => ({ title: task.title, detail: detail(task) }))
+      });
+      const open = digest.overdue.length + digest.dueToday.length + digest.dueThisWeek.length;
+
+      return {
+        date: formatDate(digest.generatedAt, timezone, { dateStyle: 'full' }),
+        openLabel: `${plural(open, 'open task')} need${open === 1 ? 's' : ''} your attention`,
+        overdueCount: digest.overdue.length,
+        dueTodayCount: digest.dueToday.length,
+        sections: [
+          section('⚠️ Overdue', '#dc2626', digest.overdue, task => `${getOverdueDuration(task.dueDate)} overdue • ${task.priority}`),
+          section('📅 Due Today', '#f59e0b', digest.dueToday, due),
+          section('🗓️ Due This Week', '#3b82f6', digest.dueThisWeek, due),
+          section('✅ Recently Completed', '#16a34a', digest.recentlyCompleted, task => `completed ${formatDate(task.completedAt, timezone)}`)
+        ].filter(({ count }) => count > 0)
+      };
+    },
+    priority: (digest) => (digest.overdue.length > 0 ? 'high' : 'medium')
+  },
+
+  weekly_summary: {
+    description: 'Weekly completion statistics',
+    view: (summary, timezone) => ({
+      period: `${formatDate(summary.from, timezone, { dateStyle: 'medium' })} - ${formatDate(summary.to, timezone, { dateStyle: 'medium' })}`,
+      completed: summary.completed,
+      completedLabel: plural(summary.completed, 'task'),
+      statRows: [
+        [
+          { value: summary.completed, label: 'Completed', color: '#16a34a' },
+          { value: summary.created, label: 'Created', color: '#3b82f6' },
+          { value: summary.completionRate === null ? '—' : `${summary.completionRate}%`, label: 'Due tasks done', color: '#7c3aed' }
+        ],
+        [
+          { value: summary.completedOnTime, label: 'On time', color: '#16a34a' },
+          { value: summary.pending, label: 'Still open', color: '#6b7280' },
+          { value: summary.overdue, label: 'Overdue', color: '#dc2626' }
+        ]
+      ],
+      byPriority: summary.byPriority,
+      dueNextWeek: summary.dueNextWeek,
+      hasCompletedTasks: summary.completedTasks.length > 0,
+      completedTasks: summary.completedTasks.map(task => ({
+        title: task.title,
+        detail: `completed ${formatDate(task.completedAt, timezone)}`
+      }))
+    }),
+    priority: () => 'low'
+  }
+};
+
+const TEMPLATE_KEYS = Object.keys(TEMPLATE_DEFINITIONS);
+
+/**
+ * Data to preview a template with: a sample task, or digests built from sample tasks
+ * @param {string} key - Template key
+ * @param {Date} now - Current time
+ * @returns {Object} - Data for the key
+ */
+const sampleData = (key, now = new Date()) => {
+  const at = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+  const task = {
+    title: 'Prepare the quarterly report',
+    description: 'Collect the figures from finance and draft the summary for the team meeting.',
+    priority: 'High',
+    dueDate: key === 'overdue' ? at(-26) : at(5)
+  };
+  const tasks = [
+    { ...task, dueDate: at(-26) },
+    { title: 'Book travel for the conference', priority: 'Medium', dueDate: at(4) },
+    { title: 'Review pull requests', priority: 'Low', dueDate: at(50) }
+  ];
+  const completed = [{ title: 'Send the invoice', priority: 'Medium', dueDate: at(-30), completedAt: at(-32) }];
+
+  switch (key) {
+    case 'notification_digest':
+      return {
+        period: 'daily',
+        notifications: [
+          { type: 'overdue', taskTitle: tasks[0].title, priority: 'high', createdAt: at(-3) },
+          { type: 'due_soon', taskTitle: tasks[1].title, priority: 'medium', createdAt: at(-1) }
+        ]
+      };
+    case 'morning_digest':
+      return {
+        generatedAt: now,
+        overdue: [tasks[0]],
+        dueToday: [tasks[1]],
+        dueThisWeek: [tasks[2]],
+        recentlyCompleted: completed
+      };
+    case 'weekly_summary':
+      return {
+        from: at(-7 * 24),
+        to: now,
+        completed: 1,
+        completedOnTime: 1,
+        created: 4,
+        pending: 3,
+        overdue: 1,
+        dueNextWeek: 2,
+        completionRate: 50,
+        byPriority: { High: 0, Medium: 1, Low: 0 },
+        completedTasks: completed
+      };
+    case 'reminder':
+      return { task, reminder: { kind: 'relative', amount: 5, unit: 'hours' } };
+    case 'rule_email':
+      return {
+        task: { ...task, dueDate: at(-26) },
+        rule: { name: 'Escalate overdue high priority tasks' },
+        message: 'This one is slipping, can you take a look?',
+        sender: 'Alex Example'
+      };
+    default:
+      return { task };
+  }
+};
+
+/**
+ * Render one email from a template
+ * @param {string} key - Template key
+ * @param {Object} template - { subject, html, text } sources
+ * @param {Object} data - Data for the key
+ * @param {string} timezone - Timezone dates are shown in
+ * @returns {Object} - { subject, body (HTML), text, priority }
+ * @throws {TemplateError} - If a template is malformed
+ */
+const renderTemplate = (key, template, data, timezone) => {
+  const definition = TEMPLATE_DEFINITIONS[key];
+  const view = definition.view(data, timezone);
+
+  return {
+    // Subjects are a single header line
+    subject: render(template.subject, view, { html: false }).replace(/\s+/g, ' ').trim(),
+    body: render(template.html, view),
+    text: render(template.text, view, { html: false }),
+    priority: definition.priority(data)
+  };
+};
+
+/**
+ * Default template with a user's overrides applied
+ * @param {string} key - Template key
+ * @param {Object|null} override - EmailTemplate document
+ * @returns {Object} - { subject, html, text }
+ */
+const resolveTemplate = (key, override) => {
+  return Object.fromEntries(TEMPLATE_PARTS.map(part => [
+    part,
+    override && override[part] ? override[part] : DEFAULT_TEMPLATES[key][part]
+  ]));
+};
+
+/**
+ * Load a user's template overrides and return a renderer for their emails
+ * An override that fails to render falls back to the default template
+ * @param {ObjectId} ownerId - User ID
+ * @param {Object} options - { timezone } - timezone dates are shown in
+ * @returns {Promise<Function>} - (key, data) => { subject, body, text, priority }
+ */
+const templatesFor = async (ownerId, { timezone } = {}) => {
+  const overrides = await EmailTemplate.find({ owner: ownerId });
+  const byKey = new Map(overrides.map(override => [override.key, override]));
+
+  return (key, data) => {
+    const override = byKey.get(key);
+
+    if (override) {
+      try {
+        return renderTemplate(key, resolveTemplate(key, override), data, timezone);
+      } catch (error) {
+        console.error(`⚠️  Template override "${key}" failed, using the default:`, error.message);
+      }
+    }
+    return renderTemplate(key, DEFAULT_TEMPLATES[key], data, timezone);
+  };
+};
+
+module.exports = {
+  TEMPLATE_KEYS,
+  TEMPLATE_PARTS,
+  TEMPLATE_DEFINITIONS,
+  DEFAULT_TEMPLATES,
+  sampleData,
+  renderTemplate,
+  resolveTemplate,
+  templatesFor
+};
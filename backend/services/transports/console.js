@@ -0,0 +1,25 @@
+/**
+ * Console Transport
+ * Logs each message instead of delivering it (the default)
+ */
+
+/**
+ * Create a console transport
+ * @returns {Object} - { name, send }
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  send: async (message) => {
+    console.log('📧 Email Sent:', {
+      to: message.to,
+      subject: message.subject,
+      priority: message.priority,
+      timestamp: new Date().toLocaleString()
+    });
+
+    return { messageId: null };
+  }
+});
+
+module.exports = createConsoleTransport;
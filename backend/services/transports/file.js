@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * File Transport
+ * Writes each message as an RFC 822 file into a maildir (tmp/, new/, cur/),
+ * so it can be opened with any mail client or inspected in tests
+ */
+
+let sequence = 0;
+
+/**
+ * Unique maildir file name: time.pid_sequence.host
+ */
+const uniqueName = () => `${Date.now()}.${process.pid}_${++sequence}.${os.hostname()}`;
+
+/**
+ * Store a raw message in a maildir
+ * Written to tmp/ first and then moved to new/ so readers never see partial files
+ * @param {string} dir - Maildir root
+ * @param {Buffer|string} raw - Complete message source
+ * @returns {Promise<string>} - Path of the delivered file
+ */
+const writeMaildirMessage = async (dir, raw) => {
+  await Promise.all(['tmp', 'new', 'cur'].map(sub => fs.mkdir(path.join(dir, sub), { recursive: true })));
+
+  const name = uniqueName();
+  const tmpPath = path.join(dir, 'tmp', name);
+  const newPath = path.join(dir, 'new', name);
+
+  await fs.writeFile(tmpPath, raw);
+  await fs.rename(tmpPath, newPath);
+
+  return newPath;
+};
+
+/**
+ * Create a file transport
+ * @param {Object} options - { dir } - maildir root
+ * @returns {Object} - { name, send }
+ */
+const createFileTransport = ({ dir }) => {
+  // Only builds the MIME message; nothing is sent over the network
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    send: async (message) => {
+      const info = await builder.sendMail(message);
+      const file = await writeMaildirMessage(dir, info.message);
+
+      console.log(`📧 Email written to ${file}`);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createFileTransport;
+module.exports.writeMaildirMessage = writeMaildirMessage;
@@ -0,0 +1,55 @@
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createSmtpTransport = require('./smtp');
+const createFileTransport = require('./file');
+
+/**
+ * Mail Transports
+ * Picks how emails are delivered from MAIL_TRANSPORT:
+ * - console: log messages only (default)
+ * - smtp: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS
+ * - file: write a maildir under MAIL_DIR (default backend/mail)
+ */
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+/**
+ * Read transport options from the environment
+ * @returns {Object} - Options for every transport
+ */
+const optionsFromEnv = () => {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    dir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail')
+  };
+};
+
+/**
+ * Create a mail transport
+ * @param {string} name - console | smtp | file
+ * @param {Object} options - Transport options (defaults to the environment)
+ * @returns {Object} - { name, send(message) } - send resolves to { messageId } or rejects
+ */
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console', options = optionsFromEnv()) => {
+  const factory = TRANSPORTS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createTransport
+};
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Transport
+ * Delivers messages through an SMTP server (see scripts/smtpCapture.js for a local one)
+ */
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} - { name, send }
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+
+      // The server accepted the message but refused the recipient
+      if (info.rejected && info.rejected.length > 0) {
+        throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+      }
+
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
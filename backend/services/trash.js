@@ -0,0 +1,75 @@
+const Task = require('../models/Task');
+const TaskActivity = require('../models/TaskActivity');
+const NotificationState = require('../models/NotificationState');
+
+/**
+ * Trash Service
+ * Deleting a task moves it to the trash by setting Task.deletedAt. Trashed tasks
+ * can be restored until they are purged: by the user, or by the scheduler once
+ * they have been in the trash for TRASH_RETENTION_DAYS.
+ *
+ * Purging removes the task for good, together with its history and the
+ * notification throttling state kept for it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a task stays in the trash before it is purged
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Tasks purged per scheduler tick, so a large backlog is spread over several ticks
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * When a trashed task will be purged
+ * @param {Object} task - Task with deletedAt set
+ * @returns {Date}
+ */
+const purgeDateFor = (task) => new Date(new Date(task.deletedAt).getTime() + RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently delete trashed tasks and everything kept for them
+ * Tasks that are not in the trash are never matched.
+ * @param {Object} filter - Task filter, e.g. { owner } or { _id, owner }
+ * @param {Object} options - { limit } - purge at most this many tasks
+ * @returns {Promise<number>} - Number of tasks purged
+ */
+const purgeTasks = async (filter, { limit = 0 } = {}) => {
+  const tasks = await Task.find({ $and: [filter, { deletedAt: { $ne: null } }] })
+    .select('_id')
+    .limit(limit)
+    .lean();
+  if (tasks.length === 0) return 0;
+
+  const ids = tasks.map(task => task._id);
+
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  await Promise.all([
+    TaskActivity.deleteMany({ task: { $in: ids } }),
+    NotificationState.deleteMany({ task: { $in: ids } })
+  ]);
+
+  return deletedCount;
+};
+
+/**
+ * Purge tasks that have been in the trash longer than TRASH_RETENTION_DAYS
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of tasks purged
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const purged = await purgeTasks({ deletedAt: { $lte: cutoff } }, { limit: PURGE_BATCH_SIZE });
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} task${purged !== 1 ? 's' : ''} from the trash`);
+  }
+  return purged;
+};
+
+module.exports = {
+  purgeTasks,
+  purgeExpiredTrash,
+  purgeDateFor,
+  RETENTION_DAYS
+};
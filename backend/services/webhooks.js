@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { publicUrlError } = require('../utils/network');
+
+/**
+ * Webhook Service
+ * Delivers task lifecycle events to the URLs users register (see models/Webhook.js)
+ *
+ * Every event becomes one WebhookDelivery per subscribed webhook. The first
+ * attempt is made right away; failed attempts are retried by the scheduler with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached. Attempts are claimed
+ * by moving nextAttemptAt ahead in an atomic update, so several server instances
+ * never send the same attempt twice.
+ *
+ * Requests are JSON POSTs of { id, event, createdAt, data: { task } } with these headers:
+ * - X-Webhook-Event: event name, e.g. task.created
+ * - X-Webhook-Delivery: delivery ID (a replay gets a new one; id in the body stays the same)
+ * - X-Webhook-Timestamp: Unix time in seconds when the request was signed
+ * - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+ */
+
+// Attempts per delivery, including the first
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+
+// Delay before the first retry; doubles after every failed attempt, up to an hour
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+
+// How long to wait for a response
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// A claimed attempt that never finished (e.g. the server stopped) is retried after this
+const CLAIM_LEASE_MS = TIMEOUT_MS + 60 * 1000;
+
+// Retries sent per scheduler tick, so a slow receiver cannot hold up the tick for long
+const MAX_RETRIES_PER_TICK = 50;
+
+
+// Tolerated age of a signature when verifying one
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} payload - Exact request body
+ * @returns {string} - X-Webhook-Signature value
+ */
+const signPayload = (secret, timestamp, payload) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Check a request's signature, as a receiver would
+ * @param {string} secret - Webhook secret
+ * @param {Object} request - { payload, timestamp, signature } from the body and headers
+ * @param {Object} options - { now, toleranceSeconds }
+ * @returns {boolean}
+ */
+const verifySignature = (secret, { payload, timestamp, signature }, options = {}) => {
+  const { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = options;
+
+  const seconds = Number(timestamp);
+  if (!signature || !Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, seconds, payload));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+const retryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS) * 1000;
+};
+
+/**
+ * Claim a pending delivery that is due, moving nextAttemptAt past the attempt
+ * @param {Object} filter - Extra conditions, e.g. { _id }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Claimed delivery or null
+ */
+const claimDelivery = (filter, now) => {
+  return WebhookDelivery.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * POST a delivery to its webhook
+ * The URL is checked again first, since its host may now resolve to a private address.
+ * Only the status code of the response is kept, never its body.
+ * @param {Object} webhook - Webhook including its secret
+ * @param {Object} delivery - Claimed delivery
+ * @returns {Promise<Object>} - Attempt record with ok: true on a 2xx response
+ */
+const post = async (webhook, delivery) => {
+  const at = new Date();
+  const timestamp = Math.floor(at.getTime() / 1000);
+
+  const refused = await publicUrlError(webhook.url);
+  if (refused) {
+    return { ok: false, at, error: refused, durationMs: 0 };
+  }
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TaskManager-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    await response.body?.cancel();
+
+    return {
+      ok: response.ok,
+      at,
+      statusCode: response.status,
+      durationMs: Date.now() - at.getTime()
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      at,
+      error: error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms` : (error.cause?.message || error.message),
+      durationMs: Date.now() - at.getTime()
+    };
+  }
+};
+
+/**
+ * Make one attempt for a claimed delivery and record the result
+ * @param {Object} delivery - Delivery claimed with claimDelivery
+ * @returns {Promise<Object>} - Updated delivery
+ */
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  let attempt;
+  if (!webhook || !webhook.active) {
+    attempt = { ok: false, at: new Date(), error: webhook ? 'Webhook is paused' : 'Webhook was deleted' };
+  } else {
+    attempt = await post(webhook, delivery);
+  }
+
+  const { ok, ...record } = attempt;
+  const attempts = delivery.attempts.length + 1;
+  const gaveUp = !ok && (!webhook || !webhook.active || attempts >= MAX_ATTEMPTS);
+
+  let result;
+  if (ok) {
+    result = { status: 'succeeded', deliveredAt: record.at, nextAttemptAt: null };
+    console.log(`🔗 Webhook ${delivery.event} delivered to ${webhook.url} (${record.statusCode})`);
+  } else if (gaveUp) {
+    result = { status: 'failed', nextAttemptAt: null };
+    console.error(`❌ Webhook ${delivery.event} to ${delivery.url} failed after ${attempts} attempt(s): ${record.error || record.statusCode}`);
+  } else {
+    const delay = retryDelay(attempts);
+    result = { nextAttemptAt: new Date(record.at.getTime() + delay) };
+    console.warn(`⚠️  Webhook ${delivery.event} to ${webhook.url} failed (${record.error || record.statusCode}), retrying in ${delay / 1000}s`);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    {
+      $push: { attempts: record },
+      $set: { ...result, ...(webhook && { url: webhook.url }) }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Make the next attempt for one delivery, if it is pending and due
+ * @param {ObjectId} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - Updated delivery, or null when it was not due
+ */
+const attemptDelivery = async (deliveryId) => {
+  const delivery = await claimDelivery({ _id: deliveryId }, new Date());
+  return delivery ? deliver(delivery) : null;
+};
+
+/**
+ * Create deliveries for an event and make their first attempt in the background
+ * @param {Array<Object>} webhooks - Subscribed webhooks
+ * @param {Object} fields - Delivery fields shared by every webhook
+ * @returns {Promise<Array<Object>>} - Created deliveries
+ */
+const createDeliveries = async (webhooks, fields) => {
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    ...fields,
+    owner: webhook.owner,
+    webhook: webhook._id,
+    url: webhook.url,
+    nextAttemptAt: new Date()
+  })));
+
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery._id).catch(error => {
+      console.error('❌ Webhook delivery error:', error);
+    });
+  });
+
+  return deliveries;
+};
+
+/**
+ * Send a task event to the owner's webhooks subscribed to it
+ * Never throws, so a webhook problem cannot fail the request that caused the event
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} task - Task document (for task.deleted, the deleted task)
+ * @returns {Promise<Array<Object>>} - Created deliveries
+ */
+const emitTaskEvent = async (event, task) => {
+  try {
+    const webhooks = await Webhook.find({ owner: task.owner, active: true, events: event });
+    if (webhooks.length === 0) return [];
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: { task: typeof task.toJSON === 'function' ? task.toJSON() : task }
+    });
+
+    return await createDeliveries(webhooks, { event, eventId, task: task._id, taskTitle: task.title, payload });
+  } catch (error) {
+    console.error(`❌ Could not send ${event} webhooks:`, error);
+    return [];
+  }
+};
+
+/**
+ * Send a delivery's event again as a new delivery to the same webhook
+ * @param {Object} delivery - Delivery to replay
+ * @returns {Promise<Object>} - New delivery after its first attempt
+ */
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    owner: delivery.owner,
+    webhook: delivery.webhook,
+    url: delivery.url,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    task: delivery.task,
+    taskTitle: delivery.taskTitle,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    nextAttemptAt: new Date()
+  });
+
+  return (await attemptDelivery(replay._id)) || replay;
+};
+
+/**
+ * Retry failed deliveries whose backoff has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Attempts made
+ */
+const sendDueWebhookDeliveries = async (now = new Date()) => {
+  let sent = 0;
+  let delivery;
+
+  while (sent < MAX_RETRIES_PER_TICK && (delivery = await claimDelivery({}, now))) {
+    await deliver(delivery);
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Send task.overdue once per task and due date, for owners with a webhook subscribed to it
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Overdue events sent
+ */
+const emitOverdueEvents = async (now = new Date()) => {
+  const owners = await Webhook.distinct('owner', { active: true, events: 'task.overdue' });
+  if (owners.length === 0) return 0;
+
+  const tasks = await Task.find({
+    owner: { $in: owners },
+    completed: false,
+    deletedAt: null,
+    dueDate: { $lt: now },
+    $expr: { $ne: ['$overdueEventFor', '$dueDate'] }
+  }).sort({ dueDate: 1 });
+
+  let sent = 0;
+  for (const task of tasks) {
+    // Claim the event so another instance does not send it too
+    const { modifiedCount } = await Task.updateOne(
+      { _id: task._id, overdueEventFor: task.overdueEventFor, dueDate: task.dueDate },
+      { $set: { overdueEventFor: task.dueDate } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await emitTaskEvent('task.overdue', task);
+    sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  emitTaskEvent,
+  emitOverdueEvents,
+  sendDueWebhookDeliveries,
+  attemptDelivery,
+  replayDelivery,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  MAX_ATTEMPTS
+};
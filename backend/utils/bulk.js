@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { normalizeTagName } = require('../models/Tag');
+
+/**
+ * Bulk Task Operations Utility
+ * Validates POST /api/tasks/bulk request bodies: { ids, operation, value }
+ *
+ * Operations and their value:
+ * - complete / reopen / delete: no value
+ * - priority: Low, Medium or High
+ * - shift_due: whole number of days to move the due date by, e.g. 7 or -1
+ * - add_tag: tag name
+ */
+
+const BULK_OPERATIONS = ['complete', 'reopen', 'priority', 'shift_due', 'add_tag', 'delete'];
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+// Tasks per request
+const MAX_BULK_IDS = 100;
+
+// Furthest a due date can be shifted in one request
+const MAX_SHIFT_DAYS = 365;
+
+/**
+ * Validate a bulk request body
+ * @param {Object} body - Express req.body
+ * @returns {Object} - { ids, operation, value, errors } - ids are de-duplicated
+ *   in request order; value is normalized for the operation
+ */
+const parseBulkRequest = (body = {}) => {
+  const { operation } = body;
+  const errors = [];
+  let ids = [];
+  let value = null;
+
+  if (!Array.isArray(body.ids) || body.ids.length === 0) {
+    errors.push('ids must be a non-empty array of task IDs');
+  } else {
+    ids = [...new Set(body.ids.map(String))];
+    if (ids.length > MAX_BULK_IDS) {
+      errors.push(`A bulk request cannot include more than ${MAX_BULK_IDS} tasks`);
+    }
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      errors.push(`Invalid task IDs: ${invalid.join(', ')}`);
+    }
+  }
+
+  switch (operation) {
+    case 'complete':
+    case 'reopen':
+    case 'delete':
+      break;
+    case 'priority':
+      if (!PRIORITIES.includes(body.value)) {
+        errors.push('value must be Low, Medium, or High');
+      } else {
+        value = body.value;
+      }
+      break;
+    case 'shift_due':
+      if (!Number.isInteger(body.value) || body.value === 0 || Math.abs(body.value) > MAX_SHIFT_DAYS) {
+        errors.push(`value must be a whole number of days between -${MAX_SHIFT_DAYS} and ${MAX_SHIFT_DAYS}, other than 0`);
+      } else {
+        value = body.value;
+      }
+      break;
+    case 'add_tag':
+      value = normalizeTagName(body.value);
+      if (!value || value.length > 30 || value.includes(',')) {
+        errors.push('value must be a tag name of at most 30 characters without commas');
+      }
+      break;
+    default:
+      errors.push(`operation must be one of: ${BULK_OPERATIONS.join(', ')}`);
+  }
+
+  return { ids, operation, value, errors };
+};
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_IDS,
+  MAX_SHIFT_DAYS,
+  parseBulkRequest
+};
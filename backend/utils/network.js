@@ -0,0 +1,86 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Network Utility
+ * Keeps server-side requests to user-supplied URLs (webhooks) away from the
+ * server's own network: loopback, private, link-local and unique-local
+ * addresses are refused unless WEBHOOK_ALLOW_PRIVATE_URLS=true, which is meant
+ * for local development with scripts/webhookEcho.js.
+ */
+
+// Addresses a user-supplied URL may not reach; BlockList checks IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether private network targets are allowed (local development only)
+ */
+const privateTargetsAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Whether an IP address is loopback, private, link-local, unique-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Why a URL may not be requested by the server
+ * Resolves the host name and checks every address it resolves to.
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Promise<string|null>} - Reason, or null when the URL may be requested
+ */
+const publicUrlError = async (url) => {
+  if (privateTargetsAllowed()) return null;
+
+  let hostname;
+  try {
+    // IPv6 literals keep their brackets in URL.hostname
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Host ${hostname} could not be resolved`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'URL must point to a public address, not a local or private network';
+  }
+  return null;
+};
+
+module.exports = {
+  isPrivateAddress,
+  publicUrlError
+};
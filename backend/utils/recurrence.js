@@ -0,0 +1,127 @@
+/**
+ * Recurrence Utility
+ * Computes the occurrences of a recurring task (RRULE-style rules)
+ * Mirrored by frontend/src/utils/recurrence.js for the TaskForm preview
+ *
+ * Rule shape:
+ * - frequency: daily | weekly | monthly
+ * - interval: repeat every N days/weeks/months (default 1)
+ * - weekdays: weekly only, 0 (Sunday) - 6 (Saturday); defaults to the due date's weekday
+ * - monthDay: monthly only, 1-31; clamped to the last day of shorter months.
+ *   Tasks save it from the first due date (see models/Task.js); without it the
+ *   day of the given due date is used
+ * - endDate: last allowed due date (inclusive)
+ * - count: total number of occurrences in the series
+ *
+ * Dates are handled in UTC so the time of day of the due date is preserved.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days since 1970-01-01 (UTC)
+ */
+const epochDay = (date) => Math.floor(date.getTime() / DAY_MS);
+
+/**
+ * Index of the Sunday-based week containing a date (1970-01-01 was a Thursday)
+ */
+const weekIndex = (date) => Math.floor((epochDay(date) + 4) / 7);
+
+/**
+ * Number of days in a month (UTC)
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Due date of the occurrence after the given one, ignoring end conditions
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} from - Due date of the current occurrence
+ * @returns {Date} - Next due date
+ */
+const stepOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [from.getUTCDay()];
+      const startWeek = weekIndex(from);
+      let candidate = new Date(from.getTime() + DAY_MS);
+
+      // A matching day always exists within the next interval + 1 weeks
+      for (let i = 0; i < 7 * (interval + 1); i++) {
+        const weeksApart = weekIndex(candidate) - startWeek;
+        if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+        candidate = new Date(candidate.getTime() + DAY_MS);
+      }
+      return candidate;
+    }
+
+    case 'monthly': {
+      const monthDay = rule.monthDay || from.getUTCDate();
+      const next = new Date(from);
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      next.setUTCDate(Math.min(monthDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+      return next;
+    }
+
+    default: // daily
+      return new Date(from.getTime() + interval * DAY_MS);
+  }
+};
+
+/**
+ * Whether an occurrence is still inside the rule's end conditions
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} dueDate - Occurrence due date
+ * @param {number} occurrence - 1-based position in the series
+ */
+const withinEnd = (rule, dueDate, occurrence) => {
+  if (rule.count && occurrence > rule.count) return false;
+  if (rule.endDate && dueDate > new Date(rule.endDate)) return false;
+  return true;
+};
+
+/**
+ * Due date of the next occurrence in a series
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} dueDate - Due date of the current occurrence
+ * @param {number} occurrence - 1-based position of the current occurrence
+ * @returns {Date|null} - Next due date, or null once the series has ended
+ */
+const nextOccurrence = (rule, dueDate, occurrence = 1) => {
+  if (!rule || !rule.frequency) return null;
+
+  const next = stepOccurrence(rule, new Date(dueDate));
+  return withinEnd(rule, next, occurrence + 1) ? next : null;
+};
+
+/**
+ * First occurrences of a series, starting with the given due date
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} dueDate - Due date of the first listed occurrence
+ * @param {number} limit - Maximum number of dates
+ * @param {number} occurrence - 1-based position of dueDate in the series
+ * @returns {Array<Date>}
+ */
+const listOccurrences = (rule, dueDate, limit = 5, occurrence = 1) => {
+  const dates = [];
+  let current = new Date(dueDate);
+  let position = occurrence;
+
+  while (current && dates.length < limit && withinEnd(rule, current, position)) {
+    dates.push(current);
+    current = nextOccurrence(rule, current, position);
+    position++;
+  }
+
+  return dates;
+};
+
+module.exports = {
+  nextOccurrence,
+  listOccurrences
+};
@@ -0,0 +1,153 @@
+/**
+ * Reminder Utility
+ * Works out when a task's custom reminders fire
+ * Mirrored by frontend/src/utils/reminders.js for the TaskForm editor and the TaskItem bell
+ *
+ * Reminder shape:
+ * - kind: relative | absolute
+ * - amount, unit: relative only - fire this long before the due date (unit: minutes, hours, days, weeks)
+ * - at: absolute only - fire at this time
+ * - remindAt: when the reminder fires (computed)
+ * - sentAt: when it fired; null while pending
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const UNIT_MS = {
+  minutes: MINUTE_MS,
+  hours: 60 * MINUTE_MS,
+  days: 24 * 60 * MINUTE_MS,
+  weeks: 7 * 24 * 60 * MINUTE_MS
+};
+
+const REMINDER_KINDS = ['relative', 'absolute'];
+const REMINDER_UNITS = Object.keys(UNIT_MS);
+
+// Maximum number of reminders on a single task
+const MAX_REMINDERS = 10;
+
+// Largest amount of a relative reminder ("999 weeks before")
+const MAX_AMOUNT = 999;
+
+/**
+ * When a reminder fires
+ * @param {Object} reminder - Reminder definition
+ * @param {Date|string} dueDate - Due date of the task
+ * @returns {Date}
+ */
+const reminderTime = (reminder, dueDate) => {
+  if (reminder.kind === 'absolute') return new Date(reminder.at);
+  return new Date(new Date(dueDate).getTime() - reminder.amount * UNIT_MS[reminder.unit]);
+};
+
+/**
+ * Identity of a reminder's definition, used to recognise it across updates
+ */
+const reminderKey = (reminder) => (reminder.kind === 'absolute'
+  ? `absolute:${new Date(reminder.at).getTime()}`
+  : `relative:${reminder.amount}:${reminder.unit}`);
+
+/**
+ * Human-readable description, e.g. "2 hours before due"
+ * @param {Object} reminder - Reminder definition
+ * @param {string} timezone - Timezone absolute times are shown in (the server's when unknown)
+ * @returns {string}
+ */
+const describeReminder = (reminder, timezone) => {
+  if (reminder.kind === 'absolute') {
+    return `at ${new Date(reminder.at).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' })}`;
+  }
+
+  const unit = reminder.amount === 1 ? reminder.unit.slice(0, -1) : reminder.unit;
+  return `${reminder.amount} ${unit} before due`;
+};
+
+/**
+ * Check the reminders from a request body
+ * Duplicates are dropped; computed fields in the input are ignored
+ * @param {*} input - reminders value from req.body
+ * @returns {Object} - { reminders: [{ kind, amount, unit } | { kind, at }], errors }
+ */
+const parseReminders = (input) => {
+  const errors = [];
+
+  if (input === null) return { reminders: [], errors };
+  if (!Array.isArray(input)) return { reminders: [], errors: ['reminders must be an array'] };
+
+  const byKey = new Map();
+  input.forEach((item, index) => {
+    const label = `Reminder ${index + 1}`;
+
+    if (!item || !REMINDER_KINDS.includes(item.kind)) {
+      errors.push(`${label}: kind must be relative or absolute`);
+      return;
+    }
+
+    if (item.kind === 'absolute') {
+      const at = new Date(item.at);
+      if (!item.at || Number.isNaN(at.getTime())) {
+        errors.push(`${label}: at must be a valid date`);
+        return;
+      }
+      const reminder = { kind: 'absolute', at };
+      byKey.set(reminderKey(reminder), reminder);
+      return;
+    }
+
+    const amount = Number(item.amount);
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT) {
+      errors.push(`${label}: amount must be a whole number between 1 and ${MAX_AMOUNT}`);
+    } else if (!REMINDER_UNITS.includes(item.unit)) {
+      errors.push(`${label}: unit must be one of ${REMINDER_UNITS.join(', ')}`);
+    } else {
+      const reminder = { kind: 'relative', amount, unit: item.unit };
+      byKey.set(reminderKey(reminder), reminder);
+    }
+  });
+
+  if (byKey.size > MAX_REMINDERS) {
+    errors.push(`A task cannot have more than ${MAX_REMINDERS} reminders`);
+  }
+
+  return { reminders: [...byKey.values()], errors };
+};
+
+/**
+ * Compute when each reminder fires
+ * A reminder that already fired stays sent as long as its time is unchanged;
+ * moving the due date (or the reminder) makes it pending again.
+ * @param {Array<Object>} reminders - Reminder definitions
+ * @param {Date|string} dueDate - Due date of the task
+ * @param {Array<Object>} previous - The task's current reminders
+ * @returns {Array<Object>} - Reminders with remindAt and sentAt
+ */
+const scheduleReminders = (reminders, dueDate, previous = []) => {
+  const previousByKey = new Map(previous.map(reminder => [reminderKey(reminder), reminder]));
+
+  return reminders.map(reminder => {
+    const remindAt = reminderTime(reminder, dueDate);
+    const before = previousByKey.get(reminderKey(reminder));
+    const unchanged = before && before.remindAt && new Date(before.remindAt).getTime() === remindAt.getTime();
+
+    return {
+      ...(before && before._id ? { _id: before._id } : {}),
+      kind: reminder.kind,
+      ...(reminder.kind === 'absolute'
+        ? { at: reminder.at }
+        : { amount: reminder.amount, unit: reminder.unit }),
+      remindAt,
+      sentAt: unchanged ? before.sentAt || null : null
+    };
+  });
+};
+
+module.exports = {
+  REMINDER_KINDS,
+  REMINDER_UNITS,
+  MAX_REMINDERS,
+  MAX_AMOUNT,
+  reminderTime,
+  describeReminder,
+  parseReminders,
+  scheduleReminders
+};
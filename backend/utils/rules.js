@@ -0,0 +1,272 @@
+/**
+ * Automation Rule Utility
+ * What "when ... if ... then ..." rules can say, and how their conditions match a task
+ * Rules are run by services/automationRules.js; the rule editor in the
+ * frontend (services/rules.js) offers the same choices.
+ *
+ * Rule shape:
+ * - trigger: when the rule runs (RULE_TRIGGERS)
+ * - conditions: [{ field, operator, value }] - all must match (none: every task)
+ * - actions: [{ type, ... }] - applied in order
+ *
+ * Condition values are strings: a priority, a tag name, a piece of text, or a
+ * project ID ("none" for tasks without a project).
+ *
+ * Actions:
+ * - set_priority: { value } - Low, Medium or High
+ * - raise_priority: one step up (Low -> Medium -> High)
+ * - add_tag, remove_tag: { value } - tag name
+ * - move_to_project: { value } - project ID, or "none"
+ * - send_email: { message } - email the task to the rule's owner, at most one per rule;
+ *   to, if given, must be the owner's own address (checked by routes/rules.js)
+ * - create_task: { title, dueInDays, priority } - a follow-up task; the title may use
+ *   {{task.title}}, priority defaults to the task's
+ */
+
+const { validate } = require('../services/templates/engine');
+
+// Sent from the task routes as they happen
+const EVENT_TRIGGERS = ['task.created', 'task.updated', 'task.completed'];
+
+// Checked by the scheduler, once per task and due date
+const SCHEDULED_TRIGGERS = ['task.overdue', 'task.due_soon'];
+
+const RULE_TRIGGERS = [...EVENT_TRIGGERS, ...SCHEDULED_TRIGGERS];
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+// Operators allowed for each condition field
+const CONDITION_OPERATORS = {
+  priority: ['is', 'is_not'],
+  tags: ['includes', 'excludes'],
+  title: ['contains', 'not_contains'],
+  description: ['contains', 'not_contains'],
+  project: ['is', 'is_not']
+};
+
+const ACTION_TYPES = [
+  'set_priority',
+  'raise_priority',
+  'add_tag',
+  'remove_tag',
+  'move_to_project',
+  'send_email',
+  'create_task'
+];
+
+// Limits per rule
+const MAX_CONDITIONS = 10;
+const MAX_ACTIONS = 10;
+const MAX_DUE_IN_DAYS = 365;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check one condition
+ * @returns {Object} - { condition, error }
+ */
+const parseCondition = (item, label) => {
+  if (!item || typeof item !== 'object') return { error: `${label} must be an object` };
+
+  const { field, operator } = item;
+  const value = typeof item.value === 'string' ? item.value.trim() : item.value;
+
+  if (!CONDITION_OPERATORS[field]) {
+    return { error: `${label}: field must be one of ${Object.keys(CONDITION_OPERATORS).join(', ')}` };
+  }
+  if (!CONDITION_OPERATORS[field].includes(operator)) {
+    return { error: `${label}: operator for ${field} must be one of ${CONDITION_OPERATORS[field].join(', ')}` };
+  }
+  if (!isNonEmptyString(value)) {
+    return { error: `${label}: value is required` };
+  }
+  if (field === 'priority' && !PRIORITIES.includes(value)) {
+    return { error: `${label}: priority must be ${PRIORITIES.join(', ')}` };
+  }
+
+  return { condition: { field, operator, value: field === 'tags' ? value.toLowerCase() : value } };
+};
+
+/**
+ * Check one action
+ * @returns {Object} - { action, error }
+ */
+const parseAction = (item, label) => {
+  if (!item || typeof item !== 'object') return { error: `${label} must be an object` };
+
+  const { type } = item;
+  const value = typeof item.value === 'string' ? item.value.trim() : item.value;
+
+  switch (type) {
+    case 'set_priority':
+      if (!PRIORITIES.includes(value)) return { error: `${label}: priority must be ${PRIORITIES.join(', ')}` };
+      return { action: { type, value } };
+
+    case 'raise_priority':
+      return { action: { type } };
+
+    case 'add_tag':
+    case 'remove_tag':
+      if (!isNonEmptyString(value) || value.length > 30 || value.includes(',')) {
+        return { error: `${label}: tag must be 1-30 characters without commas` };
+      }
+      return { action: { type, value: value.toLowerCase() } };
+
+    case 'move_to_project':
+      if (!isNonEmptyString(value)) return { error: `${label}: project is required` };
+      return { action: { type, value } };
+
+    case 'send_email': {
+      const to = typeof item.to === 'string' ? item.to.trim().toLowerCase() : '';
+      if (to && !EMAIL_PATTERN.test(to)) return { error: `${label}: to must be an email address` };
+      if (item.message !== undefined && item.message !== null && typeof item.message !== 'string') {
+        return { error: `${label}: message must be a string` };
+      }
+      if (item.message && item.message.length > 1000) return { error: `${label}: message cannot exceed 1000 characters` };
+      return { action: { type, to: to || undefined, message: item.message ? item.message.trim() : '' } };
+    }
+
+    case 'create_task': {
+      const { title, dueInDays, priority } = item;
+      if (!isNonEmptyString(title) || title.length > 100) {
+        return { error: `${label}: title must be 1-100 characters` };
+      }
+      const templateError = validate(title);
+      if (templateError) return { error: `${label}: title template: ${templateError}` };
+      if (!Number.isInteger(dueInDays) || dueInDays < 0 || dueInDays > MAX_DUE_IN_DAYS) {
+        return { error: `${label}: dueInDays must be a whole number from 0 to ${MAX_DUE_IN_DAYS}` };
+      }
+      if (priority !== undefined && priority !== null && priority !== '' && !PRIORITIES.includes(priority)) {
+        return { error: `${label}: priority must be ${PRIORITIES.join(', ')}` };
+      }
+      return { action: { type, title: title.trim(), dueInDays, priority: priority || null } };
+    }
+
+    default:
+      return { error: `${label}: type must be one of ${ACTION_TYPES.join(', ')}` };
+  }
+};
+
+/**
+ * Check a rule from a request body
+ * @param {Object} input - { name, trigger, enabled, conditions, actions }
+ * @returns {Object} - { rule: { name, trigger, enabled, conditions, actions }, errors }
+ */
+const parseRule = (input = {}) => {
+  const errors = [];
+  const { name, trigger, enabled = true } = input;
+  const conditions = input.conditions === undefined || input.conditions === null ? [] : input.conditions;
+  const actions = input.actions;
+
+  if (!isNonEmptyString(name) || name.trim().length > 100) {
+    errors.push('name must be 1-100 characters');
+  }
+  if (!RULE_TRIGGERS.includes(trigger)) {
+    errors.push(`trigger must be one of ${RULE_TRIGGERS.join(', ')}`);
+  }
+  if (typeof enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  const parsed = { conditions: [], actions: [] };
+
+  if (!Array.isArray(conditions)) {
+    errors.push('conditions must be an array');
+  } else if (conditions.length > MAX_CONDITIONS) {
+    errors.push(`A rule can have at most ${MAX_CONDITIONS} conditions`);
+  } else {
+    conditions.forEach((item, index) => {
+      const { condition, error } = parseCondition(item, `Condition ${index + 1}`);
+      if (error) errors.push(error);
+      else parsed.conditions.push(condition);
+    });
+  }
+
+  if (!Array.isArray(actions) || actions.length === 0) {
+    errors.push('actions must list at least one action');
+  } else if (actions.length > MAX_ACTIONS) {
+    errors.push(`A rule can have at most ${MAX_ACTIONS} actions`);
+  } else {
+    actions.forEach((item, index) => {
+      const { action, error } = parseAction(item, `Action ${index + 1}`);
+      if (error) errors.push(error);
+      else parsed.actions.push(action);
+    });
+    if (parsed.actions.filter(action => action.type === 'send_email').length > 1) {
+      errors.push('A rule can send at most one email');
+    }
+  }
+
+  return {
+    rule: { name: isNonEmptyString(name) ? name.trim() : name, trigger, enabled, ...parsed },
+    errors
+  };
+};
+
+/**
+ * Whether a task meets one condition
+ */
+const matchesCondition = (condition, task) => {
+  const { field, operator, value } = condition;
+
+  switch (field) {
+    case 'priority':
+      return (task.priority === value) === (operator === 'is');
+    case 'tags':
+      return (task.tags || []).includes(value) === (operator === 'includes');
+    case 'title':
+    case 'description':
+      return (task[field] || '').toLowerCase().includes(value.toLowerCase()) === (operator === 'contains');
+    case 'project': {
+      const inProject = value === 'none' ? !task.project : String(task.project) === value;
+      return inProject === (operator === 'is');
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a task meets all of a rule's conditions
+ * @param {Array<Object>} conditions - Rule conditions
+ * @param {Object} task - Task document
+ * @returns {boolean}
+ */
+const matchesConditions = (conditions, task) => conditions.every(condition => matchesCondition(condition, task));
+
+/**
+ * Project IDs a rule refers to, to check they belong to the rule's owner
+ * @param {Object} rule - Parsed rule
+ * @returns {Array<string>}
+ */
+const referencedProjects = (rule) => [
+  ...rule.conditions.filter(condition => condition.field === 'project').map(condition => condition.value),
+  ...rule.actions.filter(action => action.type === 'move_to_project').map(action => action.value)
+].filter(id => id !== 'none');
+
+/**
+ * Addresses a rule's emails are set to go to, to check they are the owner's own
+ * @param {Object} rule - Parsed rule
+ * @returns {Array<string>}
+ */
+const emailRecipients = (rule) => rule.actions
+  .filter(action => action.type === 'send_email' && action.to)
+  .map(action => action.to);
+
+module.exports = {
+  EVENT_TRIGGERS,
+  SCHEDULED_TRIGGERS,
+  RULE_TRIGGERS,
+  PRIORITIES,
+  CONDITION_OPERATORS,
+  ACTION_TYPES,
+  MAX_CONDITIONS,
+  MAX_ACTIONS,
+  MAX_DUE_IN_DAYS,
+  parseRule,
+  matchesConditions,
+  referencedProjects,
+  emailRecipients
+};
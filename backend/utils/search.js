@@ -0,0 +1,335 @@
+/**
+ * Search Utility
+ * Server-side counterpart of frontend/src/utils/elasticSearch.js
+ *
+ * Features:
+ * - Partial substring matching
+ * - Case-insensitive comparison
+ * - Weighted multi-field scoring (same defaults as multiMatchSearch)
+ * - Levenshtein-tolerant (fuzzy) word matching
+ * - Highlighting with the same shape as highlightMatches
+ */
+
+// Field weights used by multiMatchSearch on the frontend
+const DEFAULT_WEIGHTS = {
+  title: 2.0,
+  description: 1.0,
+  priority: 1.5
+};
+
+// Default maximum edit distance for fuzzy matches (same as fuzzyMatch)
+const DEFAULT_MAX_DISTANCE = 2;
+
+/**
+ * Normalize text for case-insensitive comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+  return String(text).toLowerCase().trim();
+};
+
+/**
+ * Split a query into distinct search terms
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Normalized terms
+ */
+const tokenize = (query) => {
+  return [...new Set(normalizeText(query).split(/\s+/).filter(Boolean))];
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape a string for safe inclusion in HTML
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Calculate relevance score for a match (0-100)
+ * Mirrors calculateRelevanceScore in the frontend utility
+ * @param {string} text - Text to search in
+ * @param {string} query - Search query
+ * @returns {number} - Relevance score
+ */
+const calculateRelevanceScore = (text, query) => {
+  const normalizedText = normalizeText(text);
+  const normalizedQuery = normalizeText(query);
+
+  if (!normalizedText || !normalizedQuery || !normalizedText.includes(normalizedQuery)) return 0;
+
+  let score = 0;
+
+  if (normalizedText === normalizedQuery) {
+    score += 100; // Exact match
+  } else if (normalizedText.startsWith(normalizedQuery)) {
+    score += 80; // Starts with query
+  } else if (normalizedText.includes(` ${normalizedQuery} `)) {
+    score += 60; // Whole word
+  } else {
+    score += 40; // Anywhere
+  }
+
+  // Bonus: shorter text with match is more relevant
+  score += (normalizedQuery.length / normalizedText.length) * 20;
+
+  return Math.min(score, 100);
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @returns {number} - Edit distance (lower = more similar)
+ */
+const levenshteinDistance = (str1, str2) => {
+  const m = str1.length;
+  const n = str2.length;
+  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (str1[i - 1] === str2[j - 1]) {
+        dp[i][j] = dp[i - 1][j - 1];
+      } else {
+        dp[i][j] = Math.min(
+          dp[i - 1][j - 1] + 1, // substitution
+          dp[i - 1][j] + 1,     // deletion
+          dp[i][j - 1] + 1      // insertion
+        );
+      }
+    }
+  }
+
+  return dp[m][n];
+};
+
+/**
+ * Allowed edit distance for a term
+ * Short terms get less tolerance so "cat" does not match "car" and "hat"
+ */
+const allowedDistance = (term, maxDistance) => {
+  return Math.min(maxDistance, Math.floor(term.length / 3));
+};
+
+/**
+ * Find the words in a text that fuzzily match a term
+ * @param {string} text - Text to search in
+ * @param {string} term - Normalized search term
+ * @param {number} maxDistance - Maximum edit distance
+ * @returns {Array<Object>} - [{ start, end, distance }]
+ */
+const findFuzzyWords = (text, term, maxDistance) => {
+  const limit = allowedDistance(term, maxDistance);
+  if (limit === 0) return [];
+
+  const words = [];
+  const wordPattern = /\S+/g;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = normalizeText(match[0]).replace(/[^\p{L}\p{N}]/gu, '');
+    if (!word || Math.abs(word.length - term.length) > limit) continue;
+
+    const distance = levenshteinDistance(word, term);
+    if (distance <= limit) {
+      words.push({ start: match.index, end: match.index + match[0].length, distance });
+    }
+  }
+
+  return words;
+};
+
+/**
+ * Highlight matched ranges of a text
+ * Returns the same shape as the frontend highlightMatches; text is HTML-escaped
+ * @param {string} text - Original text
+ * @param {Array<Object>} ranges - [{ start, end }]
+ * @returns {Object} - { original, highlighted, matches, matchCount }
+ */
+const buildHighlight = (text, ranges) => {
+  // Merge overlapping ranges so marks never nest
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
+
+  let highlighted = '';
+  let position = 0;
+  merged.forEach(range => {
+    highlighted += escapeHtml(text.substring(position, range.start));
+    highlighted += `<mark>${escapeHtml(text.substring(range.start, range.end))}</mark>`;
+    position = range.end;
+  });
+  highlighted += escapeHtml(text.substring(position));
+
+  const matches = merged.map(range => ({
+    start: range.start,
+    end: range.end,
+    text: text.substring(range.start, range.end)
+  }));
+
+  return {
+    original: text,
+    highlighted,
+    matches,
+    matchCount: matches.length
+  };
+};
+
+/**
+ * Find all substring occurrences of a term
+ * @returns {Array<Object>} - [{ start, end }]
+ */
+const findSubstrings = (text, term) => {
+  const normalizedText = String(text).toLowerCase();
+  const ranges = [];
+  let index = normalizedText.indexOf(term);
+
+  while (index !== -1) {
+    ranges.push({ start: index, end: index + term.length });
+    index = normalizedText.indexOf(term, index + 1);
+  }
+
+  return ranges;
+};
+
+/**
+ * Score one field of a task against the query
+ * @returns {Object} - { score, ranges }
+ */
+const scoreField = (value, query, terms, options) => {
+  const text = String(value);
+  const ranges = [];
+  let termTotal = 0;
+
+  terms.forEach(term => {
+    const exact = findSubstrings(text, term);
+
+    if (exact.length > 0) {
+      ranges.push(...exact);
+      termTotal += calculateRelevanceScore(text, term);
+      return;
+    }
+
+    if (options.fuzzy) {
+      const fuzzy = findFuzzyWords(text, term, options.maxDistance);
+      if (fuzzy.length > 0) {
+        ranges.push(...fuzzy);
+        const best = Math.min(...fuzzy.map(w => w.distance));
+        // Fuzzy matches rank below any exact substring match
+        termTotal += 30 * (1 - best / term.length);
+      }
+    }
+  });
+
+  if (ranges.length === 0) {
+    return { score: 0, ranges };
+  }
+
+  // The whole phrase matching beats the same words scattered around
+  const phraseScore = calculateRelevanceScore(text, query);
+  const termScore = termTotal / terms.length;
+
+  return { score: Math.max(phraseScore, termScore), ranges };
+};
+
+/**
+ * Score a task across weighted fields
+ * @param {Object} task - Plain task object
+ * @param {string} query - Search query
+ * @param {Object} options - { weights, fuzzy, maxDistance }
+ * @returns {Object|null} - Task with _score, _highlights and _matched, or null
+ */
+const scoreTask = (task, query, options = {}) => {
+  const {
+    weights = DEFAULT_WEIGHTS,
+    fuzzy = true,
+    maxDistance = DEFAULT_MAX_DISTANCE
+  } = options;
+
+  const terms = tokenize(query);
+  if (terms.length === 0) return null;
+
+  let totalScore = 0;
+  const highlights = {};
+
+  Object.entries(weights).forEach(([field, weight]) => {
+    if (!task[field] || weight <= 0) return;
+
+    const { score, ranges } = scoreField(task[field], normalizeText(query), terms, { fuzzy, maxDistance });
+    if (ranges.length === 0) return;
+
+    totalScore += score * weight;
+    highlights[field] = buildHighlight(String(task[field]), ranges);
+  });
+
+  if (Object.keys(highlights).length === 0) return null;
+
+  return {
+    ...task,
+    _score: totalScore,
+    _highlights: highlights,
+    _matched: true
+  };
+};
+
+/**
+ * Parse a "field:weight,field:weight" query parameter
+ * @param {string} value - Raw parameter
+ * @returns {Object} - { weights, errors }
+ */
+const parseWeights = (value) => {
+  if (!value) return { weights: DEFAULT_WEIGHTS, errors: [] };
+
+  const weights = {};
+  const errors = [];
+
+  String(value).split(',').forEach(pair => {
+    const [field, rawWeight] = pair.split(':').map(part => part.trim());
+    const weight = parseFloat(rawWeight);
+
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_WEIGHTS, field)) {
+      errors.push(`Unknown search field: ${field}`);
+    } else if (isNaN(weight) || weight < 0) {
+      errors.push(`Weight for ${field} must be a non-negative number`);
+    } else {
+      weights[field] = weight;
+    }
+  });
+
+  const merged = { ...DEFAULT_WEIGHTS, ...weights };
+  if (errors.length === 0 && !Object.values(merged).some(weight => weight > 0)) {
+    errors.push('At least one search field must have a weight above 0');
+  }
+
+  return { weights: merged, errors };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_MAX_DISTANCE,
+  escapeRegex,
+  escapeHtml,
+  tokenize,
+  levenshteinDistance,
+  calculateRelevanceScore,
+  scoreTask,
+  parseWeights
+};
@@ -0,0 +1,169 @@
+const { TRACKED_FIELDS, versionOf } = require('./taskHistory');
+
+/**
+ * Task Document Utility
+ * The user-editable part of a task as one JSON document, written by
+ * PUT /api/tasks/:id (full replacement) and PATCH /api/tasks/:id (JSON Merge Patch)
+ *
+ * The document has the same fields and shape as a history version (see
+ * utils/taskHistory.js), so it is applied to a task with applyVersion.
+ * Checklist items keep their identity when they carry their _id.
+ *
+ * Writes name the task version they were based on, in an If-Match header
+ * (the task's ETag, e.g. "3") or a version field in the body; the routes
+ * refuse writes based on an older version.
+ */
+
+// Values for fields a PUT leaves out or a patch removes with null
+const FIELD_DEFAULTS = {
+  title: null,
+  description: '',
+  priority: 'Medium',
+  dueDate: null,
+  completed: false,
+  tags: [],
+  project: null,
+  recurrence: null,
+  reminders: [],
+  subtasks: [],
+  autoCompleteOnSubtasks: false,
+  requireSubtasksComplete: false
+};
+
+// Set by the server: ignored in a PUT body (so a fetched task can be sent back), rejected in a patch
+const READ_ONLY_FIELDS = [
+  '_id',
+  'id',
+  '__v',
+  'owner',
+  'completedAt',
+  'nextOccurrence',
+  'overdueEventFor',
+  'deletedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+// Names the version a write is based on; never stored from the body
+const PRECONDITION_FIELD = 'version';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396)
+ * null removes a member, objects are merged member by member, and anything
+ * else (arrays included) replaces the target value
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} - Patched copy; the target is not changed
+ */
+const mergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Complete a document with the default of every missing field
+ * @param {Object} document - Partial document
+ * @returns {Object} - Document with exactly the editable fields
+ */
+const withDefaults = (document) => {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => {
+    const value = document[field];
+    if (value !== undefined && value !== null) return [field, value];
+
+    const fallback = FIELD_DEFAULTS[field];
+    return [field, Array.isArray(fallback) ? [] : fallback];
+  }));
+};
+
+/**
+ * Errors for members of a request body that are not editable task fields
+ * @param {Object} body - PUT body or merge patch
+ * @param {boolean} allowReadOnly - Whether server-set fields are ignored rather than rejected
+ * @returns {Array<string>}
+ */
+const fieldErrors = (body, allowReadOnly) => {
+  return Object.keys(body)
+    .filter(field => !TRACKED_FIELDS.includes(field) && field !== PRECONDITION_FIELD)
+    .filter(field => !(allowReadOnly && READ_ONLY_FIELDS.includes(field)))
+    .map(field => (READ_ONLY_FIELDS.includes(field) ? `${field} cannot be changed` : `Unknown field: ${field}`));
+};
+
+/**
+ * Build the document for a full replacement
+ * Fields left out are reset to their defaults
+ * @param {Object} body - Express req.body
+ * @returns {Object} - { document, errors }
+ */
+const replacementDocument = (body) => {
+  if (!isPlainObject(body)) {
+    return { document: null, errors: ['Request body must be a task object'] };
+  }
+
+  return { document: withDefaults(body), errors: fieldErrors(body, true) };
+};
+
+/**
+ * Build the document for a merge patch of a task
+ * @param {Object} task - Task document
+ * @param {Object} patch - Express req.body
+ * @returns {Object} - { document, errors }
+ */
+const patchedDocument = (task, patch) => {
+  if (!isPlainObject(patch)) {
+    return { document: null, errors: ['A merge patch must be a JSON object'] };
+  }
+
+  return { document: withDefaults(mergePatch(versionOf(task), patch)), errors: fieldErrors(patch, false) };
+};
+
+/**
+ * ETag for a task: its version as a quoted string
+ * Tasks saved before versions were introduced count as version 0
+ * @param {Object} task - Task document
+ * @returns {string} - e.g. "3"
+ */
+const etagFor = (task) => `"${task.version || 0}"`;
+
+/**
+ * Version a write request is based on
+ * If-Match uses strong comparison (RFC 7232 §3.1), so a weak tag (W/"3") never matches.
+ * @param {Object} req - Express request; If-Match wins over body.version
+ * @returns {number|string|null} - Version number, '*' for any version, 'weak' for
+ *   a weak tag, null when none was sent, or NaN when the value is not a version
+ */
+const requestedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (header !== undefined) {
+    const value = header.trim();
+    if (value === '*') return '*';
+    if (value.startsWith('W/')) return 'weak';
+
+    const match = /^"(\d+)"$/.exec(value);
+    return match ? Number(match[1]) : NaN;
+  }
+
+  const version = isPlainObject(req.body) ? req.body[PRECONDITION_FIELD] : undefined;
+  if (version === undefined || version === null) return null;
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+};
+
+module.exports = {
+  FIELD_DEFAULTS,
+  READ_ONLY_FIELDS,
+  mergePatch,
+  replacementDocument,
+  patchedDocument,
+  etagFor,
+  requestedVersion
+};
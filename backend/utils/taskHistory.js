@@ -0,0 +1,81 @@
+/**
+ * Task History Utility
+ * Versions of a task as stored in its activity log, and the field-level
+ * differences between two versions (see models/TaskActivity.js)
+ *
+ * A version is a plain JSON copy of the fields a user can change: dates as ISO
+ * strings, IDs as strings, reminders as their definitions (without remindAt and
+ * sentAt) and checklist items with their IDs.
+ */
+
+// Fields recorded in every version, in the order differences are listed
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'dueDate',
+  'completed',
+  'tags',
+  'project',
+  'recurrence',
+  'reminders',
+  'subtasks',
+  'autoCompleteOnSubtasks',
+  'requireSubtasksComplete'
+];
+
+const toISO = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Copy a value to plain JSON, without Mongoose subdocument IDs
+ */
+const toPlain = (value) => {
+  if (!value) return null;
+  const { _id, ...rest } = JSON.parse(JSON.stringify(value));
+  return rest;
+};
+
+/**
+ * Version of a task
+ * @param {Object} task - Task document or plain object
+ * @returns {Object} - Tracked fields as plain JSON
+ */
+const versionOf = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  priority: task.priority,
+  dueDate: toISO(task.dueDate),
+  completed: Boolean(task.completed),
+  tags: [...(task.tags || [])],
+  project: task.project ? String(task.project) : null,
+  recurrence: toPlain(task.recurrence),
+  reminders: (task.reminders || []).map(reminder => (reminder.kind === 'absolute'
+    ? { kind: 'absolute', at: toISO(reminder.at) }
+    : { kind: 'relative', amount: reminder.amount, unit: reminder.unit })),
+  subtasks: (task.subtasks || []).map(subtask => ({
+    _id: String(subtask._id),
+    title: subtask.title,
+    completed: Boolean(subtask.completed),
+    dueDate: toISO(subtask.dueDate)
+  })),
+  autoCompleteOnSubtasks: Boolean(task.autoCompleteOnSubtasks),
+  requireSubtasksComplete: Boolean(task.requireSubtasksComplete)
+});
+
+/**
+ * Fields that differ between two versions
+ * @param {Object} before - Earlier version
+ * @param {Object} after - Later version
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+const diffVersions = (before, after) => {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  versionOf,
+  diffVersions
+};
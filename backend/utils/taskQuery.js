@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { normalizeTagName } = require('../models/Tag');
+
+/**
+ * Task List Query Builder
+ * Turns GET /api/tasks query parameters into a MongoDB aggregation pipeline
+ *
+ * Supported parameters:
+ * - priority: Low | Medium | High (comma-separated for several)
+ * - completed: true | false
+ * - dueFrom / dueTo: inclusive due date range (any Date-parsable string)
+ * - tags: comma-separated tag names
+ * - tagMode: all (task has every tag, default) | any (task has at least one)
+ * - project: project ID, or "none" for tasks outside any project
+ *   (without it, tasks in archived projects are left out)
+ * - sort: one of SORT_OPTIONS (same keys as the TaskFilter dropdown)
+ * - limit: page size (1-100, default 20)
+ * - cursor: opaque nextCursor value from a previous page
+ *
+ * Tasks in the trash are always left out.
+ */
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+// How several tags in the tags parameter are combined
+const TAG_MODES = { all: '$all', any: '$in' };
+
+// Numeric rank so priority can be sorted High > Medium > Low
+const PRIORITY_RANK = { Low: 1, Medium: 2, High: 3 };
+
+// Sort keys offered by the frontend, mapped to field and direction
+const SORT_OPTIONS = {
+  'dueDate-asc': { field: 'dueDate', direction: 1 },
+  'dueDate-desc': { field: 'dueDate', direction: -1 },
+  'priority-high': { field: 'priorityRank', direction: -1 },
+  'priority-low': { field: 'priorityRank', direction: 1 },
+  'createdAt-desc': { field: 'createdAt', direction: -1 },
+  'createdAt-asc': { field: 'createdAt', direction: 1 }
+};
+
+const DEFAULT_SORT = 'createdAt-desc';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields whose cursor values must be revived as Date objects
+const DATE_FIELDS = ['dueDate', 'createdAt', 'deletedAt'];
+
+/**
+ * Encode the sort position of a task as an opaque cursor string
+ * @param {Object} task - Last task of the current page
+ * @param {string} field - Field the list is sorted by
+ * @returns {string} - base64url cursor
+ */
+const encodeCursor = (task, field) => {
+  const value = field === 'priorityRank' ? PRIORITY_RANK[task.priority] : task[field];
+  return Buffer.from(JSON.stringify({ v: value, id: task._id.toString() })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @param {string} field - Field the list is sorted by
+ * @returns {Object|null} - { value, id } or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const value = DATE_FIELDS.includes(field) ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value)) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a date query parameter
+ * @returns {Date|null} - Parsed date or null if invalid
+ */
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Build the MongoDB filter for the list and stats routes
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { archivedProjectIds } - projects hidden unless requested by ID
+ * @returns {Object} - { filter, errors }
+ */
+const buildTaskFilter = (ownerId, query, options = {}) => {
+  const { archivedProjectIds = [] } = options;
+  const filter = { owner: ownerId, deletedAt: null };
+  const errors = [];
+
+  // Priority filter
+  if (query.priority) {
+    const priorities = String(query.priority).split(',').map(p => p.trim());
+    const invalid = priorities.filter(p => !PRIORITIES.includes(p));
+
+    if (invalid.length > 0) {
+      errors.push(`Invalid priority: ${invalid.join(', ')}`);
+    } else {
+      filter.priority = { $in: priorities };
+    }
+  }
+
+  // Completion status filter
+  if (query.completed !== undefined) {
+    if (query.completed === 'true' || query.completed === 'false') {
+      filter.completed = query.completed === 'true';
+    } else {
+      errors.push('completed must be true or false');
+    }
+  }
+
+  // Due date range filter
+  if (query.dueFrom || query.dueTo) {
+    filter.dueDate = {};
+
+    if (query.dueFrom) {
+      const dueFrom = parseDate(query.dueFrom);
+      if (dueFrom) filter.dueDate.$gte = dueFrom;
+      else errors.push('dueFrom must be a valid date');
+    }
+
+    if (query.dueTo) {
+      const dueTo = parseDate(query.dueTo);
+      if (dueTo) filter.dueDate.$lte = dueTo;
+      else errors.push('dueTo must be a valid date');
+    }
+  }
+
+  // Tag filter
+  if (query.tags) {
+    const tags = [...new Set(String(query.tags).split(',').map(normalizeTagName).filter(Boolean))];
+    const tagMode = query.tagMode || 'all';
+
+    if (!TAG_MODES[tagMode]) {
+      errors.push(`tagMode must be one of: ${Object.keys(TAG_MODES).join(', ')}`);
+    } else if (tags.length > 0) {
+      filter.tags = { [TAG_MODES[tagMode]]: tags };
+    }
+  }
+
+  // Project filter - IDs are cast here because aggregate() does not cast
+  if (query.project === 'none') {
+    filter.project = null;
+  } else if (query.project) {
+    if (mongoose.Types.ObjectId.isValid(query.project)) {
+      filter.project = new mongoose.Types.ObjectId(String(query.project));
+    } else {
+      errors.push('project must be a project ID or none');
+    }
+  } else if (archivedProjectIds.length > 0) {
+    filter.project = { $nin: archivedProjectIds };
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Build the aggregation pipeline for one page of tasks
+ * @param {ObjectId} ownerId - Authenticated user's ID
+ * @param {Object} query - Express req.query
+ * @param {Object} options - Passed to buildTaskFilter
+ * @returns {Object} - { pipeline, limit, sortField, errors }
+ */
+const buildTaskListQuery = (ownerId, query, options = {}) => {
+  const { filter, errors } = buildTaskFilter(ownerId, query, options);
+
+  // Sort option
+  const sortKey = query.sort || DEFAULT_SORT;
+  const sort = SORT_OPTIONS[sortKey];
+  if (!sort) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+
+  // Page size
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const { field, direction } = sort;
+  const pipeline = [
+    { $match: filter },
+    {
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: PRIORITIES.map(p => ({ case: { $eq: ['$priority', p] }, then: PRIORITY_RANK[p] })),
+            default: 0
+          }
+        }
+      }
+    }
+  ];
+
+  // Continue after the last task of the previous page
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, field);
+    if (!cursor) {
+      return { errors: ['Invalid cursor'] };
+    }
+
+    const op = direction === 1 ? '$gt' : '$lt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { [field]: { [op]: cursor.value } },
+          { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    });
+  }
+
+  // _id breaks ties so the order is stable across pages
+  pipeline.push(
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: limit + 1 }, // One extra to detect whether another page exists
+    { $project: { priorityRank: 0 } }
+  );
+
+  return { pipeline, limit, sortField: field, errors: [] };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  buildTaskFilter,
+  buildTaskListQuery,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,187 @@
+/**
+ * Timezone Utility
+ * Local-time helpers for notification preferences (quiet hours, digest times)
+ * Built on Intl.DateTimeFormat, so any IANA zone such as "Europe/Berlin" works
+ *
+ * Times of day are "HH:MM" strings in 24-hour format.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Formatters are expensive to create, so keep one per zone
+const formatters = new Map();
+
+/**
+ * Whether a string is a valid IANA timezone
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Minutes since midnight of an "HH:MM" string
+ */
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which a local date and time occurs in a timezone
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of month (may overflow; Date.UTC normalises it)
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToDate = (year, month, day, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Re-check the offset at the result in case a DST change lies in between
+  const first = guess - getOffset(new Date(guess), timeZone);
+  return new Date(guess - getOffset(new Date(first), timeZone));
+};
+
+/**
+ * Whether an instant falls inside a daily local time range
+ * Ranges may wrap past midnight ("22:00" - "07:00"); equal start and end is an empty range
+ * @param {Date} date - Instant
+ * @param {string} start - "HH:MM" (inclusive)
+ * @param {string} end - "HH:MM" (exclusive)
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+const isWithinDailyRange = (date, start, end, timeZone) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const now = hour * 60 + minute;
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+
+  if (from === to) return false;
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * Most recent instant, at or before the given one, when the local clock showed a time of day
+ * @param {Date} date - Instant
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const lastTimeOfDay = (date, time, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const minutes = parseTimeOfDay(time);
+
+  const today = zonedTimeToDate(year, month, day, minutes, timeZone);
+  return today <= date ? today : zonedTimeToDate(year, month, day - 1, minutes, timeZone);
+};
+
+/**
+ * Next instant, strictly after the given one, when the local clock shows a time of day
+ * @param {Date} date - Instant
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA timezone
+ * @param {number} weekday - Optional day of the week, 0 (Sunday) - 6 (Saturday)
+ * @returns {Date}
+ */
+const nextTimeOfDay = (date, time, timeZone, weekday) => {
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parseTimeOfDay(time);
+  const step = weekday === undefined ? 1 : 7;
+
+  let day = parts.day + (weekday === undefined ? 0 : (weekday - parts.weekday + 7) % 7);
+  let next = zonedTimeToDate(parts.year, parts.month, day, minutes, timeZone);
+
+  if (next <= date) {
+    day += step;
+    next = zonedTimeToDate(parts.year, parts.month, day, minutes, timeZone);
+  }
+  return next;
+};
+
+/**
+ * Local midnight of the day containing an instant, optionally shifted by whole days
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+const startOfLocalDay = (date, timeZone, days = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToDate(year, month, day + days, 0, timeZone);
+};
+
+/**
+ * Start of the local hour containing an instant
+ */
+const startOfLocalHour = (date, timeZone) => {
+  const { minute, second } = getZonedParts(date, timeZone);
+  return new Date(date.getTime() - minute * MINUTE_MS - second * 1000 - date.getMilliseconds());
+};
+
+module.exports = {
+  DAY_MS,
+  TIME_OF_DAY,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  isWithinDailyRange,
+  lastTimeOfDay,
+  nextTimeOfDay,
+  startOfLocalDay,
+  startOfLocalHour
+};
@@ -0,0 +1,40 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * JWT configuration
+ * The secret must be provided through the environment in production
+ */
+const JWT_SECRET = process.env.JWT_SECRET || 'task-manager-dev-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, name: user.name },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify an access token and return its payload
+ * Throws if the token is malformed, tampered with or expired
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} - Decoded payload
+ */
+const verifyToken = (token) => {
+  return jwt.verify(token, JWT_SECRET);
+};
+
+module.exports = {
+  signToken,
+  verifyToken
+};
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import Login from './components/Login';
+import Register from './components/Register';
 import Dashboard from './components/Dashboard';
 import ProtectedRoute from './components/ProtectedRoute';
 
@@ -8,7 +9,8 @@ import ProtectedRoute from './components/ProtectedRoute';
  * Main App Component - Task Manager Application with Authentication
  */
 function AppContent() {
-  const { isAuthenticated, loading, login } = useAuth();
+  const { isAuthenticated, loading, login, register } = useAuth();
+  const [showRegister, setShowRegister] = useState(false);
 
   // Show loading state while checking authentication
   if (loading) {
@@ -22,9 +24,13 @@ function AppContent() {
     );
   }
 
-  // Show Login screen if not authenticated
+  // Show Login or Register screen if not authenticated
   if (!isAuthenticated) {
-    return <Login onLogin={login} />;
+    return showRegister ? (
+      <Register onRegister={register} onSwitchToLogin={() => setShowRegister(false)} />
+    ) : (
+      <Login onLogin={login} onSwitchToRegister={() => setShowRegister(true)} />
+    );
   }
 
   // Show Dashboard if authenticated
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { getErrorMessage } from '../services/api';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  TRIGGER_LABELS,
+  CONDITION_FIELDS,
+  ACTION_LABELS
+} from '../services/rules';
+import Modal from './Modal';
+import Button from './Button';
+import RuleEditor from './RuleEditor';
+
+/**
+ * One-line summary of a rule's conditions, e.g. "Priority is High, Tags include work"
+ */
+const describeConditions = (conditions, projects) => {
+  if (conditions.length === 0) return 'any task';
+
+  return conditions.map(({ field, operator, value }) => {
+    const { label, operators } = CONDITION_FIELDS[field];
+    const shown = field === 'project'
+      ? (value === 'none' ? 'no project' : projects.find(project => project._id === value)?.name || 'a deleted project')
+      : value;
+    return `${label} ${operators[operator]} ${shown}`;
+  }).join(', ');
+};
+
+/**
+ * AutomationRules Component - The user's "when ... if ... then ..." rules
+ * Lists the rules with their on/off switch and opens the RuleEditor to add or change one.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility state
+ * @param {Function} props.onClose - Close handler
+ * @param {Array<Object>} props.projects - The user's projects
+ */
+const AutomationRules = ({ isOpen, onClose, projects = [] }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new', or the rule being edited
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setLoading(true);
+    setError(null);
+    getRules()
+      .then(setRules)
+      .catch(err => {
+        console.error('Error fetching rules:', err);
+        setError(getErrorMessage(err, 'Failed to load rules. Please try again.'));
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const handleClose = () => {
+    setEditing(null);
+    onClose();
+  };
+
+  /**
+   * Save the rule being edited; RuleEditor shows the error if this throws
+   */
+  const handleSave = async (fields) => {
+    if (editing === 'new') {
+      const created = await createRule(fields);
+      setRules(prev => [...prev, created]);
+      console.log(`🧩 Rule created: ${created.name}`);
+    } else {
+      const updated = await updateRule(editing._id, fields);
+      setRules(prev => prev.map(rule => (rule._id === updated._id ? updated : rule)));
+      console.log(`🧩 Rule updated: ${updated.name}`);
+    }
+    setEditing(null);
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const updated = await updateRule(rule._id, { enabled: !rule.enabled });
+      setRules(prev => prev.map(r => (r._id === updated._id ? updated : r)));
+    } catch (err) {
+      console.error('Error updating rule:', err);
+      setError(getErrorMessage(err, 'Failed to update the rule. Please try again.'));
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Its run history is deleted too.`)) {
+      return;
+    }
+
+    try {
+      await deleteRule(rule._id);
+      setRules(prev => prev.filter(r => r._id !== rule._id));
+      console.log(`🗑️ Rule deleted: ${rule.name}`);
+    } catch (err) {
+      console.error('Error deleting rule:', err);
+      setError(getErrorMessage(err, 'Failed to delete the rule. Please try again.'));
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={editing === 'new' ? '🧩 New Rule' : editing ? `🧩 Edit "${editing.name}"` : '🧩 Automation Rules'}
+      size="xl"
+    >
+      {editing ? (
+        <RuleEditor
+          rule={editing === 'new' ? null : editing}
+          projects={projects}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            Rules change tasks for you: when something happens to a task that meets the
+            conditions, the actions run. Overdue and due soon rules fire once per task and due date.
+          </p>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm mb-4">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500">⏳ Loading rules...</p>
+          ) : rules.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No rules yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 mb-4">
+              {rules.map(rule => (
+                <li key={rule._id} className="py-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className={`min-w-0 ${rule.enabled ? '' : 'opacity-50'}`}>
+                      <p className="font-medium text-gray-800">{rule.name}</p>
+                      <p className="text-xs text-gray-600">
+                        {TRIGGER_LABELS[rule.trigger]?.icon} When {TRIGGER_LABELS[rule.trigger]?.label.toLowerCase()},
+                        if {describeConditions(rule.conditions, projects)}
+                      </p>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {rule.actions.map((action, index) => (
+                          <span key={index} className="px-2 py-0.5 bg-purple-50 text-purple-700 rounded-full text-xs">
+                            {ACTION_LABELS[action.type]?.icon} {ACTION_LABELS[action.type]?.label}
+                          </span>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {rule.lastFiredAt
+                          ? `Ran ${rule.fireCount} time${rule.fireCount !== 1 ? 's' : ''}, last ${new Date(rule.lastFiredAt).toLocaleString()}`
+                          : 'Has not run yet'}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap justify-end gap-2 shrink-0">
+                      <Button variant="secondary" size="sm" onClick={() => handleToggle(rule)}>
+                        {rule.enabled ? '⏸️ Disable' : '▶️ Enable'}
+                      </Button>
+                      <Button variant="secondary" size="sm" onClick={() => setEditing(rule)}>
+                        ✏️ Edit
+                      </Button>
+                      <Button variant="danger" size="sm" onClick={() => handleDelete(rule)}>
+                        🗑️
+                      </Button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <Button variant="outline" size="sm" onClick={() => setEditing('new')}>
+            ➕ New Rule
+          </Button>
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default AutomationRules;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import Button from './Button';
+
+/**
+ * BulkActionBar Component - Actions for the tasks selected in the TaskList
+ * Stays at the top of the screen while tasks are selected.
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected tasks
+ * @param {number} props.totalCount - Number of tasks that can be selected
+ * @param {Function} props.onSelectAll - Select every listed task
+ * @param {Function} props.onClear - Clear the selection
+ * @param {Function} props.onAction - Called with (operation, value); returns a promise
+ * @param {boolean} props.busy - Whether a bulk request is running
+ */
+const BulkActionBar = ({ selectedCount, totalCount, onSelectAll, onClear, onAction, busy = false }) => {
+  const [priority, setPriority] = useState('High');
+  const [days, setDays] = useState(1);
+  const [tag, setTag] = useState('');
+
+  const validDays = Number.isInteger(days) && days !== 0;
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    if (!tag.trim()) return;
+
+    await onAction('add_tag', tag.trim());
+    setTag('');
+  };
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="sticky top-0 z-30 bg-blue-50 border border-blue-200 rounded-lg shadow-sm p-3 mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-semibold text-gray-800 mr-2">
+          {selectedCount} selected
+        </span>
+        {selectedCount < totalCount && (
+          <button type="button" onClick={onSelectAll} className="text-sm text-blue-600 hover:text-blue-800">
+            Select all {totalCount}
+          </button>
+        )}
+        <button type="button" onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700 mr-2">
+          Clear
+        </button>
+
+        <Button variant="success" size="sm" onClick={() => onAction('complete')} disabled={busy}>
+          ✓ Complete
+        </Button>
+        <Button variant="secondary" size="sm" onClick={() => onAction('reopen')} disabled={busy}>
+          ↩️ Reopen
+        </Button>
+
+        {/* Priority */}
+        <span className="flex items-center gap-1">
+          <select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            className={inputClass}
+            aria-label="Priority"
+          >
+            <option value="High">High</option>
+            <option value="Medium">Medium</option>
+            <option value="Low">Low</option>
+          </select>
+          <Button variant="secondary" size="sm" onClick={() => onAction('priority', priority)} disabled={busy}>
+            Set Priority
+          </Button>
+        </span>
+
+        {/* Due date shift */}
+        <span className="flex items-center gap-1">
+          <input
+            type="number"
+            value={Number.isNaN(days) ? '' : days}
+            onChange={(e) => setDays(parseInt(e.target.value, 10))}
+            min={-365}
+            max={365}
+            className={`${inputClass} w-20`}
+            aria-label="Days to shift the due date by"
+          />
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => onAction('shift_due', days)}
+            disabled={busy || !validDays}
+            title="Move due dates by this many days (negative moves them earlier)"
+          >
+            📅 Shift Days
+          </Button>
+        </span>
+
+        {/* Tag */}
+        <form onSubmit={handleAddTag} className="flex items-center gap-1">
+          <input
+            type="text"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="tag"
+            maxLength={30}
+            className={`${inputClass} w-28`}
+            aria-label="Tag to add"
+          />
+          <Button type="submit" variant="secondary" size="sm" disabled={busy || !tag.trim()}>
+            🏷️ Add Tag
+          </Button>
+        </form>
+
+        <Button variant="danger" size="sm" onClick={() => onAction('delete')} disabled={busy}>
+          🗑️ Delete
+        </Button>
+
+        {busy && <span className="text-sm text-gray-500">⏳ Updating...</span>}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+
+/**
+ * Checklist Component - Progress bar and expandable subtask list for a task
+ * @param {Object} props - Component props
+ * @param {Object} props.task - Task object with a subtasks array
+ * @param {Function} props.onAdd - Add subtask handler (taskId, { title, dueDate })
+ * @param {Function} props.onToggle - Toggle subtask handler (taskId, subtaskId)
+ * @param {Function} props.onRemove - Remove subtask handler (taskId, subtaskId)
+ * @param {Function} props.onReorder - Reorder handler (taskId, [subtaskId, ...])
+ */
+const Checklist = ({ task, onAdd, onToggle, onRemove, onReorder }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [newItem, setNewItem] = useState({ title: '', dueDate: '' });
+
+  const subtasks = task.subtasks || [];
+  const doneCount = subtasks.filter(subtask => subtask.completed).length;
+  const percent = subtasks.length > 0 ? Math.round((doneCount / subtasks.length) * 100) : 0;
+
+  /**
+   * Format date to readable string
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  /**
+   * Add a new checklist item
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.title.trim()) return;
+
+    await onAdd(task._id, {
+      title: newItem.title.trim(),
+      dueDate: newItem.dueDate || undefined
+    });
+    setNewItem({ title: '', dueDate: '' });
+  };
+
+  /**
+   * Move a checklist item up or down by one position
+   */
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= subtasks.length) return;
+
+    const order = subtasks.map(subtask => subtask._id);
+    [order[index], order[target]] = [order[target], order[index]];
+    onReorder(task._id, order);
+  };
+
+  return (
+    <div className="mb-4">
+      {/* Progress Bar */}
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full text-left"
+        title={expanded ? 'Hide checklist' : 'Show checklist'}
+      >
+        <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+          <span className="font-medium">
+            {expanded ? '▾' : '▸'} Checklist
+          </span>
+          <span>
+            {subtasks.length > 0 ? `${doneCount}/${subtasks.length} done` : 'No items'}
+          </span>
+        </div>
+        {subtasks.length > 0 && (
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full transition-all duration-300 ${percent === 100 ? 'bg-green-500' : 'bg-blue-500'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        )}
+      </button>
+
+      {/* Expanded Checklist */}
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {subtasks.map((subtask, index) => (
+            <div key={subtask._id} className="flex items-center gap-2 group">
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => onToggle(task._id, subtask._id)}
+                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+              />
+              <span className={`flex-1 text-sm ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {subtask.title}
+              </span>
+              {subtask.dueDate && (
+                <span className="text-xs text-gray-500">📅 {formatDate(subtask.dueDate)}</span>
+              )}
+              <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs px-1"
+                  title="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === subtasks.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs px-1"
+                  title="Move down"
+                >
+                  ▼
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemove(task._id, subtask._id)}
+                  className="text-red-400 hover:text-red-600 text-xs px-1"
+                  title="Remove item"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {/* Add Item */}
+          <form onSubmit={handleAdd} className="flex items-center gap-2 pt-1">
+            <input
+              type="text"
+              value={newItem.title}
+              onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
+              placeholder="Add checklist item..."
+              maxLength={100}
+              className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="date"
+              value={newItem.dueDate}
+              onChange={(e) => setNewItem({ ...newItem, dueDate: e.target.value })}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={!newItem.title.trim()}
+              className="px-3 py-1 text-sm font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+            >
+              ➕ Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Checklist;
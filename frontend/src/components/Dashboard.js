@@ -1,9 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import api, { getErrorMessage, ifMatch, getConflictingTask } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import useDebounce from '../hooks/useDebounce';
-import { elasticSearch } from '../utils/elasticSearch';
-import { setupTaskAutomation, checkTasksAndNotify } from '../services/taskMailAutomation';
+import {
+  parseSearchQuery,
+  hasFreeText,
+  matchesStructuredQuery,
+  searchStructured,
+  toTaskQueryParams
+} from '../utils/queryParser';
+import { getAutomationStatus, updateAutomation, runAutomationNow } from '../services/taskMailAutomation';
+import { restoreFromTrash } from '../services/trash';
+import { bulkUpdateTasks, BULK_OPERATION_LABELS } from '../services/bulkTasks';
+import { createTaskPatch } from '../utils/taskForm';
 import TaskForm from './TaskForm';
 import TaskList from './TaskList';
 import TaskFilter from './TaskFilter';
@@ -11,9 +20,38 @@ import Modal from './Modal';
 import Button from './Button';
 import SessionInfo from './SessionInfo';
 import NotificationHistory from './NotificationHistory';
+import AutomationRules from './AutomationRules';
+import NotificationBell from './NotificationBell';
+import NotificationSettings from './NotificationSettings';
+import ProjectSidebar from './ProjectSidebar';
+import Trash from './Trash';
+import UndoToast from './UndoToast';
 
-// API base URL
-const API_URL = 'http://localhost:5000/api/tasks';
+// Number of tasks requested per page
+const PAGE_SIZE = 20;
+
+// How often the automation status (next run, last run) is refreshed
+const AUTOMATION_POLL_MS = 60 * 1000;
+
+// Intervals offered for the backend automation schedule, in minutes
+const AUTOMATION_INTERVALS = [5, 10, 15, 20, 30, 60, 120, 360, 720, 1440];
+
+/**
+ * Convert filter state, project selection and search query conditions into GET /api/tasks query parameters
+ * project: 'all' (every non-archived project), 'none' or a project ID
+ */
+const buildTaskParams = (filters, project, conditions = []) => {
+  const params = { sort: filters.sort };
+  if (project !== 'all') params.project = project;
+  if (filters.priority !== 'All') params.priority = filters.priority;
+  if (filters.status === 'Pending') params.completed = false;
+  if (filters.status === 'Completed') params.completed = true;
+  if (filters.tags.length > 0) {
+    params.tags = filters.tags.join(',');
+    params.tagMode = filters.tagMode;
+  }
+  return toTaskQueryParams(conditions, params);
+};
 
 /**
  * Dashboard Component - Main task management interface
@@ -25,23 +63,63 @@ const Dashboard = () => {
   // State management
   const [tasks, setTasks] = useState([]);
   const [filteredTasks, setFilteredTasks] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [selectedProject, setSelectedProject] = useState('all');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searchResults, setSearchResults] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState({ show: false, taskId: null });
+
+  // Tasks just moved to the trash, offered for undo in a toast
+  const [lastDeleted, setLastDeleted] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
   
   // Filter state
   const [filters, setFilters] = useState({
     priority: 'All',
     status: 'All',
-    sort: 'dueDate-asc'
+    sort: 'dueDate-asc',
+    tags: [],
+    tagMode: 'any'
   });
   const [searchQuery, setSearchQuery] = useState('');
   
   // Notification history state
   const [showNotificationHistory, setShowNotificationHistory] = useState(false);
-  const [automationEnabled, setAutomationEnabled] = useState(true);
-  const [nextAutomationRun, setNextAutomationRun] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+
+  // Notification picked in the bell, opened in the history modal
+  const [historyFocus, setHistoryFocus] = useState(null);
+
+  // Notification settings page, shown in place of the task list
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Backend automation schedule ({ enabled, intervalMinutes, nextRunAt, lastRun }), null until loaded
+  const [automation, setAutomation] = useState(null);
+  const [automationRunning, setAutomationRunning] = useState(false);
+
+  /**
+   * Open a notification from the bell in the history modal
+   * (stable callbacks, so the bell does not restart its polling on every render)
+   */
+  const handleOpenNotification = useCallback((notification) => {
+    setHistoryFocus(notification);
+    setShowNotificationHistory(true);
+  }, []);
+
+  const handleViewAllNotifications = useCallback(() => {
+    setShowNotificationHistory(true);
+  }, []);
+
+  // Stable, so the undo toast's countdown is not restarted on every render
+  const dismissUndo = useCallback(() => {
+    setLastDeleted(null);
+  }, []);
   
   /**
    * Use custom debounce hook to optimize search performance
@@ -51,16 +129,99 @@ const Dashboard = () => {
   const debouncedSearchQuery = useDebounce(searchQuery, 300);
 
   /**
-   * Fetch all tasks from the API
+   * Parse structured search syntax (priority:high, due:<2026-11-01, "phrase", -word)
+   * Field conditions narrow the server query; syntax errors are shown under the search box
+   */
+  const parsedQuery = useMemo(() => parseSearchQuery(debouncedSearchQuery), [debouncedSearchQuery]);
+  const taskParams = useMemo(
+    () => buildTaskParams(filters, selectedProject, parsedQuery.conditions),
+    [filters, selectedProject, parsedQuery]
+  );
+  const taskParamsKey = JSON.stringify(taskParams);
+
+  // Tag colours by name for TaskItem chips
+  const tagColors = useMemo(
+    () => Object.fromEntries(tags.map(tag => [tag.name, tag.color])),
+    [tags]
+  );
+
+  const currentProject = projects.find(project => project._id === selectedProject) || null;
+  const archivedProjectIds = useMemo(
+    () => projects.filter(project => project.archived).map(project => project._id),
+    [projects]
+  );
+
+  // Incremented on every first-page fetch so stale responses can be ignored
+  const fetchIdRef = useRef(0);
+  const searchIdRef = useRef(0);
+
+  const automationEnabled = !!automation?.enabled;
+  const nextAutomationRun = automation?.nextRunAt || null;
+  const scopeName = selectedProject === 'none' ? 'tasks without a project' : currentProject?.name || 'this project';
+
+  /**
+   * Fetch task statistics for the current filters
+   */
+  const fetchStats = async () => {
+    try {
+      const response = await api.get('/tasks/stats', { params: taskParams });
+      setStats(response.data);
+    } catch (err) {
+      console.error('Error fetching task stats:', err);
+    }
+  };
+
+  /**
+   * Fetch the user's tags (names, colours and usage counts)
+   */
+  const fetchTags = async () => {
+    try {
+      const response = await api.get('/tags');
+      setTags(response.data);
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  };
+
+  /**
+   * Fetch the user's projects with task counts
+   */
+  const fetchProjects = async () => {
+    try {
+      const response = await api.get('/projects');
+      setProjects(response.data);
+    } catch (err) {
+      console.error('Error fetching projects:', err);
+    }
+  };
+
+  /**
+   * Refresh the counts shown in the stats panel and the project sidebar
+   */
+  const refreshCounts = () => {
+    fetchStats();
+    fetchProjects();
+  };
+
+  /**
+   * Fetch the first page of tasks using server-side filtering and sorting
    */
   const fetchTasks = async () => {
+    const fetchId = ++fetchIdRef.current;
+    
     try {
       setLoading(true);
       setError(null);
-      const response = await axios.get(API_URL);
-      setTasks(response.data);
+      const response = await api.get('/tasks', {
+        params: { ...taskParams, limit: PAGE_SIZE }
+      });
+      
+      if (fetchId !== fetchIdRef.current) return;
+      setTasks(response.data.tasks);
+      setNextCursor(response.data.nextCursor);
       setLoading(false);
     } catch (err) {
+      if (fetchId !== fetchIdRef.current) return;
       console.error('Error fetching tasks:', err);
       setError('Failed to load tasks. Please make sure the backend server is running.');
       setLoading(false);
@@ -68,37 +229,101 @@ const Dashboard = () => {
   };
 
   /**
-   * Load tasks on component mount and setup task automation
+   * Fetch the next page of tasks and append it to the list
+   */
+  const loadMoreTasks = async () => {
+    if (!nextCursor || loadingMore) return;
+    const fetchId = fetchIdRef.current;
+    
+    try {
+      setLoadingMore(true);
+      const response = await api.get('/tasks', {
+        params: { ...taskParams, limit: PAGE_SIZE, cursor: nextCursor }
+      });
+      
+      // Filters changed while this page was loading
+      if (fetchId !== fetchIdRef.current) return;
+      setTasks(prev => [...prev, ...response.data.tasks]);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error loading more tasks:', err);
+      setError('Failed to load more tasks. Please try again.');
+      setTimeout(() => setError(null), 3000);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Reload the first page whenever the server-side filters change
    */
   useEffect(() => {
     fetchTasks();
+    fetchStats();
+  }, [taskParamsKey]);
+
+  /**
+   * Load tags once for the form autocomplete and the tag filter
+   */
+  useEffect(() => {
+    fetchTags();
+    fetchProjects();
+  }, []);
+
+  /**
+   * Search all of the user's tasks on the server, not just the loaded pages
+   * Falls back to local Elasticsearch-style search if the request fails
+   */
+  useEffect(() => {
+    const searchId = ++searchIdRef.current;
     
-    // Setup task mail automation (runs every 20 minutes)
-    if (automationEnabled) {
-      console.log('🤖 Initializing Task Mail Automation...');
-      const cleanup = setupTaskAutomation(() => tasks, 20);
-      
-      // Calculate next run time
-      const nextRun = new Date(Date.now() + 20 * 60 * 1000);
-      setNextAutomationRun(nextRun);
-      
-      // Update next run time every minute
-      const timerInterval = setInterval(() => {
-        const nextRun = new Date(Date.now() + 20 * 60 * 1000);
-        setNextAutomationRun(nextRun);
-      }, 60 * 1000);
-      
-      // Cleanup on unmount
-      return () => {
-        cleanup();
-        clearInterval(timerInterval);
-      };
+    if (!hasFreeText(parsedQuery)) {
+      setSearchResults(null);
+      return;
     }
-  }, [automationEnabled]);
+    
+    // Phrases are sent as plain words; matchesStructuredQuery enforces them afterwards
+    const query = [parsedQuery.text, ...parsedQuery.phrases].join(' ');
+    const { sort, ...params } = taskParams;
+    api.get('/tasks/search', { params: { ...params, q: query, limit: 100 } })
+      .then(response => {
+        if (searchId !== searchIdRef.current) return;
+        console.log(`🌐 Server search found ${response.data.total} matches`);
+        setSearchResults(response.data.tasks);
+      })
+      .catch(err => {
+        if (searchId !== searchIdRef.current) return;
+        console.error('Server search failed, searching loaded tasks only:', err);
+        setSearchResults(null);
+      });
+  }, [parsedQuery, taskParams]);
+
+  /**
+   * Load the automation schedule and keep its next/last run times fresh
+   * The checks themselves run on the backend, even while the Dashboard is closed
+   */
+  useEffect(() => {
+    const fetchAutomationStatus = async () => {
+      try {
+        setAutomation(await getAutomationStatus());
+      } catch (err) {
+        console.error('Error fetching automation status:', err);
+      }
+    };
+
+    fetchAutomationStatus();
+    const pollInterval = setInterval(fetchAutomationStatus, AUTOMATION_POLL_MS);
+
+    return () => clearInterval(pollInterval);
+  }, []);
 
   /**
    * Apply filters and search to tasks using Elasticsearch-style search
    * Flow: Input → Debounce → Elastic Search → Filter → Sort → Render
+   * 
+   * Priority, status and sort are already applied by the server for each page;
+   * re-applying them here keeps locally created or toggled tasks consistent
+   * with the server order until the next fetch.
    */
   useEffect(() => {
     console.log('🔍 Elasticsearch Flow Started');
@@ -108,10 +333,14 @@ const Dashboard = () => {
 
     // Step 1: Apply Elasticsearch-style search with debounced query
     // Features: Partial substring matching, case-insensitive, relevance scoring
-    if (debouncedSearchQuery.trim()) {
+    // Server results cover every task; local search only covers loaded pages
+    if (hasFreeText(parsedQuery) && searchResults) {
+      console.log('📊 Server Search Query:', debouncedSearchQuery);
+      result = [...searchResults];
+    } else if (hasFreeText(parsedQuery)) {
       console.log('📊 Elasticsearch Query:', debouncedSearchQuery);
       
-      result = elasticSearch(result, debouncedSearchQuery, {
+      result = searchStructured(result, parsedQuery, {
         fields: ['title', 'description'], // Multi-field search
         minScore: 0, // Include all matches
         sortByRelevance: false, // We'll sort by user preference later
@@ -129,6 +358,12 @@ const Dashboard = () => {
       }
     }
 
+    // Step 1b: Apply structured query filters (phrases, exclusions, field conditions)
+    if (parsedQuery.phrases.length || parsedQuery.excludes.length || parsedQuery.conditions.length) {
+      result = result.filter(task => matchesStructuredQuery(task, parsedQuery));
+      console.log(`🧩 Structured query applied (${result.length} tasks)`);
+    }
+
     // Step 2: Apply priority filter
     if (filters.priority !== 'All') {
       result = result.filter(task => task.priority === filters.priority);
@@ -144,6 +379,24 @@ const Dashboard = () => {
       console.log(`✅ Status filter applied: Completed (${result.length} tasks)`);
     }
 
+    // Step 3b: Apply tag filter (any = OR, all = AND)
+    if (filters.tags.length > 0) {
+      const matchesTag = (task) => (tag) => (task.tags || []).includes(tag);
+      result = result.filter(task => filters.tagMode === 'all'
+        ? filters.tags.every(matchesTag(task))
+        : filters.tags.some(matchesTag(task)));
+      console.log(`🏷️ Tag filter applied: ${filters.tags.join(', ')} (${result.length} tasks)`);
+    }
+
+    // Step 3c: Apply project scope (archived projects are hidden from All Tasks)
+    if (selectedProject === 'none') {
+      result = result.filter(task => !task.project);
+    } else if (selectedProject !== 'all') {
+      result = result.filter(task => task.project === selectedProject);
+    } else if (archivedProjectIds.length > 0) {
+      result = result.filter(task => !archivedProjectIds.includes(task.project));
+    }
+
     // Step 4: Apply sorting (user preference overrides relevance)
     result = sortTasks(result, filters.sort);
     console.log(`🔢 Sorted by: ${filters.sort}`);
@@ -152,7 +405,7 @@ const Dashboard = () => {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     
     setFilteredTasks(result);
-  }, [tasks, filters, debouncedSearchQuery]);
+  }, [tasks, filters, selectedProject, archivedProjectIds, debouncedSearchQuery, parsedQuery, searchResults]);
 
   /**
    * Sort tasks based on selected criteria
@@ -180,13 +433,65 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * Replace a task in the loaded pages and in any server search results
+   */
+  const replaceTask = (updatedTask) => {
+    setTasks(prev => prev.map(task =>
+      task._id === updatedTask._id ? updatedTask : task
+    ));
+    setSearchResults(prev => prev && prev.map(task =>
+      task._id === updatedTask._id ? { ...task, ...updatedTask } : task
+    ));
+  };
+
+  /**
+   * Show a saved task, and the next occurrence the save generated, if any
+   * @param {Object} data - Task from the server, with generatedOccurrence when
+   *   the save completed a recurring task
+   */
+  const showSavedTask = ({ generatedOccurrence, ...task }) => {
+    replaceTask(task);
+    if (generatedOccurrence) {
+      setTasks(prev => [generatedOccurrence, ...prev]);
+    }
+  };
+
+  /**
+   * Find a task in the loaded pages or in the server search results
+   */
+  const findLoadedTask = (taskId) => {
+    return tasks.find(task => task._id === taskId)
+      || (searchResults || []).find(task => task._id === taskId);
+  };
+
+  /**
+   * Show the server copy of a task that changed since it was loaded
+   * Called when a write is refused with 409 because it was based on an old version
+   */
+  const showConflictingTask = (current) => {
+    replaceTask(current);
+    setError(`"${current.title}" was changed elsewhere. The latest version is now shown, please try again.`);
+    setTimeout(() => setError(null), 5000);
+  };
+
+  /**
+   * Remove a task from the loaded pages and from any server search results
+   */
+  const removeTask = (taskId) => {
+    setTasks(prev => prev.filter(task => task._id !== taskId));
+    setSearchResults(prev => prev && prev.filter(task => task._id !== taskId));
+  };
+
   /**
    * Create a new task
    */
   const handleCreateTask = async (taskData) => {
     try {
-      const response = await axios.post(API_URL, taskData);
+      const response = await api.post('/tasks', taskData);
       setTasks([response.data, ...tasks]);
+      refreshCounts();
+      fetchTags();
     } catch (err) {
       console.error('Error creating task:', err);
       setError('Failed to create task. Please try again.');
@@ -196,20 +501,38 @@ const Dashboard = () => {
 
   /**
    * Update an existing task
+   * Only the fields changed in the form are sent, as a JSON Merge Patch based
+   * on the version of the task the form started from
+   * @param {Object} taskData - Fields from the TaskForm
+   * @param {Object} base - Task the changes were made to (the merge dialog passes the server copy)
+   * @returns {Promise<Object|undefined>} - { conflict: currentTask } when the task changed
+   *   on the server in the meantime, so the TaskForm can offer a merge
    */
-  const handleUpdateTask = async (taskData) => {
+  const handleUpdateTask = async (taskData, base = editingTask) => {
     try {
-      const response = await axios.put(`${API_URL}/${editingTask._id}`, {
-        ...taskData,
-        completed: editingTask.completed
+      const patch = createTaskPatch(base, taskData);
+      if (Object.keys(patch).length === 0) {
+        setEditingTask(null);
+        return;
+      }
+
+      const response = await api.patch(`/tasks/${base._id}`, patch, {
+        headers: { 'Content-Type': 'application/merge-patch+json', ...ifMatch(base) }
       });
       
-      setTasks(tasks.map(task =>
-        task._id === editingTask._id ? response.data : task
-      ));
+      showSavedTask(response.data);
+      refreshCounts();
+      fetchTags();
       
       setEditingTask(null);
     } catch (err) {
+      const current = getConflictingTask(err);
+      if (current) {
+        console.log(`⚠️ "${current.title}" changed on the server, offering a merge`);
+        replaceTask(current);
+        return { conflict: current };
+      }
+
       console.error('Error updating task:', err);
       setError('Failed to update task. Please try again.');
       setTimeout(() => setError(null), 3000);
@@ -217,36 +540,218 @@ const Dashboard = () => {
   };
 
   /**
-   * Delete a task
+   * Move a task to the trash and offer to undo it
    */
   const handleDeleteTask = async (taskId) => {
     try {
-      await axios.delete(`${API_URL}/${taskId}`);
-      setTasks(tasks.filter(task => task._id !== taskId));
+      const response = await api.delete(`/tasks/${taskId}`, { headers: ifMatch(findLoadedTask(taskId)) });
+      removeTask(taskId);
+      refreshCounts();
       setDeleteConfirm({ show: false, taskId: null });
+      if (response.data.task) setLastDeleted([response.data.task]);
     } catch (err) {
+      const current = getConflictingTask(err);
+      if (current) {
+        setDeleteConfirm({ show: false, taskId: null });
+        showConflictingTask(current);
+        return;
+      }
+
       console.error('Error deleting task:', err);
       setError('Failed to delete task. Please try again.');
       setTimeout(() => setError(null), 3000);
     }
   };
 
+  /**
+   * Show a task taken back out of the trash
+   * The list is fetched again so the task lands in its sorted position
+   */
+  const handleTaskRecovered = () => {
+    fetchTasks();
+    refreshCounts();
+    fetchTags();
+  };
+
+  /**
+   * Undo the last delete from the toast
+   */
+  const handleUndoDelete = async () => {
+    try {
+      await Promise.all(lastDeleted.map(task => restoreFromTrash(task._id)));
+      setLastDeleted(null);
+      handleTaskRecovered();
+    } catch (err) {
+      console.error('Error restoring task:', err);
+      setLastDeleted(null);
+      setError(getErrorMessage(err, 'Failed to restore task. Please try again.'));
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  /**
+   * Apply a bulk action to the tasks selected in the list
+   * @returns {Promise<boolean>} - Whether every task was handled, so the selection can be cleared
+   */
+  const handleBulkAction = async (taskIds, operation, value) => {
+    try {
+      const { results, summary } = await bulkUpdateTasks(taskIds, operation, value);
+      const changed = results.filter(result => result.status === 'ok');
+
+      changed.forEach(({ task }) => (operation === 'delete' ? removeTask(task._id) : replaceTask(task)));
+
+      // Completing recurring tasks creates their next occurrences
+      const generated = changed.map(result => result.generatedOccurrence).filter(Boolean);
+      if (generated.length > 0) {
+        setTasks(prev => [...generated, ...prev]);
+      }
+
+      if (operation === 'delete' && changed.length > 0) {
+        setLastDeleted(changed.map(result => result.task));
+      }
+      refreshCounts();
+      if (operation === 'add_tag') fetchTags();
+
+      console.log(`📦 ${summary.ok} task${summary.ok !== 1 ? 's' : ''} ${BULK_OPERATION_LABELS[operation]}, ${summary.skipped} unchanged, ${summary.failed} failed`);
+
+      if (summary.failed > 0) {
+        const { error: firstError } = results.find(result => result.status === 'failed');
+        setError(`${summary.failed} of ${taskIds.length} tasks could not be ${BULK_OPERATION_LABELS[operation]}: ${firstError}`);
+        setTimeout(() => setError(null), 5000);
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.error('Error running bulk action:', err);
+      setError(getErrorMessage(err, 'Failed to update the selected tasks. Please try again.'));
+      setTimeout(() => setError(null), 3000);
+      return false;
+    }
+  };
+
   /**
    * Toggle task completion status
    */
   const handleToggleComplete = async (taskId) => {
     try {
-      const response = await axios.patch(`${API_URL}/${taskId}/toggle`);
-      setTasks(tasks.map(task =>
-        task._id === taskId ? response.data : task
-      ));
+      const response = await api.patch(`/tasks/${taskId}/toggle`, null, { headers: ifMatch(findLoadedTask(taskId)) });
+      showSavedTask(response.data);
+      refreshCounts();
     } catch (err) {
+      const current = getConflictingTask(err);
+      if (current) {
+        showConflictingTask(current);
+        return;
+      }
+
       console.error('Error toggling task:', err);
-      setError('Failed to update task status. Please try again.');
+      setError(getErrorMessage(err, 'Failed to update task status. Please try again.'));
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  /**
+   * Show a task put back to an earlier version from its history
+   */
+  const handleTaskRestored = (task) => {
+    replaceTask(task);
+    refreshCounts();
+    fetchTags();
+  };
+
+  /**
+   * Run a checklist request and replace the task with the server copy
+   */
+  const updateChecklist = async (request, failureMessage) => {
+    try {
+      const response = await request();
+      showSavedTask(response.data);
+      refreshCounts();
+    } catch (err) {
+      const current = getConflictingTask(err);
+      if (current) {
+        showConflictingTask(current);
+        return;
+      }
+
+      console.error('Error updating checklist:', err);
+      setError(getErrorMessage(err, failureMessage));
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  /**
+   * Checklist handlers passed down to each TaskItem
+   */
+  const subtaskHandlers = {
+    onAdd: (taskId, subtask) => updateChecklist(
+      () => api.post(`/tasks/${taskId}/subtasks`, subtask),
+      'Failed to add checklist item. Please try again.'
+    ),
+    onToggle: (taskId, subtaskId) => updateChecklist(
+      () => api.patch(`/tasks/${taskId}/subtasks/${subtaskId}/toggle`),
+      'Failed to update checklist item. Please try again.'
+    ),
+    onRemove: (taskId, subtaskId) => updateChecklist(
+      () => api.delete(`/tasks/${taskId}/subtasks/${subtaskId}`),
+      'Failed to remove checklist item. Please try again.'
+    ),
+    onReorder: (taskId, order) => updateChecklist(
+      () => api.put(`/tasks/${taskId}/subtasks/order`, { order }),
+      'Failed to reorder checklist. Please try again.'
+    )
+  };
+
+  /**
+   * Run a project request, show any error and refresh the sidebar
+   * @returns {Promise<boolean>} - Whether the request succeeded
+   */
+  const updateProjects = async (request, failureMessage) => {
+    try {
+      await request();
+      return true;
+    } catch (err) {
+      console.error('Error updating project:', err);
+      setError(getErrorMessage(err, failureMessage));
       setTimeout(() => setError(null), 3000);
+      return false;
+    } finally {
+      fetchProjects();
     }
   };
 
+  /**
+   * Create a project and switch to it
+   */
+  const handleCreateProject = (project) => updateProjects(async () => {
+    const response = await api.post('/projects', project);
+    setSelectedProject(response.data._id);
+  }, 'Failed to create project. Please try again.');
+
+  /**
+   * Update a project; archiving or unarchiving changes which tasks are visible
+   */
+  const handleUpdateProject = (projectId, changes) => updateProjects(async () => {
+    await api.put(`/projects/${projectId}`, changes);
+    if (changes.archived !== undefined) {
+      fetchTasks();
+      fetchStats();
+    }
+  }, 'Failed to update project. Please try again.');
+
+  /**
+   * Delete a project; its tasks are moved out of it
+   */
+  const handleDeleteProject = (projectId) => updateProjects(async () => {
+    await api.delete(`/projects/${projectId}`);
+    if (selectedProject === projectId) {
+      setSelectedProject('all');
+    } else {
+      fetchTasks();
+      fetchStats();
+    }
+  }, 'Failed to delete project. Please try again.');
+
   /**
    * Handle logout
    */
@@ -255,26 +760,58 @@ const Dashboard = () => {
   };
 
   /**
-   * Manually trigger task automation check
+   * Manually trigger task automation check for the selected project
    */
   const handleManualAutomationRun = async () => {
-    if (tasks.length === 0) {
-      alert('No tasks available to check!');
-      return;
-    }
-    
     console.log('🔘 Manual automation triggered by user');
-    await checkTasksAndNotify(tasks, user?.email || 'demo@taskmanager.com');
-    alert('✅ Automation check complete! Check console for details.');
+    setAutomationRunning(true);
+
+    try {
+      const run = await runAutomationNow(selectedProject);
+      setAutomation(await getAutomationStatus());
+
+      if (run.status === 'failed') {
+        alert(`❌ Automation check failed: ${run.error}`);
+      } else {
+        const failed = run.notificationsFailed > 0 ? ` ${run.notificationsFailed} failed to deliver.` : '';
+        const queued = run.notificationsQueued > 0 ? ` ${run.notificationsQueued} queued for later delivery.` : '';
+        const suppressed = run.suppressed.length > 0
+          ? `\n\n🔕 ${run.notificationsSuppressed} suppressed:\n${run.suppressed.map(entry => `• ${entry.count} ${entry.type.replace('_', ' ')} - ${entry.reason}`).join('\n')}`
+          : '';
+        alert(`✅ Automation check complete! ${run.notificationsSent} email${run.notificationsSent !== 1 ? 's' : ''} sent for ${run.totalTasks} pending task${run.totalTasks !== 1 ? 's' : ''}.${failed}${queued}${suppressed}`);
+      }
+    } catch (err) {
+      console.error('Error running automation:', err);
+      alert(`❌ ${getErrorMessage(err, 'Failed to run automation. Please try again.')}`);
+    } finally {
+      setAutomationRunning(false);
+    }
+  };
+
+  /**
+   * Pause or resume the backend automation schedule, or change its interval
+   */
+  const handleUpdateAutomation = async (changes) => {
+    try {
+      const status = await updateAutomation(changes);
+      setAutomation(status);
+      return status;
+    } catch (err) {
+      console.error('Error updating automation:', err);
+      alert(`❌ ${getErrorMessage(err, 'Failed to update automation. Please try again.')}`);
+      return null;
+    }
   };
 
   /**
    * Toggle automation on/off
    */
-  const handleToggleAutomation = () => {
-    setAutomationEnabled(!automationEnabled);
-    if (!automationEnabled) {
-      alert('✅ Task Mail Automation Enabled! Checks will run every 20 minutes.');
+  const handleToggleAutomation = async () => {
+    const status = await handleUpdateAutomation({ enabled: !automationEnabled });
+    if (!status) return;
+
+    if (status.enabled) {
+      alert(`✅ Task Mail Automation Enabled! Checks will run every ${status.intervalMinutes} minutes.`);
     } else {
       alert('⏸️ Task Mail Automation Paused.');
     }
@@ -311,6 +848,12 @@ const Dashboard = () => {
                 )}
               </div>
 
+              {/* Notification Bell */}
+              <NotificationBell
+                onOpenNotification={handleOpenNotification}
+                onViewAll={handleViewAllNotifications}
+              />
+
               {/* Notification History Button */}
               <button
                 onClick={() => setShowNotificationHistory(true)}
@@ -320,6 +863,17 @@ const Dashboard = () => {
                 <span className="text-xl">📧</span>
               </button>
 
+              {/* Notification Settings Button */}
+              <button
+                onClick={() => setShowSettings(true)}
+                className={`p-2 rounded-lg transition-colors ${
+                  showSettings ? 'bg-blue-600 text-white' : 'bg-blue-50 hover:bg-blue-100 text-blue-600'
+                }`}
+                title="Notification Settings"
+              >
+                <span className="text-xl">⚙️</span>
+              </button>
+
               {/* User Info */}
               <div className="text-right hidden md:block">
                 <p className="text-sm text-gray-600">Logged in as</p>
@@ -357,13 +911,41 @@ const Dashboard = () => {
                 <p className="text-sm text-gray-600 mt-1">
                   {automationEnabled ? (
                     <>
-                      🔄 Checks pending tasks every 20 minutes • 
+                      🔄 Checks pending tasks every{' '}
+                      <select
+                        value={automation.intervalMinutes}
+                        onChange={(e) => handleUpdateAutomation({ intervalMinutes: Number(e.target.value) })}
+                        className="px-1 py-0.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        title="Time between scheduled checks"
+                      >
+                        {AUTOMATION_INTERVALS.map(minutes => (
+                          <option key={minutes} value={minutes}>
+                            {minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes > 60 ? 's' : ''}`}
+                          </option>
+                        ))}
+                      </select> • 
                       Next run: <span className="font-semibold">{nextAutomationRun ? new Date(nextAutomationRun).toLocaleTimeString() : 'Calculating...'}</span>
                     </>
-                  ) : (
+                  ) : automation ? (
                     '⏸️ Automation is currently paused. Enable to receive task notifications.'
+                  ) : (
+                    'Loading automation status...'
                   )}
                 </p>
+                {automation?.lastRun && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Last run: {new Date(automation.lastRun.startedAt).toLocaleString()} • 
+                    {automation.lastRun.status === 'failed'
+                      ? ' ❌ failed'
+                      : ` ${automation.lastRun.notificationsSent} email${automation.lastRun.notificationsSent !== 1 ? 's' : ''} sent`}
+                    {automation.lastRun.notificationsFailed > 0 && `, ${automation.lastRun.notificationsFailed} failed`}
+                    {automation.lastRun.notificationsQueued > 0 && `, ${automation.lastRun.notificationsQueued} queued`}
+                    {automation.lastRun.notificationsSuppressed > 0 && `, ${automation.lastRun.notificationsSuppressed} suppressed`}
+                  </p>
+                )}
+                {selectedProject !== 'all' && (
+                  <p className="text-xs text-gray-500 mt-1">⚡ Run Now only checks {scopeName}</p>
+                )}
               </div>
             </div>
             
@@ -372,14 +954,15 @@ const Dashboard = () => {
                 variant="secondary"
                 size="sm"
                 onClick={handleManualAutomationRun}
-                disabled={tasks.length === 0}
+                disabled={automationRunning}
               >
-                ⚡ Run Now
+                {automationRunning ? '⏳ Running...' : '⚡ Run Now'}
               </Button>
               <Button
                 variant={automationEnabled ? "danger" : "primary"}
                 size="sm"
                 onClick={handleToggleAutomation}
+                disabled={!automation}
               >
                 {automationEnabled ? '⏸️ Pause' : '▶️ Enable'}
               </Button>
@@ -390,6 +973,20 @@ const Dashboard = () => {
               >
                 📧 History
               </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => setShowRules(true)}
+              >
+                🧩 Rules
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => setShowTrash(true)}
+              >
+                🗑️ Trash
+              </Button>
             </div>
           </div>
         </div>
@@ -397,44 +994,97 @@ const Dashboard = () => {
 
       {/* Main Content */}
       <main className="container mx-auto px-4 py-8">
-        {/* Error Message */}
-        {error && (
-          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-6">
-            <div className="flex items-center">
-              <svg className="w-6 h-6 mr-2" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-              </svg>
-              {error}
+        {showSettings ? (
+          <NotificationSettings onBack={() => setShowSettings(false)} />
+        ) : (
+          <>
+            {/* Error Message */}
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-6">
+                <div className="flex items-center">
+                  <svg className="w-6 h-6 mr-2" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                  </svg>
+                  {error}
+                </div>
+              </div>
+            )}
+
+            <div className="flex flex-col lg:flex-row gap-6">
+              {/* Project Sidebar */}
+              <aside className="lg:w-64 flex-shrink-0">
+                <ProjectSidebar
+                  projects={projects}
+                  selectedProject={selectedProject}
+                  onSelect={setSelectedProject}
+                  onCreate={handleCreateProject}
+                  onUpdate={handleUpdateProject}
+                  onDelete={handleDeleteProject}
+                />
+              </aside>
+
+              <div className="flex-1 min-w-0">
+                {/* Archived Project Notice */}
+                {currentProject?.archived && (
+                  <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg mb-6 flex items-center justify-between gap-4">
+                    <span>📦 <strong>{currentProject.name}</strong> is archived. Its tasks are hidden from All Tasks.</span>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => handleUpdateProject(currentProject._id, { archived: false })}
+                    >
+                      📤 Unarchive
+                    </Button>
+                  </div>
+                )}
+
+                {/* Task Form */}
+                <TaskForm
+                  onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
+                  editTask={editingTask}
+                  onCancel={() => setEditingTask(null)}
+                  availableTags={tags}
+                  availableProjects={projects.filter(project => !project.archived)}
+                  defaultProject={currentProject && !currentProject.archived ? currentProject._id : ''}
+                />
+
+                {/* Filter Component */}
+                <TaskFilter
+                  filters={filters}
+                  onFilterChange={setFilters}
+                  searchQuery={searchQuery}
+                  searchErrors={parsedQuery.errors}
+                  onSearchChange={(e) => setSearchQuery(e.target.value)}
+                  availableTags={tags}
+                />
+
+                {/* Task List */}
+                <TaskList
+                  tasks={filteredTasks}
+                  title={currentProject
+                    ? `📁 ${currentProject.name}`
+                    : selectedProject === 'none' ? 'Tasks Without a Project' : 'Your Tasks'}
+                  stats={stats}
+                  hasMore={!searchResults && !!nextCursor}
+                  loadingMore={loadingMore}
+                  onLoadMore={loadMoreTasks}
+                  onEdit={(task) => {
+                    setEditingTask(task);
+                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                  }}
+                  onDelete={(taskId) => setDeleteConfirm({ show: true, taskId })}
+                  onToggle={handleToggleComplete}
+                  subtaskHandlers={subtaskHandlers}
+                  tagColors={tagColors}
+                  projects={projects}
+                  onRestored={handleTaskRestored}
+                  onBulkAction={handleBulkAction}
+                  loading={loading}
+                />
+              </div>
             </div>
-          </div>
+          </>
         )}
-
-        {/* Task Form */}
-        <TaskForm
-          onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
-          editTask={editingTask}
-          onCancel={() => setEditingTask(null)}
-        />
-
-        {/* Filter Component */}
-        <TaskFilter
-          filters={filters}
-          onFilterChange={setFilters}
-          searchQuery={searchQuery}
-          onSearchChange={(e) => setSearchQuery(e.target.value)}
-        />
-
-        {/* Task List */}
-        <TaskList
-          tasks={filteredTasks}
-          onEdit={(task) => {
-            setEditingTask(task);
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-          }}
-          onDelete={(taskId) => setDeleteConfirm({ show: true, taskId })}
-          onToggle={handleToggleComplete}
-          loading={loading}
-        />
       </main>
 
       {/* Delete Confirmation Modal */}
@@ -447,7 +1097,8 @@ const Dashboard = () => {
         <div className="text-center">
           <div className="text-6xl mb-4">⚠️</div>
           <p className="text-gray-700 mb-6">
-            Are you sure you want to delete this task? This action cannot be undone.
+            Are you sure you want to delete this task? It is moved to the trash,
+            where you can restore it until it is deleted for good.
           </p>
           <div className="flex gap-3 justify-center">
             <Button
@@ -476,7 +1127,34 @@ const Dashboard = () => {
       {/* Notification History Modal */}
       <NotificationHistory
         isOpen={showNotificationHistory}
-        onClose={() => setShowNotificationHistory(false)}
+        onClose={() => {
+          setShowNotificationHistory(false);
+          setHistoryFocus(null);
+        }}
+        focusNotification={historyFocus}
+      />
+
+      {/* Automation Rules Modal */}
+      <AutomationRules
+        isOpen={showRules}
+        onClose={() => setShowRules(false)}
+        projects={projects}
+      />
+
+      {/* Trash Modal */}
+      <Trash
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        onRestored={handleTaskRecovered}
+      />
+
+      {/* Undo Toast for the last delete */}
+      <UndoToast
+        message={!lastDeleted ? '' : lastDeleted.length === 1
+          ? `🗑️ "${lastDeleted[0].title}" moved to the trash`
+          : `🗑️ ${lastDeleted.length} tasks moved to the trash`}
+        onUndo={handleUndoDelete}
+        onDismiss={dismissUndo}
       />
 
       {/* Session Information Component */}
@@ -0,0 +1,65 @@
+import React, { useState, useRef } from 'react';
+
+/**
+ * Shows a rendered email, isolated from the app
+ * The HTML part is displayed in a sandboxed iframe with scripts disabled, so
+ * neither its styles nor its markup can affect the page. When the email has a
+ * plain-text part the user can switch between the two.
+ * @param {Object} props - Component props
+ * @param {string} props.html - HTML part
+ * @param {string} props.text - Plain-text part (optional; older emails only have HTML)
+ * @param {string} props.title - Accessible name of the frame
+ */
+const EmailFrame = ({ html, text, title = 'Email preview' }) => {
+  const [mode, setMode] = useState('html'); // 'html' or 'text'
+  const [height, setHeight] = useState(300);
+  const frameRef = useRef(null);
+
+  /**
+   * Grow the frame to fit the email once it has loaded
+   * Possible because allow-same-origin lets the parent read the frame's document
+   */
+  const handleLoad = () => {
+    const document = frameRef.current?.contentDocument;
+    if (document?.body) {
+      setHeight(document.documentElement.scrollHeight + 16);
+    }
+  };
+
+  const tabClass = (value) => `px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+    mode === value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div>
+      {text && (
+        <div className="flex gap-1 mb-3">
+          <button type="button" className={tabClass('html')} onClick={() => setMode('html')}>
+            🖼️ HTML
+          </button>
+          <button type="button" className={tabClass('text')} onClick={() => setMode('text')}>
+            📝 Plain text
+          </button>
+        </div>
+      )}
+
+      {mode === 'text' && text ? (
+        <pre className="whitespace-pre-wrap text-sm text-gray-800 font-mono bg-gray-50 p-3 rounded-md">
+          {text}
+        </pre>
+      ) : (
+        <iframe
+          ref={frameRef}
+          title={title}
+          sandbox="allow-same-origin"
+          srcDoc={html || ''}
+          onLoad={handleLoad}
+          className="w-full border-0"
+          style={{ height }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EmailFrame;
@@ -3,11 +3,12 @@ import Input from './Input';
 import Button from './Button';
 
 /**
- * Login Component - Simple authentication with session storage
+ * Login Component - Authenticates against the backend auth API
  * @param {Object} props - Component props
- * @param {Function} props.onLogin - Login success callback
+ * @param {Function} props.onLogin - Login handler, resolves to { success, message }
+ * @param {Function} props.onSwitchToRegister - Show the registration form
  */
-const Login = ({ onLogin }) => {
+const Login = ({ onLogin, onSwitchToRegister }) => {
   // Form state
   const [formData, setFormData] = useState({
     email: '',
@@ -18,12 +19,6 @@ const Login = ({ onLogin }) => {
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
-  // Demo credentials for testing
-  const DEMO_CREDENTIALS = {
-    email: 'demo@taskmanager.com',
-    password: 'demo123'
-  };
-
   /**
    * Handle input field changes
    */
@@ -70,7 +65,7 @@ const Login = ({ onLogin }) => {
   /**
    * Handle form submission
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
 
     // Validate form
@@ -80,45 +75,18 @@ const Login = ({ onLogin }) => {
 
     setLoading(true);
 
-    // Simulate API call delay
-    setTimeout(() => {
-      // Check credentials
-      if (
-        formData.email === DEMO_CREDENTIALS.email &&
-        formData.password === DEMO_CREDENTIALS.password
-      ) {
-        // Store user data in session storage
-        const userData = {
-          email: formData.email,
-          name: 'Demo User',
-          loginTime: new Date().toISOString()
-        };
-
-        sessionStorage.setItem('user', JSON.stringify(userData));
-        sessionStorage.setItem('isAuthenticated', 'true');
-
-        // Call success callback
-        setLoading(false);
-        onLogin(userData);
-      } else {
-        // Invalid credentials
-        setLoading(false);
-        setErrors({
-          form: 'Invalid email or password. Please try again.'
-        });
-      }
-    }, 1000);
-  };
-
-  /**
-   * Fill demo credentials for testing
-   */
-  const fillDemoCredentials = () => {
-    setFormData({
-      email: DEMO_CREDENTIALS.email,
-      password: DEMO_CREDENTIALS.password
+    // Verify credentials with the backend
+    const result = await onLogin({
+      email: formData.email,
+      password: formData.password
     });
-    setErrors({});
+
+    if (!result.success) {
+      setLoading(false);
+      setErrors({
+        form: result.message
+      });
+    }
   };
 
   return (
@@ -211,34 +179,16 @@ const Login = ({ onLogin }) => {
           </Button>
         </form>
 
-        {/* Demo Credentials Info */}
-        <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-          <p className="text-sm text-blue-800 font-semibold mb-2">
-            🎯 Demo Credentials:
-          </p>
-          <p className="text-xs text-blue-700 mb-1">
-            Email: <code className="bg-white px-2 py-1 rounded">demo@taskmanager.com</code>
-          </p>
-          <p className="text-xs text-blue-700 mb-3">
-            Password: <code className="bg-white px-2 py-1 rounded">demo123</code>
-          </p>
-          <Button
-            type="button"
-            variant="outline"
-            size="sm"
-            onClick={fillDemoCredentials}
-            className="w-full"
-          >
-            📋 Use Demo Credentials
-          </Button>
-        </div>
-
         {/* Footer */}
         <div className="mt-6 text-center text-sm text-gray-600">
           Don't have an account?{' '}
-          <a href="#" className="text-blue-600 hover:text-blue-700 font-medium">
+          <button
+            type="button"
+            onClick={onSwitchToRegister}
+            className="text-blue-600 hover:text-blue-700 font-medium"
+          >
             Sign up
-          </a>
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  subscribeToNotificationChanges,
+  TYPE_LABELS,
+  DIGEST_LABELS
+} from '../services/notifications';
+import { NotificationType } from '../services/taskMailAutomation';
+import { isSupported, alertsEnabled, setAlertsEnabled, showAlert } from '../utils/browserNotifications';
+
+// How often the unread count and feed are refreshed
+const POLL_MS = 60 * 1000;
+
+// Notifications shown in the dropdown
+const FEED_SIZE = 10;
+
+// Types that raise a desktop alert when browser alerts are on
+const ALERT_TYPES = [NotificationType.OVERDUE, NotificationType.DUE_SOON];
+
+// More new alerts than this at once are summed up in a single alert
+const MAX_SEPARATE_ALERTS = 3;
+
+/**
+ * Short relative time, e.g. "5m ago"
+ */
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / (24 * 60))}d ago`;
+};
+
+/**
+ * NotificationBell Component - In-app notification center in the Dashboard header
+ * Shows the unread count and a feed of the latest notifications from the same
+ * log as NotificationHistory, and optionally raises desktop alerts for new
+ * overdue and due-soon notifications while the app is open.
+ * @param {Object} props - Component props
+ * @param {Function} props.onOpenNotification - Called with a notification picked in the feed
+ * @param {Function} props.onViewAll - Opens the full notification history
+ */
+const NotificationBell = ({ onOpenNotification, onViewAll }) => {
+  const [open, setOpen] = useState(false);
+  const [unread, setUnread] = useState(0);
+  const [feed, setFeed] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [browserAlerts, setBrowserAlerts] = useState(alertsEnabled);
+
+  const containerRef = useRef(null);
+
+  // IDs already seen, so only notifications that arrive while the app is open raise alerts
+  const seenIdsRef = useRef(null);
+
+  /**
+   * Raise desktop alerts for new overdue and due-soon notifications
+   */
+  const alertNewNotifications = useCallback((notifications) => {
+    const seen = seenIdsRef.current;
+    seenIdsRef.current = new Set(notifications.map(n => n._id));
+
+    // First load: everything is already known
+    if (!seen) return;
+
+    const fresh = notifications.filter(n => !seen.has(n._id) && !n.readAt && ALERT_TYPES.includes(n.type));
+    if (fresh.length > MAX_SEPARATE_ALERTS) {
+      showAlert(`🔔 ${fresh.length} new task alerts`, {
+        body: fresh.map(n => n.taskTitle).join(', '),
+        tag: 'task-alerts',
+        onClick: onViewAll
+      });
+      return;
+    }
+
+    fresh.forEach(notification => {
+      showAlert(`${TYPE_LABELS[notification.type].icon} ${TYPE_LABELS[notification.type].label}`, {
+        body: notification.taskTitle,
+        tag: notification._id,
+        onClick: () => onOpenNotification(notification)
+      });
+    });
+  }, [onOpenNotification, onViewAll]);
+
+  /**
+   * Load the unread count and the latest notifications
+   */
+  const refresh = useCallback(async () => {
+    try {
+      const [count, page] = await Promise.all([
+        getUnreadCount(),
+        getNotifications({ limit: FEED_SIZE })
+      ]);
+      setUnread(count);
+      setFeed(page.notifications);
+      alertNewNotifications(page.notifications);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [alertNewNotifications]);
+
+  /**
+   * Poll for new notifications and follow read state changed in NotificationHistory
+   */
+  useEffect(() => {
+    refresh();
+    const pollInterval = setInterval(refresh, POLL_MS);
+    const unsubscribe = subscribeToNotificationChanges(refresh);
+
+    return () => {
+      clearInterval(pollInterval);
+      unsubscribe();
+    };
+  }, [refresh]);
+
+  /**
+   * Close the dropdown on clicks outside of it
+   */
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleToggle = () => {
+    if (!open) refresh();
+    setOpen(!open);
+  };
+
+  /**
+   * Open a notification from the feed; NotificationHistory marks it read
+   */
+  const handleOpen = (notification) => {
+    setOpen(false);
+    onOpenNotification(notification);
+  };
+
+  const handleMarkRead = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      await markNotificationRead(notification._id, !notification.readAt);
+    } catch (err) {
+      console.error('Error updating notification:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  const handleAlertsToggle = async (e) => {
+    const enabled = await setAlertsEnabled(e.target.checked);
+    setBrowserAlerts(enabled);
+    if (e.target.checked && !enabled) {
+      alert('🔕 Desktop alerts are blocked for this site. Allow notifications in your browser settings to turn them on.');
+    }
+  };
+
+  const getLabel = (type) => TYPE_LABELS[type] || DIGEST_LABELS[type] || { icon: '📋', label: type };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleToggle}
+        className={`p-2 rounded-lg transition-colors relative ${
+          open ? 'bg-blue-600 text-white' : 'bg-blue-50 hover:bg-blue-100 text-blue-600'
+        }`}
+        title={unread > 0 ? `${unread} unread notification${unread !== 1 ? 's' : ''}` : 'Notifications'}
+      >
+        <span className="text-xl">🔔</span>
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white rounded-lg shadow-xl border border-gray-200 z-40">
+          {/* Header */}
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="font-semibold text-gray-800">Notifications</h3>
+            <button
+              onClick={handleMarkAllRead}
+              disabled={unread === 0}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              ✓ Mark all read
+            </button>
+          </div>
+
+          {/* Feed */}
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {feed.length === 0 ? (
+              <li className="px-4 py-8 text-center text-sm text-gray-500">
+                {loading ? '⏳ Loading...' : '📭 No notifications yet'}
+              </li>
+            ) : (
+              feed.map(notification => {
+                const { icon, label } = getLabel(notification.type);
+
+                return (
+                  <li
+                    key={notification._id}
+                    onClick={() => handleOpen(notification)}
+                    className={`flex items-start gap-3 px-4 py-3 cursor-pointer transition-colors ${
+                      notification.readAt ? 'hover:bg-gray-50' : 'bg-blue-50 hover:bg-blue-100'
+                    }`}
+                  >
+                    <span className="text-lg">{icon}</span>
+                    <div className="flex-1 min-w-0">
+                      <p className={`text-sm text-gray-800 truncate ${notification.readAt ? '' : 'font-semibold'}`}>
+                        {notification.taskTitle || label}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {label} • {timeAgo(notification.createdAt)}
+                        {notification.status === 'queued' && ' • ⏳ queued'}
+                        {notification.status === 'failed' && ' • ✗ failed'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={(e) => handleMarkRead(e, notification)}
+                      className="text-xs text-gray-400 hover:text-blue-600"
+                      title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                    >
+                      {notification.readAt ? '○' : '●'}
+                    </button>
+                  </li>
+                );
+              })
+            )}
+          </ul>
+
+          {/* Footer */}
+          <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+            {isSupported() ? (
+              <label className="flex items-center text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={browserAlerts}
+                  onChange={handleAlertsToggle}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                />
+                <span className="ml-2">Desktop alerts for overdue &amp; due soon</span>
+              </label>
+            ) : (
+              <span className="text-xs text-gray-400">Desktop alerts are not supported in this browser</span>
+            )}
+            <button
+              onClick={() => {
+                setOpen(false);
+                onViewAll();
+              }}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800"
+            >
+              View all →
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
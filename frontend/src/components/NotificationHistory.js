@@ -1,37 +1,193 @@
-import React, { useState, useEffect } from 'react';
-import { getNotificationHistory, clearNotificationHistory } from '../services/taskMailAutomation';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getErrorMessage } from '../services/api';
+import {
+  getNotifications,
+  getNotificationStats,
+  getNotification,
+  markNotificationRead,
+  markAllNotificationsRead,
+  previewDigest,
+  clearNotifications,
+  subscribeToNotificationChanges,
+  TYPE_LABELS,
+  DIGEST_LABELS
+} from '../services/notifications';
 import Button from './Button';
 import Modal from './Modal';
+import EmailFrame from './EmailFrame';
+
+// Why a queued notification has not been sent yet, per delivery mode
+const QUEUED_LABELS = {
+  instant: 'until quiet hours end',
+  hourly: 'for the hourly digest',
+  daily: 'for the daily digest'
+};
+
+// Notifications loaded per page
+const PAGE_SIZE = 20;
+
+// Scheduled digests share one tab
+const DIGEST_FILTER = Object.keys(DIGEST_LABELS).join(',');
 
 /**
  * NotificationHistory Component
- * Displays history of sent email notifications from the automation service
+ * Displays the notification log stored by the backend, so history survives
+ * reloads and is the same on every device. Opening a notification marks it
+ * read, here and in the notification bell.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility state
+ * @param {Function} props.onClose - Close handler function
+ * @param {Object} props.focusNotification - Notification to open when the modal opens (e.g. picked in the bell)
  */
-const NotificationHistory = ({ isOpen, onClose }) => {
-  const [history, setHistory] = useState([]);
+const NotificationHistory = ({ isOpen, onClose, focusNotification = null }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [selectedNotification, setSelectedNotification] = useState(null);
-  const [filter, setFilter] = useState('all'); // all, overdue, due_soon, high_priority
+  const [filter, setFilter] = useState('all'); // 'all' or a NotificationType value
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [digestPreview, setDigestPreview] = useState(null); // { type, loading } while rendering, then the rendered digest
+
+  // Incremented on every first-page load so stale responses can be ignored
+  const loadIdRef = useRef(0);
 
   /**
-   * Update history every 5 seconds
+   * Load the first page and the counts when opened, filtered or refreshed
    */
   useEffect(() => {
-    if (isOpen) {
-      updateHistory();
-      const interval = setInterval(updateHistory, 5000);
-      return () => clearInterval(interval);
+    if (!isOpen) return;
+
+    const loadId = ++loadIdRef.current;
+    const params = { limit: PAGE_SIZE, ...(filter !== 'all' && { type: filter }) };
+    setLoading(true);
+    setError(null);
+
+    Promise.all([getNotifications(params), getNotificationStats()])
+      .then(([page, counts]) => {
+        if (loadId !== loadIdRef.current) return;
+        setNotifications(page.notifications);
+        setNextCursor(page.nextCursor);
+        setStats(counts);
+      })
+      .catch(err => {
+        if (loadId !== loadIdRef.current) return;
+        console.error('Error fetching notifications:', err);
+        setError(getErrorMessage(err, 'Failed to load notifications. Please try again.'));
+      })
+      .finally(() => {
+        if (loadId === loadIdRef.current) setLoading(false);
+      });
+  }, [isOpen, filter, refreshKey]);
+
+  /**
+   * Append the next page of notifications
+   */
+  const handleLoadMore = async () => {
+    const loadId = loadIdRef.current;
+    setLoading(true);
+
+    try {
+      const page = await getNotifications({
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+        ...(filter !== 'all' && { type: filter })
+      });
+      if (loadId !== loadIdRef.current) return;
+      setNotifications(prev => [...prev, ...page.notifications]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more notifications:', err);
+      setError(getErrorMessage(err, 'Failed to load more notifications. Please try again.'));
+    } finally {
+      if (loadId === loadIdRef.current) setLoading(false);
     }
+  };
+
+  /**
+   * Keep the list in step with read state changed here or in the notification bell
+   */
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    return subscribeToNotificationChanges(({ action, notification, readAt }) => {
+      if (action === 'cleared') {
+        setRefreshKey(key => key + 1);
+        return;
+      }
+
+      setNotifications(prev => prev.map(n => {
+        if (action === 'read-all') return n.readAt ? n : { ...n, readAt };
+        return n._id === notification._id ? { ...n, readAt: notification.readAt } : n;
+      }));
+      getNotificationStats()
+        .then(setStats)
+        .catch(err => console.error('Error fetching notification stats:', err));
+    });
   }, [isOpen]);
 
-  const updateHistory = () => {
-    const notifications = getNotificationHistory();
-    setHistory(notifications);
+  /**
+   * Open a notification and mark it read; the list leaves out email bodies, so fetch the full copy
+   */
+  const handleSelect = useCallback(async (notification) => {
+    setSelectedNotification(notification);
+
+    try {
+      const [full] = await Promise.all([
+        getNotification(notification._id),
+        notification.readAt ? null : markNotificationRead(notification._id)
+      ]);
+      setSelectedNotification(current => (current?._id === full._id ? full : current));
+    } catch (err) {
+      console.error('Error fetching notification:', err);
+    }
+  }, []);
+
+  /**
+   * Open the notification picked elsewhere (the bell) once the modal is shown
+   */
+  useEffect(() => {
+    if (isOpen && focusNotification) {
+      handleSelect(focusNotification);
+    }
+  }, [isOpen, focusNotification, handleSelect]);
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+      setError(getErrorMessage(err, 'Failed to mark notifications as read. Please try again.'));
+    }
   };
 
-  const handleClearHistory = () => {
+  const handleClearHistory = async () => {
     if (window.confirm('Are you sure you want to clear all notification history?')) {
-      clearNotificationHistory();
-      updateHistory();
+      try {
+        await clearNotifications();
+      } catch (err) {
+        console.error('Error clearing notification history:', err);
+        setError(getErrorMessage(err, 'Failed to clear notification history. Please try again.'));
+      }
+      setRefreshKey(key => key + 1);
+    }
+  };
+
+  /**
+   * Render a digest as it would be sent now and show it
+   */
+  const handlePreviewDigest = async (type) => {
+    setDigestPreview({ type, loading: true });
+
+    try {
+      const digest = await previewDigest(type);
+      setDigestPreview(current => (current?.type === type ? digest : current));
+    } catch (err) {
+      console.error('Error previewing digest:', err);
+      setDigestPreview(current => (
+        current?.type === type ? { type, error: getErrorMessage(err, 'Failed to preview digest. Please try again.') } : current
+      ));
     }
   };
 
@@ -44,20 +200,7 @@ const NotificationHistory = ({ isOpen, onClose }) => {
     }
   };
 
-  const getTypeIcon = (subject) => {
-    if (subject.includes('OVERDUE')) return '⚠️';
-    if (subject.includes('Due Soon')) return '⏰';
-    if (subject.includes('High Priority')) return '🔴';
-    return '📋';
-  };
-
-  const filteredHistory = history.filter(notification => {
-    if (filter === 'all') return true;
-    if (filter === 'overdue') return notification.subject.includes('OVERDUE');
-    if (filter === 'due_soon') return notification.subject.includes('Due Soon');
-    if (filter === 'high_priority') return notification.subject.includes('High Priority');
-    return true;
-  });
+  const getTypeIcon = (type) => (TYPE_LABELS[type] || DIGEST_LABELS[type])?.icon || '📋';
 
   return (
     <>
@@ -72,24 +215,26 @@ const NotificationHistory = ({ isOpen, onClose }) => {
           {/* Header Stats */}
           <div className="grid grid-cols-4 gap-4 mb-4">
             <div className="bg-blue-50 p-3 rounded-lg text-center">
-              <p className="text-2xl font-bold text-blue-600">{history.length}</p>
-              <p className="text-xs text-blue-800">Total Sent</p>
+              <p className="text-2xl font-bold text-blue-600">{stats?.sent ?? 0}</p>
+              <p className="text-xs text-blue-800">
+                Total Sent{stats?.failed > 0 && <span className="text-red-600"> ({stats.failed} failed)</span>}
+              </p>
             </div>
             <div className="bg-red-50 p-3 rounded-lg text-center">
               <p className="text-2xl font-bold text-red-600">
-                {history.filter(n => n.subject.includes('OVERDUE')).length}
+                {stats?.byType.overdue ?? 0}
               </p>
               <p className="text-xs text-red-800">Overdue</p>
             </div>
             <div className="bg-yellow-50 p-3 rounded-lg text-center">
               <p className="text-2xl font-bold text-yellow-600">
-                {history.filter(n => n.subject.includes('Due Soon')).length}
+                {stats?.byType.due_soon ?? 0}
               </p>
               <p className="text-xs text-yellow-800">Due Soon</p>
             </div>
             <div className="bg-purple-50 p-3 rounded-lg text-center">
               <p className="text-2xl font-bold text-purple-600">
-                {history.filter(n => n.subject.includes('High Priority')).length}
+                {stats?.byType.high_priority ?? 0}
               </p>
               <p className="text-xs text-purple-800">High Priority</p>
             </div>
@@ -97,7 +242,7 @@ const NotificationHistory = ({ isOpen, onClose }) => {
 
           {/* Filter Tabs */}
           <div className="flex space-x-2 border-b border-gray-200">
-            {['all', 'overdue', 'due_soon', 'high_priority'].map(f => (
+            {['all', ...Object.keys(TYPE_LABELS), DIGEST_FILTER].map(f => (
               <button
                 key={f}
                 onClick={() => setFilter(f)}
@@ -107,64 +252,125 @@ const NotificationHistory = ({ isOpen, onClose }) => {
                     : 'text-gray-600 hover:text-gray-800'
                 }`}
               >
-                {f === 'all' && '📧 All'}
-                {f === 'overdue' && '⚠️ Overdue'}
-                {f === 'due_soon' && '⏰ Due Soon'}
-                {f === 'high_priority' && '🔴 High Priority'}
+                {f === 'all'
+                  ? '📧 All'
+                  : f === DIGEST_FILTER ? '📬 Digests' : `${TYPE_LABELS[f].icon} ${TYPE_LABELS[f].label}`}
               </button>
             ))}
           </div>
 
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
           {/* Notification List */}
           <div className="max-h-96 overflow-y-auto space-y-2">
-            {filteredHistory.length === 0 ? (
+            {notifications.length === 0 ? (
               <div className="text-center py-8 text-gray-500">
-                <p className="text-4xl mb-2">📭</p>
-                <p>No notifications found</p>
+                <p className="text-4xl mb-2">{loading ? '⏳' : '📭'}</p>
+                <p>{loading ? 'Loading notifications...' : 'No notifications found'}</p>
               </div>
             ) : (
-              filteredHistory.map(notification => (
+              notifications.map(notification => (
                 <div
-                  key={notification.id}
-                  onClick={() => setSelectedNotification(notification)}
-                  className="bg-gray-50 p-4 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors border border-gray-200"
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  className={`p-4 rounded-lg cursor-pointer transition-colors border ${
+                    notification.readAt
+                      ? 'bg-gray-50 hover:bg-gray-100 border-gray-200'
+                      : 'bg-blue-50 hover:bg-blue-100 border-blue-200'
+                  }`}
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex-1">
                       <div className="flex items-center space-x-2 mb-1">
-                        <span className="text-xl">{getTypeIcon(notification.subject)}</span>
-                        <h4 className="font-semibold text-gray-800 text-sm">
+                        <span className="text-xl">{getTypeIcon(notification.type)}</span>
+                        {!notification.readAt && (
+                          <span className="w-2 h-2 rounded-full bg-blue-600" title="Unread"></span>
+                        )}
+                        <h4 className={`text-sm text-gray-800 ${notification.readAt ? 'font-medium' : 'font-bold'}`}>
                           {notification.subject}
                         </h4>
                       </div>
                       <div className="flex items-center space-x-3 text-xs text-gray-600">
                         <span>📧 {notification.to}</span>
-                        <span>⏰ {new Date(notification.sentAt).toLocaleString()}</span>
+                        <span>⏰ {new Date(notification.sentAt || notification.createdAt).toLocaleString()}</span>
                         <span className={`px-2 py-1 rounded-full text-xs font-semibold ${getPriorityColor(notification.priority)}`}>
                           {notification.priority.toUpperCase()}
                         </span>
                       </div>
                     </div>
                     <div className="text-xs text-gray-500">
-                      <span className="bg-green-100 text-green-700 px-2 py-1 rounded">
-                        ✓ {notification.status}
-                      </span>
+                      {notification.status === 'failed' ? (
+                        <span className="bg-red-100 text-red-700 px-2 py-1 rounded" title={notification.error}>
+                          ✗ failed
+                        </span>
+                      ) : notification.status === 'queued' ? (
+                        <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded" title={`Queued ${QUEUED_LABELS[notification.delivery]}`}>
+                          ⏳ queued
+                        </span>
+                      ) : (
+                        <span className="bg-green-100 text-green-700 px-2 py-1 rounded">
+                          ✓ {notification.status}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
               ))
             )}
+            {nextCursor && (
+              <div className="text-center pt-2">
+                <Button variant="secondary" size="sm" onClick={handleLoadMore} disabled={loading}>
+                  {loading ? '⏳ Loading...' : 'Load more'}
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {/* Digest Previews */}
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <span>Preview as sent now:</span>
+            {Object.entries(DIGEST_LABELS).map(([type, { icon, label }]) => (
+              <Button
+                key={type}
+                variant="outline"
+                size="sm"
+                onClick={() => handlePreviewDigest(type)}
+                disabled={digestPreview?.loading}
+              >
+                {icon} {label}
+              </Button>
+            ))}
           </div>
 
           {/* Actions */}
           <div className="flex justify-between items-center pt-4 border-t border-gray-200">
-            <Button
-              variant="secondary"
-              onClick={handleClearHistory}
-              disabled={history.length === 0}
-            >
-              🗑️ Clear History
-            </Button>
+            <div className="flex gap-2">
+              <Button
+                variant="secondary"
+                onClick={handleClearHistory}
+                disabled={!stats || stats.total === 0}
+              >
+                🗑️ Clear History
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={() => setRefreshKey(key => key + 1)}
+                disabled={loading}
+              >
+                🔄 Refresh
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={handleMarkAllRead}
+                disabled={!stats || stats.unread === 0}
+              >
+                ✓ Mark all read{stats?.unread > 0 && ` (${stats.unread})`}
+              </Button>
+            </div>
             <Button onClick={onClose}>
               Close
             </Button>
@@ -192,9 +398,9 @@ const NotificationHistory = ({ isOpen, onClose }) => {
                   <p className="font-semibold text-gray-800">{selectedNotification.to}</p>
                 </div>
                 <div>
-                  <p className="text-gray-600">Sent At:</p>
+                  <p className="text-gray-600">{selectedNotification.status === 'queued' ? 'Queued At:' : 'Sent At:'}</p>
                   <p className="font-semibold text-gray-800">
-                    {new Date(selectedNotification.sentAt).toLocaleString()}
+                    {new Date(selectedNotification.sentAt || selectedNotification.createdAt).toLocaleString()}
                   </p>
                 </div>
                 <div>
@@ -209,18 +415,35 @@ const NotificationHistory = ({ isOpen, onClose }) => {
                 </div>
                 <div>
                   <p className="text-gray-600">Delivery Time:</p>
-                  <p className="font-semibold text-green-600">{selectedNotification.deliveryTime}</p>
+                  <p className={`font-semibold ${selectedNotification.status === 'failed' ? 'text-red-600' : 'text-green-600'}`}>
+                    {selectedNotification.deliveryTime || '—'}
+                  </p>
                 </div>
               </div>
+              {selectedNotification.status === 'failed' && (
+                <div className="mt-3 bg-red-100 border border-red-300 text-red-700 px-3 py-2 rounded text-sm">
+                  ❌ Delivery failed: {selectedNotification.error}
+                </div>
+              )}
+              {selectedNotification.status === 'queued' && (
+                <div className="mt-3 bg-gray-100 border border-gray-300 text-gray-700 px-3 py-2 rounded text-sm">
+                  ⏳ Queued {QUEUED_LABELS[selectedNotification.delivery]}
+                </div>
+              )}
             </div>
 
             {/* Email Body Preview */}
             <div className="border border-gray-200 rounded-lg p-4 bg-white">
               <h4 className="font-semibold text-gray-800 mb-3">Email Preview:</h4>
-              <div 
-                className="prose prose-sm max-w-none"
-                dangerouslySetInnerHTML={{ __html: selectedNotification.body }}
-              />
+              {selectedNotification.body !== undefined ? (
+                <EmailFrame
+                  html={selectedNotification.body}
+                  text={selectedNotification.text}
+                  title={selectedNotification.subject}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">⏳ Loading email...</p>
+              )}
             </div>
 
             {/* Actions */}
@@ -232,6 +455,53 @@ const NotificationHistory = ({ isOpen, onClose }) => {
           </div>
         </Modal>
       )}
+
+      {/* Digest Preview Modal */}
+      {digestPreview && (
+        <Modal
+          isOpen={!!digestPreview}
+          onClose={() => setDigestPreview(null)}
+          title={`${DIGEST_LABELS[digestPreview.type].icon} ${DIGEST_LABELS[digestPreview.type].label} Preview`}
+          size="lg"
+        >
+          <div className="space-y-4">
+            {digestPreview.loading ? (
+              <p className="text-sm text-gray-500">⏳ Rendering digest...</p>
+            ) : digestPreview.error ? (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
+                {digestPreview.error}
+              </div>
+            ) : (
+              <>
+                <div className="bg-gradient-to-r from-blue-50 to-purple-50 p-4 rounded-lg">
+                  <h3 className="text-lg font-bold text-gray-800 mb-1">{digestPreview.subject}</h3>
+                  <p className="text-sm text-gray-600">
+                    Built from your tasks right now. Choose when it is sent in ⚙️ Notification Settings.
+                  </p>
+                  {digestPreview.empty && (
+                    <p className="mt-2 text-sm text-yellow-700">
+                      📭 Nothing to report at the moment, so this digest would be skipped.
+                    </p>
+                  )}
+                </div>
+                <div className="border border-gray-200 rounded-lg p-4 bg-white">
+                  <EmailFrame
+                    html={digestPreview.body}
+                    text={digestPreview.text}
+                    title={digestPreview.subject}
+                  />
+                </div>
+              </>
+            )}
+
+            <div className="flex justify-end">
+              <Button onClick={() => setDigestPreview(null)}>
+                Close
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
     </>
   );
 };
@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { getErrorMessage } from '../services/api';
+import { getPreferences, updatePreferences, DeliveryMode } from '../services/preferences';
+import { NotificationType } from '../services/taskMailAutomation';
+import Button from './Button';
+import WebhookSettings from './WebhookSettings';
+
+// Icon, label and description per notification type
+const TYPE_SETTINGS = [
+  { type: NotificationType.OVERDUE, icon: '⚠️', label: 'Overdue', description: 'Tasks past their due date' },
+  { type: NotificationType.DUE_SOON, icon: '⏰', label: 'Due Soon', description: 'Tasks due within 24 hours' },
+  { type: NotificationType.HIGH_PRIORITY, icon: '🔴', label: 'High Priority', description: 'Pending high priority tasks' },
+  { type: NotificationType.REMINDER, icon: '🔔', label: 'Reminder', description: 'Reminders you set on tasks' }
+];
+
+const DELIVERY_OPTIONS = [
+  { value: DeliveryMode.INSTANT, label: 'Instantly' },
+  { value: DeliveryMode.HOURLY, label: 'Hourly digest' },
+  { value: DeliveryMode.DAILY, label: 'Daily digest' }
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Every IANA zone the browser knows, or null on browsers without Intl.supportedValuesOf
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : null;
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white';
+
+/**
+ * NotificationSettings Component
+ * Settings page for which notification emails the user receives, how they are
+ * delivered (instantly or in digests), when not to send them (quiet hours)
+ * and when the morning digest and weekly summary go out, plus the user's webhooks
+ * @param {Object} props - Component props
+ * @param {Function} props.onBack - Handler to return to the task list
+ */
+const NotificationSettings = ({ onBack }) => {
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Load the saved preferences
+   */
+  useEffect(() => {
+    getPreferences()
+      .then(preferences => setForm(preferences))
+      .catch(err => {
+        console.error('Error fetching preferences:', err);
+        setError(getErrorMessage(err, 'Failed to load notification settings. Please try again.'));
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setSuccess(null);
+  };
+
+  const updateType = (type, changes) => {
+    updateForm({ types: { ...form.types, [type]: { ...form.types[type], ...changes } } });
+  };
+
+  const updateQuietHours = (changes) => {
+    updateForm({ quietHours: { ...form.quietHours, ...changes } });
+  };
+
+  const updateDigest = (field, changes) => {
+    updateForm({ [field]: { ...form[field], ...changes } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { timezone, types, quietHours, dailyDigestTime, morningDigest, weeklySummary } = form;
+      const saved = await updatePreferences({
+        timezone,
+        types,
+        quietHours,
+        dailyDigestTime,
+        morningDigest: { enabled: morningDigest.enabled, time: morningDigest.time },
+        weeklySummary: { enabled: weeklySummary.enabled, day: weeklySummary.day, time: weeklySummary.time }
+      });
+      setForm(saved);
+      setSuccess('✅ Notification settings saved');
+      console.log('⚙️ Notification settings saved');
+    } catch (err) {
+      console.error('Error saving preferences:', err);
+      setError(getErrorMessage(err, 'Failed to save notification settings. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const usesDailyDigest = form && Object.values(form.types).some(t => t.enabled && t.delivery === DeliveryMode.DAILY);
+
+  // Keep a saved zone selectable even if this browser does not list it
+  const timezoneOptions = TIMEZONES && form && !TIMEZONES.includes(form.timezone)
+    ? [form.timezone, ...TIMEZONES]
+    : TIMEZONES;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">⚙️ Notification Settings</h2>
+        <Button variant="secondary" size="sm" onClick={onBack}>
+          ← Back to Tasks
+        </Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg mb-6">
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12 text-gray-500">
+          <p className="text-4xl mb-2">⏳</p>
+          <p>Loading settings...</p>
+        </div>
+      ) : form && (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Notification Types */}
+          <section className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">📧 Email Notifications</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose which emails you receive and whether they arrive instantly or bundled into a digest.
+            </p>
+
+            <div className="divide-y divide-gray-100">
+              {TYPE_SETTINGS.map(({ type, icon, label, description }) => (
+                <div key={type} className="flex items-center justify-between gap-4 py-3">
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={form.types[type].enabled}
+                      onChange={(e) => updateType(type, { enabled: e.target.checked })}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-800">{icon} {label}</span>
+                      <span className="block text-xs text-gray-500">{description}</span>
+                    </span>
+                  </label>
+                  <select
+                    value={form.types[type].delivery}
+                    onChange={(e) => updateType(type, { delivery: e.target.value })}
+                    disabled={!form.types[type].enabled}
+                    className={`${inputClassName} text-sm disabled:opacity-50`}
+                  >
+                    {DELIVERY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {usesDailyDigest && (
+              <div className="mt-4 flex items-center gap-3 text-sm text-gray-700">
+                <label htmlFor="dailyDigestTime">📬 Send the daily digest at</label>
+                <input
+                  id="dailyDigestTime"
+                  type="time"
+                  value={form.dailyDigestTime}
+                  onChange={(e) => updateForm({ dailyDigestTime: e.target.value })}
+                  required
+                  className={inputClassName}
+                />
+              </div>
+            )}
+          </section>
+
+          {/* Scheduled Digests */}
+          <section className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">📅 Scheduled Digests</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Summary emails sent at a time you choose. Preview them from 📧 Notification History.
+            </p>
+
+            <div className="space-y-4">
+              <div className="flex items-center justify-between gap-4 flex-wrap">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.morningDigest.enabled}
+                    onChange={(e) => updateDigest('morningDigest', { enabled: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-800">🌅 Morning digest</span>
+                    <span className="block text-xs text-gray-500">Overdue, due today, due this week and recently completed tasks</span>
+                  </span>
+                </label>
+                <div className="flex items-center gap-2 text-sm text-gray-700">
+                  <label htmlFor="morningDigestTime">Every day at</label>
+                  <input
+                    id="morningDigestTime"
+                    type="time"
+                    value={form.morningDigest.time}
+                    onChange={(e) => updateDigest('morningDigest', { time: e.target.value })}
+                    disabled={!form.morningDigest.enabled}
+                    required
+                    className={`${inputClassName} disabled:opacity-50`}
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between gap-4 flex-wrap">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.weeklySummary.enabled}
+                    onChange={(e) => updateDigest('weeklySummary', { enabled: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-800">📊 Weekly summary</span>
+                    <span className="block text-xs text-gray-500">Completion statistics for the past seven days</span>
+                  </span>
+                </label>
+                <div className="flex items-center gap-2 text-sm text-gray-700">
+                  <label htmlFor="weeklySummaryDay">Every</label>
+                  <select
+                    id="weeklySummaryDay"
+                    value={form.weeklySummary.day}
+                    onChange={(e) => updateDigest('weeklySummary', { day: Number(e.target.value) })}
+                    disabled={!form.weeklySummary.enabled}
+                    className={`${inputClassName} disabled:opacity-50`}
+                  >
+                    {WEEKDAYS.map((name, day) => (
+                      <option key={day} value={day}>{name}</option>
+                    ))}
+                  </select>
+                  <label htmlFor="weeklySummaryTime">at</label>
+                  <input
+                    id="weeklySummaryTime"
+                    type="time"
+                    value={form.weeklySummary.time}
+                    onChange={(e) => updateDigest('weeklySummary', { time: e.target.value })}
+                    disabled={!form.weeklySummary.enabled}
+                    required
+                    className={`${inputClassName} disabled:opacity-50`}
+                  />
+                </div>
+              </div>
+
+              {[form.morningDigest, form.weeklySummary].some(digest => digest.nextSendAt) && (
+                <p className="text-xs text-gray-500">
+                  {form.morningDigest.nextSendAt && `🌅 Next morning digest: ${new Date(form.morningDigest.nextSendAt).toLocaleString()}. `}
+                  {form.weeklySummary.nextSendAt && `📊 Next weekly summary: ${new Date(form.weeklySummary.nextSendAt).toLocaleString()}.`}
+                </p>
+              )}
+            </div>
+          </section>
+
+          {/* Quiet Hours */}
+          <section className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">🌙 Quiet Hours</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              No emails are sent during quiet hours. Notifications are held and delivered once they end.
+            </p>
+
+            <label className="flex items-center gap-3 cursor-pointer mb-4">
+              <input
+                type="checkbox"
+                checked={form.quietHours.enabled}
+                onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+              />
+              <span className="text-gray-800">Enable quiet hours</span>
+            </label>
+
+            <div className={`flex items-center gap-3 text-sm text-gray-700 ${form.quietHours.enabled ? '' : 'opacity-50'}`}>
+              <label htmlFor="quietHoursStart">From</label>
+              <input
+                id="quietHoursStart"
+                type="time"
+                value={form.quietHours.start}
+                onChange={(e) => updateQuietHours({ start: e.target.value })}
+                disabled={!form.quietHours.enabled}
+                required
+                className={inputClassName}
+              />
+              <label htmlFor="quietHoursEnd">to</label>
+              <input
+                id="quietHoursEnd"
+                type="time"
+                value={form.quietHours.end}
+                onChange={(e) => updateQuietHours({ end: e.target.value })}
+                disabled={!form.quietHours.enabled}
+                required
+                className={inputClassName}
+              />
+            </div>
+          </section>
+
+          {/* Timezone */}
+          <section className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">🌍 Timezone</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Quiet hours, digest times and what counts as "today" follow this timezone.
+            </p>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {timezoneOptions ? (
+                <select
+                  value={form.timezone}
+                  onChange={(e) => updateForm({ timezone: e.target.value })}
+                  className={inputClassName}
+                >
+                  {timezoneOptions.map(zone => (
+                    <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={form.timezone}
+                  onChange={(e) => updateForm({ timezone: e.target.value })}
+                  placeholder="e.g. Europe/Berlin"
+                  required
+                  className={inputClassName}
+                />
+              )}
+              {form.timezone !== BROWSER_TIMEZONE && (
+                <Button variant="outline" size="sm" onClick={() => updateForm({ timezone: BROWSER_TIMEZONE })}>
+                  📍 Use my timezone ({BROWSER_TIMEZONE})
+                </Button>
+              )}
+            </div>
+          </section>
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={onBack}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? '⏳ Saving...' : '💾 Save Settings'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {/* Webhooks save on their own, separately from the form above */}
+      <div className="mt-6">
+        <WebhookSettings />
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+
+// Starting values for the create/edit project form
+const EMPTY_PROJECT = { name: '', description: '', color: '#3b82f6' };
+
+/**
+ * ProjectForm Component - Inline form for creating or editing a project
+ */
+const ProjectForm = ({ initial = EMPTY_PROJECT, submitLabel, onSubmit, onCancel }) => {
+  const [form, setForm] = useState({
+    name: initial.name || '',
+    description: initial.description || '',
+    color: initial.color || EMPTY_PROJECT.color
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    await onSubmit({
+      name: form.name.trim(),
+      description: form.description.trim(),
+      color: form.color
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={form.color}
+          onChange={(e) => setForm({ ...form, color: e.target.value })}
+          className="w-8 h-8 p-0 border-0 bg-transparent cursor-pointer"
+          title="Project colour"
+        />
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Project name"
+          maxLength={50}
+          autoFocus
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        placeholder="Description (optional)"
+        maxLength={300}
+        rows="2"
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!form.name.trim()}
+          className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm font-medium text-gray-600 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * ProjectSidebar Component - Project list that scopes the Dashboard
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.projects - Projects with taskCount and openCount
+ * @param {string} props.selectedProject - 'all', 'none' or a project ID
+ * @param {Function} props.onSelect - Selection handler (receives 'all', 'none' or a project ID)
+ * @param {Function} props.onCreate - Create handler ({ name, description, color }), resolves true on success
+ * @param {Function} props.onUpdate - Update handler (projectId, changes), resolves true on success
+ * @param {Function} props.onDelete - Delete handler (projectId)
+ */
+const ProjectSidebar = ({ projects = [], selectedProject, onSelect, onCreate, onUpdate, onDelete }) => {
+  const [creating, setCreating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  /**
+   * Sidebar entry button classes
+   */
+  const entryClass = (selected) => `
+    flex-1 min-w-0 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors
+    ${selected ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'}
+  `;
+
+  /**
+   * Delete a project after confirmation; its tasks are kept
+   */
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete project "${project.name}"? Its tasks will be kept without a project.`)) {
+      onDelete(project._id);
+    }
+  };
+
+  /**
+   * Render one project row with its actions
+   */
+  const renderProject = (project) => {
+    if (editingId === project._id) {
+      return (
+        <li key={project._id}>
+          <ProjectForm
+            initial={project}
+            submitLabel="Save"
+            onSubmit={async (changes) => {
+              if (await onUpdate(project._id, changes)) setEditingId(null);
+            }}
+            onCancel={() => setEditingId(null)}
+          />
+        </li>
+      );
+    }
+
+    return (
+      <li key={project._id} className="group flex items-center">
+        <button
+          type="button"
+          onClick={() => onSelect(project._id)}
+          className={entryClass(selectedProject === project._id)}
+          title={project.description || project.name}
+        >
+          <span
+            className="inline-block w-3 h-3 rounded-full flex-shrink-0"
+            style={{ backgroundColor: project.color }}
+          />
+          <span className={`truncate ${project.archived ? 'text-gray-400' : ''}`}>{project.name}</span>
+          <span className="ml-auto text-xs text-gray-400">{project.openCount}</span>
+        </button>
+        <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+          <button
+            type="button"
+            onClick={() => setEditingId(project._id)}
+            className="text-xs px-1 text-gray-400 hover:text-gray-700"
+            title="Edit project"
+          >
+            ✏️
+          </button>
+          <button
+            type="button"
+            onClick={() => onUpdate(project._id, { archived: !project.archived })}
+            className="text-xs px-1 text-gray-400 hover:text-gray-700"
+            title={project.archived ? 'Unarchive project' : 'Archive project (hides its tasks)'}
+          >
+            {project.archived ? '📤' : '📦'}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDelete(project)}
+            className="text-xs px-1 text-red-400 hover:text-red-600"
+            title="Delete project"
+          >
+            🗑️
+          </button>
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <h2 className="text-lg font-bold text-gray-800 mb-3">📁 Projects</h2>
+
+      <ul className="space-y-1 mb-3">
+        <li className="flex">
+          <button type="button" onClick={() => onSelect('all')} className={entryClass(selectedProject === 'all')}>
+            🗂️ All Tasks
+          </button>
+        </li>
+        <li className="flex">
+          <button type="button" onClick={() => onSelect('none')} className={entryClass(selectedProject === 'none')}>
+            📥 No Project
+          </button>
+        </li>
+      </ul>
+
+      {/* Active Projects */}
+      <ul className="space-y-1">
+        {activeProjects.map(renderProject)}
+      </ul>
+      {activeProjects.length === 0 && !creating && (
+        <p className="text-sm text-gray-500 px-3">No projects yet.</p>
+      )}
+
+      {/* New Project */}
+      <div className="mt-3">
+        {creating ? (
+          <ProjectForm
+            submitLabel="Create"
+            onSubmit={async (project) => {
+              if (await onCreate(project)) setCreating(false);
+            }}
+            onCancel={() => setCreating(false)}
+          />
+        ) : (
+          <button
+            type="button"
+            onClick={() => setCreating(true)}
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium px-3"
+          >
+            ➕ New Project
+          </button>
+        )}
+      </div>
+
+      {/* Archived Projects */}
+      {archivedProjects.length > 0 && (
+        <div className="mt-4 pt-3 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={() => setShowArchived(!showArchived)}
+            className="text-sm text-gray-600 font-medium px-3"
+          >
+            {showArchived ? '▾' : '▸'} Archived ({archivedProjects.length})
+          </button>
+          {showArchived && (
+            <ul className="space-y-1 mt-2">
+              {archivedProjects.map(renderProject)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectSidebar;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { listOccurrences, describeRecurrence, WEEKDAY_NAMES } from '../utils/recurrence';
+
+// Number of upcoming dates shown in the preview
+const PREVIEW_COUNT = 5;
+
+/**
+ * RecurrenceEditor Component - Repeat rule editor with an occurrence preview
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - Recurrence rule, or null for a one-off task
+ * @param {Function} props.onChange - Change handler (receives the new rule or null)
+ * @param {string} props.dueDate - Due date of the first occurrence (YYYY-MM-DD)
+ * @param {string} props.error - Validation error message
+ */
+const RecurrenceEditor = ({ value, onChange, dueDate, error }) => {
+  // Which end condition is selected; kept separately so an empty field does not reset it
+  const [endMode, setEndMode] = useState(value?.count ? 'count' : value?.endDate ? 'date' : 'never');
+
+  const rule = value || null;
+  const preview = rule ? listOccurrences(rule, dueDate, PREVIEW_COUNT) : [];
+
+  /**
+   * Merge changes into the current rule
+   */
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  /**
+   * Turn repeating on with a weekly rule on the due date's weekday, or off
+   */
+  const handleToggle = (e) => {
+    if (!e.target.checked) {
+      onChange(null);
+      return;
+    }
+
+    const weekday = dueDate ? new Date(dueDate).getUTCDay() : new Date().getDay();
+    setEndMode('never');
+    onChange({ frequency: 'weekly', interval: 1, weekdays: [weekday] });
+  };
+
+  /**
+   * Switch frequency, dropping fields that only apply to the old one
+   */
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    const { weekdays, monthDay, ...rest } = rule;
+
+    if (frequency === 'weekly') {
+      onChange({ ...rest, frequency, weekdays: dueDate ? [new Date(dueDate).getUTCDay()] : [] });
+    } else if (frequency === 'monthly') {
+      onChange({ ...rest, frequency, monthDay: dueDate ? new Date(dueDate).getUTCDate() : 1 });
+    } else {
+      onChange({ ...rest, frequency });
+    }
+  };
+
+  /**
+   * Add or remove a weekday from a weekly rule
+   */
+  const handleWeekdayToggle = (day) => {
+    const weekdays = rule.weekdays || [];
+    update({
+      weekdays: weekdays.includes(day)
+        ? weekdays.filter(d => d !== day)
+        : [...weekdays, day].sort()
+    });
+  };
+
+  /**
+   * Switch between never ending, ending on a date and ending after a count
+   */
+  const handleEndModeChange = (mode) => {
+    setEndMode(mode);
+    const { endDate, count, ...rest } = rule;
+    if (mode === 'date') onChange({ ...rest, endDate: dueDate || '' });
+    else if (mode === 'count') onChange({ ...rest, count: 10 });
+    else onChange(rest);
+  };
+
+  const plural = (rule?.interval || 1) > 1 ? 's' : '';
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="mb-4">
+      <label className="flex items-center text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={!!rule}
+          onChange={handleToggle}
+          className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+        />
+        <span className="ml-2">🔁 Repeat this task</span>
+      </label>
+
+      {rule && (
+        <div className={`mt-3 p-4 bg-gray-50 rounded-lg border ${error ? 'border-red-500' : 'border-gray-200'} space-y-3`}>
+          {/* Frequency and Interval */}
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={rule.interval || 1}
+              onChange={(e) => update({ interval: parseInt(e.target.value, 10) || 1 })}
+              className={`${inputClass} w-20`}
+            />
+            <select value={rule.frequency} onChange={handleFrequencyChange} className={inputClass}>
+              <option value="daily">day{plural}</option>
+              <option value="weekly">week{plural}</option>
+              <option value="monthly">month{plural}</option>
+            </select>
+
+            {rule.frequency === 'monthly' && (
+              <>
+                <span>on day</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={rule.monthDay || ''}
+                  onChange={(e) => update({ monthDay: parseInt(e.target.value, 10) || undefined })}
+                  className={`${inputClass} w-20`}
+                />
+              </>
+            )}
+          </div>
+
+          {/* Weekdays */}
+          {rule.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAY_NAMES.map((name, day) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => handleWeekdayToggle(day)}
+                  className={`px-2 py-1 text-xs font-semibold rounded-lg border transition-colors ${
+                    (rule.weekdays || []).includes(day)
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                  }`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* End Condition */}
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <span>Ends</span>
+            {['never', 'date', 'count'].map(mode => (
+              <label key={mode} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="recurrenceEnd"
+                  checked={endMode === mode}
+                  onChange={() => handleEndModeChange(mode)}
+                />
+                {{ never: 'Never', date: 'On', count: 'After' }[mode]}
+              </label>
+            ))}
+            {endMode === 'date' && (
+              <input
+                type="date"
+                value={rule.endDate || ''}
+                onChange={(e) => update({ endDate: e.target.value })}
+                className={inputClass}
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.count || ''}
+                  onChange={(e) => update({ count: parseInt(e.target.value, 10) || undefined })}
+                  className={`${inputClass} w-20`}
+                />
+                <span>occurrences</span>
+              </>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="pt-2 border-t border-gray-200">
+            <p className="text-sm font-medium text-gray-700 mb-1">{describeRecurrence(rule)}</p>
+            {dueDate ? (
+              <ul className="text-sm text-gray-600 space-y-0.5">
+                {preview.map((date, index) => (
+                  <li key={date.toISOString()}>
+                    {index + 1}. {date.toLocaleDateString('en-US', {
+                      weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+                    })}
+                  </li>
+                ))}
+                {preview.length < PREVIEW_COUNT && (
+                  <li className="text-xs text-gray-400">The series ends here</li>
+                )}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-400">Pick a due date to preview the next occurrences.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-1 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import Input from './Input';
+import Button from './Button';
+
+/**
+ * Register Component - Account sign-up form backed by the auth API
+ * @param {Object} props - Component props
+ * @param {Function} props.onRegister - Registration handler, resolves to { success, message }
+ * @param {Function} props.onSwitchToLogin - Show the login form
+ */
+const Register = ({ onRegister, onSwitchToLogin }) => {
+  // Form state
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: '',
+    confirmPassword: ''
+  });
+
+  // UI state
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Handle input field changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Clear error for this field
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Validate form data
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    // Name validation
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    } else if (formData.name.trim().length > 50) {
+      newErrors.name = 'Name must not exceed 50 characters';
+    }
+
+    // Email validation
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+
+    // Password validation
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+
+    // Confirm password validation
+    if (formData.confirmPassword !== formData.password) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validate form
+    if (!validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await onRegister({
+      name: formData.name.trim(),
+      email: formData.email,
+      password: formData.password
+    });
+
+    if (!result.success) {
+      setLoading(false);
+      setErrors({
+        form: result.message
+      });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">📝</div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">
+            Create Account
+          </h1>
+          <p className="text-gray-600">
+            Sign up to start managing your tasks
+          </p>
+        </div>
+
+        {/* Registration Form */}
+        <form onSubmit={handleSubmit}>
+          {/* Form Error Message */}
+          {errors.form && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+              {errors.form}
+            </div>
+          )}
+
+          {/* Name Input */}
+          <Input
+            type="text"
+            name="name"
+            label="Full Name"
+            value={formData.name}
+            onChange={handleChange}
+            placeholder="Enter your name"
+            required
+            error={errors.name}
+            autoComplete="name"
+          />
+
+          {/* Email Input */}
+          <Input
+            type="email"
+            name="email"
+            label="Email Address"
+            value={formData.email}
+            onChange={handleChange}
+            placeholder="Enter your email"
+            required
+            error={errors.email}
+            autoComplete="email"
+          />
+
+          {/* Password Input */}
+          <Input
+            type="password"
+            name="password"
+            label="Password"
+            value={formData.password}
+            onChange={handleChange}
+            placeholder="At least 6 characters"
+            required
+            error={errors.password}
+            autoComplete="new-password"
+          />
+
+          {/* Confirm Password Input */}
+          <Input
+            type="password"
+            name="confirmPassword"
+            label="Confirm Password"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            placeholder="Re-enter your password"
+            required
+            error={errors.confirmPassword}
+            autoComplete="new-password"
+          />
+
+          {/* Register Button */}
+          <Button
+            type="submit"
+            variant="primary"
+            size="lg"
+            disabled={loading}
+            className="w-full mt-2"
+          >
+            {loading ? 'Creating account...' : '✨ Sign Up'}
+          </Button>
+        </form>
+
+        {/* Footer */}
+        <div className="mt-6 text-center text-sm text-gray-600">
+          Already have an account?{' '}
+          <button
+            type="button"
+            onClick={onSwitchToLogin}
+            className="text-blue-600 hover:text-blue-700 font-medium"
+          >
+            Log in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
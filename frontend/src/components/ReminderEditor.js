@@ -0,0 +1,144 @@
+import React from 'react';
+import {
+  REMINDER_UNITS,
+  MAX_REMINDERS,
+  MAX_AMOUNT,
+  reminderTime,
+  formatReminderTime,
+  toLocalInputValue
+} from '../utils/reminders';
+
+/**
+ * ReminderEditor Component - List of custom reminders for a task
+ * Relative reminders fire a set time before the due date, absolute ones at a fixed time.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.value - Reminders ({ kind, amount, unit } or { kind, at } with at as a
+ *   datetime-local value; sentAt is set on saved reminders that already fired)
+ * @param {Function} props.onChange - Change handler (receives the new list)
+ * @param {string} props.dueDate - Due date of the task (YYYY-MM-DD)
+ * @param {string} props.error - Validation error message
+ */
+const ReminderEditor = ({ value = [], onChange, dueDate, error }) => {
+  /**
+   * Merge changes into one reminder; a changed reminder fires again
+   */
+  const update = (index, changes) => {
+    onChange(value.map((reminder, i) => (i === index ? { ...reminder, ...changes, sentAt: null } : reminder)));
+  };
+
+  /**
+   * Switch a reminder between relative and absolute, keeping its time where possible
+   */
+  const handleKindChange = (index, kind) => {
+    const reminder = value[index];
+    if (kind === 'absolute') {
+      const time = reminderTime(reminder, dueDate) || new Date();
+      onChange(value.map((r, i) => (i === index ? { kind, at: toLocalInputValue(time) } : r)));
+    } else {
+      onChange(value.map((r, i) => (i === index ? { kind, amount: 1, unit: 'days' } : r)));
+    }
+  };
+
+  const handleAdd = () => {
+    onChange([...value, { kind: 'relative', amount: 1, unit: 'days' }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-medium text-gray-700">🔔 Reminders</span>
+        {value.length < MAX_REMINDERS && (
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ➕ Add reminder
+          </button>
+        )}
+      </div>
+
+      {value.length === 0 ? (
+        <p className="text-xs text-gray-400">No reminders. Overdue and due-soon emails are still sent.</p>
+      ) : (
+        <ul className={`p-3 bg-gray-50 rounded-lg border ${error ? 'border-red-500' : 'border-gray-200'} space-y-2`}>
+          {value.map((reminder, index) => {
+            const time = reminderTime(reminder, dueDate);
+
+            return (
+              <li key={index} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <select
+                  value={reminder.kind}
+                  onChange={(e) => handleKindChange(index, e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="relative">Before due</option>
+                  <option value="absolute">At a time</option>
+                </select>
+
+                {reminder.kind === 'relative' ? (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_AMOUNT}
+                      value={reminder.amount ?? ''}
+                      onChange={(e) => update(index, { amount: parseInt(e.target.value, 10) || '' })}
+                      className={`${inputClass} w-20`}
+                    />
+                    <select
+                      value={reminder.unit}
+                      onChange={(e) => update(index, { unit: e.target.value })}
+                      className={inputClass}
+                    >
+                      {REMINDER_UNITS.map(unit => (
+                        <option key={unit} value={unit}>{unit}</option>
+                      ))}
+                    </select>
+                    <span>before due</span>
+                  </>
+                ) : (
+                  <input
+                    type="datetime-local"
+                    value={reminder.at || ''}
+                    onChange={(e) => update(index, { at: e.target.value })}
+                    className={inputClass}
+                  />
+                )}
+
+                {reminder.sentAt ? (
+                  <span className="text-xs text-green-700">✓ sent {formatReminderTime(reminder.sentAt)}</span>
+                ) : time && dueDate && (
+                  <span className={`text-xs ${time < new Date() ? 'text-yellow-700' : 'text-gray-500'}`}>
+                    {time < new Date() ? '⚠️ in the past, sent right away' : `fires ${formatReminderTime(time)}`}
+                  </span>
+                )}
+
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="ml-auto text-gray-400 hover:text-red-600"
+                  aria-label="Remove reminder"
+                >
+                  ✖️
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && (
+        <p className="mt-1 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ReminderEditor;
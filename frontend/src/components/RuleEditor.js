@@ -0,0 +1,494 @@
+import React, { useState, useEffect } from 'react';
+import { getErrorMessage } from '../services/api';
+import {
+  dryRunRule,
+  getRuleExecutions,
+  TRIGGER_LABELS,
+  CONDITION_FIELDS,
+  ACTION_LABELS,
+  PRIORITIES
+} from '../services/rules';
+import Button from './Button';
+
+const MAX_CONDITIONS = 10;
+const MAX_ACTIONS = 10;
+
+const inputClass = 'px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white';
+
+const RESULT_STYLES = {
+  done: { icon: '✓', className: 'text-green-700' },
+  skipped: { icon: '–', className: 'text-gray-500' },
+  failed: { icon: '✗', className: 'text-red-700' }
+};
+
+/**
+ * Starting value of a condition for a field
+ */
+const newCondition = (field) => ({
+  field,
+  operator: Object.keys(CONDITION_FIELDS[field].operators)[0],
+  value: field === 'priority' ? 'High' : field === 'project' ? 'none' : ''
+});
+
+/**
+ * Starting value of an action for a type
+ */
+const newAction = (type, projects) => {
+  switch (type) {
+    case 'set_priority':
+      return { type, value: 'High' };
+    case 'add_tag':
+    case 'remove_tag':
+      return { type, value: '' };
+    case 'move_to_project':
+      return { type, value: projects[0]?._id || 'none' };
+    case 'send_email':
+      return { type, message: '' };
+    case 'create_task':
+      return { type, title: 'Follow up: {{task.title}}', dueInDays: 3, priority: '' };
+    default:
+      return { type };
+  }
+};
+
+/**
+ * Rule fields as the API takes them, without the unused fields of each action
+ */
+const toPayload = (form) => ({
+  name: form.name,
+  trigger: form.trigger,
+  enabled: form.enabled,
+  conditions: form.conditions,
+  actions: form.actions.map(action => {
+    switch (action.type) {
+      case 'raise_priority':
+        return { type: action.type };
+      case 'send_email':
+        return { type: action.type, message: action.message };
+      case 'create_task':
+        return {
+          type: action.type,
+          title: action.title,
+          dueInDays: parseInt(action.dueInDays, 10),
+          priority: action.priority || null
+        };
+      default:
+        return { type: action.type, value: action.value };
+    }
+  })
+});
+
+/**
+ * Outcome of each action, as listed in dry runs and the execution log
+ */
+const ResultList = ({ results }) => (
+  <ul className="mt-1 space-y-0.5">
+    {results.map((result, index) => {
+      const style = RESULT_STYLES[result.status] || RESULT_STYLES.failed;
+      return (
+        <li key={index} className={`text-xs ${style.className}`}>
+          {style.icon} {ACTION_LABELS[result.type]?.icon} {result.detail || ACTION_LABELS[result.type]?.label}
+          {result.error && `: ${result.error}`}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+/**
+ * RuleEditor Component - Form for one automation rule
+ * "When <trigger>, if <conditions>, then <actions>", with a dry run that lists the
+ * tasks the rule would affect right now and, for saved rules, its recent runs.
+ * @param {Object} props - Component props
+ * @param {Object} props.rule - Rule to edit (null for a new rule)
+ * @param {Array<Object>} props.projects - The user's projects, for project conditions and actions
+ * @param {Function} props.onSave - Save handler (receives the rule fields, returns a promise)
+ * @param {Function} props.onCancel - Cancel handler
+ */
+const RuleEditor = ({ rule = null, projects = [], onSave, onCancel }) => {
+  const [form, setForm] = useState(() => (rule
+    ? {
+      name: rule.name,
+      trigger: rule.trigger,
+      enabled: rule.enabled,
+      conditions: rule.conditions,
+      actions: rule.actions.map(action => ({ ...newAction(action.type, projects), ...action, priority: action.priority || '' }))
+    }
+    : {
+      name: '',
+      trigger: 'task.overdue',
+      enabled: true,
+      conditions: [newCondition('priority')],
+      actions: [newAction('raise_priority', projects)]
+    }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [dryRun, setDryRun] = useState(null); // { tasks, total, truncated } after a dry run
+  const [dryRunning, setDryRunning] = useState(false);
+  const [executions, setExecutions] = useState([]);
+
+  const ruleId = rule?._id;
+
+  useEffect(() => {
+    if (!ruleId) return;
+
+    getRuleExecutions(ruleId)
+      .then(setExecutions)
+      .catch(err => console.error('Error fetching rule executions:', err));
+  }, [ruleId]);
+
+  /**
+   * Apply changes to the form; an earlier dry run no longer matches it
+   */
+  const change = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setDryRun(null);
+  };
+
+  const updateCondition = (index, changes) => {
+    change({ conditions: form.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+
+  const updateAction = (index, changes) => {
+    change({ actions: form.actions.map((a, i) => (i === index ? { ...a, ...changes } : a)) });
+  };
+
+  const handleDryRun = async () => {
+    setDryRunning(true);
+    setError(null);
+
+    try {
+      setDryRun(await dryRunRule({ ...toPayload(form), id: ruleId }));
+    } catch (err) {
+      console.error('Error running rule dry run:', err);
+      setError(getErrorMessage(err, 'Failed to run the dry run. Please try again.'));
+    } finally {
+      setDryRunning(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSave(toPayload(form));
+    } catch (err) {
+      console.error('Error saving rule:', err);
+      setError(getErrorMessage(err, 'Failed to save the rule. Please try again.'));
+      setSaving(false);
+    }
+  };
+
+  const projectOptions = [
+    { value: 'none', label: 'No project' },
+    ...projects.map(project => ({ value: project._id, label: project.name }))
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="ruleName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+        <input
+          id="ruleName"
+          type="text"
+          value={form.name}
+          onChange={(e) => change({ name: e.target.value })}
+          maxLength={100}
+          required
+          placeholder="e.g. Escalate overdue high priority tasks"
+          className={`${inputClass} w-full py-2`}
+        />
+      </div>
+
+      {/* When */}
+      <div>
+        <label htmlFor="ruleTrigger" className="block text-sm font-medium text-gray-700 mb-1">⚡ When</label>
+        <select
+          id="ruleTrigger"
+          value={form.trigger}
+          onChange={(e) => change({ trigger: e.target.value })}
+          className={`${inputClass} w-full py-2`}
+        >
+          {Object.entries(TRIGGER_LABELS).map(([trigger, { icon, label }]) => (
+            <option key={trigger} value={trigger}>{icon} {label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* If */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-sm font-medium text-gray-700">🔎 If (all of these)</span>
+          {form.conditions.length < MAX_CONDITIONS && (
+            <button
+              type="button"
+              onClick={() => change({ conditions: [...form.conditions, newCondition('priority')] })}
+              className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+            >
+              ➕ Add condition
+            </button>
+          )}
+        </div>
+        {form.conditions.length === 0 ? (
+          <p className="text-xs text-gray-400">No conditions: the rule applies to every task.</p>
+        ) : (
+          <ul className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+            {form.conditions.map((condition, index) => (
+              <li key={index} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <select
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, newCondition(e.target.value))}
+                  className={inputClass}
+                >
+                  {Object.entries(CONDITION_FIELDS).map(([field, { label }]) => (
+                    <option key={field} value={field}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(CONDITION_FIELDS[condition.field].operators).map(([operator, label]) => (
+                    <option key={operator} value={operator}>{label}</option>
+                  ))}
+                </select>
+                {condition.field === 'priority' ? (
+                  <select
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    className={inputClass}
+                  >
+                    {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                  </select>
+                ) : condition.field === 'project' ? (
+                  <select
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    className={inputClass}
+                  >
+                    {projectOptions.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    placeholder={condition.field === 'tags' ? 'tag' : 'text'}
+                    required
+                    className={`${inputClass} flex-1 min-w-[8rem]`}
+                  />
+                )}
+                <button
+                  type="button"
+                  onClick={() => change({ conditions: form.conditions.filter((_, i) => i !== index) })}
+                  className="ml-auto text-gray-400 hover:text-red-600"
+                  aria-label="Remove condition"
+                >
+                  ✖️
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Then */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-sm font-medium text-gray-700">🛠️ Then</span>
+          {form.actions.length < MAX_ACTIONS && (
+            <button
+              type="button"
+              onClick={() => change({ actions: [...form.actions, newAction('add_tag', projects)] })}
+              className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+            >
+              ➕ Add action
+            </button>
+          )}
+        </div>
+        <ul className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          {form.actions.map((action, index) => (
+            <li key={index} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              <select
+                value={action.type}
+                onChange={(e) => updateAction(index, newAction(e.target.value, projects))}
+                className={inputClass}
+              >
+                {Object.entries(ACTION_LABELS).map(([type, { icon, label }]) => (
+                  <option key={type} value={type}>{icon} {label}</option>
+                ))}
+              </select>
+
+              {action.type === 'set_priority' && (
+                <select
+                  value={action.value}
+                  onChange={(e) => updateAction(index, { value: e.target.value })}
+                  className={inputClass}
+                >
+                  {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                </select>
+              )}
+
+              {(action.type === 'add_tag' || action.type === 'remove_tag') && (
+                <input
+                  type="text"
+                  value={action.value}
+                  onChange={(e) => updateAction(index, { value: e.target.value })}
+                  maxLength={30}
+                  placeholder="tag"
+                  required
+                  className={inputClass}
+                />
+              )}
+
+              {action.type === 'move_to_project' && (
+                <select
+                  value={action.value}
+                  onChange={(e) => updateAction(index, { value: e.target.value })}
+                  className={inputClass}
+                >
+                  {projectOptions.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              )}
+
+              {action.type === 'send_email' && (
+                <>
+                  <span title="Rule emails only go to your own address">to you</span>
+                  <input
+                    type="text"
+                    value={action.message}
+                    onChange={(e) => updateAction(index, { message: e.target.value })}
+                    maxLength={1000}
+                    placeholder="Message (optional)"
+                    className={`${inputClass} flex-1 min-w-[8rem]`}
+                  />
+                </>
+              )}
+
+              {action.type === 'create_task' && (
+                <>
+                  <input
+                    type="text"
+                    value={action.title}
+                    onChange={(e) => updateAction(index, { title: e.target.value })}
+                    maxLength={100}
+                    required
+                    title="{{task.title}} is replaced with the title of the task"
+                    className={`${inputClass} flex-1 min-w-[10rem]`}
+                  />
+                  <span>due in</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="365"
+                    value={action.dueInDays}
+                    onChange={(e) => updateAction(index, { dueInDays: e.target.value })}
+                    required
+                    className={`${inputClass} w-16`}
+                  />
+                  <span>days</span>
+                  <select
+                    value={action.priority}
+                    onChange={(e) => updateAction(index, { priority: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Same priority</option>
+                    {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                  </select>
+                </>
+              )}
+
+              {form.actions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => change({ actions: form.actions.filter((_, i) => i !== index) })}
+                  className="ml-auto text-gray-400 hover:text-red-600"
+                  aria-label="Remove action"
+                >
+                  ✖️
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => change({ enabled: e.target.checked })}
+          className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+        />
+        Enabled
+      </label>
+
+      {/* Dry Run */}
+      {dryRun && (
+        <div className="p-3 bg-blue-50 rounded-lg border border-blue-200">
+          <p className="text-sm font-medium text-gray-800 mb-2">
+            🔍 Right now this rule would affect {dryRun.total} task{dryRun.total !== 1 ? 's' : ''}
+            {dryRun.total > dryRun.tasks.length && ` (first ${dryRun.tasks.length} shown)`}
+            {dryRun.truncated && ' — only the first 500 candidates were checked'}
+          </p>
+          <ul className="divide-y divide-blue-100 max-h-64 overflow-y-auto">
+            {dryRun.tasks.map(({ task, results }) => (
+              <li key={task._id} className="py-2">
+                <p className="text-sm text-gray-800">
+                  {task.title}
+                  <span className="text-xs text-gray-500"> • {task.priority} • due {new Date(task.dueDate).toLocaleDateString()}</span>
+                </p>
+                <ResultList results={results} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Recent Runs */}
+      {executions.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">📜 Recent runs</p>
+          <ul className="divide-y divide-gray-100 max-h-48 overflow-y-auto">
+            {executions.map(execution => (
+              <li key={execution._id} className="py-2">
+                <p className="text-sm text-gray-800">
+                  {execution.taskTitle}
+                  <span className="text-xs text-gray-500"> • {new Date(execution.createdAt).toLocaleString()}</span>
+                </p>
+                {execution.error
+                  ? <p className="text-xs text-red-700">✗ {execution.error}</p>
+                  : <ResultList results={execution.results} />}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-between gap-2">
+        <Button variant="outline" size="sm" onClick={handleDryRun} disabled={dryRunning}>
+          {dryRunning ? '⏳ Checking...' : '🔍 Dry Run'}
+        </Button>
+        <div className="flex gap-2">
+          <Button variant="secondary" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" size="sm" disabled={saving}>
+            {saving ? '⏳ Saving...' : rule ? '💾 Save Rule' : '➕ Create Rule'}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default RuleEditor;
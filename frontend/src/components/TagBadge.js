@@ -0,0 +1,63 @@
+import React from 'react';
+
+// Colour used for tags that have no colour yet
+const FALLBACK_COLOR = '#6b7280';
+
+/**
+ * TagBadge Component - Coloured label chip for a task tag
+ * @param {Object} props - Component props
+ * @param {string} props.name - Tag name
+ * @param {string} props.color - Tag colour (#rrggbb)
+ * @param {boolean} props.selected - Render as selected (filled) chip
+ * @param {Function} props.onClick - Optional click handler (makes the chip a button)
+ * @param {Function} props.onRemove - Optional remove handler (shows a ✕)
+ * @param {string} props.className - Additional CSS classes
+ */
+const TagBadge = ({ name, color = FALLBACK_COLOR, selected = false, onClick, onRemove, className = '' }) => {
+  // Tint the background with the tag colour; filled when selected
+  const style = selected
+    ? { backgroundColor: color, borderColor: color, color: '#ffffff' }
+    : { backgroundColor: `${color}1a`, borderColor: `${color}66`, color };
+
+  const classes = `
+    inline-flex items-center gap-1 px-3 py-1 rounded-full
+    text-xs font-semibold border
+    ${onClick ? 'cursor-pointer hover:opacity-80 transition-opacity' : ''}
+    ${className}
+  `;
+
+  const content = (
+    <>
+      <span>#{name}</span>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(name);
+          }}
+          className="ml-1 hover:opacity-70"
+          title={`Remove ${name}`}
+        >
+          ✕
+        </button>
+      )}
+    </>
+  );
+
+  if (onClick) {
+    return (
+      <button type="button" onClick={() => onClick(name)} className={classes} style={style}>
+        {content}
+      </button>
+    );
+  }
+
+  return (
+    <span className={classes} style={style}>
+      {content}
+    </span>
+  );
+};
+
+export default TagBadge;
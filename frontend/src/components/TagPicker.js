@@ -0,0 +1,144 @@
+import React, { useState, useMemo } from 'react';
+import TagBadge from './TagBadge';
+
+// Matches the limits in the Task and Tag models
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize a tag name the same way the server does
+ */
+const normalizeTagName = (name) => name.trim().toLowerCase();
+
+/**
+ * TagPicker Component - Tag input with autocomplete for the task form
+ * Type a name and press Enter or comma to add it; new names create new tags on save
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Selected tag names
+ * @param {Function} props.onChange - Change handler (receives the new array of names)
+ * @param {Array<Object>} props.availableTags - Existing tags ({ name, color })
+ */
+const TagPicker = ({ value = [], onChange, availableTags = [] }) => {
+  const [input, setInput] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  // Suggestion highlighted with the arrow keys (-1 = none, Enter adds the typed text)
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const colorByName = useMemo(
+    () => Object.fromEntries(availableTags.map(tag => [tag.name, tag.color])),
+    [availableTags]
+  );
+
+  /**
+   * Existing tags matching the typed text, prefix matches first
+   */
+  const suggestions = useMemo(() => {
+    const text = normalizeTagName(input);
+    return availableTags
+      .filter(tag => !value.includes(tag.name) && tag.name.includes(text))
+      .sort((a, b) => Number(b.name.startsWith(text)) - Number(a.name.startsWith(text)))
+      .slice(0, 8);
+  }, [input, availableTags, value]);
+
+  /**
+   * Add a tag by name if it is valid and not selected yet
+   */
+  const addTag = (rawName) => {
+    const name = normalizeTagName(rawName);
+    setInput('');
+    setActiveIndex(-1);
+
+    if (!name || value.includes(name) || value.length >= MAX_TAGS) return;
+    onChange([...value, name.slice(0, MAX_TAG_LENGTH)]);
+  };
+
+  /**
+   * Remove a selected tag
+   */
+  const removeTag = (name) => {
+    onChange(value.filter(tag => tag !== name));
+  };
+
+  /**
+   * Keyboard handling: Enter/comma add the typed or highlighted tag, arrows move through suggestions,
+   * Backspace on an empty input removes the last tag
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      const suggestion = showSuggestions && suggestions[activeIndex];
+      addTag(suggestion ? suggestion.name : input);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveIndex(index => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, -1));
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor="tag-input" className="block text-sm font-medium text-gray-700 mb-1">
+        Tags
+      </label>
+      <div className="relative">
+        <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-blue-500">
+          {value.map(name => (
+            <TagBadge key={name} name={name} color={colorByName[name]} onRemove={removeTag} />
+          ))}
+          <input
+            id="tag-input"
+            type="text"
+            value={input}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setActiveIndex(-1);
+              setShowSuggestions(true);
+            }}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            placeholder={value.length === 0 ? 'Add tags (press Enter or comma)...' : ''}
+            maxLength={MAX_TAG_LENGTH}
+            disabled={value.length >= MAX_TAGS}
+            className="flex-1 min-w-[8rem] py-1 text-sm focus:outline-none disabled:bg-transparent"
+          />
+        </div>
+
+        {/* Autocomplete Suggestions */}
+        {showSuggestions && suggestions.length > 0 && (
+          <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-56 overflow-auto">
+            {suggestions.map((tag, index) => (
+              <li
+                key={tag._id || tag.name}
+                // mousedown fires before the input's blur hides the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag.name);
+                }}
+                className={`flex items-center justify-between px-3 py-2 cursor-pointer text-sm ${
+                  index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <TagBadge name={tag.name} color={tag.color} />
+                {tag.taskCount !== undefined && (
+                  <span className="text-xs text-gray-400">
+                    {tag.taskCount} task{tag.taskCount !== 1 ? 's' : ''}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagPicker;
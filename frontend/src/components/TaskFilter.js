@@ -1,5 +1,6 @@
 import React from 'react';
 import Select from './Select';
+import TagBadge from './TagBadge';
 
 /**
  * TaskFilter Component - Filter and search tasks
@@ -7,9 +8,18 @@ import Select from './Select';
  * @param {Object} props.filters - Current filter values
  * @param {Function} props.onFilterChange - Filter change handler
  * @param {string} props.searchQuery - Current search query
+ * @param {Array<string>} props.searchErrors - Syntax errors in the search query
  * @param {Function} props.onSearchChange - Search change handler
+ * @param {Array<Object>} props.availableTags - Tags that can be filtered on ({ name, color })
  */
-const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) => {
+const TaskFilter = ({
+  filters,
+  onFilterChange,
+  searchQuery,
+  searchErrors = [],
+  onSearchChange,
+  availableTags = []
+}) => {
   const [isSearching, setIsSearching] = React.useState(false);
 
   /**
@@ -52,6 +62,22 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
     { value: 'createdAt-asc', label: 'Oldest First' }
   ];
 
+  // Tag match modes
+  const tagModeOptions = [
+    { value: 'any', label: 'Match any tag (OR)' },
+    { value: 'all', label: 'Match all tags (AND)' }
+  ];
+
+  /**
+   * Select or deselect a tag filter
+   */
+  const handleTagToggle = (name) => {
+    const tags = filters.tags.includes(name)
+      ? filters.tags.filter(tag => tag !== name)
+      : [...filters.tags, name];
+    onFilterChange({ ...filters, tags });
+  };
+
   /**
    * Handle filter dropdown changes
    */
@@ -70,7 +96,9 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
     onFilterChange({
       priority: 'All',
       status: 'All',
-      sort: 'dueDate-asc'
+      sort: 'dueDate-asc',
+      tags: [],
+      tagMode: 'any'
     });
     onSearchChange({ target: { value: '' } });
   };
@@ -96,8 +124,10 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
             type="text"
             value={searchQuery}
             onChange={onSearchChange}
-            placeholder="🚀 Try: 'meet', 'review', 'urgent'... (partial matching, case-insensitive)"
-            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            placeholder={'🚀 Try: review priority:high due:<2026-11-01 is:pending "release notes" -draft'}
+            className={`w-full pl-10 pr-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+              searchErrors.length > 0 ? 'border-red-500' : 'border-gray-300'
+            }`}
           />
           <svg
             className="absolute left-3 top-3 h-5 w-5 text-gray-400"
@@ -113,7 +143,17 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
             />
           </svg>
         </div>
-        <div className="flex items-center mt-2 space-x-2 text-xs text-gray-600">
+
+        {/* Query Syntax Errors */}
+        {searchErrors.length > 0 && searchQuery && (
+          <div className="mt-1 text-sm text-red-600">
+            {searchErrors.map((message, index) => (
+              <p key={index}>⚠️ {message} (ignored)</p>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center mt-2 space-x-2 text-xs text-gray-600">
           <span className="flex items-center">
             <span className="inline-block w-2 h-2 bg-green-500 rounded-full mr-1"></span>
             Partial substring matching
@@ -130,6 +170,10 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
             <span className="inline-block w-2 h-2 bg-orange-500 rounded-full mr-1"></span>
             Relevance scoring
           </span>
+          <span className="flex items-center">
+            <span className="inline-block w-2 h-2 bg-pink-500 rounded-full mr-1"></span>
+            Filters: <code className="mx-1">priority:</code><code className="mx-1">is:</code><code className="mx-1">due:</code>
+          </span>
         </div>
       </div>
 
@@ -163,6 +207,38 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
         />
       </div>
 
+      {/* Tag Filter */}
+      {availableTags.length > 0 && (
+        <div className="mt-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <span className="text-sm font-medium text-gray-700">🏷️ Filter by Tags</span>
+            <select
+              name="tagMode"
+              value={filters.tagMode}
+              onChange={handleFilterChange}
+              disabled={filters.tags.length < 2}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              title="How several selected tags are combined"
+            >
+              {tagModeOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {availableTags.map(tag => (
+              <TagBadge
+                key={tag._id || tag.name}
+                name={tag.name}
+                color={tag.color}
+                selected={filters.tags.includes(tag.name)}
+                onClick={handleTagToggle}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Reset Button */}
       <div className="mt-4">
         <button
@@ -174,7 +250,7 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
       </div>
 
       {/* Active Filters Display */}
-      {(filters.priority !== 'All' || filters.status !== 'All' || searchQuery) && (
+      {(filters.priority !== 'All' || filters.status !== 'All' || filters.tags.length > 0 || searchQuery) && (
         <div className="mt-4 pt-4 border-t border-gray-200">
           <p className="text-sm text-gray-600 mb-2">Active Filters:</p>
           <div className="flex flex-wrap gap-2">
@@ -188,6 +264,11 @@ const TaskFilter = ({ filters, onFilterChange, searchQuery, onSearchChange }) =>
                 Status: {filters.status}
               </span>
             )}
+            {filters.tags.length > 0 && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-pink-100 text-pink-800">
+                Tags: {filters.tags.join(filters.tagMode === 'all' ? ' AND ' : ' OR ')}
+              </span>
+            )}
             {searchQuery && (
               <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800">
                 Search: "{searchQuery}"
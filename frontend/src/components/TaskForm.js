@@ -2,26 +2,55 @@ import React, { useState, useEffect } from 'react';
 import Input from './Input';
 import Select from './Select';
 import Button from './Button';
+import TagPicker from './TagPicker';
+import RecurrenceEditor from './RecurrenceEditor';
+import ReminderEditor from './ReminderEditor';
+import TaskMergeDialog from './TaskMergeDialog';
+import { MAX_AMOUNT } from '../utils/reminders';
+import { toFormData, toTaskData } from '../utils/taskForm';
 
 /**
  * TaskForm Component - Form for adding and editing tasks
+ * When an edit clashes with a newer save, a merge dialog lets the user pick
+ * fields from both versions.
  * @param {Object} props - Component props
- * @param {Function} props.onSubmit - Form submission handler
+ * @param {Function} props.onSubmit - Form submission handler; in edit mode it is called
+ *   with (taskData, baseTask) and resolves to { conflict: currentTask } when the task
+ *   changed on the server since baseTask was loaded
  * @param {Object} props.editTask - Task object to edit (null for new task)
  * @param {Function} props.onCancel - Cancel handler for edit mode
+ * @param {Array<Object>} props.availableTags - Existing tags for autocomplete ({ name, color })
+ * @param {Array<Object>} props.availableProjects - Projects a task can be assigned to
+ * @param {string} props.defaultProject - Project ID preselected for new tasks ('' for none)
  */
-const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
+const TaskForm = ({
+  onSubmit,
+  editTask = null,
+  onCancel,
+  availableTags = [],
+  availableProjects = [],
+  defaultProject = ''
+}) => {
   // Form state management
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     priority: 'Medium',
-    dueDate: ''
+    dueDate: '',
+    project: defaultProject,
+    tags: [],
+    recurrence: null,
+    reminders: [],
+    autoCompleteOnSubtasks: false,
+    requireSubtasksComplete: false
   });
 
   // Form validation errors
   const [errors, setErrors] = useState({});
 
+  // Edit refused because the task changed meanwhile: { base, mine, theirs, server }
+  const [conflict, setConflict] = useState(null);
+
   // Priority options for select dropdown
   const priorityOptions = [
     { value: 'Low', label: 'Low Priority' },
@@ -33,24 +62,35 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
    * Populate form when editing existing task
    */
   useEffect(() => {
+    setConflict(null);
     if (editTask) {
-      setFormData({
-        title: editTask.title || '',
-        description: editTask.description || '',
-        priority: editTask.priority || 'Medium',
-        dueDate: editTask.dueDate ? editTask.dueDate.split('T')[0] : ''
-      });
+      setFormData(toFormData(editTask));
     }
   }, [editTask]);
 
+  /**
+   * New tasks go into the project selected in the sidebar
+   */
+  useEffect(() => {
+    if (!editTask) {
+      setFormData(prev => ({ ...prev, project: defaultProject }));
+    }
+  }, [defaultProject, editTask]);
+
+  // Project options for select dropdown
+  const projectOptions = [
+    { value: '', label: 'No Project' },
+    ...availableProjects.map(project => ({ value: project._id, label: project.name }))
+  ];
+
   /**
    * Handle input field changes
    */
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     
     // Clear error for this field when user starts typing
@@ -95,6 +135,34 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
       }
     }
 
+    // Recurrence validation
+    const { recurrence } = formData;
+    if (recurrence) {
+      if (!recurrence.interval || recurrence.interval < 1 || recurrence.interval > 365) {
+        newErrors.recurrence = 'Repeat interval must be between 1 and 365';
+      } else if (recurrence.frequency === 'monthly' && !(recurrence.monthDay >= 1 && recurrence.monthDay <= 31)) {
+        newErrors.recurrence = 'Pick the day of the month the task repeats on (1-31)';
+      } else if ('count' in recurrence && !(recurrence.count >= 1)) {
+        newErrors.recurrence = 'Enter how many times the task repeats';
+      } else if ('endDate' in recurrence && !recurrence.endDate) {
+        newErrors.recurrence = 'Pick the date the repeat ends';
+      } else if (recurrence.endDate && formData.dueDate && recurrence.endDate < formData.dueDate) {
+        newErrors.recurrence = 'Repeat end date cannot be before the due date';
+      }
+    }
+
+    // Reminder validation
+    const incomplete = formData.reminders.find(reminder => (
+      reminder.kind === 'absolute'
+        ? !reminder.at
+        : !(reminder.amount >= 1 && reminder.amount <= MAX_AMOUNT)
+    ));
+    if (incomplete) {
+      newErrors.reminders = incomplete.kind === 'absolute'
+        ? 'Pick the time for each reminder'
+        : `Reminders must be between 1 and ${MAX_AMOUNT} units before the due date`;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -102,7 +170,7 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
   /**
    * Handle form submission
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
 
     // Validate form
@@ -110,12 +178,40 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
       return;
     }
 
-    // Submit form data
-    onSubmit(formData);
-
-    // Clear form after successful submission (only if not editing)
+    // Clear form after submission (only if not editing)
     if (!editTask) {
+      onSubmit(toTaskData(formData));
       clearForm();
+      return;
+    }
+
+    const taskData = toTaskData(formData);
+    const result = await onSubmit(taskData, editTask);
+    if (result?.conflict) {
+      setConflict({
+        base: toTaskData(toFormData(editTask)),
+        mine: taskData,
+        theirs: toTaskData(toFormData(result.conflict)),
+        server: result.conflict
+      });
+    }
+  };
+
+  /**
+   * Save the fields picked in the merge dialog on top of the saved version
+   * Another clash (the task changed yet again) reopens the dialog against the newest version
+   */
+  const handleMergeSubmit = async (merged) => {
+    const result = await onSubmit(merged, conflict.server);
+    if (result?.conflict) {
+      setConflict({
+        base: conflict.theirs,
+        mine: merged,
+        theirs: toTaskData(toFormData(result.conflict)),
+        server: result.conflict
+      });
+    } else {
+      setConflict(null);
     }
   };
 
@@ -127,7 +223,13 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
       title: '',
       description: '',
       priority: 'Medium',
-      dueDate: ''
+      dueDate: '',
+      project: defaultProject,
+      tags: [],
+      recurrence: null,
+      reminders: [],
+      autoCompleteOnSubtasks: false,
+      requireSubtasksComplete: false
     });
     setErrors({});
   };
@@ -212,6 +314,69 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
           />
         </div>
 
+        {/* Project Select */}
+        <Select
+          name="project"
+          label="Project"
+          value={formData.project}
+          onChange={handleChange}
+          options={projectOptions}
+        />
+
+        {/* Tags */}
+        <TagPicker
+          value={formData.tags}
+          onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+          availableTags={availableTags}
+        />
+
+        {/* Recurrence */}
+        <RecurrenceEditor
+          key={editTask ? editTask._id : 'new'}
+          value={formData.recurrence}
+          onChange={(recurrence) => {
+            setFormData(prev => ({ ...prev, recurrence }));
+            setErrors(prev => ({ ...prev, recurrence: '' }));
+          }}
+          dueDate={formData.dueDate}
+          error={errors.recurrence}
+        />
+
+        {/* Reminders */}
+        <ReminderEditor
+          value={formData.reminders}
+          onChange={(reminders) => {
+            setFormData(prev => ({ ...prev, reminders }));
+            setErrors(prev => ({ ...prev, reminders: '' }));
+          }}
+          dueDate={formData.dueDate}
+          error={errors.reminders}
+        />
+
+        {/* Checklist Options */}
+        <div className="flex flex-col md:flex-row md:items-center gap-2 md:gap-6">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="autoCompleteOnSubtasks"
+              checked={formData.autoCompleteOnSubtasks}
+              onChange={handleChange}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="ml-2">Auto-complete when all checklist items are done</span>
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="requireSubtasksComplete"
+              checked={formData.requireSubtasksComplete}
+              onChange={handleChange}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="ml-2">Block completion until checklist is done</span>
+          </label>
+        </div>
+
         {/* Form Actions */}
         <div className="flex gap-3 mt-6">
           <Button
@@ -246,6 +411,16 @@ const TaskForm = ({ onSubmit, editTask = null, onCancel }) => {
           )}
         </div>
       </form>
+
+      <TaskMergeDialog
+        isOpen={!!conflict}
+        base={conflict?.base}
+        mine={conflict?.mine}
+        theirs={conflict?.theirs}
+        projects={availableProjects}
+        onSubmit={handleMergeSubmit}
+        onCancel={handleCancel}
+      />
     </div>
   );
 };
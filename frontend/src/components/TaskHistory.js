@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getErrorMessage, getConflictingTask } from '../services/api';
+import { getTaskHistory, restoreTaskVersion } from '../services/taskHistory';
+import { FIELD_LABELS, formatValue } from '../utils/taskFields';
+import Button from './Button';
+
+const PAGE_SIZE = 20;
+
+const ACTION_LABELS = {
+  created: { icon: '➕', label: 'Created' },
+  updated: { icon: '✏️', label: 'Edited' },
+  toggled: { icon: '🔁', label: 'Toggled' },
+  deleted: { icon: '🗑️', label: 'Moved to the trash' },
+  recovered: { icon: '♻️', label: 'Restored from the trash' },
+  restored: { icon: '↩️', label: 'Restored an earlier version' }
+};
+
+/**
+ * TaskHistory Component - Drawer with a task's activity timeline
+ * Lists who changed what and when, newest first, and puts the task back to
+ * the version after any earlier entry.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Drawer visibility state
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.task - Task whose history is shown
+ * @param {Array<Object>} props.projects - The user's projects, to show project names
+ * @param {Function} props.onRestored - Called with the task after a restore, or with the
+ *   current task when it changed elsewhere first
+ */
+const TaskHistory = ({ isOpen, onClose, task, projects = [], onRestored }) => {
+  const [history, setHistory] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Incremented on every first-page load so stale responses can be ignored
+  const loadIdRef = useRef(0);
+
+  const taskId = task._id;
+
+  /**
+   * Load the first page when opened, and again after a restore
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadId = ++loadIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    getTaskHistory(taskId, { limit: PAGE_SIZE })
+      .then(data => {
+        if (loadId !== loadIdRef.current) return;
+        setHistory(data.history);
+        setNextCursor(data.nextCursor);
+      })
+      .catch(err => {
+        if (loadId !== loadIdRef.current) return;
+        console.error('Error fetching task history:', err);
+        setError(getErrorMessage(err, 'Failed to load the history. Please try again.'));
+      })
+      .finally(() => {
+        if (loadId === loadIdRef.current) setLoading(false);
+      });
+  }, [isOpen, taskId, refreshKey]);
+
+  const handleLoadMore = async () => {
+    const loadId = loadIdRef.current;
+    setLoading(true);
+
+    try {
+      const data = await getTaskHistory(taskId, { limit: PAGE_SIZE, cursor: nextCursor });
+      if (loadId !== loadIdRef.current) return;
+      setHistory(prev => [...prev, ...data.history]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching task history:', err);
+      setError(getErrorMessage(err, 'Failed to load the history. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    if (!window.confirm(`Put "${task.title}" back the way it was on ${new Date(entry.createdAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    setRestoringId(entry._id);
+    setError(null);
+
+    try {
+      const restored = await restoreTaskVersion(task, entry._id);
+      console.log(`↩️ Task restored: ${restored.title}`);
+      onRestored(restored);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      const current = getConflictingTask(err);
+      if (current) {
+        // Reload here rather than through refreshKey, which would clear the message
+        onRestored(current);
+        const loadId = ++loadIdRef.current;
+        const data = await getTaskHistory(taskId, { limit: PAGE_SIZE }).catch(() => null);
+        if (data && loadId === loadIdRef.current) {
+          setHistory(data.history);
+          setNextCursor(data.nextCursor);
+        }
+        setError('This task was changed elsewhere. Its latest history is now shown, please try again.');
+        return;
+      }
+
+      console.error('Error restoring task version:', err);
+      setError(getErrorMessage(err, 'Failed to restore this version. Please try again.'));
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const projectNames = Object.fromEntries(projects.map(project => [project._id, project.name]));
+
+  return (
+    <>
+      {/* Drawer Overlay */}
+      <div className="fixed inset-0 bg-black bg-opacity-30 z-40" onClick={onClose} />
+
+      {/* Drawer */}
+      <aside className="fixed inset-y-0 right-0 z-50 w-full max-w-md bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-800">🕘 History</h2>
+            <p className="text-sm text-gray-500 truncate">{task.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close history"
+          >
+            ✖️
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4">
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm mb-4">
+              {error}
+            </div>
+          )}
+
+          {history.length === 0 && !loading ? (
+            <p className="text-sm text-gray-500">No history recorded for this task yet.</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-2">
+              {history.map((entry, index) => {
+                const { icon, label } = ACTION_LABELS[entry.action] || ACTION_LABELS.updated;
+                // The newest entry is the current version; a deletion only repeats the version before it
+                const canRestore = index > 0 && entry.action !== 'deleted';
+
+                return (
+                  <li key={entry._id} className="mb-5 ml-5">
+                    <span className="absolute -left-3 flex items-center justify-center w-6 h-6 bg-white rounded-full ring-2 ring-gray-200 text-xs">
+                      {icon}
+                    </span>
+                    <p className="text-sm text-gray-800">
+                      <span className="font-medium">{label}</span>
+                      {' by '}
+                      {entry.actor?.kind === 'rule' ? `🧩 rule "${entry.actor.name}"` : entry.actor?.name || 'you'}
+                    </p>
+                    <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+
+                    {entry.changes.length > 0 && (
+                      <ul className="mt-1 space-y-0.5">
+                        {entry.changes.map(change => (
+                          <li key={change.field} className="text-xs text-gray-700">
+                            <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                            <span className="line-through text-gray-400">{formatValue(change.field, change.from, projectNames)}</span>
+                            {' → '}
+                            <span>{formatValue(change.field, change.to, projectNames)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {canRestore && (
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(entry)}
+                        disabled={restoringId !== null}
+                        className="mt-1 text-xs text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                      >
+                        {restoringId === entry._id ? '⏳ Restoring...' : '↩️ Restore this version'}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          {loading && <p className="text-sm text-gray-500">⏳ Loading history...</p>}
+
+          {nextCursor && !loading && (
+            <Button variant="secondary" size="sm" onClick={handleLoadMore}>
+              Load older entries
+            </Button>
+          )}
+        </div>
+      </aside>
+    </>
+  );
+};
+
+export default TaskHistory;
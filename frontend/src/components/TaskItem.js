@@ -1,6 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Badge from './Badge';
 import Button from './Button';
+import Checklist from './Checklist';
+import TagBadge from './TagBadge';
+import TaskHistory from './TaskHistory';
+import { describeRecurrence } from '../utils/recurrence';
+import { nextReminder, describeReminder, formatReminderTime } from '../utils/reminders';
 
 /**
  * TaskItem Component - Individual task display card
@@ -9,8 +14,28 @@ import Button from './Button';
  * @param {Function} props.onEdit - Edit task handler
  * @param {Function} props.onDelete - Delete task handler
  * @param {Function} props.onToggle - Toggle complete status handler
+ * @param {Object} props.subtaskHandlers - Checklist handlers ({ onAdd, onToggle, onRemove, onReorder })
+ * @param {Object} props.tagColors - Tag colours by tag name
+ * @param {Array<Object>} props.projects - The user's projects, for the history drawer
+ * @param {Function} props.onRestored - Called with the task after an earlier version is restored
+ * @param {boolean} props.selected - Whether the task is selected for bulk actions
+ * @param {Function} props.onSelect - Called with (taskId, shiftKey) when the checkbox is clicked;
+ *   no checkbox is shown without it
  */
-const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
+const TaskItem = ({
+  task,
+  onEdit,
+  onDelete,
+  onToggle,
+  subtaskHandlers,
+  tagColors = {},
+  projects = [],
+  onRestored,
+  selected = false,
+  onSelect
+}) => {
+  const [showHistory, setShowHistory] = useState(false);
+
   /**
    * Format date to readable string
    */
@@ -34,6 +59,14 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
     return dueDate < today && !task.completed;
   };
 
+  // Completion is blocked while checklist items are open, if the task requires it
+  const openSubtasks = (task.subtasks || []).filter(subtask => !subtask.completed).length;
+  const completionBlocked = !task.completed && task.requireSubtasksComplete && openSubtasks > 0;
+
+  // Next reminder that has not fired yet; completed tasks get no reminders
+  const upcomingReminder = task.completed ? null : nextReminder(task);
+  const pendingReminders = (task.reminders || []).filter(reminder => !reminder.sentAt).length;
+
   return (
     <div 
       className={`
@@ -41,10 +74,21 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
         border-l-4 transition-all duration-200 hover:shadow-lg
         ${task.completed ? 'border-green-500 bg-gray-50' : 'border-blue-500'}
         ${isOverdue() ? 'border-red-500 bg-red-50' : ''}
+        ${selected ? 'ring-2 ring-blue-400' : ''}
       `}
     >
       {/* Task Header */}
       <div className="flex items-start justify-between mb-3">
+        {/* Bulk Selection Checkbox (shift-click selects a range) */}
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onSelect(task._id, e.nativeEvent.shiftKey)}
+            className="mt-1.5 mr-3 h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            aria-label={`Select "${task.title}"`}
+          />
+        )}
         <div className="flex-1">
           {/* Title */}
           <h3 
@@ -57,8 +101,13 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
           </h3>
           
           {/* Priority Badge */}
-          <div className="flex items-center gap-2 mb-2">
+          <div className="flex flex-wrap items-center gap-2 mb-2">
             <Badge priority={task.priority} />
+
+            {/* Tags */}
+            {(task.tags || []).map(tag => (
+              <TagBadge key={tag} name={tag} color={tagColors[tag]} />
+            ))}
             
             {/* Completed Badge */}
             {task.completed && (
@@ -67,6 +116,28 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
               </span>
             )}
             
+            {/* Recurrence Badge */}
+            {task.recurrence && (
+              <span
+                className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800 border border-indigo-200"
+                title={task.recurrence.count ? `Occurrence ${task.recurrence.occurrence} of ${task.recurrence.count}` : undefined}
+              >
+                🔁 {describeRecurrence(task.recurrence)}
+              </span>
+            )}
+
+            {/* Reminder Badge */}
+            {upcomingReminder && (
+              <span
+                className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800 border border-yellow-200"
+                title={`Next reminder: ${describeReminder(upcomingReminder)}${
+                  pendingReminders > 1 ? ` (${pendingReminders} pending)` : ''
+                }`}
+              >
+                🔔 {formatReminderTime(upcomingReminder.remindAt)}
+              </span>
+            )}
+
             {/* Overdue Badge */}
             {isOverdue() && (
               <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200">
@@ -87,6 +158,11 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
         </p>
       )}
 
+      {/* Checklist */}
+      {subtaskHandlers && (
+        <Checklist task={task} {...subtaskHandlers} />
+      )}
+
       {/* Due Date */}
       <div className="flex items-center text-sm text-gray-500 mb-4">
         <svg 
@@ -112,8 +188,13 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
           variant={task.completed ? 'secondary' : 'success'}
           size="sm"
           onClick={() => onToggle(task._id)}
+          disabled={completionBlocked}
         >
-          {task.completed ? '↩️ Mark Pending' : '✓ Mark Complete'}
+          {task.completed
+            ? '↩️ Mark Pending'
+            : completionBlocked
+              ? `🔒 ${openSubtasks} item${openSubtasks !== 1 ? 's' : ''} left`
+              : '✓ Mark Complete'}
         </Button>
 
         <Button
@@ -132,12 +213,28 @@ const TaskItem = ({ task, onEdit, onDelete, onToggle }) => {
         >
           🗑️ Delete
         </Button>
+
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setShowHistory(true)}
+        >
+          🕘 History
+        </Button>
       </div>
 
       {/* Created Date (Footer) */}
       <div className="mt-3 pt-3 border-t border-gray-200 text-xs text-gray-400">
         Created: {formatDate(task.createdAt)}
       </div>
+
+      <TaskHistory
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        task={task}
+        projects={projects}
+        onRestored={onRestored}
+      />
     </div>
   );
 };
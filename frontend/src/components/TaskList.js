@@ -1,20 +1,129 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import TaskItem from './TaskItem';
+import BulkActionBar from './BulkActionBar';
 
 /**
  * TaskList Component - Display list of tasks
  * @param {Object} props - Component props
  * @param {Array} props.tasks - Array of task objects
+ * @param {string} props.title - List heading (e.g. the selected project's name)
+ * @param {Object} props.stats - Server-side task counts (falls back to loaded tasks)
+ * @param {boolean} props.hasMore - Whether another page can be loaded
+ * @param {boolean} props.loadingMore - Next page loading state
+ * @param {Function} props.onLoadMore - Load next page handler
  * @param {Function} props.onEdit - Edit task handler
  * @param {Function} props.onDelete - Delete task handler
  * @param {Function} props.onToggle - Toggle complete status handler
+ * @param {Object} props.subtaskHandlers - Checklist handlers passed to each TaskItem
+ * @param {Object} props.tagColors - Tag colours by tag name
+ * @param {Array<Object>} props.projects - The user's projects, passed to each TaskItem
+ * @param {Function} props.onRestored - Restored task handler, passed to each TaskItem
+ * @param {Function} props.onBulkAction - Called with (taskIds, operation, value) for the
+ *   selected tasks; resolves to true when the selection should be cleared.
+ *   Without it the tasks cannot be selected.
  * @param {boolean} props.loading - Loading state
  */
-const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
+const TaskList = ({
+  tasks,
+  title = 'Your Tasks',
+  stats: serverStats = null,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  onEdit,
+  onDelete,
+  onToggle,
+  subtaskHandlers,
+  tagColors = {},
+  projects = [],
+  onRestored,
+  onBulkAction,
+  loading = false
+}) => {
+  // Sentinel element at the end of the list used for infinite scrolling
+  const sentinelRef = useRef(null);
+
+  // Selected task IDs, and the last one clicked as the start of a shift-click range
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const anchorRef = useRef(null);
+
+  /**
+   * Drop selected tasks that are no longer listed (deleted, filtered out)
+   */
+  useEffect(() => {
+    setSelected(prev => {
+      const listed = new Set(tasks.map(task => task._id));
+      const next = new Set([...prev].filter(id => listed.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [tasks]);
+
+  /**
+   * Select or unselect a task; with shift held, every task between it and the
+   * last one clicked follows it
+   */
+  const handleSelect = (taskId, shiftKey) => {
+    const index = tasks.findIndex(task => task._id === taskId);
+    const anchor = shiftKey ? tasks.findIndex(task => task._id === anchorRef.current) : -1;
+    const range = anchor === -1
+      ? [tasks[index]]
+      : tasks.slice(Math.min(anchor, index), Math.max(anchor, index) + 1);
+    const select = !selected.has(taskId);
+
+    setSelected(prev => {
+      const next = new Set(prev);
+      range.forEach(task => (select ? next.add(task._id) : next.delete(task._id)));
+      return next;
+    });
+    anchorRef.current = taskId;
+  };
+
+  const selectAll = () => setSelected(new Set(tasks.map(task => task._id)));
+  const clearSelection = () => setSelected(new Set());
+
+  const handleBulkAction = async (operation, value) => {
+    setBulkBusy(true);
+    try {
+      // Keep the list order, not the order of clicking
+      const ids = tasks.filter(task => selected.has(task._id)).map(task => task._id);
+      if (await onBulkAction(ids, operation, value)) {
+        clearSelection();
+      }
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // An empty list can still have more pages, e.g. when every loaded task is filtered out
+  const isEmpty = !tasks || tasks.length === 0;
+
+  /**
+   * Load the next page when the sentinel scrolls into view
+   * The sentinel is rendered again when the list switches between loading, empty and filled
+   */
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loadingMore || !onLoadMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore, loading, isEmpty]);
+
   /**
    * Calculate task statistics
+   * Uses server counts when available, since only some pages may be loaded
    */
   const getStats = () => {
+    if (serverStats) return serverStats;
+
+
     const total = tasks.length;
     const completed = tasks.filter(task => task.completed).length;
     const pending = total - completed;
@@ -31,6 +140,25 @@ const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
 
   const stats = getStats();
 
+  // Infinite scroll sentinel, with a button in case the observer does not fire
+  const loadMoreControl = hasMore && (
+    <div ref={sentinelRef} className="flex justify-center py-6">
+      {loadingMore ? (
+        <div className="flex items-center text-gray-600">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mr-3"></div>
+          Loading more tasks...
+        </div>
+      ) : (
+        <button
+          onClick={onLoadMore}
+          className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          Load more tasks
+        </button>
+      )}
+    </div>
+  );
+
   // Loading state
   if (loading) {
     return (
@@ -44,7 +172,7 @@ const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
   }
 
   // Empty state
-  if (!tasks || tasks.length === 0) {
+  if (isEmpty) {
     return (
       <div className="bg-white rounded-lg shadow-md p-8">
         <div className="text-center">
@@ -65,9 +193,10 @@ const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
             No Tasks Found
           </h3>
           <p className="text-gray-500">
-            Start by creating your first task above!
+            {hasMore ? 'None of the tasks loaded so far match. Load more to keep looking.' : 'Start by creating your first task above!'}
           </p>
         </div>
+        {loadMoreControl}
       </div>
     );
   }
@@ -105,9 +234,36 @@ const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
 
       {/* Task List */}
       <div>
-        <h2 className="text-2xl font-bold text-gray-800 mb-4">
-          Your Tasks ({tasks.length})
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-3">
+          {onBulkAction && (
+            <input
+              type="checkbox"
+              checked={selected.size > 0 && selected.size === tasks.length}
+              ref={(el) => {
+                if (el) el.indeterminate = selected.size > 0 && selected.size < tasks.length;
+              }}
+              onChange={() => (selected.size === tasks.length ? clearSelection() : selectAll())}
+              className="h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              title="Select all listed tasks"
+              aria-label="Select all listed tasks"
+            />
+          )}
+          <span>
+            {title} ({tasks.length}{stats.total > tasks.length ? ` of ${stats.total}` : ''})
+          </span>
         </h2>
+
+        {/* Bulk Actions */}
+        {onBulkAction && selected.size > 0 && (
+          <BulkActionBar
+            selectedCount={selected.size}
+            totalCount={tasks.length}
+            onSelectAll={selectAll}
+            onClear={clearSelection}
+            onAction={handleBulkAction}
+            busy={bulkBusy}
+          />
+        )}
         
         {tasks.map((task) => (
           <TaskItem
@@ -116,8 +272,17 @@ const TaskList = ({ tasks, onEdit, onDelete, onToggle, loading = false }) => {
             onEdit={onEdit}
             onDelete={onDelete}
             onToggle={onToggle}
+            subtaskHandlers={subtaskHandlers}
+            tagColors={tagColors}
+            projects={projects}
+            onRestored={onRestored}
+            selected={selected.has(task._id)}
+            onSelect={onBulkAction ? handleSelect : undefined}
           />
         ))}
+
+        {/* Infinite Scroll Sentinel */}
+        {loadMoreControl}
       </div>
     </div>
   );
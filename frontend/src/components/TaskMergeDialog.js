@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import Button from './Button';
+import { FIELD_LABELS, formatValue } from '../utils/taskFields';
+
+// Fields the TaskForm edits, in form order
+const MERGE_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'dueDate',
+  'project',
+  'tags',
+  'recurrence',
+  'reminders',
+  'autoCompleteOnSubtasks',
+  'requireSubtasksComplete'
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * TaskMergeDialog Component - Resolve an edit that clashed with a newer save
+ * Shown when a task changed on the server while it was being edited. Lists
+ * the fields where the two versions differ and lets the user pick one value
+ * for each; fields the user did not touch default to the saved version.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility state
+ * @param {Object} props.base - Form fields of the task the edit started from
+ * @param {Object} props.mine - Form fields the user submitted
+ * @param {Object} props.theirs - Form fields of the task as it is now saved
+ * @param {Array<Object>} props.projects - Projects, to show project names
+ * @param {Function} props.onSubmit - Called with the merged form fields; returns a promise
+ * @param {Function} props.onCancel - Discard the user's changes
+ */
+const TaskMergeDialog = ({ isOpen, base, mine, theirs, projects = [], onSubmit, onCancel }) => {
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fields = isOpen ? MERGE_FIELDS.filter(field => !sameValue(mine[field], theirs[field])) : [];
+
+  /**
+   * Start from the user's value for every field they changed
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+    setChoices(Object.fromEntries(MERGE_FIELDS.map(field => (
+      [field, sameValue(mine[field], base[field]) ? 'theirs' : 'mine']
+    ))));
+  }, [isOpen, base, mine, theirs]);
+
+  if (!isOpen) return null;
+
+  const projectNames = Object.fromEntries(projects.map(project => [project._id, project.name]));
+
+  const handleSave = async () => {
+    const merged = { ...theirs };
+    fields.forEach(field => {
+      if (choices[field] === 'mine') merged[field] = mine[field];
+    });
+
+    setSaving(true);
+    try {
+      await onSubmit(merged);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderOption = (field, side, label, value) => (
+    <label
+      className={`flex-1 flex items-start gap-2 p-2 rounded border cursor-pointer ${
+        choices[field] === side ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+      }`}
+    >
+      <input
+        type="radio"
+        name={`merge-${field}`}
+        checked={choices[field] === side}
+        onChange={() => setChoices(prev => ({ ...prev, [field]: side }))}
+        className="mt-1"
+      />
+      <span className="text-sm">
+        <span className="block text-xs text-gray-500">{label}</span>
+        <span className="text-gray-800 break-words">{formatValue(field, value, projectNames)}</span>
+      </span>
+    </label>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onCancel} title="⚠️ This task was changed elsewhere" size="lg">
+      <p className="text-sm text-gray-600 mb-4">
+        Someone saved this task while you were editing it. Pick the value to keep for each field below.
+      </p>
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-4">
+          The other changes don't touch the fields in the form, so your changes can be saved on top of them.
+        </p>
+      ) : (
+        <div className="space-y-3 mb-4 max-h-96 overflow-y-auto">
+          {fields.map(field => (
+            <div key={field}>
+              <p className="text-sm font-medium text-gray-700 mb-1">{FIELD_LABELS[field]}</p>
+              <div className="flex flex-col md:flex-row gap-2">
+                {renderOption(field, 'mine', '✏️ Your version', mine[field])}
+                {renderOption(field, 'theirs', '💾 Saved version', theirs[field])}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <Button variant="secondary" onClick={onCancel} disabled={saving}>
+          Discard My Changes
+        </Button>
+        <Button variant="primary" onClick={handleSave} disabled={saving}>
+          {saving ? '⏳ Saving...' : '💾 Save Merged Version'}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default TaskMergeDialog;
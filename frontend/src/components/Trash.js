@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getErrorMessage } from '../services/api';
+import { getTrash, restoreFromTrash, purgeTask, emptyTrash } from '../services/trash';
+import Modal from './Modal';
+import Button from './Button';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Trash Component - Deleted tasks waiting to be purged
+ * Tasks can be restored or deleted for good; the server empties the trash
+ * after its retention period.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility state
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onRestored - Called with each task taken out of the trash
+ */
+const Trash = ({ isOpen, onClose, onRestored }) => {
+  const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null); // task being restored or purged, or 'all'
+
+  // Incremented on every first-page load so stale responses can be ignored
+  const loadIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadId = ++loadIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    getTrash({ limit: PAGE_SIZE })
+      .then(data => {
+        if (loadId !== loadIdRef.current) return;
+        setTasks(data.tasks);
+        setNextCursor(data.nextCursor);
+        setRetentionDays(data.retentionDays);
+      })
+      .catch(err => {
+        if (loadId !== loadIdRef.current) return;
+        console.error('Error fetching trash:', err);
+        setError(getErrorMessage(err, 'Failed to load the trash. Please try again.'));
+      })
+      .finally(() => {
+        if (loadId === loadIdRef.current) setLoading(false);
+      });
+  }, [isOpen]);
+
+  const handleLoadMore = async () => {
+    const loadId = loadIdRef.current;
+    setLoading(true);
+
+    try {
+      const data = await getTrash({ limit: PAGE_SIZE, cursor: nextCursor });
+      if (loadId !== loadIdRef.current) return;
+      setTasks(prev => [...prev, ...data.tasks]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      setError(getErrorMessage(err, 'Failed to load the trash. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (task) => {
+    setBusyId(task._id);
+    setError(null);
+
+    try {
+      const restored = await restoreFromTrash(task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+      console.log(`↩️ Task restored from trash: ${restored.title}`);
+      onRestored(restored);
+    } catch (err) {
+      console.error('Error restoring task:', err);
+      setError(getErrorMessage(err, 'Failed to restore the task. Please try again.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Delete "${task.title}" for good? This action cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(task._id);
+    setError(null);
+
+    try {
+      await purgeTask(task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+      console.log(`🗑️ Task deleted permanently: ${task.title}`);
+    } catch (err) {
+      console.error('Error deleting task:', err);
+      setError(getErrorMessage(err, 'Failed to delete the task. Please try again.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Delete every task in the trash for good? This action cannot be undone.')) {
+      return;
+    }
+
+    setBusyId('all');
+    setError(null);
+
+    try {
+      const purged = await emptyTrash();
+      // Cancel any page still loading so it cannot bring purged tasks back
+      loadIdRef.current++;
+      setTasks([]);
+      setNextCursor(null);
+      console.log(`🗑️ Trash emptied: ${purged} task${purged !== 1 ? 's' : ''} deleted`);
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      setError(getErrorMessage(err, 'Failed to empty the trash. Please try again.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="🗑️ Trash" size="xl">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <p className="text-sm text-gray-600">
+          Deleted tasks are kept here
+          {retentionDays ? ` for ${retentionDays} day${retentionDays !== 1 ? 's' : ''}` : ''} before
+          they are deleted for good.
+        </p>
+        <Button
+          variant="danger"
+          size="sm"
+          onClick={handleEmpty}
+          disabled={tasks.length === 0 || busyId !== null}
+        >
+          {busyId === 'all' ? '⏳ Emptying...' : 'Empty Trash'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      {tasks.length === 0 && !loading ? (
+        <p className="text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 mb-4">
+          {tasks.map(task => (
+            <li key={task._id} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className={`font-medium text-gray-800 truncate ${task.completed ? 'line-through' : ''}`}>
+                  {task.title}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Deleted {new Date(task.deletedAt).toLocaleString()} • Deleted for good on {formatDate(task.purgeAt)}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleRestore(task)}
+                  disabled={busyId !== null}
+                >
+                  {busyId === task._id ? '⏳' : '↩️ Restore'}
+                </Button>
+                <Button
+                  variant="danger"
+                  size="sm"
+                  onClick={() => handlePurge(task)}
+                  disabled={busyId !== null}
+                >
+                  Delete Forever
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && <p className="text-sm text-gray-500">⏳ Loading trash...</p>}
+
+      {nextCursor && !loading && (
+        <Button variant="secondary" size="sm" onClick={handleLoadMore}>
+          Load more
+        </Button>
+      )}
+    </Modal>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+
+// How long the toast stays up
+const DEFAULT_DURATION_MS = 8000;
+
+/**
+ * UndoToast Component - Short-lived message with an Undo button
+ * Shown in the bottom corner and dismissed after a few seconds; a new message
+ * restarts the countdown.
+ * @param {Object} props - Component props
+ * @param {string} props.message - Text to show; nothing is shown while empty
+ * @param {Function} props.onUndo - Undo handler; may return a promise
+ * @param {Function} props.onDismiss - Called when the toast times out or is closed
+ * @param {number} props.duration - Milliseconds before it is dismissed
+ */
+const UndoToast = ({ message, onUndo, onDismiss, duration = DEFAULT_DURATION_MS }) => {
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => {
+    if (!message) return undefined;
+
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  if (!message) return null;
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    try {
+      await onUndo();
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-6 z-50 flex items-center gap-4 bg-gray-800 text-white px-4 py-3 rounded-lg shadow-lg"
+    >
+      <span className="text-sm">{message}</span>
+      <button
+        type="button"
+        onClick={handleUndo}
+        disabled={undoing}
+        className="text-sm font-semibold text-blue-300 hover:text-blue-200 disabled:opacity-50"
+      >
+        {undoing ? '⏳ Undoing...' : '↩️ Undo'}
+      </button>
+      <button
+        type="button"
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ✖️
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getErrorMessage } from '../services/api';
+import { getDeliveries, getDelivery, replayDelivery, EVENT_LABELS } from '../services/webhooks';
+import Modal from './Modal';
+import Button from './Button';
+
+const PAGE_SIZE = 20;
+
+const STATUS_FILTERS = [
+  { value: 'all', label: '🔗 All' },
+  { value: 'succeeded', label: '✓ Delivered' },
+  { value: 'pending', label: '⏳ Retrying' },
+  { value: 'failed', label: '✗ Failed' }
+];
+
+/**
+ * Status badge for a delivery
+ */
+const StatusBadge = ({ delivery }) => {
+  if (delivery.status === 'succeeded') {
+    return <span className="bg-green-100 text-green-700 px-2 py-1 rounded text-xs">✓ delivered</span>;
+  }
+  if (delivery.status === 'failed') {
+    return <span className="bg-red-100 text-red-700 px-2 py-1 rounded text-xs">✗ failed</span>;
+  }
+  return (
+    <span
+      className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded text-xs"
+      title={delivery.nextAttemptAt ? `Next attempt ${new Date(delivery.nextAttemptAt).toLocaleString()}` : undefined}
+    >
+      ⏳ retrying
+    </span>
+  );
+};
+
+/**
+ * Result of one attempt, e.g. "HTTP 200" or the network error
+ */
+const describeAttempt = (attempt) => {
+  if (attempt.statusCode) return `HTTP ${attempt.statusCode}`;
+  return attempt.error || 'No response';
+};
+
+/**
+ * Pretty-print a JSON request body
+ */
+const formatPayload = (payload) => {
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2);
+  } catch (error) {
+    return payload;
+  }
+};
+
+/**
+ * WebhookDeliveries Component - Delivery log of the user's webhooks
+ * Lists deliveries newest first; a delivery shows its request body and every
+ * attempt, and can be replayed as a new delivery.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility state
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.webhook - Only show this webhook's deliveries (null for all)
+ */
+const WebhookDeliveries = ({ isOpen, onClose, webhook = null }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [selectedDelivery, setSelectedDelivery] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+
+  // Incremented on every first-page load so stale responses can be ignored
+  const loadIdRef = useRef(0);
+
+  const webhookId = webhook?._id;
+
+  /**
+   * Load the first page when opened, filtered or refreshed
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadId = ++loadIdRef.current;
+    setLoading(true);
+    setError(null);
+
+    getDeliveries({
+      limit: PAGE_SIZE,
+      ...(webhookId && { webhook: webhookId }),
+      ...(filter !== 'all' && { status: filter })
+    })
+      .then(page => {
+        if (loadId !== loadIdRef.current) return;
+        setDeliveries(page.deliveries);
+        setNextCursor(page.nextCursor);
+      })
+      .catch(err => {
+        if (loadId !== loadIdRef.current) return;
+        console.error('Error fetching webhook deliveries:', err);
+        setError(getErrorMessage(err, 'Failed to load the delivery log. Please try again.'));
+      })
+      .finally(() => {
+        if (loadId === loadIdRef.current) setLoading(false);
+      });
+  }, [isOpen, webhookId, filter, refreshKey]);
+
+  /**
+   * Append the next page of deliveries
+   */
+  const handleLoadMore = async () => {
+    const loadId = loadIdRef.current;
+    setLoading(true);
+
+    try {
+      const page = await getDeliveries({
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+        ...(webhookId && { webhook: webhookId }),
+        ...(filter !== 'all' && { status: filter })
+      });
+      if (loadId !== loadIdRef.current) return;
+      setDeliveries(prev => [...prev, ...page.deliveries]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more webhook deliveries:', err);
+      setError(getErrorMessage(err, 'Failed to load more deliveries. Please try again.'));
+    } finally {
+      if (loadId === loadIdRef.current) setLoading(false);
+    }
+  };
+
+  /**
+   * Open a delivery; the list leaves out request bodies, so fetch the full copy
+   */
+  const handleSelect = async (delivery) => {
+    setSelectedDelivery(delivery);
+
+    try {
+      const full = await getDelivery(delivery._id);
+      setSelectedDelivery(current => (current?._id === full._id ? full : current));
+    } catch (err) {
+      console.error('Error fetching webhook delivery:', err);
+    }
+  };
+
+  /**
+   * Send the selected delivery again and show the new delivery
+   */
+  const handleReplay = async () => {
+    setReplaying(true);
+
+    try {
+      const replay = await replayDelivery(selectedDelivery._id);
+      console.log(`🔁 Replayed ${replay.event} delivery: ${replay.status}`);
+      setDeliveries(prev => [replay, ...prev]);
+      setSelectedDelivery(replay);
+    } catch (err) {
+      console.error('Error replaying webhook delivery:', err);
+      alert(`❌ ${getErrorMessage(err, 'Failed to replay the delivery. Please try again.')}`);
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const getEventLabel = (event) => EVENT_LABELS[event] || { icon: '🔗', label: event };
+
+  return (
+    <>
+      {/* Main Modal */}
+      <Modal
+        isOpen={isOpen}
+        onClose={onClose}
+        title={webhook ? `📜 Deliveries to ${webhook.url}` : '📜 Webhook Deliveries'}
+        size="lg"
+      >
+        <div className="space-y-4">
+          {/* Filter Tabs */}
+          <div className="flex space-x-2 border-b border-gray-200">
+            {STATUS_FILTERS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setFilter(value)}
+                className={`px-4 py-2 text-sm font-medium transition-colors ${
+                  filter === value
+                    ? 'text-blue-600 border-b-2 border-blue-600'
+                    : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Delivery List */}
+          <div className="max-h-96 overflow-y-auto space-y-2">
+            {deliveries.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <p className="text-4xl mb-2">{loading ? '⏳' : '📭'}</p>
+                <p>{loading ? 'Loading deliveries...' : 'No deliveries found'}</p>
+              </div>
+            ) : (
+              deliveries.map(delivery => {
+                const { icon, label } = getEventLabel(delivery.event);
+                const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+                return (
+                  <div
+                    key={delivery._id}
+                    onClick={() => handleSelect(delivery)}
+                    className="p-3 rounded-lg cursor-pointer transition-colors border bg-gray-50 hover:bg-gray-100 border-gray-200"
+                  >
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-2 mb-1">
+                          <span className="text-lg">{icon}</span>
+                          <h4 className="text-sm font-medium text-gray-800 truncate">
+                            {delivery.event}{delivery.taskTitle && ` — ${delivery.taskTitle}`}
+                          </h4>
+                        </div>
+                        <div className="flex items-center flex-wrap gap-x-3 text-xs text-gray-600">
+                          <span>⏰ {new Date(delivery.createdAt).toLocaleString()}</span>
+                          <span>{label}</span>
+                          <span>🔁 {delivery.attempts.length} attempt{delivery.attempts.length !== 1 ? 's' : ''}</span>
+                          {lastAttempt && <span>{describeAttempt(lastAttempt)}</span>}
+                          {delivery.replayOf && <span>↩️ replay</span>}
+                        </div>
+                      </div>
+                      <StatusBadge delivery={delivery} />
+                    </div>
+                  </div>
+                );
+              })
+            )}
+            {nextCursor && (
+              <div className="text-center pt-2">
+                <Button variant="secondary" size="sm" onClick={handleLoadMore} disabled={loading}>
+                  {loading ? '⏳ Loading...' : 'Load more'}
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {/* Actions */}
+          <div className="flex justify-between items-center pt-4 border-t border-gray-200">
+            <Button
+              variant="secondary"
+              onClick={() => setRefreshKey(key => key + 1)}
+              disabled={loading}
+            >
+              🔄 Refresh
+            </Button>
+            <Button onClick={onClose}>
+              Close
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Delivery Detail Modal */}
+      {selectedDelivery && (
+        <Modal
+          isOpen={!!selectedDelivery}
+          onClose={() => setSelectedDelivery(null)}
+          title="📜 Delivery Details"
+          size="lg"
+        >
+          <div className="space-y-4">
+            {/* Header */}
+            <div className="bg-gradient-to-r from-blue-50 to-purple-50 p-4 rounded-lg">
+              <div className="flex items-start justify-between gap-3 mb-2">
+                <h3 className="text-lg font-bold text-gray-800">
+                  {getEventLabel(selectedDelivery.event).icon} {selectedDelivery.event}
+                </h3>
+                <StatusBadge delivery={selectedDelivery} />
+              </div>
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                <div>
+                  <p className="text-gray-600">URL:</p>
+                  <p className="font-semibold text-gray-800 break-all">{selectedDelivery.url}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Task:</p>
+                  <p className="font-semibold text-gray-800">{selectedDelivery.taskTitle || '—'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Created:</p>
+                  <p className="font-semibold text-gray-800">{new Date(selectedDelivery.createdAt).toLocaleString()}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">
+                    {selectedDelivery.status === 'pending' ? 'Next Attempt:' : 'Delivered:'}
+                  </p>
+                  <p className="font-semibold text-gray-800">
+                    {selectedDelivery.status === 'pending' && selectedDelivery.nextAttemptAt
+                      ? new Date(selectedDelivery.nextAttemptAt).toLocaleString()
+                      : selectedDelivery.deliveredAt ? new Date(selectedDelivery.deliveredAt).toLocaleString() : '—'}
+                  </p>
+                </div>
+              </div>
+              <p className="mt-2 text-xs text-gray-500 break-all">Event ID: {selectedDelivery.eventId}</p>
+            </div>
+
+            {/* Attempts */}
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">🔁 Attempts</h4>
+              {selectedDelivery.attempts.length === 0 ? (
+                <p className="text-sm text-gray-500">No attempts yet</p>
+              ) : (
+                <ul className="space-y-2">
+                  {selectedDelivery.attempts.map((attempt, index) => (
+                    <li key={index} className="p-2 bg-gray-50 rounded border border-gray-200 text-xs">
+                      <div className="flex items-center justify-between">
+                        <span className={attempt.statusCode >= 200 && attempt.statusCode < 300 ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold'}>
+                          #{index + 1} {describeAttempt(attempt)}
+                        </span>
+                        <span className="text-gray-500">
+                          {new Date(attempt.at).toLocaleString()}
+                          {attempt.durationMs !== undefined && ` • ${attempt.durationMs} ms`}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Request Body */}
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">📦 Request Body</h4>
+              {selectedDelivery.payload ? (
+                <pre className="p-3 bg-gray-900 text-gray-100 rounded-lg text-xs max-h-64 overflow-auto">
+                  {formatPayload(selectedDelivery.payload)}
+                </pre>
+              ) : (
+                <p className="text-sm text-gray-500">⏳ Loading...</p>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex justify-end gap-2 pt-4 border-t border-gray-200">
+              <Button variant="outline" onClick={handleReplay} disabled={replaying || !selectedDelivery.payload}>
+                {replaying ? '⏳ Sending...' : '🔁 Replay'}
+              </Button>
+              <Button onClick={() => setSelectedDelivery(null)}>
+                Close
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </>
+  );
+};
+
+export default WebhookDeliveries;
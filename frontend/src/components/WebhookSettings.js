@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { getErrorMessage } from '../services/api';
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  EVENT_LABELS
+} from '../services/webhooks';
+import WebhookDeliveries from './WebhookDeliveries';
+import Button from './Button';
+
+const EMPTY_FORM = { url: '', description: '', events: Object.keys(EVENT_LABELS) };
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white';
+
+const LAST_DELIVERY_LABELS = {
+  succeeded: { className: 'text-green-700', label: '✓ delivered' },
+  pending: { className: 'text-yellow-700', label: '⏳ retrying' },
+  failed: { className: 'text-red-700', label: '✗ failed' }
+};
+
+/**
+ * WebhookSettings Component
+ * Settings section for the URLs that receive the user's task events, with
+ * their signing secrets and delivery log
+ */
+const WebhookSettings = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(null); // null, or { ...EMPTY_FORM, _id } while adding or editing
+  const [saving, setSaving] = useState(false);
+  const [newSecret, setNewSecret] = useState(null); // { url, secret } shown once after create or rotate
+  const [deliveryLog, setDeliveryLog] = useState({ open: false, webhook: null });
+
+  /**
+   * Load the webhooks
+   */
+  const loadWebhooks = () => {
+    return getWebhooks()
+      .then(setWebhooks)
+      .catch(err => {
+        console.error('Error fetching webhooks:', err);
+        setError(getErrorMessage(err, 'Failed to load webhooks. Please try again.'));
+      })
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.events.length === 0) {
+      setError('Choose at least one event');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { _id, url, description, events } = form;
+      if (_id) {
+        await updateWebhook(_id, { url, description, events });
+        console.log(`🔗 Webhook updated: ${url}`);
+      } else {
+        const created = await createWebhook({ url, description, events });
+        setNewSecret({ url: created.url, secret: created.secret });
+        console.log(`🔗 Webhook added: ${url}`);
+      }
+      setForm(null);
+      await loadWebhooks();
+    } catch (err) {
+      console.error('Error saving webhook:', err);
+      setError(getErrorMessage(err, 'Failed to save the webhook. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      const updated = await updateWebhook(webhook._id, { active: !webhook.active });
+      setWebhooks(prev => prev.map(w => (w._id === updated._id ? { ...w, ...updated } : w)));
+    } catch (err) {
+      console.error('Error updating webhook:', err);
+      setError(getErrorMessage(err, 'Failed to update the webhook. Please try again.'));
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm('Create a new secret? Requests are signed with it right away, so update your receiver too.')) {
+      return;
+    }
+
+    try {
+      const secret = await rotateWebhookSecret(webhook._id);
+      setNewSecret({ url: webhook.url, secret });
+    } catch (err) {
+      console.error('Error rotating webhook secret:', err);
+      setError(getErrorMessage(err, 'Failed to create a new secret. Please try again.'));
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) {
+      return;
+    }
+
+    try {
+      await deleteWebhook(webhook._id);
+      setWebhooks(prev => prev.filter(w => w._id !== webhook._id));
+      console.log(`🗑️ Webhook deleted: ${webhook.url}`);
+    } catch (err) {
+      console.error('Error deleting webhook:', err);
+      setError(getErrorMessage(err, 'Failed to delete the webhook. Please try again.'));
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">🔗 Webhooks</h3>
+          <p className="text-sm text-gray-600">
+            Send task events to your own tools. Requests are signed with the webhook's secret
+            (X-Webhook-Signature) and retried with backoff when they fail.
+          </p>
+        </div>
+        <Button variant="secondary" size="sm" onClick={() => setDeliveryLog({ open: true, webhook: null })}>
+          📜 Delivery Log
+        </Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      {newSecret && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-900 px-4 py-3 rounded-lg text-sm mb-4">
+          <p className="font-medium mb-1">🔑 Secret for {newSecret.url} — copy it now, it is not shown again:</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-2 py-1 bg-white rounded border border-yellow-200 break-all">{newSecret.secret}</code>
+            <Button variant="outline" size="sm" onClick={() => navigator.clipboard?.writeText(newSecret.secret)}>
+              📋 Copy
+            </Button>
+            <Button variant="secondary" size="sm" onClick={() => setNewSecret(null)}>
+              Done
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Webhook List */}
+      {loading ? (
+        <p className="text-sm text-gray-500">⏳ Loading webhooks...</p>
+      ) : webhooks.length === 0 && !form ? (
+        <p className="text-sm text-gray-500 mb-4">No webhooks yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 mb-4">
+          {webhooks.map(webhook => {
+            const last = webhook.lastDelivery && LAST_DELIVERY_LABELS[webhook.lastDelivery.status];
+
+            return (
+              <li key={webhook._id} className="py-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className={`min-w-0 ${webhook.active ? '' : 'opacity-50'}`}>
+                    <p className="font-medium text-gray-800 break-all">{webhook.url}</p>
+                    {webhook.description && <p className="text-xs text-gray-500">{webhook.description}</p>}
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {webhook.events.map(event => (
+                        <span key={event} className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded-full text-xs">
+                          {EVENT_LABELS[event]?.icon} {event}
+                        </span>
+                      ))}
+                    </div>
+                    {last && (
+                      <p className={`text-xs mt-1 ${last.className}`}>
+                        Last delivery: {last.label} ({webhook.lastDelivery.event}, {new Date(webhook.lastDelivery.createdAt).toLocaleString()})
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap justify-end gap-2 shrink-0">
+                    <Button variant="secondary" size="sm" onClick={() => handleToggleActive(webhook)}>
+                      {webhook.active ? '⏸️ Pause' : '▶️ Resume'}
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => setDeliveryLog({ open: true, webhook })}>
+                      📜 Log
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => setForm({ _id: webhook._id, url: webhook.url, description: webhook.description || '', events: webhook.events })}
+                    >
+                      ✏️ Edit
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => handleRotateSecret(webhook)}>
+                      🔑 New Secret
+                    </Button>
+                    <Button variant="danger" size="sm" onClick={() => handleDelete(webhook)}>
+                      🗑️
+                    </Button>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Add / Edit Form */}
+      {form ? (
+        <form onSubmit={handleSubmit} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div>
+            <label htmlFor="webhookUrl" className="block text-sm font-medium text-gray-700 mb-1">Payload URL</label>
+            <input
+              id="webhookUrl"
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              placeholder="https://example.com/hooks/tasks"
+              required
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="webhookDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              id="webhookDescription"
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              maxLength={200}
+              placeholder="Optional"
+              className={inputClassName}
+            />
+          </div>
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Events</legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Object.entries(EVENT_LABELS).map(([event, { icon, description }]) => (
+                <label key={event} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-800">{icon} {event}</span>
+                    <span className="block text-xs text-gray-500">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" size="sm" onClick={() => setForm(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" disabled={saving}>
+              {saving ? '⏳ Saving...' : form._id ? '💾 Save Webhook' : '➕ Add Webhook'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <Button variant="outline" size="sm" onClick={() => setForm(EMPTY_FORM)}>
+          ➕ Add Webhook
+        </Button>
+      )}
+
+      <WebhookDeliveries
+        isOpen={deliveryLog.open}
+        onClose={() => {
+          setDeliveryLog({ open: false, webhook: null });
+          loadWebhooks();
+        }}
+        webhook={deliveryLog.webhook}
+      />
+    </section>
+  );
+};
+
+export default WebhookSettings;
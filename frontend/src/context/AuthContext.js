@@ -1,13 +1,14 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import api, { setAuthToken, setUnauthorizedHandler, getErrorMessage } from '../services/api';
 
 /**
  * Authentication Context
- * Manages user authentication state with sessionStorage and JWT simulation
+ * Manages user authentication state with sessionStorage and server-issued JWTs
  * 
  * Features:
  * - Session persists until browser tab closes
  * - Auto session expiry after inactivity
- * - JWT token simulation
+ * - Signed JWT from the backend auth API
  * - Activity tracking
  * - Secure session management
  */
@@ -64,31 +65,17 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   /**
-   * Generate simulated JWT token
-   * In production, this would come from backend
-   */
-  const generateToken = (userData) => {
-    const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
-    const payload = btoa(JSON.stringify({
-      email: userData.email,
-      name: userData.name,
-      iat: Date.now(),
-      exp: Date.now() + SESSION_CONFIG.EXPIRY_TIME
-    }));
-    const signature = btoa(`signature_${Date.now()}`); // Simulated signature
-    
-    return `${header}.${payload}.${signature}`;
-  };
-
-  /**
-   * Decode JWT token
+   * Decode JWT token payload
+   * Only reads the claims; the signature is verified by the backend
    */
   const decodeToken = (token) => {
     try {
       const parts = token.split('.');
       if (parts.length !== 3) return null;
       
-      const payload = JSON.parse(atob(parts[1]));
+      // JWTs use base64url encoding
+      const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+      const payload = JSON.parse(atob(base64));
       return payload;
     } catch (error) {
       console.error('Error decoding token:', error);
@@ -109,8 +96,8 @@ export const AuthProvider = ({ children }) => {
       const payload = decodeToken(token);
       if (!payload) return false;
       
-      // Check token expiry
-      if (Date.now() > payload.exp) {
+      // Check token expiry (JWT exp is in seconds)
+      if (Date.now() > payload.exp * 1000) {
         console.log('🔒 Session expired (token)');
         return false;
       }
@@ -131,8 +118,9 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Check for existing session on mount
+   * Restores the stored token and confirms it with the backend
    */
-  const checkSession = () => {
+  const checkSession = async () => {
     try {
       const storedUser = sessionStorage.getItem(SESSION_CONFIG.STORAGE_KEYS.USER);
       const isAuth = sessionStorage.getItem(SESSION_CONFIG.STORAGE_KEYS.AUTHENTICATED);
@@ -141,8 +129,12 @@ export const AuthProvider = ({ children }) => {
       if (storedUser && isAuth === 'true' && token) {
         // Validate session before restoring
         if (isSessionValid()) {
-          const userData = JSON.parse(storedUser);
-          setUser(userData);
+          setAuthToken(token);
+          
+          // Confirm the token is still accepted and refresh user data
+          const response = await api.get('/auth/me');
+          sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.USER, JSON.stringify(response.data));
+          setUser(response.data);
           setIsAuthenticated(true);
           updateLastActivity(); // Update activity timestamp
           console.log('✅ Session restored from sessionStorage');
@@ -171,6 +163,7 @@ export const AuthProvider = ({ children }) => {
    * Clear session storage
    */
   const clearSession = () => {
+    setAuthToken(null);
     Object.values(SESSION_CONFIG.STORAGE_KEYS).forEach(key => {
       sessionStorage.removeItem(key);
     });
@@ -180,32 +173,59 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Login user and store in session with JWT token
+   * Store the token and user returned by the auth API
+   */
+  const startSession = (token, userData) => {
+    const timestamp = Date.now();
+    
+    // Store user data
+    sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.USER, JSON.stringify(userData));
+    sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.AUTHENTICATED, 'true');
+    sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.TOKEN, token);
+    sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.TIMESTAMP, timestamp.toString());
+    sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.LAST_ACTIVITY, timestamp.toString());
+    
+    setAuthToken(token);
+    setUser(userData);
+    setIsAuthenticated(true);
+    setSessionExpiring(false);
+    
+    console.log('⏰ Session expires in:', SESSION_CONFIG.EXPIRY_TIME / 1000 / 60, 'minutes of inactivity');
+  };
+
+  /**
+   * Login user against the backend and store the signed token in session
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} - { success, message }
    */
-  const login = (userData) => {
+  const login = async ({ email, password }) => {
     try {
-      const token = generateToken(userData);
-      const timestamp = Date.now();
-      
-      // Store user data
-      sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.USER, JSON.stringify(userData));
-      sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.AUTHENTICATED, 'true');
-      sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.TOKEN, token);
-      sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.TIMESTAMP, timestamp.toString());
-      sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEYS.LAST_ACTIVITY, timestamp.toString());
-      
-      setUser(userData);
-      setIsAuthenticated(true);
-      setSessionExpiring(false);
+      const response = await api.post('/auth/login', { email, password });
+      startSession(response.data.token, response.data.user);
       
       console.log('✅ Login successful');
-      console.log('🔑 JWT Token:', token.substring(0, 50) + '...');
-      console.log('⏰ Session expires in:', SESSION_CONFIG.EXPIRY_TIME / 1000 / 60, 'minutes');
-      
-      return true;
+      return { success: true };
     } catch (error) {
       console.error('❌ Error during login:', error);
-      return false;
+      return { success: false, message: getErrorMessage(error, 'Invalid email or password. Please try again.') };
+    }
+  };
+
+  /**
+   * Register a new account and log in with the returned token
+   * @param {Object} details - { name, email, password }
+   * @returns {Promise<Object>} - { success, message }
+   */
+  const register = async ({ name, email, password }) => {
+    try {
+      const response = await api.post('/auth/register', { name, email, password });
+      startSession(response.data.token, response.data.user);
+      
+      console.log('✅ Registration successful');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error during registration:', error);
+      return { success: false, message: getErrorMessage(error, 'Registration failed. Please try again.') };
     }
   };
 
@@ -276,8 +296,8 @@ export const AuthProvider = ({ children }) => {
       const timeUntilExpiry = SESSION_CONFIG.EXPIRY_TIME - timeSinceActivity;
       
       return {
-        issuedAt: new Date(payload.iat).toLocaleString(),
-        expiresAt: new Date(payload.exp).toLocaleString(),
+        issuedAt: new Date(payload.iat * 1000).toLocaleString(),
+        expiresAt: new Date(payload.exp * 1000).toLocaleString(),
         lastActivity: new Date(parseInt(lastActivity)).toLocaleString(),
         timeUntilExpiry: Math.max(0, Math.floor(timeUntilExpiry / 1000 / 60)), // minutes
         isExpiring: timeUntilExpiry <= SESSION_CONFIG.WARNING_TIME
@@ -309,6 +329,17 @@ export const AuthProvider = ({ children }) => {
     window._activityTracking = { events: activityEvents, handler: handleActivity };
   };
 
+  /**
+   * Log out locally when the backend rejects the token
+   */
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      console.log('🔒 Token rejected by server, logging out...');
+      logout();
+    });
+    return () => setUnauthorizedHandler(null);
+  });
+
   /**
    * Setup session monitoring
    * Periodically checks session validity and warns before expiry
@@ -367,6 +398,7 @@ export const AuthProvider = ({ children }) => {
     sessionExpiring,
     sessionTimeLeft,
     login,
+    register,
     logout,
     updateUser,
     checkSession,
@@ -0,0 +1,87 @@
+import axios from 'axios';
+
+/**
+ * API Client
+ * Shared axios instance for all backend requests
+ *
+ * Features:
+ * - Single base URL for every endpoint
+ * - Bearer token attached to each request once the user logs in
+ * - 401 responses end the local session
+ */
+
+// API base URL
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const api = axios.create({
+  baseURL: API_BASE_URL
+});
+
+// Called when the backend rejects the token (set by AuthContext)
+let unauthorizedHandler = null;
+
+/**
+ * Register the callback used when a request returns 401 Unauthorized
+ * @param {Function|null} handler - Usually AuthContext.logout
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const isAuthRequest = error.config?.url?.startsWith('/auth/');
+    if (error.response?.status === 401 && !isAuthRequest && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Set or clear the Authorization header used for every request
+ * @param {string|null} token - Signed JWT from the backend, or null to clear
+ */
+export const setAuthToken = (token) => {
+  if (token) {
+    api.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete api.defaults.headers.common.Authorization;
+  }
+};
+
+/**
+ * Extract a readable message from an API error
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message used when the server gave none
+ * @returns {string} - Error message
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  const data = error.response?.data;
+  if (data?.errors?.length) return data.errors.join(', ');
+  if (data?.message) return data.message;
+  if (!error.response) return 'Unable to reach the server. Please make sure the backend is running.';
+  return fallback;
+};
+
+/**
+ * If-Match header naming the version of a task a write is based on
+ * The backend answers 409 with the current task when it has changed since
+ * @param {Object} task - Task as last loaded from the server
+ * @returns {Object} - Request headers
+ */
+export const ifMatch = (task) => ({ 'If-Match': `"${task.version ?? 0}"` });
+
+/**
+ * Current server copy of a task from a 409 version conflict
+ * @param {Error} error - Axios error
+ * @returns {Object|null} - Task, or null when the error is not a version conflict
+ */
+export const getConflictingTask = (error) => {
+  const data = error.response?.data;
+  if (error.response?.status !== 409 || data?.code !== 'version_conflict') return null;
+  return data.current || null;
+};
+
+export default api;
@@ -0,0 +1,57 @@
+import api, { getErrorMessage } from './api';
+
+/**
+ * Bulk Tasks Service
+ * Client for applying one operation to several tasks (/api/tasks/bulk)
+ */
+
+// Past-tense labels for result messages, by operation
+export const BULK_OPERATION_LABELS = {
+  complete: 'completed',
+  reopen: 'reopened',
+  priority: 're-prioritised',
+  shift_due: 'rescheduled',
+  add_tag: 'tagged',
+  delete: 'moved to the trash'
+};
+
+// Tasks per request accepted by the backend (MAX_BULK_IDS in backend/utils/bulk.js)
+export const MAX_BULK_IDS = 100;
+
+/**
+ * Apply an operation to several tasks
+ * Larger selections are sent in batches of MAX_BULK_IDS, one after another;
+ * a batch that fails after the first counts its tasks as failed.
+ * @param {Array<string>} ids - Task IDs
+ * @param {string} operation - complete, reopen, priority, shift_due, add_tag or delete
+ * @param {*} value - Priority, number of days or tag name, for the operations that take one
+ * @returns {Promise<Object>} - { operation, results, summary } - results has
+ *   { id, status: 'ok' | 'skipped' | 'failed', task, generatedOccurrence, reason, error } per task
+ */
+export const bulkUpdateTasks = async (ids, operation, value) => {
+  const results = [];
+
+  for (let start = 0; start < ids.length; start += MAX_BULK_IDS) {
+    const batch = ids.slice(start, start + MAX_BULK_IDS);
+    try {
+      const response = await api.post('/tasks/bulk', { ids: batch, operation, value });
+      results.push(...response.data.results);
+    } catch (err) {
+      if (results.length === 0) throw err;
+      const error = getErrorMessage(err);
+      results.push(...batch.map(id => ({ id, status: 'failed', error })));
+    }
+  }
+
+  const summary = { ok: 0, skipped: 0, failed: 0 };
+  results.forEach(result => { summary[result.status]++; });
+
+  return { operation, results, summary };
+};
+
+const bulkTasks = {
+  MAX_BULK_IDS,
+  bulkUpdateTasks
+};
+
+export default bulkTasks;
@@ -0,0 +1,149 @@
+import api from './api';
+import { NotificationType } from './taskMailAutomation';
+
+/**
+ * Notifications Service
+ * Client for the notification log stored by the backend (/api/notifications)
+ *
+ * The notification bell and NotificationHistory both read from here. Changes
+ * made through this service (read state, clearing) are announced with
+ * subscribeToNotificationChanges so every open view stays consistent.
+ */
+
+const changes = new EventTarget();
+
+/**
+ * Listen for changes made through this service
+ * @param {Function} listener - Receives { action: 'read' | 'read-all' | 'cleared', notification, readAt }
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToNotificationChanges = (listener) => {
+  const handler = (event) => listener(event.detail);
+  changes.addEventListener('change', handler);
+  return () => changes.removeEventListener('change', handler);
+};
+
+const announce = (detail) => {
+  changes.dispatchEvent(new CustomEvent('change', { detail }));
+};
+
+/**
+ * Scheduled digest types, sent at the times chosen in the notification settings
+ */
+export const DigestType = {
+  MORNING: 'morning_digest',
+  WEEKLY: 'weekly_summary'
+};
+
+/**
+ * Icon and label per notification type
+ */
+export const TYPE_LABELS = {
+  [NotificationType.OVERDUE]: { icon: '⚠️', label: 'Overdue' },
+  [NotificationType.DUE_SOON]: { icon: '⏰', label: 'Due Soon' },
+  [NotificationType.HIGH_PRIORITY]: { icon: '🔴', label: 'High Priority' },
+  [NotificationType.REMINDER]: { icon: '🔔', label: 'Reminder' }
+};
+
+/**
+ * Icon and label per scheduled digest
+ */
+export const DIGEST_LABELS = {
+  [DigestType.MORNING]: { icon: '🌅', label: 'Morning Digest' },
+  [DigestType.WEEKLY]: { icon: '📊', label: 'Weekly Summary' }
+};
+
+/**
+ * Get one page of notifications, newest first (without email bodies)
+ * @param {Object} params - { type, status, unread, limit, cursor }
+ * @returns {Promise<Object>} - { notifications, nextCursor }
+ */
+export const getNotifications = async (params = {}) => {
+  const response = await api.get('/notifications', { params });
+  return response.data;
+};
+
+/**
+ * Get notification counts
+ * @returns {Promise<Object>} - { total, unread, queued, sent, failed, byType }
+ */
+export const getNotificationStats = async () => {
+  const response = await api.get('/notifications/stats');
+  return response.data;
+};
+
+/**
+ * Count unread notifications
+ * @returns {Promise<number>}
+ */
+export const getUnreadCount = async () => {
+  const response = await api.get('/notifications/unread-count');
+  return response.data.unread;
+};
+
+/**
+ * Mark a notification as read or unread
+ * @param {string} id - Notification ID
+ * @param {boolean} read - false to mark it unread again
+ * @returns {Promise<Object>} - Updated notification (without email body)
+ */
+export const markNotificationRead = async (id, read = true) => {
+  const response = await api.patch(`/notifications/${id}/read`, { read });
+  announce({ action: 'read', notification: response.data });
+  return response.data;
+};
+
+/**
+ * Mark every notification as read
+ * @returns {Promise<Object>} - { readAt, modifiedCount }
+ */
+export const markAllNotificationsRead = async () => {
+  const response = await api.patch('/notifications/read-all');
+  announce({ action: 'read-all', readAt: response.data.readAt });
+  return response.data;
+};
+
+/**
+ * Get a single notification including its email body
+ * @param {string} id - Notification ID
+ * @returns {Promise<Object>}
+ */
+export const getNotification = async (id) => {
+  const response = await api.get(`/notifications/${id}`);
+  return response.data;
+};
+
+/**
+ * Render a digest as it would be sent now, without sending it
+ * @param {string} type - DigestType value
+ * @returns {Promise<Object>} - { type, subject, body, text, priority, empty }
+ */
+export const previewDigest = async (type) => {
+  const response = await api.get(`/notifications/digests/${type}/preview`);
+  return response.data;
+};
+
+/**
+ * Clear notification history
+ */
+export const clearNotifications = async () => {
+  await api.delete('/notifications');
+  announce({ action: 'cleared' });
+};
+
+const notifications = {
+  getNotifications,
+  getNotificationStats,
+  getNotification,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  previewDigest,
+  clearNotifications,
+  subscribeToNotificationChanges,
+  DigestType,
+  TYPE_LABELS,
+  DIGEST_LABELS
+};
+
+export default notifications;
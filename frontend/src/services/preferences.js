@@ -0,0 +1,43 @@
+import api from './api';
+
+/**
+ * Preferences Service
+ * Client for the user's notification preferences (/api/preferences)
+ * The backend automation reads them on every run
+ */
+
+/**
+ * How notifications reach the user
+ */
+export const DeliveryMode = {
+  INSTANT: 'instant',
+  HOURLY: 'hourly',
+  DAILY: 'daily'
+};
+
+/**
+ * Get the notification preferences
+ * @returns {Promise<Object>} - { timezone, types, quietHours, dailyDigestTime }
+ */
+export const getPreferences = async () => {
+  const response = await api.get('/preferences');
+  return response.data;
+};
+
+/**
+ * Update the notification preferences; fields left out keep their value
+ * @param {Object} changes - Any of { timezone, types: { <type>: { enabled, delivery } }, quietHours, dailyDigestTime }
+ * @returns {Promise<Object>} - Updated preferences
+ */
+export const updatePreferences = async (changes) => {
+  const response = await api.put('/preferences', changes);
+  return response.data;
+};
+
+const preferences = {
+  getPreferences,
+  updatePreferences,
+  DeliveryMode
+};
+
+export default preferences;
@@ -0,0 +1,116 @@
+import api from './api';
+
+/**
+ * Automation Rules Service
+ * Client for the user's "when ... if ... then ..." rules (/api/rules)
+ */
+
+/**
+ * When a rule runs
+ */
+export const TRIGGER_LABELS = {
+  'task.created': { icon: '➕', label: 'A task is created' },
+  'task.updated': { icon: '✏️', label: 'A task is edited or reopened' },
+  'task.completed': { icon: '✅', label: 'A task is completed' },
+  'task.overdue': { icon: '⚠️', label: 'A task becomes overdue' },
+  'task.due_soon': { icon: '⏰', label: 'A task is due within 24 hours' }
+};
+
+/**
+ * Condition fields with their operators
+ */
+export const CONDITION_FIELDS = {
+  priority: { label: 'Priority', operators: { is: 'is', is_not: 'is not' } },
+  tags: { label: 'Tags', operators: { includes: 'include', excludes: "don't include" } },
+  title: { label: 'Title', operators: { contains: 'contains', not_contains: "doesn't contain" } },
+  description: { label: 'Description', operators: { contains: 'contains', not_contains: "doesn't contain" } },
+  project: { label: 'Project', operators: { is: 'is', is_not: 'is not' } }
+};
+
+/**
+ * What a rule can do
+ */
+export const ACTION_LABELS = {
+  set_priority: { icon: '🎯', label: 'Set priority' },
+  raise_priority: { icon: '⬆️', label: 'Raise priority one step' },
+  add_tag: { icon: '🏷️', label: 'Add tag' },
+  remove_tag: { icon: '✂️', label: 'Remove tag' },
+  move_to_project: { icon: '📁', label: 'Move to project' },
+  send_email: { icon: '📧', label: 'Send email' },
+  create_task: { icon: '📋', label: 'Create follow-up task' }
+};
+
+export const PRIORITIES = ['Low', 'Medium', 'High'];
+
+/**
+ * Get the rules
+ * @returns {Promise<Array>}
+ */
+export const getRules = async () => {
+  const response = await api.get('/rules');
+  return response.data.rules;
+};
+
+/**
+ * Create a rule
+ * @param {Object} rule - { name, trigger, enabled, conditions, actions }
+ * @returns {Promise<Object>} - Created rule
+ */
+export const createRule = async (rule) => {
+  const response = await api.post('/rules', rule);
+  return response.data;
+};
+
+/**
+ * Update a rule; fields left out keep their value
+ * @param {string} id - Rule ID
+ * @param {Object} changes - Any of { name, trigger, enabled, conditions, actions }
+ * @returns {Promise<Object>} - Updated rule
+ */
+export const updateRule = async (id, changes) => {
+  const response = await api.put(`/rules/${id}`, changes);
+  return response.data;
+};
+
+/**
+ * Delete a rule and its execution log
+ * @param {string} id - Rule ID
+ */
+export const deleteRule = async (id) => {
+  await api.delete(`/rules/${id}`);
+};
+
+/**
+ * See which tasks a rule would affect right now, without changing anything
+ * @param {Object} rule - Rule fields, with id when editing a saved rule
+ * @returns {Promise<Object>} - { tasks: [{ task, results }], total, truncated }
+ */
+export const dryRunRule = async (rule) => {
+  const response = await api.post('/rules/dry-run', rule);
+  return response.data;
+};
+
+/**
+ * Get the latest times a rule ran
+ * @param {string} id - Rule ID
+ * @returns {Promise<Array>} - Executions, newest first
+ */
+export const getRuleExecutions = async (id) => {
+  const response = await api.get(`/rules/${id}/executions`);
+  return response.data.executions;
+};
+
+const rules = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRunRule,
+  getRuleExecutions,
+  TRIGGER_LABELS,
+  CONDITION_FIELDS,
+  ACTION_LABELS,
+  PRIORITIES
+};
+
+export default rules;
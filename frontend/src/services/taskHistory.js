@@ -0,0 +1,36 @@
+import api, { ifMatch } from './api';
+
+/**
+ * Task History Service
+ * Client for a task's activity log and version restore (/api/tasks/:id/history)
+ */
+
+/**
+ * Get one page of a task's history, newest first
+ * @param {string} taskId - Task ID
+ * @param {Object} params - { limit, cursor }
+ * @returns {Promise<Object>} - { history, nextCursor }
+ */
+export const getTaskHistory = async (taskId, params = {}) => {
+  const response = await api.get(`/tasks/${taskId}/history`, { params });
+  return response.data;
+};
+
+/**
+ * Put a task back to the version recorded in a history entry
+ * Fails with 409 (see getConflictingTask) when the task changed since it was loaded.
+ * @param {Object} task - Task as last loaded from the server
+ * @param {string} activityId - History entry ID
+ * @returns {Promise<Object>} - Restored task
+ */
+export const restoreTaskVersion = async (task, activityId) => {
+  const response = await api.post(`/tasks/${task._id}/history/${activityId}/restore`, null, { headers: ifMatch(task) });
+  return response.data;
+};
+
+const taskHistory = {
+  getTaskHistory,
+  restoreTaskVersion
+};
+
+export default taskHistory;
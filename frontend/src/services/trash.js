@@ -0,0 +1,52 @@
+import api from './api';
+
+/**
+ * Trash Service
+ * Client for deleted tasks (/api/tasks/trash); DELETE /api/tasks/:id moves a task here
+ */
+
+/**
+ * Get one page of the trash, most recently deleted first
+ * @param {Object} params - { limit, cursor }
+ * @returns {Promise<Object>} - { tasks, nextCursor, retentionDays }
+ */
+export const getTrash = async (params = {}) => {
+  const response = await api.get('/tasks/trash', { params });
+  return response.data;
+};
+
+/**
+ * Take a task back out of the trash
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} - Restored task
+ */
+export const restoreFromTrash = async (taskId) => {
+  const response = await api.post(`/tasks/trash/${taskId}/restore`);
+  return response.data;
+};
+
+/**
+ * Delete a task in the trash for good
+ * @param {string} taskId - Task ID
+ */
+export const purgeTask = async (taskId) => {
+  await api.delete(`/tasks/trash/${taskId}`);
+};
+
+/**
+ * Delete every task in the trash for good
+ * @returns {Promise<number>} - Number of tasks deleted
+ */
+export const emptyTrash = async () => {
+  const response = await api.delete('/tasks/trash');
+  return response.data.purged;
+};
+
+const trash = {
+  getTrash,
+  restoreFromTrash,
+  purgeTask,
+  emptyTrash
+};
+
+export default trash;
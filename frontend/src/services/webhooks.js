@@ -0,0 +1,121 @@
+import api from './api';
+
+/**
+ * Webhooks Service
+ * Client for the user's webhooks and their delivery log (/api/webhooks)
+ */
+
+/**
+ * Task events a webhook can subscribe to
+ */
+export const WebhookEvent = {
+  CREATED: 'task.created',
+  UPDATED: 'task.updated',
+  COMPLETED: 'task.completed',
+  DELETED: 'task.deleted',
+  OVERDUE: 'task.overdue'
+};
+
+/**
+ * Icon, label and description per event
+ */
+export const EVENT_LABELS = {
+  [WebhookEvent.CREATED]: { icon: '➕', label: 'Created', description: 'A task is created' },
+  [WebhookEvent.UPDATED]: { icon: '✏️', label: 'Updated', description: 'A task is edited or reopened' },
+  [WebhookEvent.COMPLETED]: { icon: '✅', label: 'Completed', description: 'A task is completed' },
+  [WebhookEvent.DELETED]: { icon: '🗑️', label: 'Deleted', description: 'A task is deleted' },
+  [WebhookEvent.OVERDUE]: { icon: '⚠️', label: 'Overdue', description: 'A task passes its due date' }
+};
+
+/**
+ * Get the webhooks (without secrets)
+ * @returns {Promise<Array>} - Webhooks, each with lastDelivery
+ */
+export const getWebhooks = async () => {
+  const response = await api.get('/webhooks');
+  return response.data.webhooks;
+};
+
+/**
+ * Register a webhook
+ * @param {Object} webhook - { url, events, description, active }
+ * @returns {Promise<Object>} - Created webhook including its secret
+ */
+export const createWebhook = async (webhook) => {
+  const response = await api.post('/webhooks', webhook);
+  return response.data;
+};
+
+/**
+ * Update a webhook; fields left out keep their value
+ * @param {string} id - Webhook ID
+ * @param {Object} changes - Any of { url, events, description, active }
+ * @returns {Promise<Object>} - Updated webhook
+ */
+export const updateWebhook = async (id, changes) => {
+  const response = await api.put(`/webhooks/${id}`, changes);
+  return response.data;
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} id - Webhook ID
+ */
+export const deleteWebhook = async (id) => {
+  await api.delete(`/webhooks/${id}`);
+};
+
+/**
+ * Replace a webhook's signing secret
+ * @param {string} id - Webhook ID
+ * @returns {Promise<string>} - New secret
+ */
+export const rotateWebhookSecret = async (id) => {
+  const response = await api.post(`/webhooks/${id}/secret`);
+  return response.data.secret;
+};
+
+/**
+ * Get one page of deliveries, newest first (without request and response bodies)
+ * @param {Object} params - { webhook, event, status, limit, cursor }
+ * @returns {Promise<Object>} - { deliveries, nextCursor }
+ */
+export const getDeliveries = async (params = {}) => {
+  const response = await api.get('/webhooks/deliveries', { params });
+  return response.data;
+};
+
+/**
+ * Get a single delivery with its request body and attempts
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object>}
+ */
+export const getDelivery = async (id) => {
+  const response = await api.get(`/webhooks/deliveries/${id}`);
+  return response.data;
+};
+
+/**
+ * Send a delivery again
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object>} - New delivery after its first attempt
+ */
+export const replayDelivery = async (id) => {
+  const response = await api.post(`/webhooks/deliveries/${id}/replay`);
+  return response.data;
+};
+
+const webhooks = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+  WebhookEvent,
+  EVENT_LABELS
+};
+
+export default webhooks;
@@ -0,0 +1,62 @@
+/**
+ * Browser Notifications Utility
+ * Optional desktop alerts through the Web Notifications API while the app is open
+ *
+ * The choice is stored per browser, since permission is granted per browser too.
+ */
+
+const STORAGE_KEY = 'browserAlertsEnabled';
+
+/**
+ * Whether this browser supports desktop notifications
+ */
+export const isSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Whether alerts are turned on and allowed
+ */
+export const alertsEnabled = () => (
+  isSupported()
+  && window.Notification.permission === 'granted'
+  && localStorage.getItem(STORAGE_KEY) === 'true'
+);
+
+/**
+ * Turn alerts on (asking for permission if needed) or off
+ * @param {boolean} enabled - Whether alerts should be shown
+ * @returns {Promise<boolean>} - Whether alerts are on afterwards
+ */
+export const setAlertsEnabled = async (enabled) => {
+  if (!enabled || !isSupported()) {
+    localStorage.removeItem(STORAGE_KEY);
+    return false;
+  }
+
+  const permission = window.Notification.permission === 'default'
+    ? await window.Notification.requestPermission()
+    : window.Notification.permission;
+
+  if (permission !== 'granted') {
+    localStorage.removeItem(STORAGE_KEY);
+    return false;
+  }
+
+  localStorage.setItem(STORAGE_KEY, 'true');
+  return true;
+};
+
+/**
+ * Show a desktop alert
+ * @param {string} title - Alert title
+ * @param {Object} options - { body, tag, onClick }
+ */
+export const showAlert = (title, { body, tag, onClick } = {}) => {
+  if (!alertsEnabled()) return;
+
+  const alert = new window.Notification(title, { body, tag });
+  alert.onclick = () => {
+    window.focus();
+    alert.close();
+    if (onClick) onClick();
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * JSON Merge Patch (RFC 7396) helpers for PATCH /api/tasks/:id
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Patch that turns one object into another, member by member
+ * Members missing from the target are removed with null
+ */
+const diffObjects = (source, target) => {
+  const patch = {};
+
+  Object.keys(source).forEach(key => {
+    if (!(key in target) || target[key] === undefined) patch[key] = null;
+  });
+
+  Object.entries(target).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(source[key]) && isPlainObject(value)) {
+      const nested = diffObjects(source[key], value);
+      if (Object.keys(nested).length > 0) patch[key] = nested;
+    } else if (!sameValue(source[key], value)) {
+      patch[key] = value;
+    }
+  });
+
+  return patch;
+};
+
+/**
+ * Merge patch for the fields a form edits
+ * Only the target's own fields are compared, so fields the form does not know
+ * about are left alone; nested objects (e.g. recurrence) are patched member by member.
+ * @param {Object} source - Object as loaded from the server
+ * @param {Object} target - Edited fields
+ * @returns {Object} - Merge patch; empty when nothing changed
+ */
+export const createMergePatch = (source, target) => {
+  const patch = {};
+
+  Object.entries(target).forEach(([key, value]) => {
+    const current = source[key];
+
+    if (isPlainObject(current) && isPlainObject(value)) {
+      const nested = diffObjects(current, value);
+      if (Object.keys(nested).length > 0) patch[key] = nested;
+    } else if (!sameValue(current, value)) {
+      // null removes the field on the server
+      patch[key] = value === undefined ? null : value;
+    }
+  });
+
+  return patch;
+};
+
+const mergePatch = {
+  createMergePatch
+};
+
+export default mergePatch;
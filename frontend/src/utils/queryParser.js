@@ -0,0 +1,325 @@
+/**
+ * Search Query Parser
+ * Parses the structured query language used in the task search box
+ *
+ * Syntax:
+ * - Free text:        review meeting
+ * - Quoted phrase:    "release notes"
+ * - Negation:         -draft, -"on hold", -priority:low
+ * - Priority:         priority:high (or priority:high,medium)
+ * - Status:           is:pending, is:completed (is:done), is:overdue
+ * - Due date:         due:2026-11-01, due:<2026-11-01, due:>=today
+ *                     (operators: < <= > >= =, dates: YYYY-MM-DD, today, tomorrow, yesterday)
+ */
+import { elasticSearch } from './elasticSearch';
+
+const PRIORITIES = { low: 'Low', medium: 'Medium', high: 'High' };
+const STATUSES = { pending: 'pending', open: 'pending', completed: 'completed', done: 'completed', overdue: 'overdue' };
+const DUE_OPERATORS = ['<=', '>=', '<', '>', '='];
+const FIELDS = ['priority', 'is', 'due'];
+
+/**
+ * Get local midnight for a date
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Parse a due date value into local midnight
+ * @param {string} value - YYYY-MM-DD, today, tomorrow or yesterday
+ * @returns {Date|null} - Start of that day, or null if invalid
+ */
+const parseDueDate = (value) => {
+  const keyword = value.toLowerCase();
+  const today = startOfDay(new Date());
+
+  if (keyword === 'today') return today;
+  if (keyword === 'tomorrow') return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  if (keyword === 'yesterday') return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+
+  // Reject dates that rolled over, e.g. 2026-02-30
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * Parse a field:value token into a condition
+ * @returns {Object} - { condition } or { error }
+ */
+const parseFieldToken = (field, value, negate) => {
+  if (!value) {
+    return { error: `Missing value for "${field}:"` };
+  }
+
+  switch (field) {
+    case 'priority': {
+      const names = value.toLowerCase().split(',');
+      const invalid = names.filter(name => !PRIORITIES[name]);
+      if (invalid.length > 0) {
+        return { error: `Unknown priority "${invalid.join(', ')}" (use low, medium or high)` };
+      }
+      return { condition: { field, values: names.map(name => PRIORITIES[name]), negate } };
+    }
+
+    case 'is': {
+      const status = STATUSES[value.toLowerCase()];
+      if (!status) {
+        return { error: `Unknown status "is:${value}" (use pending, completed or overdue)` };
+      }
+      return { condition: { field, value: status, negate } };
+    }
+
+    case 'due': {
+      const operator = DUE_OPERATORS.find(op => value.startsWith(op)) || '=';
+      const rawDate = value.startsWith(operator) ? value.slice(operator.length) : value;
+
+      if (!rawDate) {
+        return { error: `Missing date after "due:${operator}"` };
+      }
+
+      const date = parseDueDate(rawDate);
+      if (!date) {
+        return { error: `Invalid date "${rawDate}" (use YYYY-MM-DD, today, tomorrow or yesterday)` };
+      }
+      return { condition: { field, operator, date, negate } };
+    }
+
+    default:
+      return { error: `Unknown filter "${field}:" (supported: ${FIELDS.join(', ')})` };
+  }
+};
+
+/**
+ * Parse a search box query
+ * @param {string} input - Raw query text
+ * @returns {Object} - { text, phrases, excludes, conditions, errors }
+ *   text: plain terms joined by spaces (fed to elasticSearch)
+ *   phrases: quoted phrases that must appear
+ *   excludes: negated terms and phrases that must not appear
+ *   conditions: field filters ({ field, negate, ... })
+ *   errors: syntax error messages; malformed tokens are ignored
+ */
+export const parseSearchQuery = (input = '') => {
+  const terms = [];
+  const phrases = [];
+  const excludes = [];
+  const conditions = [];
+  const errors = [];
+
+  let i = 0;
+  while (i < input.length) {
+    // Skip whitespace between tokens
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const negate = input[i] === '-';
+    if (negate) i++;
+
+    // Quoted phrase
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        errors.push('Missing closing quote');
+        break;
+      }
+
+      const phrase = input.slice(i + 1, end).trim();
+      if (!phrase) {
+        errors.push('Empty quoted phrase');
+      } else if (negate) {
+        excludes.push(phrase);
+      } else {
+        phrases.push(phrase);
+      }
+
+      i = end + 1;
+      continue;
+    }
+
+    // Plain word or field:value
+    let end = i;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+    const token = input.slice(i, end);
+    i = end;
+
+    if (!token) {
+      errors.push('"-" must be followed by a word, phrase or filter');
+      continue;
+    }
+
+    const fieldMatch = /^([a-zA-Z]+):(.*)$/.exec(token);
+    if (fieldMatch) {
+      const { condition, error } = parseFieldToken(fieldMatch[1].toLowerCase(), fieldMatch[2], negate);
+      if (error) errors.push(error);
+      else conditions.push(condition);
+    } else if (negate) {
+      excludes.push(token);
+    } else {
+      terms.push(token);
+    }
+  }
+
+  return {
+    text: terms.join(' '),
+    phrases,
+    excludes,
+    conditions,
+    errors
+  };
+};
+
+/**
+ * Whether a parsed query has any free text to search for
+ */
+export const hasFreeText = (parsed) => Boolean(parsed.text || parsed.phrases.length > 0);
+
+/**
+ * Check a single field condition against a task
+ */
+const matchesCondition = (task, condition) => {
+  switch (condition.field) {
+    case 'priority':
+      return condition.values.includes(task.priority);
+
+    case 'is':
+      if (condition.value === 'pending') return !task.completed;
+      if (condition.value === 'completed') return task.completed;
+      // Overdue: due before today and still open
+      return !task.completed && startOfDay(task.dueDate) < startOfDay(new Date());
+
+    case 'due': {
+      const due = startOfDay(task.dueDate).getTime();
+      const target = condition.date.getTime();
+      switch (condition.operator) {
+        case '<': return due < target;
+        case '<=': return due <= target;
+        case '>': return due > target;
+        case '>=': return due >= target;
+        default: return due === target;
+      }
+    }
+
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check phrases, exclusions and field conditions against a task
+ * Free-text terms are handled separately by elasticSearch or the server
+ * @param {Object} task - Task object
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Array<string>} fields - Text fields to check phrases against
+ * @returns {boolean} - True if the task satisfies the query
+ */
+export const matchesStructuredQuery = (task, parsed, fields = ['title', 'description']) => {
+  const haystack = fields.map(field => task[field] || '').join('\n').toLowerCase();
+
+  if (!parsed.phrases.every(phrase => haystack.includes(phrase.toLowerCase()))) return false;
+  if (parsed.excludes.some(word => haystack.includes(word.toLowerCase()))) return false;
+
+  return parsed.conditions.every(condition =>
+    matchesCondition(task, condition) !== condition.negate
+  );
+};
+
+/**
+ * Run elasticSearch for the free text and each quoted phrase
+ * Scores are summed and highlights merged across the searches
+ * @param {Array} tasks - Tasks to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Object} options - elasticSearch options
+ * @returns {Array} - Matching tasks with _score and _highlights
+ */
+export const searchStructured = (tasks, parsed, options = {}) => {
+  const chunks = [parsed.text, ...parsed.phrases].filter(Boolean);
+
+  return chunks.reduce((result, chunk) => {
+    const previous = new Map(result.map(task => [task._id, task]));
+
+    return elasticSearch(result, chunk, options).map(task => ({
+      ...task,
+      _score: task._score + (previous.get(task._id)._score || 0),
+      _highlights: { ...previous.get(task._id)._highlights, ...task._highlights }
+    }));
+  }, tasks);
+};
+
+/**
+ * Convert field conditions into GET /api/tasks query parameters
+ * The server only narrows the result; matchesStructuredQuery still applies
+ * every condition, so conditions the API cannot express are simply skipped.
+ * @param {Array} conditions - Parsed conditions
+ * @param {Object} params - Existing query parameters (priority, completed, ...)
+ * @returns {Object} - Query parameters
+ */
+export const toTaskQueryParams = (conditions, params = {}) => {
+  const result = { ...params };
+
+  // Priority: intersect positive sets, remove negated values
+  let priorities = result.priority ? result.priority.split(',') : Object.values(PRIORITIES);
+  conditions.filter(c => c.field === 'priority').forEach(condition => {
+    priorities = condition.negate
+      ? priorities.filter(p => !condition.values.includes(p))
+      : priorities.filter(p => condition.values.includes(p));
+  });
+  if (priorities.length > 0 && priorities.length < Object.keys(PRIORITIES).length) {
+    result.priority = priorities.join(',');
+  }
+
+  // Keep the tightest due date bounds
+  const setDueFrom = (date) => {
+    if (!result.dueFrom || date > new Date(result.dueFrom)) result.dueFrom = date.toISOString();
+  };
+  const setDueTo = (date) => {
+    if (!result.dueTo || date < new Date(result.dueTo)) result.dueTo = date.toISOString();
+  };
+
+  conditions.forEach(condition => {
+    if (condition.field === 'is' && condition.value !== 'overdue') {
+      result.completed = (condition.value === 'completed') !== condition.negate;
+    }
+
+    if (condition.field === 'is' && condition.value === 'overdue' && !condition.negate) {
+      result.completed = false;
+      setDueTo(new Date(startOfDay(new Date()).getTime() - 1));
+    }
+
+    if (condition.field === 'due' && !condition.negate) {
+      const { date } = condition;
+      const dayStart = date.getTime();
+      const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() - 1;
+
+      if (condition.operator === '<') setDueTo(new Date(dayStart - 1));
+      if (condition.operator === '<=' || condition.operator === '=') setDueTo(new Date(dayEnd));
+      if (condition.operator === '>') setDueFrom(new Date(dayEnd + 1));
+      if (condition.operator === '>=' || condition.operator === '=') setDueFrom(new Date(dayStart));
+    }
+  });
+
+  return result;
+};
+
+const queryParser = {
+  parseSearchQuery,
+  hasFreeText,
+  matchesStructuredQuery,
+  searchStructured,
+  toTaskQueryParams
+};
+
+export default queryParser;
@@ -0,0 +1,130 @@
+/**
+ * Recurrence Utility
+ * Client-side counterpart of backend/utils/recurrence.js, used to preview
+ * the occurrences of a recurring task before it is saved
+ *
+ * Rule shape: { frequency, interval, weekdays, monthDay, endDate, count }
+ * Dates are handled in UTC, matching how the backend stores due dates.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNIT_NAMES = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+/**
+ * Index of the Sunday-based week containing a date (1970-01-01 was a Thursday)
+ */
+const weekIndex = (date) => Math.floor((Math.floor(date.getTime() / DAY_MS) + 4) / 7);
+
+/**
+ * Number of days in a month (UTC)
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Due date of the occurrence after the given one, ignoring end conditions
+ */
+const stepOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [from.getUTCDay()];
+      const startWeek = weekIndex(from);
+      let candidate = new Date(from.getTime() + DAY_MS);
+
+      for (let i = 0; i < 7 * (interval + 1); i++) {
+        const weeksApart = weekIndex(candidate) - startWeek;
+        if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+        candidate = new Date(candidate.getTime() + DAY_MS);
+      }
+      return candidate;
+    }
+
+    case 'monthly': {
+      const monthDay = rule.monthDay || from.getUTCDate();
+      const next = new Date(from);
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      next.setUTCDate(Math.min(monthDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+      return next;
+    }
+
+    default: // daily
+      return new Date(from.getTime() + interval * DAY_MS);
+  }
+};
+
+/**
+ * Whether an occurrence is still inside the rule's end conditions
+ */
+const withinEnd = (rule, dueDate, occurrence) => {
+  if (rule.count && occurrence > rule.count) return false;
+  if (rule.endDate && dueDate > new Date(rule.endDate)) return false;
+  return true;
+};
+
+/**
+ * Upcoming occurrences of a series, starting with the given due date
+ * @param {Object} rule - Recurrence rule (occurrence: 1-based position of dueDate, default 1)
+ * @param {string|Date} dueDate - Due date of the first occurrence
+ * @param {number} limit - Maximum number of dates
+ * @returns {Array<Date>}
+ */
+export const listOccurrences = (rule, dueDate, limit = 5) => {
+  const dates = [];
+  if (!rule || !rule.frequency || !dueDate) return dates;
+
+  let current = new Date(dueDate);
+  if (isNaN(current)) return dates;
+
+  // Edited tasks may already be partway through a counted series
+  for (let position = rule.occurrence || 1; dates.length < limit && withinEnd(rule, current, position); position++) {
+    dates.push(current);
+    current = stepOccurrence(rule, current);
+  }
+
+  return dates;
+};
+
+/**
+ * Human-readable summary of a rule, e.g. "Every 2 weeks on Mon, Wed, 5 times"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string}
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule || !rule.frequency) return '';
+
+  const interval = rule.interval || 1;
+  const unit = UNIT_NAMES[rule.frequency];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.frequency === 'weekly' && rule.weekdays && rule.weekdays.length > 0) {
+    text += ` on ${[...rule.weekdays].sort().map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.monthDay) {
+    text += ` on day ${rule.monthDay}`;
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} time${rule.count !== 1 ? 's' : ''}`;
+  } else if (rule.endDate) {
+    text += `, until ${new Date(rule.endDate).toLocaleDateString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+    })}`;
+  }
+
+  return text;
+};
+
+const recurrence = {
+  listOccurrences,
+  describeRecurrence,
+  WEEKDAY_NAMES
+};
+
+export default recurrence;
@@ -0,0 +1,81 @@
+/**
+ * Reminder Utility
+ * Client-side counterpart of backend/utils/reminders.js, used by the TaskForm
+ * reminder editor and the TaskItem bell
+ *
+ * Reminder shape: { kind: 'relative', amount, unit } or { kind: 'absolute', at },
+ * plus remindAt and sentAt once the backend has saved it.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const UNIT_MS = {
+  minutes: MINUTE_MS,
+  hours: 60 * MINUTE_MS,
+  days: 24 * 60 * MINUTE_MS,
+  weeks: 7 * 24 * 60 * MINUTE_MS
+};
+
+export const REMINDER_UNITS = Object.keys(UNIT_MS);
+
+// Limits enforced by the backend
+export const MAX_REMINDERS = 10;
+export const MAX_AMOUNT = 999;
+
+/**
+ * When a reminder fires, or null if it is incomplete
+ * @param {Object} reminder - Reminder definition
+ * @param {string} dueDate - Due date of the task (YYYY-MM-DD or ISO string)
+ * @returns {Date|null}
+ */
+export const reminderTime = (reminder, dueDate) => {
+  const time = reminder.kind === 'absolute'
+    ? new Date(reminder.at)
+    : new Date(new Date(dueDate).getTime() - reminder.amount * UNIT_MS[reminder.unit]);
+
+  return Number.isNaN(time.getTime()) ? null : time;
+};
+
+/**
+ * Format a reminder time
+ */
+export const formatReminderTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Human-readable description, e.g. "2 hours before due"
+ * @param {Object} reminder - Reminder definition
+ * @returns {string}
+ */
+export const describeReminder = (reminder) => {
+  if (reminder.kind === 'absolute') {
+    return `at ${formatReminderTime(reminder.at)}`;
+  }
+
+  const unit = Number(reminder.amount) === 1 ? reminder.unit.slice(0, -1) : reminder.unit;
+  return `${reminder.amount} ${unit} before due`;
+};
+
+/**
+ * The task's earliest reminder that has not been sent yet
+ * @param {Object} task - Task from the API
+ * @returns {Object|null} - Reminder, or null when none is pending
+ */
+export const nextReminder = (task) => {
+  const pending = (task.reminders || []).filter(reminder => !reminder.sentAt && reminder.remindAt);
+  pending.sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+  return pending[0] || null;
+};
+
+/**
+ * Value for a datetime-local input in the browser's timezone
+ */
+export const toLocalInputValue = (date) => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
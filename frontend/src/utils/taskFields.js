@@ -0,0 +1,67 @@
+import { describeRecurrence } from './recurrence';
+import { describeReminder } from './reminders';
+
+/**
+ * Task Fields Utility
+ * Labels and short display values for the editable task fields, shared by
+ * the activity history and the edit merge dialog
+ */
+
+export const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  completed: 'Status',
+  tags: 'Tags',
+  project: 'Project',
+  recurrence: 'Repeats',
+  reminders: 'Reminders',
+  subtasks: 'Checklist',
+  autoCompleteOnSubtasks: 'Complete with checklist',
+  requireSubtasksComplete: 'Require checklist'
+};
+
+/**
+ * Short text for a task field value
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @param {Object} projectNames - Project names by ID
+ * @returns {string}
+ */
+export const formatValue = (field, value, projectNames = {}) => {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '—';
+  }
+
+  switch (field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    case 'completed':
+      return value ? '✓ Completed' : 'Pending';
+    case 'tags':
+      return value.join(', ');
+    case 'project':
+      return projectNames[value] || 'a deleted project';
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'reminders':
+      return value.map(describeReminder).join(', ');
+    case 'subtasks':
+      return `${value.filter(subtask => subtask.completed).length}/${value.length} done`;
+    case 'autoCompleteOnSubtasks':
+    case 'requireSubtasksComplete':
+      return value ? 'on' : 'off';
+    case 'description':
+      return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+    default:
+      return String(value);
+  }
+};
+
+const taskFields = {
+  FIELD_LABELS,
+  formatValue
+};
+
+export default taskFields;
@@ -0,0 +1,70 @@
+import { toLocalInputValue } from './reminders';
+import { createMergePatch } from './mergePatch';
+
+/**
+ * Task Form Utility
+ * Converts tasks between the shape the backend returns and the fields the
+ * TaskForm edits, and builds the PATCH for an edit
+ */
+
+/**
+ * Form fields for a task loaded from the server
+ * @param {Object} task - Task from the API
+ * @returns {Object} - Form fields
+ */
+export const toFormData = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  priority: task.priority || 'Medium',
+  dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
+  project: task.project || '',
+  tags: task.tags || [],
+  recurrence: task.recurrence && task.recurrence.endDate
+    ? { ...task.recurrence, endDate: task.recurrence.endDate.split('T')[0] }
+    : task.recurrence || null,
+  reminders: (task.reminders || []).map(({ kind, amount, unit, at, sentAt }) => (
+    kind === 'absolute'
+      ? { kind, at: toLocalInputValue(at), sentAt }
+      : { kind, amount, unit, sentAt }
+  )),
+  autoCompleteOnSubtasks: !!task.autoCompleteOnSubtasks,
+  requireSubtasksComplete: !!task.requireSubtasksComplete
+});
+
+/**
+ * Task fields to submit from the form fields; reminder times are sent as UTC
+ * @param {Object} formData - Form fields
+ * @returns {Object} - Task fields
+ */
+export const toTaskData = (formData) => ({
+  ...formData,
+  reminders: formData.reminders.map(({ sentAt, ...reminder }) => (
+    reminder.kind === 'absolute' ? { ...reminder, at: new Date(reminder.at).toISOString() } : reminder
+  ))
+});
+
+/**
+ * Merge patch for an edit made in the TaskForm
+ * The task is put through the form first, so only fields the user actually
+ * changed are sent: a due date loaded as a timestamp or a missing project
+ * does not count as a change just because the form shows it differently.
+ * @param {Object} task - Task from the API the edit started from
+ * @param {Object} taskData - Submitted task fields (see toTaskData)
+ * @returns {Object} - Merge patch; empty when nothing changed
+ */
+export const createTaskPatch = (task, taskData) => {
+  const patch = createMergePatch(toTaskData(toFormData(task)), taskData);
+
+  // The form uses '' for "no project"
+  if ('project' in patch) patch.project = patch.project || null;
+
+  return patch;
+};
+
+const taskForm = {
+  toFormData,
+  toTaskData,
+  createTaskPatch
+};
+
+export default taskForm;